@@ -4,12 +4,21 @@
  * Configuration for the Microgramm booking system used by mountain huts
  */
 
+const selectorProfiles = require("../src/services/selectorProfiles");
+
+// MICROGRAMM_BASE_URL points the bot at another copy of the site, e.g. the local
+// stand-in for dry runs (test/helpers/microgrammStandIn.js)
+const baseUrl = process.env.MICROGRAMM_BASE_URL || "https://reservations.microgramm.si/";
+
+const microgramm = selectorProfiles.load("microgramm");
+const bentral = selectorProfiles.load("bentral");
+
 module.exports = {
   // Target booking system
   target: {
     name: "Microgramm Booking System",
-    baseUrl: "https://reservations.microgramm.si/",
-    loginUrl: "https://reservations.microgramm.si/hud/",
+    baseUrl,
+    loginUrl: new URL("hud/", baseUrl).href,
     bookingSystem: "Microgramm"
   },
 
@@ -20,58 +29,34 @@ module.exports = {
     password: process.env.MICROGRAMM_PASSWORD || "kozarja14hud"
   },
 
-  // CSS selectors for booking automation
+  // CSS selectors for booking automation, from the selector profiles in config/selectors/
+  // (npm run selectors:check reports the ones that no longer match)
   selectors: {
-    // Login form
-    loginForm: "form",
-    usernameField: 'input[name="username"], input[name="user"], input[type="text"]',
-    passwordField: 'input[name="password"], input[type="password"]',
-    loginButton: 'input[type="submit"], button[type="submit"]',
-
-    // Hut selection
-    hutSelect: 'select[name="hut"], select#hut',
-    hutOption: 'option',
-
-    // Room type selection
-    roomTypeSelect: 'select[name="room_type"], select#room_type',
-    roomTypeOption: 'option',
-
-    // Date selection
-    arrivalDate: 'input[name="arrival"], input[name="checkin"]',
-    departureDate: 'input[name="departure"], input[name="checkout"]',
-    datePickerDay: '.day:not(.old):not(.new)',
-
-    // Guest information form
-    guestName: 'input[name="name"], input[name="guest_name"]',
-    guestCountry: 'select[name="country"], input[name="country"]',
-    guestEmail: 'input[name="email"]',
-    guestPhone: 'input[name="phone"], input[name="telefon"]',
-
-    // Payment method
-    paymentSelect: 'select[name="payment"]',
-    paymentOption: 'option',
-    paymentPonudba: 'option[value*="ponudbo"], option:contains("ponudbo")',
-
-    // Captcha
-    captchaImage: 'img[alt*="captcha"], img[src*="captcha"], .captcha img',
-    captchaInput: 'input[name="captcha"], input[name="security_code"]',
-    captchaError: '.error, .alert-danger, [class*="error"]',
-    captchaErrorText: 'vnesite rezultat seštevka s slike',
-
-    // Submit buttons
-    nextButton: 'input[type="submit"], button[type="submit"], .btn-primary',
-    confirmButton: 'input[value*="potrditev"], button:contains("potrditev")',
-
-    // Success/error messages
-    successMessage: '.success, .alert-success, [class*="success"]',
-    errorMessage: '.error, .alert-danger, [class*="error"]'
+    // Hut list, login form and the hut page with the Bentral booking iframe
+    ...microgramm.selectors("hutList", "login", "hutPage"),
+
+    // Room rows in the Bentral iframe and the page shown after the booking was sent
+    ...bentral.selectors("rooms", "result"),
+
+    // Submit buttons of the last step
+    nextButton: bentral.selector("confirm", "submitButton"),
+    confirmButton: bentral.selector("confirm", "confirmButton")
+  },
+
+  // The Bentral booking iframe step by step: calendar, stay, guest, confirm
+  bentral,
+
+  // Reservation list of the hut office, used to cancel and modify submitted bookings
+  manage: {
+    reservationsUrl: process.env.MICROGRAMM_RESERVATIONS_URL || new URL("hud/rezervacije/", baseUrl).href,
+    selectors: microgramm.selectors("reservations", "reservation")
   },
 
   // Booking behavior configuration
   booking: {
     // Browser settings
     browser: {
-      headless: false, // Set to true for production
+      headless: process.env.BOOKING_HEADLESS === "true", // Set to true for production and CI
       slowMo: 100, // Delay between actions (ms) - further reduced for speed
       timeout: 10000, // Default timeout (ms) - further reduced
     },
@@ -88,12 +73,14 @@ module.exports = {
     // Retry settings
     retries: {
       maxLoginAttempts: 3,
-      maxCaptchaAttempts: 20, // Numbers 0-20
+      maxCaptchaAttempts: parseInt(process.env.BOOKING_MAX_CAPTCHA_ATTEMPTS) || 21, // Brute force answers (numbers 0-20)
       maxFormSubmitAttempts: 3
     },
 
     // Captcha solving - optimized for speed
     captcha: {
+      // Strategy chain, tried in order (see src/services/captchaSolver.js)
+      strategies: (process.env.CAPTCHA_STRATEGIES || "dom_text,ocr,brute_force").split(",").map(name => name.trim()),
       maxNumber: 20,
       startNumber: 0,
       delayBetweenAttempts: 50 // further reduced for faster brute force
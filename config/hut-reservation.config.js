@@ -4,6 +4,8 @@
  * Configuration for scraping 666+ mountain huts across AT, CH, DE, IT
  */
 
+const selectorProfiles = require("../src/services/selectorProfiles");
+
 module.exports = {
   // Platform configuration
   platform: {
@@ -92,19 +94,14 @@ module.exports = {
       timeout: 30000,   // Default timeout (ms)
     },
 
-    // Months to scrape (English month names for international platform)
-    defaultTargetMonths: [
-      "November 2025",
-      "December 2025",
-      "January 2026",
-      "February 2026",
-      "March 2026",
-      "April 2026",
-      "May 2026",
-      "June 2026",
-      "July 2026",
-      "August 2026"
-    ],
+    // Rolling window of months to scrape (see src/services/dateWindow.js); the default
+    // date range of HutReservationOrchestrator batches and scripts/scrape-batch-hut-reservation.js
+    // English month labels for the international platform
+    dateWindow: {
+      from: null,
+      months: 10,
+      locale: "en"
+    },
 
     // Rate limiting
     rateLimit: {
@@ -123,6 +120,32 @@ module.exports = {
     }
   },
 
+  // Booking wizard (/reservation/book-hut/{hutId}/wizard) - see src/HutReservationBookingBot.js
+  booking: {
+    browser: {
+      headless: true,
+      slowMo: 100,
+      timeout: 15000,
+    },
+
+    // Format the wizard's date inputs accept when typed into
+    dateInputFormat: "DD.MM.YYYY",
+
+    // Steps 1-3 and the confirmation (config/selectors/hutreservation.json)
+    selectors: selectorProfiles.load("hutreservation").selectors("stay", "contact", "summary", "result"),
+
+    delays: {
+      afterInput: 200,
+      afterStep: 1000
+    },
+
+    output: {
+      screenshotsDir: "./screenshots/hut-reservation-bookings",
+      bookingDataDir: "./results/hut-reservation-bookings",
+      saveBookingData: true
+    }
+  },
+
   // API endpoints (for reference)
   api: {
     csrf: "/api/v1/csrf",
@@ -4,6 +4,11 @@
  * Contains all URLs, selectors, and settings for the Bentral booking system scraper
  */
 
+const selectorProfiles = require("../src/services/selectorProfiles");
+
+// Calendar selectors and day classes come from the Bentral selector profile
+const bentralProfile = selectorProfiles.load("bentral");
+
 module.exports = {
   // Target website configuration
   target: {
@@ -37,24 +42,24 @@ module.exports = {
       "Skupna ležišča za 30 oseb": "5f5441324f444d4d",
     },
 
-    // CSS selectors for scraping
-    selectors: {
-      roomSelect: 'select[name="unit[]"]',
-      arrivalInput: 'input[name="formated_arrival"]',
-      calendarSwitch: ".datepicker-switch",
-      calendarDays: ".datepicker-days td",
-      nextButton: ".datepicker-days .next",
-      prevButton: ".datepicker-days .prev",
-    },
+    // Calendar language (must match the "lang" parameter of the iframe URL)
+    // Supported: "sl", "en", "de"
+    locale: "sl",
 
-    // Availability logic configuration
-    availability: {
-      // A date is available if it has ALL of these conditions:
-      requiredClasses: ["day"],
-      // And NONE of these conditions:
-      excludedClasses: ["unavail", "disabled", "old", "new"],
-      excludedTitles: ["zasedeno", "occupied"],
-    },
+    // CSS selectors for scraping (config/selectors/bentral.json)
+    selectors: bentralProfile.selectors("calendar"),
+
+    // Availability logic configuration: a date is available if its cell has ALL of
+    // the required classes and NONE of the excluded classes or titles
+    availability: bentralProfile.availability,
+
+    // Where availability is read from: "calendar" clicks through the calendar and reads
+    // the day classes; "network" reads the widget's availability responses and only
+    // falls back to the calendar when they do not cover every month
+    // (src/providers/bentral/BentralCapture.js)
+    captureMode: process.env.BENTRAL_CAPTURE_MODE || "calendar",
+    // Save the recorded responses here (to inspect the widget's format)
+    captureDir: process.env.BENTRAL_CAPTURE_DIR || null,
   },
 
   // Scraping behavior configuration
@@ -66,22 +71,14 @@ module.exports = {
       timeout: 30000, // Default timeout (ms)
     },
 
-    // Months to scrape (relative to current date) - Slovenian month names
-    // Starting from September 2025 (current is August 2025)
-    targetMonths: [
-      "September 2025",
-      "Oktober 2025",
-      "November 2025",
-      "December 2025",
-      "Januar 2026",
-      "Februar 2026",
-      "Marec 2026",
-      "April 2026",
-      "Maj 2026",
-      "Junij 2026",
-      "Julij 2026",
-      "Avgust 2026"
-    ],
+    // Rolling window of months to scrape, computed relative to the run date.
+    // "from" accepts YYYY-MM-DD, YYYY-MM or an offset like "+1m" (default: today);
+    // the horizon is either "months" or "days". Set "targetMonths" to an explicit
+    // list of calendar labels to override the window.
+    dateWindow: {
+      from: null,
+      months: 12,
+    },
 
     // Output settings
     output: {
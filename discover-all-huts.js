@@ -1,12 +1,15 @@
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const requestGovernor = require('./src/services/requestGovernor');
+const providerConfig = require('./src/providers/hutreservation/config.json');
 
 async function discoverAllHuts() {
   const baseURL = 'https://www.hut-reservation.org/api/v1';
   const huts = [];
   const maxId = 1000; // We'll scan up to ID 1000
-  const concurrency = 10; // Process 10 requests at a time
+  const concurrency = 10; // IDs queued at a time - the governor sends them at the provider's rateLimit
+
+  requestGovernor.configureProvider(providerConfig);
 
   console.log('Discovering all huts on hut-reservation.org...\n');
 
@@ -19,7 +22,9 @@ async function discoverAllHuts() {
 
     const promises = batch.map(async (id) => {
       try {
-        const response = await axios.get(`${baseURL}/reservation/hutInfo/${id}`, {
+        const response = await requestGovernor.request({
+          method: 'GET',
+          url: `${baseURL}/reservation/hutInfo/${id}`,
           timeout: 5000
         });
 
@@ -49,6 +54,10 @@ async function discoverAllHuts() {
           return hutData;
         }
       } catch (error) {
+        // hut-reservation.org keeps failing - stop instead of saving a partial hut list
+        if (error instanceof requestGovernor.CircuitOpenError) {
+          throw error;
+        }
         // Silently skip 404s as they're expected
         if (error.response?.status !== 404) {
           console.log(`✗ Error ID ${id}: ${error.response?.status || error.message}`);
@@ -1,7 +1,12 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
+const requestGovernor = require('./src/services/requestGovernor');
+const providerConfig = require('./src/providers/hutreservation/config.json');
 
 async function extractAustrianHuts() {
+  // Page loads and API calls go through the request governor at the provider's rateLimit
+  requestGovernor.configureProvider(providerConfig);
+
   const browser = await chromium.launch({ headless: false });
   const context = await browser.newContext();
   const page = await context.newPage();
@@ -30,7 +35,7 @@ async function extractAustrianHuts() {
   });
 
   console.log('🌐 Loading homepage...');
-  await page.goto('https://www.hut-reservation.org', { waitUntil: 'networkidle' });
+  await requestGovernor.schedule('https://www.hut-reservation.org', () => page.goto('https://www.hut-reservation.org', { waitUntil: 'networkidle' }));
   await page.waitForTimeout(2000);
 
   // Try to access the main JS bundle to find API routes
@@ -46,10 +51,10 @@ async function extractAustrianHuts() {
     if (scriptUrl.includes('main') || scriptUrl.includes('bundle')) {
       console.log(`\n📥 Analyzing ${scriptUrl}...`);
       try {
-        const scriptContent = await page.evaluate(async (url) => {
+        const scriptContent = await requestGovernor.schedule(scriptUrl, () => page.evaluate(async (url) => {
           const response = await fetch(url);
           return await response.text();
-        }, scriptUrl);
+        }, scriptUrl));
 
         // Look for API route patterns
         const apiPatterns = scriptContent.match(/\/api\/v\d+\/[^"'\s]+/g);
@@ -63,6 +68,8 @@ async function extractAustrianHuts() {
           console.log('Hut-related endpoints:', [...new Set(hutEndpoints)]);
         }
       } catch (e) {
+        // hut-reservation.org keeps failing - stop exploring
+        if (e instanceof requestGovernor.CircuitOpenError) throw e;
         console.log(`Error analyzing script: ${e.message}`);
       }
     }
@@ -84,9 +91,11 @@ async function extractAustrianHuts() {
   for (const endpoint of apiEndpointsToTry) {
     try {
       console.log(`\nTrying: ${endpoint}`);
-      const response = await page.evaluate(async (ep) => {
+      const url = `https://www.hut-reservation.org${endpoint}`;
+      // The returned status lets the governor back off on 429/503
+      const response = await requestGovernor.schedule(url, () => page.evaluate(async (url) => {
         try {
-          const res = await fetch(`https://www.hut-reservation.org${ep}`);
+          const res = await fetch(url);
           return {
             status: res.status,
             data: await res.json()
@@ -94,7 +103,7 @@ async function extractAustrianHuts() {
         } catch (e) {
           return { error: e.message };
         }
-      }, endpoint);
+      }, url));
 
       console.log(`Response:`, JSON.stringify(response).substring(0, 300));
 
@@ -104,16 +113,21 @@ async function extractAustrianHuts() {
         break;
       }
     } catch (e) {
+      if (e instanceof requestGovernor.CircuitOpenError) throw e;
       console.log(`Failed: ${e.message}`);
     }
   }
 
   // Try navigating to a known hut page to trigger API calls
   console.log('\n🔍 Trying to navigate to a known hut...');
-  await page.goto('https://www.hut-reservation.org/reservation/book-hut/648/wizard', {
+  const wizardUrl = 'https://www.hut-reservation.org/reservation/book-hut/648/wizard';
+  await requestGovernor.schedule(wizardUrl, () => page.goto(wizardUrl, {
     waitUntil: 'networkidle',
     timeout: 15000
-  }).catch(e => console.log('Navigation error:', e.message));
+  })).catch(e => {
+    if (e instanceof requestGovernor.CircuitOpenError) throw e;
+    console.log('Navigation error:', e.message);
+  });
 
   await page.waitForTimeout(3000);
 
@@ -1,6 +1,11 @@
 const { chromium } = require('playwright');
+const requestGovernor = require('./src/services/requestGovernor');
+const providerConfig = require('./src/providers/hutreservation/config.json');
 
 async function findAustrianHuts() {
+  // Page loads go through the request governor at the provider's rateLimit
+  requestGovernor.configureProvider(providerConfig);
+
   const browser = await chromium.launch({ headless: false });
   const context = await browser.newContext();
   const page = await context.newPage();
@@ -31,7 +36,7 @@ async function findAustrianHuts() {
   });
 
   console.log('🌐 Navigating to hut-reservation.org...');
-  await page.goto('https://www.hut-reservation.org', { waitUntil: 'networkidle' });
+  await requestGovernor.schedule('https://www.hut-reservation.org', () => page.goto('https://www.hut-reservation.org', { waitUntil: 'networkidle' }));
 
   // Wait for Angular to load
   await page.waitForTimeout(3000);
@@ -56,7 +61,8 @@ async function findAustrianHuts() {
   for (const route of routesToTry) {
     try {
       console.log(`\nTrying route: ${route}`);
-      await page.goto(`https://www.hut-reservation.org${route}`, { waitUntil: 'networkidle', timeout: 10000 });
+      const url = `https://www.hut-reservation.org${route}`;
+      await requestGovernor.schedule(url, () => page.goto(url, { waitUntil: 'networkidle', timeout: 10000 }));
       await page.waitForTimeout(2000);
 
       const title = await page.title();
@@ -74,6 +80,8 @@ async function findAustrianHuts() {
         break;
       }
     } catch (e) {
+      // hut-reservation.org keeps failing - stop exploring
+      if (e instanceof requestGovernor.CircuitOpenError) throw e;
       console.log(`❌ Route ${route} failed: ${e.message}`);
     }
   }
@@ -103,7 +111,7 @@ async function findAustrianHuts() {
 
   if (searchOrBrowseLink) {
     console.log(`\n✅ Found link: ${searchOrBrowseLink.text} -> ${searchOrBrowseLink.href}`);
-    await page.click(`a[href="${searchOrBrowseLink.href}"]`);
+    await requestGovernor.schedule(searchOrBrowseLink.href, () => page.click(`a[href="${searchOrBrowseLink.href}"]`));
     await page.waitForTimeout(3000);
     await page.screenshot({ path: 'after-click.png', fullPage: true });
   }
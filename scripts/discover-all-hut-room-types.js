@@ -1,14 +1,23 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const selectorProfiles = require('../src/services/selectorProfiles');
+const requestGovernor = require('../src/services/requestGovernor');
+const bentralProviderConfig = require('../src/providers/bentral/config.json');
 
 // Load the huts configuration we scraped earlier
 const hutsConfig = require('../config/huts-bentral-ids.json');
 
+// Room dropdown of the Bentral embed (config/selectors/bentral.json)
+const { roomSelect } = selectorProfiles.load('bentral').selectors('calendar');
+
 /**
  * Discover room types for all huts using Playwright
  */
 async function discoverAllHutRoomTypes() {
+    // Page loads go through the request governor at the Bentral provider's rateLimit
+    requestGovernor.configureProvider(bentralProviderConfig);
+
     const browser = await chromium.launch({ 
         headless: true,
         slowMo: 500 
@@ -30,24 +39,24 @@ async function discoverAllHutRoomTypes() {
             
             try {
                 // Navigate to the Bentral iframe URL
-                await page.goto(bentralUrl, {
+                await requestGovernor.schedule(bentralUrl, () => page.goto(bentralUrl, {
                     waitUntil: 'networkidle',
                     timeout: 30000
-                });
+                }));
                 
                 // Wait for the room select dropdown to be available with more time and retries
                 try {
-                    await page.waitForSelector('select[name="unit[]"]', { timeout: 20000 });
+                    await page.waitForSelector(roomSelect, { timeout: 20000 });
                 } catch (error) {
                     // Try waiting for the page to be more stable
                     console.log(`      Retrying selector for ${hut.name}...`);
                     await page.waitForTimeout(5000);
-                    await page.waitForSelector('select[name="unit[]"]', { timeout: 15000 });
+                    await page.waitForSelector(roomSelect, { timeout: 15000 });
                 }
                 
                 // Extract room types from the dropdown
-                const roomTypes = await page.evaluate(() => {
-                    const select = document.querySelector('select[name="unit[]"]');
+                const roomTypes = await page.evaluate((roomSelect) => {
+                    const select = document.querySelector(roomSelect);
                     const options = Array.from(select.options);
                     
                     // Skip the first option if it's "Select room" or empty
@@ -59,7 +68,7 @@ async function discoverAllHutRoomTypes() {
                         }));
                     
                     return rooms;
-                });
+                }, roomSelect);
                 
                 console.log(`   ✅ Found ${roomTypes.length} room types:`);
                 roomTypes.forEach(room => {
@@ -0,0 +1,56 @@
+const database = require('../src/services/database');
+const MontBlancProvider = require('../src/providers/montblanc/MontBlancProvider');
+const montBlancConfig = require('../src/providers/montblanc/config.json');
+
+/**
+ * Add the Mont Blanc refuges of providers/montblanc/config.json as properties
+ * (booking_system 'montblanc', with area and altitude) and their dormitories as room types.
+ * Safe to run again: existing refuges get the current location metadata, nothing is duplicated.
+ * The scheduled scrape does the same for every refuge it scrapes; this script makes them
+ * known before the first scrape.
+ */
+async function onboardMontBlancRefuges() {
+    try {
+        console.log('🏠 Initializing database connection...');
+        await database.initialize();
+
+        const provider = new MontBlancProvider(montBlancConfig);
+        const refuges = provider.getRefuges();
+
+        console.log(`📊 Onboarding ${refuges.length} Mont Blanc refuges...\n`);
+
+        const onboarded = [];
+        for (const refuge of refuges) {
+            // Results without dateRange create the property and room types but leave dates alone
+            const saved = await database.saveProviderAvailability(refuge, montBlancConfig.bookingSystem);
+            const [dormitory] = refuge.roomTypes;
+
+            console.log(`   ✅ ${refuge.property.name} (property ${saved.propertyId}): ${dormitory.name}, ${dormitory.capacity} places`);
+            onboarded.push({ name: refuge.property.name, propertyId: saved.propertyId });
+        }
+
+        return { onboarded };
+
+    } catch (error) {
+        console.error('❌ Fatal error:', error);
+        throw error;
+    } finally {
+        await database.close();
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    onboardMontBlancRefuges()
+        .then((result) => {
+            console.log(`\n✨ Onboarding complete!`);
+            console.log(`   ${result.onboarded.length} refuges with booking_system 'montblanc'`);
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('Fatal error:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { onboardMontBlancRefuges };
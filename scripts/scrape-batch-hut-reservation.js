@@ -2,9 +2,27 @@
  * Batch Scraper for Hut-Reservation.org
  *
  * Scrapes multiple huts and saves results to database
+ *
+ * Usage:
+ *   node scripts/scrape-batch-hut-reservation.js [options] [hutId ...]
+ *   node scripts/scrape-batch-hut-reservation.js --all --rate 60
+ *   node scripts/scrape-batch-hut-reservation.js --resume
+ *
+ * Options:
+ *   --all             Every hut in data/hut-reservation-huts.json (--country AT to narrow it)
+ *   --rate <n>        Requests per minute for the whole batch (http mode)
+ *   --browser         Get the XSRF token from browser pages instead of over plain HTTP
+ *   --from <date>     Window start: YYYY-MM-DD, YYYY-MM, +Nd or +Nm (default: scraper.dateWindow
+ *                     in config/hut-reservation.config.js)
+ *   --months <n>      Window horizon in months
+ *   --days <n>        Window horizon in days
  */
 
 const HutReservationOrchestrator = require('../src/core/HutReservationOrchestrator');
+const ScraperJob = require('../src/server/jobs/scraperJob');
+const DateWindow = require('../src/services/dateWindow');
+const database = require('../src/services/database');
+const browserPool = require('../src/services/browserPool');
 const config = require('../config/hut-reservation.config');
 const logger = require('../src/services/logger');
 const fs = require('fs');
@@ -18,10 +36,59 @@ async function main() {
   // Get hut IDs from command line or use test set
   const args = process.argv.slice(2);
   let hutIds;
+  const options = { all: false, country: null, rate: null, mode: 'http', window: {}, ids: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--all':
+        options.all = true;
+        break;
+      case '--country':
+        options.country = (args[++i] || '').toUpperCase();
+        break;
+      case '--rate':
+        options.rate = parseInt(args[++i]);
+        if (!(options.rate > 0)) {
+          console.error('❌ --rate needs a number of requests per minute');
+          process.exit(1);
+        }
+        break;
+      case '--browser':
+        options.mode = 'browser';
+        break;
+      case '--from':
+        options.window.from = args[++i];
+        break;
+      case '--months':
+      case '--days':
+        options.window[args[i].slice(2)] = args[++i];
+        break;
+      case '--resume':
+        break;
+      default:
+        options.ids.push(parseInt(args[i]));
+    }
+  }
 
-  if (args.length > 0) {
+  // Continue jobs interrupted by a crash instead of starting a new one (as the server does on start)
+  if (args[0] === '--resume') {
+    await database.initialize();
+    const results = await new ScraperJob(logger).resumeInterruptedJobs();
+    console.log(results.length > 0
+      ? results.map(({ result }) => result.error
+        ? `Job ${result.queueJobId || result.jobId}: failed (${result.error})`
+        : `Job ${result.queueJobId}: ${result.queueStatus} (${result.summary.successful}/${result.summary.total} successful)`).join('\n')
+      : 'No unfinished scrape jobs');
+    await database.close();
+    return;
+  }
+
+  if (options.all || options.country) {
+    hutIds = HutReservationOrchestrator.loadHutIds({ country: options.country });
+    console.log(`Scraping ${hutIds.length} huts from data/hut-reservation-huts.json\n`);
+  } else if (options.ids.length > 0) {
     // Use provided hut IDs
-    hutIds = args.map(id => parseInt(id));
+    hutIds = options.ids;
     console.log(`Scraping ${hutIds.length} huts from command line arguments\n`);
   } else {
     // Use test set of 20 huts from priority list + additional
@@ -39,45 +106,67 @@ async function main() {
   console.log('Hut IDs:', hutIds.join(', '));
   console.log('');
 
-  // Create orchestrator
+  // A --months or --days horizon replaces the configured one
+  const hasHorizon = options.window.months !== undefined || options.window.days !== undefined;
+  let dateWindow;
+  try {
+    dateWindow = new DateWindow({
+      ...config.scraper.dateWindow,
+      ...(hasHorizon && { months: null, days: null }),
+      ...options.window
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  // Create orchestrator (work items are persisted in the scrape queue - see src/core/ScrapeOrchestrator.js)
   const orchestrator = new HutReservationOrchestrator({
+    mode: options.mode,        // http: no browser processes
+    ...(options.rate && { requestsPerMinute: options.rate }),
     headless: true,            // Run headless for faster performance
-    concurrentBrowsers: 5,     // 5 concurrent browsers for speed
-    delayBetweenHuts: 2000,    // 2 seconds between batches
+    concurrentBrowsers: 5,     // 5 concurrent workers for speed
+    delayBetweenHuts: 2000,    // 2 seconds between batches (browser mode)
     retryAttempts: 2,          // 2 retry attempts
-    saveToDatabase: true,      // Save to database
-    saveToFile: false          // Skip individual files for speed
+    saveToDatabase: true       // Save to database
   });
+  const dateRange = dateWindow.getDateRange();
 
   console.log('Configuration:');
-  console.log(`- Concurrent browsers: ${orchestrator.options.concurrentBrowsers}`);
-  console.log(`- Delay between batches: ${orchestrator.options.delayBetweenHuts / 1000}s`);
+  console.log(`- Mode: ${orchestrator.options.mode}`);
+  if (orchestrator.options.mode === 'http') {
+    console.log(`- Request rate: ${orchestrator.options.requestsPerMinute}/min`);
+  } else {
+    console.log(`- Delay between huts: ${orchestrator.options.delayBetweenHuts / 1000}s`);
+  }
+  console.log(`- Concurrent workers: ${orchestrator.options.concurrentBrowsers}`);
   console.log(`- Retry attempts: ${orchestrator.options.retryAttempts}`);
   console.log(`- Save to database: ${orchestrator.options.saveToDatabase}`);
+  console.log(`- Dates: ${dateRange.minDate} to ${dateRange.maxDate}`);
   console.log('');
 
   // Run batch scraping
   const startTime = Date.now();
-  const report = await orchestrator.scrapeAllHuts(hutIds);
+  const report = await orchestrator.scrapeAllHuts(hutIds, dateRange);
   const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
 
   // Display results
   console.log('\n========================================');
   console.log('BATCH SCRAPING COMPLETE');
   console.log('========================================');
+  console.log(`Scrape job: ${report.jobId}`);
   console.log(`Duration: ${duration} minutes`);
   console.log(`Total: ${report.summary.total}`);
   console.log(`Successful: ${report.summary.successful}`);
   console.log(`Failed: ${report.summary.failed}`);
   console.log(`Success Rate: ${report.summary.successRate}`);
-  console.log(`Avg Time per Hut: ${report.summary.avgTimePerHut}`);
 
   // Show successful huts
   if (report.successful.length > 0) {
     console.log('\n✅ Successful huts:');
     report.successful.forEach((hut, index) => {
-      console.log(`  ${index + 1}. ${hut.hutName} (${hut.country}) - ${hut.availabilityRate} available`);
-      console.log(`     ${hut.totalAvailable}/${hut.totalDays} days across ${hut.monthsScraped} months`);
+      console.log(`  ${index + 1}. ${hut.hutName} (${hut.hutId})`);
+      console.log(`     ${hut.totalAvailabilitySlots}/${hut.totalDays} dates available across ${hut.categories} categories`);
     });
   }
 
@@ -101,6 +190,9 @@ async function main() {
 
   console.log(`\n📊 Detailed report saved to: ${reportPath}`);
   console.log('\n========================================');
+
+  await browserPool.shutdown();
+  await database.close();
 }
 
 // Run the script
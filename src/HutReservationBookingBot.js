@@ -0,0 +1,497 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/hut-reservation.config.js");
+const logger = require("./services/logger");
+const browserPool = require("./services/browserPool");
+const guestVault = require("./services/guestVault");
+const DateWindow = require("./services/dateWindow");
+const HutReservationScraper = require("./providers/HutReservationScraper");
+
+/**
+ * Hut-Reservation.org Booking Bot
+ *
+ * Fills the /reservation/book-hut/{hutId}/wizard flow for one bed category, date range
+ * and party size and stops on the summary page, before the final confirmation
+ * ("prepare" mode). submitBooking() confirms the reservation.
+ *
+ * Same interface as MicrogrammBookingBot, so both run behind /api/v1/booking.
+ * Before the form is filled the stay is checked against the hut's availability API;
+ * a stay that cannot be booked fails with error.reason set (see bookingQueue.js).
+ */
+class HutReservationBookingBot {
+  constructor(options = {}) {
+    this.config = { ...config.booking, ...options };
+    this.baseUrl = options.baseUrl || process.env.HUT_RESERVATION_BASE_URL || config.platform.baseUrl;
+    this.lease = null; // Browser context leased from the browser pool
+    this.page = null;
+    this.hutData = null;
+    this.scraper = new HutReservationScraper({ baseUrl: this.baseUrl, saveToDatabase: false, saveToFile: false });
+    // A stored session re-driven after a restart keeps its ID
+    this.sessionId = options.sessionId || this.generateSessionId();
+    // Called with bookingData after every step and error so progress can be persisted
+    this.onProgress = options.onProgress || null;
+    this.bookingData = {
+      sessionId: this.sessionId,
+      provider: "hutreservation",
+      timestamp: new Date().toISOString(),
+      status: "initialized",
+      steps: [],
+      errors: [],
+      bookingDetails: null
+    };
+  }
+
+  generateSessionId() {
+    return `booking_hr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Initialize the browser and page
+   */
+  async initialize() {
+    logger.info(`Initializing Hut-Reservation Booking Bot - Session: ${this.sessionId}`);
+
+    this.lease = await browserPool.acquire({
+      launch: {
+        headless: this.config.browser.headless,
+        slowMo: this.config.browser.slowMo
+      },
+      context: {
+        userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+      }
+    });
+
+    this.page = await this.lease.context.newPage();
+    this.page.setDefaultTimeout(this.config.browser.timeout);
+    this.scraper.page = this.page;
+
+    this.addStep("initialized", "Browser and page initialized");
+  }
+
+  addStep(action, details, success = true) {
+    this.bookingData.steps.push({
+      timestamp: new Date().toISOString(),
+      action,
+      details,
+      success
+    });
+    logger.info(`Booking step: ${action}`, { details, success });
+    this.reportProgress();
+  }
+
+  addError(action, error, screenshot = null) {
+    this.bookingData.errors.push({
+      timestamp: new Date().toISOString(),
+      action,
+      error: error.message || error,
+      screenshot
+    });
+    logger.error(`Booking error in ${action}`, { error: error.message || error, screenshot });
+    this.reportProgress();
+  }
+
+  reportProgress() {
+    if (!this.onProgress) return;
+
+    try {
+      this.onProgress(this.bookingData);
+    } catch (error) {
+      logger.warn("Booking progress callback failed", { error: error.message });
+    }
+  }
+
+  async takeScreenshot(name) {
+    if (!this.page) return null;
+
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const filepath = path.join(this.config.output.screenshotsDir, `${name}-${this.sessionId}-${timestamp}.png`);
+
+      if (!fs.existsSync(this.config.output.screenshotsDir)) {
+        fs.mkdirSync(this.config.output.screenshotsDir, { recursive: true });
+      }
+
+      await this.page.screenshot({ path: filepath, fullPage: true });
+      return filepath;
+    } catch (error) {
+      logger.error("Failed to take screenshot", { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Open the booking wizard of a hut (also sets the XSRF-TOKEN cookie)
+   */
+  async openWizard(hutId) {
+    const url = `${this.baseUrl}/reservation/book-hut/${hutId}/wizard`;
+    logger.info("Loading booking wizard", { url });
+
+    await this.page.goto(url, { waitUntil: "domcontentloaded" });
+    await this.page.waitForSelector(this.config.selectors.arrivalInput);
+    this.addStep("wizard_opened", `Opened booking wizard of ${this.hutData.hutName}`);
+  }
+
+  /**
+   * Check the stay against the availability API before touching the form
+   */
+  async verifyAvailability(hutId, category, stay, partySize) {
+    const authTokens = await this.scraper.extractAuthTokens();
+    const apiData = await this.scraper.fetchAvailabilityFromAPI(hutId, authTokens);
+
+    const problem = HutReservationBookingBot.checkStay(apiData, category.categoryID, stay, partySize);
+    if (problem) {
+      throw HutReservationBookingBot.unbookable(problem.reason, problem.message, problem.details);
+    }
+
+    this.addStep("availability_checked", `${partySize} beds free on ${stay.nights.length} nights`);
+  }
+
+  /**
+   * Type arrival and departure into the wizard's date range inputs
+   */
+  async selectDates(stay) {
+    const { selectors, delays, dateInputFormat } = this.config;
+
+    try {
+      await this.page.fill(selectors.arrivalInput, HutReservationBookingBot.formatDate(stay.arrival, dateInputFormat));
+      await this.page.waitForTimeout(delays.afterInput);
+      await this.page.fill(selectors.departureInput, HutReservationBookingBot.formatDate(stay.departure, dateInputFormat));
+      await this.page.keyboard.press("Tab");
+      await this.page.waitForTimeout(delays.afterInput);
+
+      this.addStep("date_selection", `Selected dates: ${stay.arrival} to ${stay.departure}`);
+    } catch (error) {
+      const screenshot = await this.takeScreenshot("date-selection-error");
+      this.addError("date_selection", error, screenshot);
+      throw error;
+    }
+  }
+
+  /**
+   * Enter the party size for the chosen bed category
+   */
+  async selectBeds(category, partySize) {
+    const { selectors, delays } = this.config;
+
+    try {
+      // The wizard shows the label in the user's language - accept any of them
+      const labels = HutReservationBookingBot.categoryLabels(category);
+      const pattern = new RegExp(labels.map(label => label.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|"), "i");
+
+      // Strict locator: a label matching more than one row fails instead of picking one
+      const row = this.page.locator(selectors.bedCategoryRow).filter({ hasText: pattern });
+      await row.locator(selectors.bedCountInput).fill(String(partySize));
+      await this.page.waitForTimeout(delays.afterInput);
+
+      this.addStep("bed_selection", `Selected ${partySize} beds in ${labels[0]}`);
+    } catch (error) {
+      const screenshot = await this.takeScreenshot("bed-selection-error");
+      this.addError("bed_selection", error, screenshot);
+      throw error;
+    }
+  }
+
+  /**
+   * Fill the contact details step
+   */
+  async fillGuestInfo({ guestName, email, phone, country }) {
+    const { selectors, delays } = this.config;
+
+    try {
+      const [firstName, ...lastNames] = guestName.trim().split(/\s+/);
+
+      await this.page.fill(selectors.firstName, firstName);
+      await this.page.fill(selectors.lastName, lastNames.join(" ") || firstName);
+      await this.page.fill(selectors.email, email);
+      await this.page.fill(selectors.phone, phone);
+
+      if (country && await this.page.$(selectors.countrySelect)) {
+        await this.page.click(selectors.countrySelect);
+        await this.page.locator(selectors.selectOption).filter({ hasText: country }).first().click();
+      }
+      await this.page.waitForTimeout(delays.afterInput);
+
+      this.addStep("guest_info", "Filled contact details");
+    } catch (error) {
+      const screenshot = await this.takeScreenshot("guest-info-error");
+      this.addError("guest_info", error, screenshot);
+      throw error;
+    }
+  }
+
+  /**
+   * Click "Next" and fail if the wizard reports a form error
+   */
+  async nextStep(stepName) {
+    const { selectors, delays } = this.config;
+
+    // The stepper keeps the earlier steps (and their buttons) in the page, hidden
+    await this.page.locator(selectors.nextButton).filter({ visible: true }).first().click();
+    await this.page.waitForTimeout(delays.afterStep);
+
+    const formError = await this.page.$(selectors.errorMessage);
+    if (formError && await formError.isVisible()) {
+      const message = (await formError.textContent()).trim();
+      const screenshot = await this.takeScreenshot(`${stepName}-error`);
+      const error = new Error(`Wizard rejected ${stepName}: ${message}`);
+      this.addError(stepName, error, screenshot);
+      throw error;
+    }
+
+    this.addStep(stepName, "Proceeded to the next wizard step");
+  }
+
+  /**
+   * Tick the terms checkboxes of the summary step
+   */
+  async acceptTerms() {
+    const checkboxes = await this.page.$$(this.config.selectors.termsCheckbox);
+    for (const checkbox of checkboxes) {
+      await checkbox.check({ force: true });
+    }
+    this.addStep("terms_accepted", `Accepted ${checkboxes.length} terms checkboxes`);
+  }
+
+  /**
+   * Fill the wizard up to the final confirmation
+   * @param {Object} bookingParams - { hutId, bedCategory, arrivalDate, departureDate, partySize, guestName, email, phone, country };
+   *   the guest details may be a guestRef instead (see services/guestVault.js)
+   */
+  async makeBooking(bookingParams) {
+    try {
+      const { hutId, bedCategory, arrivalDate, departureDate, partySize } = bookingParams;
+
+      // The booking data is saved to disk, so it keeps the guest reference only
+      this.bookingData.bookingDetails = guestVault.protect(bookingParams);
+      this.bookingData.status = "in_progress";
+
+      logger.info("Starting hut-reservation booking process", { hutId, bedCategory, arrivalDate, departureDate, partySize });
+
+      await this.scraper.fetchHutData(hutId);
+      this.hutData = this.scraper.hutData;
+
+      const category = HutReservationBookingBot.findBedCategory(this.hutData, bedCategory);
+      if (!category) {
+        throw HutReservationBookingBot.unbookable("unknown_room_type", `${this.hutData.hutName} has no bed category "${bedCategory}"`);
+      }
+
+      const stay = HutReservationBookingBot.parseStay(arrivalDate, departureDate);
+      if (this.hutData.maxNumberOfNights && stay.nights.length > this.hutData.maxNumberOfNights) {
+        throw HutReservationBookingBot.unbookable(
+          "invalid_dates",
+          `${this.hutData.hutName} accepts at most ${this.hutData.maxNumberOfNights} nights`
+        );
+      }
+
+      await this.initialize();
+      await this.openWizard(hutId);
+      await this.verifyAvailability(hutId, category, stay, partySize);
+
+      await this.selectDates(stay);
+      await this.selectBeds(category, partySize);
+      await this.nextStep("beds_step");
+
+      await this.fillGuestInfo(guestVault.reveal(bookingParams));
+      await this.nextStep("contact_step");
+
+      await this.acceptTerms();
+      await this.page.waitForSelector(this.config.selectors.confirmButton);
+
+      this.bookingData.status = "ready_to_submit";
+      this.addStep("summary_reached", "Summary page reached - waiting for confirmation");
+      await this.saveBookingData();
+
+      return {
+        success: true,
+        sessionId: this.sessionId,
+        provider: "hutreservation",
+        status: "ready_to_submit",
+        hutId,
+        hutName: this.hutData.hutName,
+        bedCategory: HutReservationBookingBot.categoryLabels(category)[0],
+        categoryId: category.categoryID,
+        arrivalDate: stay.arrival,
+        departureDate: stay.departure,
+        partySize,
+        message: "Booking wizard filled. Ready to submit when requested."
+      };
+
+    } catch (error) {
+      this.bookingData.status = "failed";
+      this.addError("booking_process", error);
+      await this.saveBookingData();
+
+      logger.error("Hut-reservation booking process failed", {
+        sessionId: this.sessionId,
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm the reservation on the summary page (only call this when explicitly requested)
+   */
+  async submitBooking() {
+    const { selectors } = this.config;
+
+    try {
+      logger.info("Confirming hut-reservation booking");
+
+      await this.page.locator(selectors.confirmButton).first().click();
+
+      const outcome = await Promise.race([
+        this.page.waitForSelector(selectors.successMessage).then(() => "success"),
+        this.page.waitForSelector(selectors.errorMessage).then(() => "error")
+      ]).catch(() => "unknown");
+
+      if (outcome === "error") {
+        const errorText = (await this.page.textContent(selectors.errorMessage)).trim();
+        this.addError("booking_submission", new Error(`Booking submission failed: ${errorText}`));
+        await this.takeScreenshot("booking-error");
+        return { success: false, message: errorText };
+      }
+
+      const reservationNumber = await this.page.textContent(selectors.reservationNumber).catch(() => null);
+      const message = outcome === "success"
+        ? `Reservation confirmed${reservationNumber ? `: ${reservationNumber.trim()}` : ""}`
+        : "Booking submitted (no clear confirmation message)";
+
+      this.addStep("booking_submitted", message);
+      await this.takeScreenshot("booking-submitted");
+      return { success: true, message, reservationNumber: reservationNumber ? reservationNumber.trim() : null };
+
+    } catch (error) {
+      const screenshot = await this.takeScreenshot("submit-error");
+      this.addError("booking_submission", error, screenshot);
+      throw error;
+    }
+  }
+
+  async saveBookingData() {
+    try {
+      if (!this.config.output.saveBookingData) return;
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const filepath = path.join(this.config.output.bookingDataDir, `booking-${this.sessionId}-${timestamp}.json`);
+
+      if (!fs.existsSync(this.config.output.bookingDataDir)) {
+        fs.mkdirSync(this.config.output.bookingDataDir, { recursive: true });
+      }
+
+      fs.writeFileSync(filepath, JSON.stringify(logger.redact(this.bookingData), null, 2));
+    } catch (error) {
+      logger.error("Failed to save booking data", { error: error.message });
+    }
+  }
+
+  async cleanup() {
+    if (this.lease) {
+      await this.lease.release();
+      this.lease = null;
+      logger.info("Browser context released");
+    }
+  }
+
+  getBookingData() {
+    return this.bookingData;
+  }
+
+  /**
+   * Find a bed category by ID or by any of its labels
+   * @param {Object} hutData - hutInfo response
+   * @param {number|string} wanted - categoryID or label ("Dormitory", "Matratzenlager", ...)
+   * @returns {Object|null} Bed category
+   */
+  static findBedCategory(hutData, wanted) {
+    const categories = (hutData && hutData.hutBedCategories) || [];
+    const needle = String(wanted).trim().toLowerCase();
+
+    return categories.find(category => String(category.categoryID) === needle) ||
+      categories.find(category => HutReservationBookingBot.categoryLabels(category)
+        .some(label => label.toLowerCase() === needle)) ||
+      null;
+  }
+
+  /**
+   * Labels of a bed category, English first
+   */
+  static categoryLabels(category) {
+    const languageData = category.hutBedCategoryLanguageData || [];
+    const labels = [
+      ...languageData.filter(data => data.language === "EN"),
+      ...languageData.filter(data => data.language !== "EN")
+    ].map(data => data.label).filter(Boolean);
+
+    return labels.length > 0 ? [...new Set(labels)] : [`Category ${category.categoryID}`];
+  }
+
+  /**
+   * Check a stay against getHutAvailability data
+   * @param {Array} apiData - getHutAvailability response
+   * @param {number} categoryId - Bed category ID
+   * @param {Object} stay - See parseStay
+   * @param {number} partySize - Beds needed every night
+   * @returns {Object|null} { reason, message, details } or null when bookable
+   */
+  static checkStay(apiData, categoryId, stay, partySize) {
+    const byDate = new Map((apiData || []).map(entry => [entry.date.split("T")[0], entry]));
+
+    const unavailableNights = stay.nights.filter(night => {
+      const entry = byDate.get(night);
+      const freeBeds = entry && entry.freeBedsPerCategory ? entry.freeBedsPerCategory[categoryId] : 0;
+      return !entry || entry.hutStatus === "CLOSED" || !(freeBeds >= partySize);
+    });
+
+    if (unavailableNights.length > 0) {
+      return {
+        reason: "not_available",
+        message: `Fewer than ${partySize} free beds on ${unavailableNights.length} of ${stay.nights.length} nights`,
+        details: { unavailable_nights: unavailableNights }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse arrival and departure (YYYY-MM-DD or DD.MM.YYYY)
+   * @returns {Object} { arrival, departure, nights }
+   */
+  static parseStay(arrivalDate, departureDate) {
+    const [arrival, departure] = [arrivalDate, departureDate].map(value => {
+      const parsed = DateWindow.parseDate(value);
+      if (!parsed) {
+        throw HutReservationBookingBot.unbookable("invalid_dates", `Invalid date: ${value} (expected YYYY-MM-DD or DD.MM.YYYY)`);
+      }
+      return DateWindow.toISODate(parsed);
+    });
+
+    if (departure <= arrival) {
+      throw HutReservationBookingBot.unbookable("invalid_dates", "Departure must be after arrival");
+    }
+
+    return { arrival, departure, nights: DateWindow.nightsBetween(arrival, departure) };
+  }
+
+  /**
+   * Format an ISO date for the wizard inputs ("DD.MM.YYYY", "MM/DD/YYYY" or "YYYY-MM-DD")
+   */
+  static formatDate(isoDate, format) {
+    const [year, month, day] = isoDate.split("-");
+    return format.replace("YYYY", year).replace("MM", month).replace("DD", day);
+  }
+
+  /**
+   * Error for a stay that cannot be booked; reason matches bookingQueue's REJECTION_REASONS
+   */
+  static unbookable(reason, message, details = {}) {
+    const error = new Error(message);
+    error.reason = reason;
+    error.details = details;
+    return error;
+  }
+}
+
+module.exports = HutReservationBookingBot;
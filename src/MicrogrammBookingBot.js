@@ -1,10 +1,12 @@
-const { chromium } = require("playwright");
 const fs = require("fs");
 const path = require("path");
 const config = require("../config/booking.config.js");
 const database = require("./services/database");
+const browserPool = require("./services/browserPool");
 const logger = require("./services/logger");
 const CaptchaSolver = require("./services/captchaSolver");
+const guestVault = require("./services/guestVault");
+const DateWindow = require("./services/dateWindow");
 
 /**
  * Microgramm Mountain Hut Booking Bot
@@ -14,10 +16,15 @@ const CaptchaSolver = require("./services/captchaSolver");
 class MicrogrammBookingBot {
   constructor(options = {}) {
     this.config = { ...config, ...options };
-    this.browser = null;
+    this.lease = null; // Browser context leased from the browser pool
     this.page = null;
     this.captchaSolver = null;
-    this.sessionId = this.generateSessionId();
+    // A stored session re-driven after a restart keeps its ID
+    this.sessionId = options.sessionId || this.generateSessionId();
+    // Called with bookingData after every step and error so progress can be persisted
+    this.onProgress = options.onProgress || null;
+    // Set by cancelBooking / modifyBooking once the change may have reached the hut
+    this.changeSubmitted = false;
     this.bookingData = {
       sessionId: this.sessionId,
       timestamp: new Date().toISOString(),
@@ -41,14 +48,15 @@ class MicrogrammBookingBot {
   async initialize() {
     logger.info(`Initializing Microgramm Booking Bot - Session: ${this.sessionId}`);
 
-    this.browser = await chromium.launch(this.config.booking.browser);
-
-    // Create context with user agent
-    const context = await this.browser.newContext({
-      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    // Lease a context with user agent
+    this.lease = await browserPool.acquire({
+      launch: this.config.booking.browser,
+      context: {
+        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      }
     });
 
-    this.page = await context.newPage();
+    this.page = await this.lease.context.newPage();
     this.captchaSolver = new CaptchaSolver(this.page, this.config);
 
     this.addStep('initialized', 'Browser and page initialized');
@@ -66,6 +74,7 @@ class MicrogrammBookingBot {
     };
     this.bookingData.steps.push(step);
     logger.info(`Booking step: ${action}`, { details, success });
+    this.reportProgress();
   }
 
   /**
@@ -80,6 +89,20 @@ class MicrogrammBookingBot {
     };
     this.bookingData.errors.push(errorData);
     logger.error(`Booking error in ${action}`, { error: error.message || error, screenshot });
+    this.reportProgress();
+  }
+
+  /**
+   * Hand the booking log to the onProgress callback, if any
+   */
+  reportProgress() {
+    if (!this.onProgress) return;
+
+    try {
+      this.onProgress(this.bookingData);
+    } catch (error) {
+      logger.warn('Booking progress callback failed', { error: error.message });
+    }
   }
 
   /**
@@ -195,7 +218,7 @@ class MicrogrammBookingBot {
 
       if (!found) {
         // If no exact match, let's try the first hut for testing
-        const firstLink = await this.page.$('a[href]');
+        const firstLink = await this.page.$(this.config.selectors.hutLink);
         if (firstLink) {
           const text = await firstLink.textContent();
           logger.info(`No exact match found, using first available hut: "${text}"`);
@@ -219,76 +242,180 @@ class MicrogrammBookingBot {
   }
 
   /**
-   * Select room type
+   * Select a single room type
    */
   async selectRoomType(roomType) {
-    try {
-      logger.info(`Selecting room type: ${roomType}`);
+    return this.selectRoomLines([{ roomType, quantity: 1 }]);
+  }
 
-      // Wait for the iframe to load
-      await this.page.waitForTimeout(300);
+  /**
+   * Add every room line to the Bentral form - one unit[] row per room
+   * Stops at the first line that cannot be added; the lines after it are skipped.
+   * @param {Array<Object>} lines - [{ roomType, quantity }] (see MicrogrammBookingBot.roomLines)
+   * @returns {Array<Object>} Outcome per line: { roomType, quantity, added, unitValue, status, error? }
+   */
+  async selectRoomLines(lines) {
+    const outcomes = lines.map(line => ({
+      roomType: line.roomType,
+      quantity: line.quantity,
+      added: 0,
+      unitValue: null,
+      status: 'pending'
+    }));
+    this.bookingData.roomLines = outcomes;
+
+    try {
+      logger.info(`Selecting rooms: ${MicrogrammBookingBot.describeRoomLines(lines)}`);
 
       // Wait for the Bentral iframe to appear
       logger.info('Waiting for Bentral iframe to load...');
-      await this.page.waitForSelector('iframe[src*="bentral.com"]', { timeout: 6000 });
+      await this.page.waitForTimeout(300);
+      await this.page.waitForSelector(this.config.selectors.bookingFrame, { timeout: 6000 });
 
-      // Get the iframe context
-      const frame = this.page.frameLocator('iframe[src*="bentral.com"]');
+      const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
       logger.info('✅ Found Bentral iframe, switching to iframe context');
 
       // Wait for the room dropdown to appear inside the iframe and be enabled
-      await frame.locator('select[name="unit[]"]').waitFor({ state: 'visible', timeout: 6000 });
+      await frame.locator(this.config.selectors.unitSelect).first().waitFor({ state: 'visible', timeout: 6000 });
       logger.info('✅ Found room dropdown inside iframe');
 
       // Additional wait to ensure dropdown is fully loaded with options
       await this.page.waitForTimeout(200);
 
-      // Map room types to values (using values from the HTML you provided)
-      let selectedValue = null;
+      let row = 0;
+      for (const outcome of outcomes) {
+        try {
+          for (let unit = 0; unit < outcome.quantity; unit++) {
+            if (row > 0) {
+              await this.addUnitRow(frame, row);
+            }
+            outcome.unitValue = await this.selectUnit(frame, row, outcome.roomType);
+            outcome.added++;
+            row++;
+          }
+          outcome.status = 'added';
+          this.addStep('room_selection', `Selected room type: ${outcome.quantity} x ${outcome.roomType}`);
 
-      if (roomType.toLowerCase().includes('dvoposteljna')) {
-        selectedValue = '5f5441304e775f4f'; // Dvoposteljna soba (from Aljažev dom HTML)
-      } else if (roomType.toLowerCase().includes('triposteljna')) {
-        selectedValue = '5f5441304f415f4f'; // Triposteljna soba
-      } else {
-        // Default to first available room
-        selectedValue = '5f5441304e775f4f'; // Dvoposteljna soba
+        } catch (error) {
+          outcome.status = 'failed';
+          outcome.error = error.message;
+          throw error;
+        }
       }
 
-      logger.info(`Selecting room with value: ${selectedValue}`);
+      return outcomes;
 
-      // Select the room option inside the iframe with verification
-      const roomSelect = frame.locator('select[name="unit[]"]');
-      await roomSelect.selectOption(selectedValue);
+    } catch (error) {
+      outcomes.filter(outcome => outcome.status === 'pending').forEach(outcome => {
+        outcome.status = 'skipped';
+      });
 
-      // Wait and verify the selection was successful
-      await this.page.waitForTimeout(500);
-      const selectedValue_verify = await roomSelect.inputValue();
+      const screenshot = await this.takeScreenshot('room-selection-error');
+      this.addError('room_selection', error, screenshot);
+      throw error;
+    }
+  }
+
+  /**
+   * Select a room type in one unit[] row
+   * @returns {string} Selected option value
+   */
+  async selectUnit(frame, row, roomType) {
+    const roomSelect = frame.locator(this.config.selectors.unitSelect).nth(row);
+
+    const options = await roomSelect.locator('option').evaluateAll(elements =>
+      elements.map(element => ({ value: element.value, text: element.textContent.trim() }))
+    );
+    const option = MicrogrammBookingBot.matchUnitOption(options, roomType);
+    if (!option) {
+      throw new Error(`Room type "${roomType}" is not offered (options: ${options.map(candidate => candidate.text).join(', ')})`);
+    }
+
+    logger.info(`Selecting "${option.text}" in room row ${row + 1} (value ${option.value})`);
 
-      if (selectedValue_verify === selectedValue) {
-        logger.info(`✅ Successfully selected room type in iframe (verified: ${selectedValue})`);
+    // Select the room option inside the iframe with verification
+    await roomSelect.selectOption(option.value);
+
+    // Wait and verify the selection was successful
+    await this.page.waitForTimeout(500);
+    const selectedValue = await roomSelect.inputValue();
+
+    if (selectedValue === option.value) {
+      logger.info(`✅ Successfully selected room type in iframe (verified: ${option.value})`);
+    } else {
+      logger.warn(`⚠️ Room selection may have failed. Expected: ${option.value}, Got: ${selectedValue}`);
+      // Retry once
+      await this.page.waitForTimeout(1000);
+      await roomSelect.selectOption(option.value);
+      await this.page.waitForTimeout(500);
+      const retryValue = await roomSelect.inputValue();
+      if (retryValue === option.value) {
+        logger.info(`✅ Room selection successful on retry (verified: ${option.value})`);
       } else {
-        logger.warn(`⚠️ Room selection may have failed. Expected: ${selectedValue}, Got: ${selectedValue_verify}`);
-        // Retry once
-        await this.page.waitForTimeout(1000);
-        await roomSelect.selectOption(selectedValue);
-        await this.page.waitForTimeout(500);
-        const retryValue = await roomSelect.inputValue();
-        if (retryValue === selectedValue) {
-          logger.info(`✅ Room selection successful on retry (verified: ${selectedValue})`);
-        } else {
-          throw new Error(`Room selection failed even after retry. Expected: ${selectedValue}, Got: ${retryValue}`);
-        }
+        throw new Error(`Room selection failed even after retry. Expected: ${option.value}, Got: ${retryValue}`);
       }
+    }
 
-      await this.page.waitForTimeout(100); // Reduced from config delay
-      this.addStep('room_selection', `Selected room type: ${roomType}`);
+    await this.page.waitForTimeout(100);
+    return option.value;
+  }
 
-    } catch (error) {
-      const screenshot = await this.takeScreenshot('room-selection-error');
-      this.addError('room_selection', error, screenshot);
-      throw error;
+  /**
+   * Add another unit[] row to the form and wait until it is there
+   * @param {number} row - Index the new row will have
+   */
+  async addUnitRow(frame, row) {
+    const addButton = frame.locator(this.config.selectors.addUnitButton).first();
+    if (!await addButton.isVisible({ timeout: 2000 }).catch(() => false)) {
+      throw new Error('The booking form has no button to add another room');
+    }
+
+    await addButton.click();
+
+    for (let attempt = 0; attempt < 15; attempt++) {
+      if (await frame.locator(this.config.selectors.unitSelect).count() > row) {
+        return;
+      }
+      await this.page.waitForTimeout(200);
+    }
+
+    throw new Error(`Room row ${row + 1} did not appear after adding a room`);
+  }
+
+  /**
+   * Room lines of a booking request: `rooms` or the single `roomType`
+   * @param {Object} params - Booking parameters
+   * @returns {Array<Object>} [{ roomType, quantity }]
+   */
+  static roomLines(params) {
+    if (Array.isArray(params.rooms) && params.rooms.length > 0) {
+      return params.rooms.map(line => ({ roomType: line.roomType, quantity: line.quantity || 1 }));
+    }
+    return [{ roomType: params.roomType, quantity: 1 }];
+  }
+
+  /**
+   * "2 x Triposteljna soba, 1 x Skupna ležišča"
+   */
+  static describeRoomLines(lines) {
+    if (lines.length === 1 && lines[0].quantity === 1) {
+      return lines[0].roomType;
     }
+    return lines.map(line => `${line.quantity} x ${line.roomType}`).join(', ');
+  }
+
+  /**
+   * Find the unit[] option of a room type: same name first, then a name containing it
+   * @param {Array<Object>} options - [{ value, text }]
+   * @returns {Object|null} Matching option
+   */
+  static matchUnitOption(options, roomType) {
+    const wanted = String(roomType).trim().toLowerCase();
+    const offered = options.filter(option => option.value);
+
+    return offered.find(option => option.text.toLowerCase() === wanted) ||
+      offered.find(option => option.text.toLowerCase().includes(wanted)) ||
+      null;
   }
 
   /**
@@ -299,7 +426,7 @@ class MicrogrammBookingBot {
       logger.info(`Selecting dates: ${arrivalDate} to ${departureDate}`);
 
       // Get iframe context
-      const frame = this.page.frameLocator('iframe[src*="bentral.com"]');
+      const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
 
       // Parse dates (format: "dd.mm.yyyy")
       const parseDate = (dateStr) => {
@@ -350,7 +477,7 @@ class MicrogrammBookingBot {
     logger.info("📅 Opening calendar...");
 
     // Click on arrival input using scraper selector
-    const arrivalInput = frame.locator('input[name="formated_arrival"]').first();
+    const arrivalInput = frame.locator(this.frameSelectors('calendar').arrivalInput).first();
     await arrivalInput.click();
     await this.page.waitForTimeout(300);
   }
@@ -361,14 +488,15 @@ class MicrogrammBookingBot {
   async navigateToMonth(frame, targetMonth) {
     logger.info(`🔄 Navigating to ${targetMonth}...`);
 
-    let currentMonth = await frame.locator('.datepicker-switch').first().textContent();
+    const { calendarSwitch, nextButton } = this.frameSelectors('calendar');
+    let currentMonth = await frame.locator(calendarSwitch).first().textContent();
     let attempts = 0;
     const maxAttempts = 24; // Max 2 years of navigation
 
     while (!currentMonth.includes(targetMonth) && attempts < maxAttempts) {
-      await frame.locator('.datepicker-days .next').first().click();
+      await frame.locator(nextButton).first().click();
       await this.page.waitForTimeout(200);
-      currentMonth = await frame.locator('.datepicker-switch').first().textContent();
+      currentMonth = await frame.locator(calendarSwitch).first().textContent();
       attempts++;
     }
 
@@ -385,8 +513,10 @@ class MicrogrammBookingBot {
   async selectDay(frame, day) {
     logger.info(`Selecting day ${day} from calendar`);
 
-    // Use same selector as scraper: ".datepicker-days td"
-    const dayElements = frame.locator('.datepicker-days td');
+    // Same day cells and classes as the scraper (config/selectors/bentral.json)
+    const dayElements = frame.locator(this.frameSelectors('calendar').calendarDays);
+    const { requiredClasses } = this.config.bentral.availability;
+    const { unselectableDayClasses } = this.config.bentral;
     const dayCount = await dayElements.count();
 
     for (let i = 0; i < dayCount; i++) {
@@ -397,10 +527,9 @@ class MicrogrammBookingBot {
       // Check if this is the day we want and it's available (same logic as scraper)
       if (dayText && parseInt(dayText.trim()) === day) {
         // Ensure it's not old, new, or disabled (same as scraper availability logic)
-        if (classes && classes.includes('day') &&
-            !classes.includes('old') &&
-            !classes.includes('new') &&
-            !classes.includes('disabled')) {
+        if (classes &&
+            requiredClasses.every(cls => classes.includes(cls)) &&
+            !unselectableDayClasses.some(cls => classes.includes(cls))) {
 
           logger.info(`Clicking on available day ${day}`);
           await dayElement.click();
@@ -417,11 +546,7 @@ class MicrogrammBookingBot {
    * Get Slovenian month name for a given month number and year
    */
   getMonthName(month, year) {
-    const monthNames = [
-      'Januar', 'Februar', 'Marec', 'April', 'Maj', 'Junij',
-      'Julij', 'Avgust', 'September', 'Oktober', 'November', 'December'
-    ];
-    return `${monthNames[month - 1]} ${year}`;
+    return DateWindow.formatMonthLabel(year, month, 'sl');
   }
 
   /**
@@ -537,10 +662,10 @@ class MicrogrammBookingBot {
       logger.info('Selecting payment method: želim prejeti ponudbo');
 
       // Get iframe context
-      const frame = this.page.frameLocator('iframe[src*="bentral.com"]');
+      const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
 
       // Look for payment method radio buttons or select with shorter timeout
-      const paymentOptions = frame.locator('input[type="radio"][value="inquiry"], input[type="radio"][value*="ponudbo"], input[type="radio"][value*="offer"], select[name*="payment"] option, input[name*="payment"]');
+      const paymentOptions = frame.locator(this.frameSelectors('stay').paymentOption);
       const optionCount = await paymentOptions.count().catch(() => 0);
 
       if (optionCount === 0) {
@@ -785,22 +910,10 @@ class MicrogrammBookingBot {
       logger.info('Proceeding to next step in booking process');
 
       // Get iframe context
-      const frame = this.page.frameLocator('iframe[src*="bentral.com"]');
+      const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
 
       // Look for various types of "Next" or "Continue" buttons
-      const nextButtonSelectors = [
-        '.btn-primary',
-        'button[type="submit"]',
-        'input[type="submit"]',
-        '.next-step',
-        '.continue-btn',
-        'button:has-text("Naslednji")',
-        'button:has-text("Naprej")',
-        'input[value*="naslednji"]',
-        'input[value*="naprej"]',
-        'button:has-text("Continue")',
-        'button:has-text("Next")'
-      ];
+      const nextButtonSelectors = this.frameSelectors('stay').nextButton;
 
       let buttonFound = false;
 
@@ -852,29 +965,31 @@ class MicrogrammBookingBot {
     try {
       logger.info('Filling guest information form in step 2');
 
-      const frame = this.page.frameLocator('iframe[src*="bentral.com"]');
+      const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
+      const guestSelectors = this.frameSelectors('guest');
 
       // Check if we have booking details
-      const guestName = this.bookingData.bookingDetails?.guestName || 'John Doe';
-      const email = this.bookingData.bookingDetails?.email || 'test@example.com';
-      const phone = this.bookingData.bookingDetails?.phone || '+386 40 123 456';
+      const guest = guestVault.reveal(this.bookingData.bookingDetails || {});
+      const guestName = guest.guestName || 'John Doe';
+      const email = guest.email || 'test@example.com';
+      const phone = guest.phone || '+386 40 123 456';
 
       // Fill guest name using exact field name found in analysis
-      const nameInput = frame.locator('input[name="name"]').first();
+      const nameInput = frame.locator(guestSelectors.name).first();
       if (await nameInput.isVisible({ timeout: 1000 })) {
         await nameInput.fill(guestName);
         logger.info('✅ Filled guest name');
       }
 
       // Fill email using exact field name found in analysis
-      const emailInput = frame.locator('input[name="email"]').first();
+      const emailInput = frame.locator(guestSelectors.email).first();
       if (await emailInput.isVisible({ timeout: 1000 })) {
         await emailInput.fill(email);
         logger.info('✅ Filled email');
       }
 
       // Fill country dropdown FIRST (to prevent it from clearing phone when changed later)
-      const countrySelect = frame.locator('select[name="country"]').first();
+      const countrySelect = frame.locator(guestSelectors.country).first();
       if (await countrySelect.isVisible({ timeout: 1000 })) {
         // Try to select Slovenia/Slovenija
         const options = countrySelect.locator('option');
@@ -895,7 +1010,7 @@ class MicrogrammBookingBot {
       }
 
       // Select phone type dropdown SECOND (after country is set)
-      const phoneTypeSelect = frame.locator('select[name="phone_type"]').first();
+      const phoneTypeSelect = frame.locator(guestSelectors.phoneType).first();
       if (await phoneTypeSelect.isVisible({ timeout: 1000 })) {
         // Select mobile phone option
         const options = phoneTypeSelect.locator('option');
@@ -916,7 +1031,7 @@ class MicrogrammBookingBot {
       }
 
       // Fill phone LAST (after all dropdowns are set to prevent clearing)
-      const phoneInput = frame.locator('input[name="phone_number"]').first();
+      const phoneInput = frame.locator(guestSelectors.phoneNumber).first();
       if (await phoneInput.isVisible({ timeout: 1000 })) {
         // Use more robust input method
         await phoneInput.click(); // Focus first
@@ -949,7 +1064,7 @@ class MicrogrammBookingBot {
       }
 
       // Fill message textarea if visible
-      const messageTextarea = frame.locator('textarea[name="note"]').first();
+      const messageTextarea = frame.locator(guestSelectors.note).first();
       if (await messageTextarea.isVisible({ timeout: 1000 })) {
         await messageTextarea.fill('Hvala za rezervacijo.');
         logger.info('✅ Filled message note');
@@ -974,20 +1089,10 @@ class MicrogrammBookingBot {
     try {
       logger.info('Proceeding from step 2 to step 3 (captcha step)');
 
-      const frame = this.page.frameLocator('iframe[src*="bentral.com"]');
+      const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
 
       // Look for the next button on step 2
-      const step2NextSelectors = [
-        '.btn-primary',
-        'button[type="submit"]',
-        'input[type="submit"]',
-        'button:has-text("Naslednji")',
-        'button:has-text("Naprej")',
-        'button:has-text("Potrdi")',
-        'button:has-text("Continue")',
-        'input[value*="naslednji"]',
-        'input[value*="potrdi"]'
-      ];
+      const step2NextSelectors = this.frameSelectors('guest').nextButton;
 
       let step3ButtonFound = false;
 
@@ -1048,7 +1153,8 @@ class MicrogrammBookingBot {
         throw new Error('Failed to solve captcha after all attempts');
       }
 
-      this.addStep('captcha_solved', `Captcha solved with answer: ${correctAnswer}`);
+      const { strategy } = this.captchaSolver.lastResult;
+      this.addStep('captcha_solved', `Captcha solved with answer: ${correctAnswer} (${strategy})`);
 
       // Wait a moment before submitting
       await this.page.waitForTimeout(this.config.booking.delays.beforeSubmit);
@@ -1061,6 +1167,7 @@ class MicrogrammBookingBot {
       return {
         captchaSolved: true,
         answer: correctAnswer,
+        strategy,
         readyToSubmit: true
       };
 
@@ -1078,26 +1185,31 @@ class MicrogrammBookingBot {
     try {
       logger.info('Submitting booking form');
 
+      // The confirmation step is in the Bentral iframe
+      const form = await this.getBookingFrame();
+
       // Find submit/confirmation button
-      const submitButton = await this.page.$(this.config.selectors.confirmButton) ||
-                           await this.page.$(this.config.selectors.nextButton);
+      const submitButton = await form.$(this.config.selectors.confirmButton) ||
+                           await form.$(this.config.selectors.nextButton);
 
       if (!submitButton) {
         throw new Error('Submit button not found');
       }
 
       await submitButton.click();
+      await form.waitForLoadState('domcontentloaded');
       await this.page.waitForTimeout(300);
 
       // Check for success or error messages
-      const successMessage = await this.page.$(this.config.selectors.successMessage);
-      const errorMessage = await this.page.$(this.config.selectors.errorMessage);
+      const successMessage = await form.$(this.config.selectors.successMessage);
+      const errorMessage = await form.$(this.config.selectors.errorMessage);
 
       if (successMessage) {
         const successText = await successMessage.textContent();
+        const reservationNumber = await this.readReservationNumber(form, successText);
         this.addStep('booking_submitted', `Booking submitted successfully: ${successText}`);
         await this.takeScreenshot('booking-success');
-        return { success: true, message: successText };
+        return { success: true, message: successText, reservationNumber };
       } else if (errorMessage) {
         const errorText = await errorMessage.textContent();
         this.addError('booking_submission', new Error(`Booking submission failed: ${errorText}`));
@@ -1107,7 +1219,7 @@ class MicrogrammBookingBot {
         // Assume success if no clear error
         this.addStep('booking_submitted', 'Booking submitted (no clear confirmation message)');
         await this.takeScreenshot('booking-submitted');
-        return { success: true, message: 'Booking submitted' };
+        return { success: true, message: 'Booking submitted', reservationNumber: null };
       }
 
     } catch (error) {
@@ -1117,17 +1229,288 @@ class MicrogrammBookingBot {
     }
   }
 
+  /**
+   * Selectors of one part of the Bentral booking iframe (config/selectors/bentral.json)
+   * @param {string} group - calendar, stay, guest or confirm
+   */
+  frameSelectors(group) {
+    return this.config.bentral.selectors(group);
+  }
+
+  /**
+   * The Bentral iframe's frame, or the page itself if the form is not embedded
+   * @returns {Promise<Frame|Page>}
+   */
+  async getBookingFrame() {
+    const iframe = await this.page.$(this.config.selectors.bookingFrame);
+    return (iframe && await iframe.contentFrame()) || this.page;
+  }
+
+  /**
+   * The hut's confirmation number from its own element, else from the success message
+   * @param {Frame|Page} form - Where the success message is shown
+   * @returns {Promise<string|null>}
+   */
+  async readReservationNumber(form, successText) {
+    const element = await form.$(this.config.selectors.reservationNumber);
+    if (element) {
+      const text = (await element.textContent() || '').trim();
+      if (text) {
+        return MicrogrammBookingBot.parseReservationNumber(text) || text;
+      }
+    }
+    return MicrogrammBookingBot.parseReservationNumber(successText);
+  }
+
+  /**
+   * "Rezervacija št. 2025-0412 je bila uspešno oddana" -> "2025-0412"
+   * @returns {string|null}
+   */
+  static parseReservationNumber(text) {
+    const match = String(text || '').match(/(?:rezervacij[aei]|reservation|booking|št\.|number|no\.)\s*(?:št\.|number|no\.)?\s*[:#]?\s*([A-Z0-9][A-Z0-9/-]{3,})/i);
+    return match && /\d/.test(match[1]) ? match[1] : null;
+  }
+
+  /**
+   * Cancel a submitted booking in the hut office
+   * changeSubmitted is set once the cancellation may have reached the hut.
+   * @param {Object} booking - Ledger row (see services/bookingLedger.js)
+   * @returns {Promise<Object>} { success, message }
+   */
+  async cancelBooking(booking) {
+    try {
+      await this.initialize();
+      await this.login();
+      await this.openReservation(booking);
+
+      const selectors = this.config.manage.selectors;
+      const cancelButton = await this.page.$(selectors.cancelButton);
+      if (!cancelButton) {
+        throw new Error('Cancel button not found on the reservation');
+      }
+
+      // The hut office asks for confirmation in a browser dialog or a modal
+      this.page.once('dialog', dialog => dialog.accept());
+      this.changeSubmitted = true;
+      await cancelButton.click();
+      await this.page.waitForTimeout(this.config.booking.delays.afterSelection);
+
+      const confirmButton = await this.page.$(selectors.confirmCancelButton);
+      if (confirmButton) {
+        await confirmButton.click();
+        await this.page.waitForTimeout(this.config.booking.delays.afterSelection);
+      }
+
+      return await this.readChangeOutcome('booking_cancelled', 'booking_cancellation');
+
+    } catch (error) {
+      const screenshot = await this.takeScreenshot('cancel-error');
+      this.addError('booking_cancellation', error, screenshot);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the dates or guest details of a submitted booking in the hut office
+   * @param {Object} booking - Ledger row (see services/bookingLedger.js)
+   * @param {Object} changes - Any of arrivalDate + departureDate, guestName, email, phone, country
+   * @returns {Promise<Object>} { success, message }
+   */
+  async modifyBooking(booking, changes) {
+    try {
+      await this.initialize();
+      await this.login();
+      await this.openReservation(booking);
+
+      const selectors = this.config.manage.selectors;
+      const modifyButton = await this.page.$(selectors.modifyButton);
+      if (!modifyButton) {
+        throw new Error('Edit button not found on the reservation');
+      }
+      await modifyButton.click();
+      await this.page.waitForTimeout(this.config.booking.delays.afterSelection);
+
+      if (changes.arrivalDate) {
+        await this.fillField(selectors.arrivalField, MicrogrammBookingBot.formatFormDate(changes.arrivalDate), 'Arrival');
+        await this.fillField(selectors.departureField, MicrogrammBookingBot.formatFormDate(changes.departureDate), 'Departure');
+        this.addStep('date_selection', `Changed dates to ${changes.arrivalDate} - ${changes.departureDate}`);
+      }
+
+      if (changes.guestName || changes.country || changes.email || changes.phone) {
+        await this.fillGuestInfo({
+          name: changes.guestName,
+          country: changes.country,
+          email: changes.email,
+          phone: changes.phone
+        });
+      }
+
+      const saveButton = await this.page.$(selectors.saveButton);
+      if (!saveButton) {
+        throw new Error('Save button not found on the reservation');
+      }
+
+      this.changeSubmitted = true;
+      await saveButton.click();
+      await this.page.waitForTimeout(this.config.booking.delays.afterSelection);
+
+      return await this.readChangeOutcome('booking_modified', 'booking_modification');
+
+    } catch (error) {
+      const screenshot = await this.takeScreenshot('modify-error');
+      this.addError('booking_modification', error, screenshot);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a booking in the reservation list of the hut office and open it
+   * By confirmation number, or by guest name and arrival date when the hut gave none.
+   */
+  async openReservation(booking) {
+    const { reservationsUrl, selectors } = this.config.manage;
+    const params = guestVault.reveal(booking.params || {});
+
+    await this.page.goto(reservationsUrl, {
+      waitUntil: "networkidle",
+      timeout: this.config.booking.browser.timeout
+    });
+
+    const searchInput = await this.page.$(selectors.searchInput);
+    if (searchInput) {
+      await searchInput.fill(booking.confirmation_number || params.guestName);
+      await searchInput.press('Enter');
+      await this.page.waitForTimeout(this.config.booking.delays.afterSelection);
+      await this.page.waitForLoadState('networkidle');
+    }
+
+    const rows = await this.page.$$(selectors.reservationRow);
+    const texts = await Promise.all(rows.map(row => row.textContent()));
+    const index = MicrogrammBookingBot.matchReservation(texts, { ...booking, params });
+
+    const link = await rows[index].$(selectors.openLink);
+    await (link || rows[index]).click();
+    await this.page.waitForTimeout(this.config.booking.delays.afterSelection);
+    await this.page.waitForLoadState('networkidle');
+
+    this.addStep('reservation_opened', `Opened reservation ${MicrogrammBookingBot.reservationLabel(booking.confirmation_number, params)}`);
+  }
+
+  /**
+   * Index of the reservation list row of a booking
+   * The confirmation number must appear as a whole token, so 2025-041 does not
+   * open 2025-0412. Without one, the guest name and the arrival date must both
+   * appear. Anything but exactly one matching row is refused - a change must
+   * never reach the wrong reservation.
+   * @param {Array<string>} texts - Text of every row
+   * @param {Object} booking - Ledger row with revealed guest details
+   * @returns {number} Index of the matching row
+   */
+  static matchReservation(texts, booking) {
+    const params = booking.params || {};
+    const label = MicrogrammBookingBot.reservationLabel(booking.confirmation_number, params);
+    let matches;
+
+    if (booking.confirmation_number) {
+      const number = String(booking.confirmation_number).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const token = new RegExp(`(?<![\\p{L}\\p{N}/-])${number}(?![\\p{L}\\p{N}/-])`, 'u');
+      matches = texts.map((text, index) => token.test(text || '') ? index : -1);
+    } else {
+      const guest = String(params.guestName || '').trim().toLowerCase();
+      const arrival = MicrogrammBookingBot.formatFormDate(params.arrivalDate);
+      if (!guest || !arrival) {
+        throw new Error('Reservation without a confirmation number needs the guest name and arrival date to be found');
+      }
+
+      matches = texts.map((text, index) => text && text.toLowerCase().includes(guest) && text.includes(arrival) ? index : -1);
+    }
+
+    matches = matches.filter(index => index !== -1);
+    if (matches.length === 0) {
+      throw new Error(`Reservation ${label} not found in the hut office`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Reservation ${label} matches ${matches.length} rows in the hut office - change it by hand`);
+    }
+
+    return matches[0];
+  }
+
+  /**
+   * How a reservation is named in steps and errors
+   */
+  static reservationLabel(confirmationNumber, params) {
+    return confirmationNumber || `of ${params.guestName || 'an unnamed guest'} arriving ${params.arrivalDate}`;
+  }
+
+  /**
+   * "2025-09-01" or "1.9.2025" -> "01.09.2025"
+   */
+  static formatFormDate(value) {
+    const date = DateWindow.parseDate(value);
+    if (!date) {
+      return value;
+    }
+
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${pad(date.day)}.${pad(date.month)}.${date.year}`;
+  }
+
+  async fillField(selector, value, label) {
+    const input = await this.page.$(selector);
+    if (!input) {
+      throw new Error(`${label} field not found`);
+    }
+    await input.fill(value);
+    await this.page.waitForTimeout(this.config.booking.delays.afterInput);
+  }
+
+  /**
+   * Read the hut office's answer to a cancellation or modification
+   * Unlike a new booking, a change is only taken as done when the hut office
+   * confirms it in its own message - anything else is no answer.
+   * @returns {Promise<Object>} { success, message }
+   */
+  async readChangeOutcome(action, errorAction) {
+    const { changeConfirmation, changeError } = this.config.manage.selectors;
+
+    await this.page.waitForSelector(`${changeConfirmation}, ${changeError}`, {
+      timeout: this.config.booking.browser.timeout
+    }).catch(() => null);
+
+    const successMessage = await this.page.$(changeConfirmation);
+    const errorMessage = await this.page.$(changeError);
+
+    if (successMessage) {
+      const successText = (await successMessage.textContent() || '').trim();
+      this.addStep(action, successText);
+      await this.takeScreenshot(action);
+      return { success: true, message: successText };
+    }
+
+    if (errorMessage) {
+      const errorText = (await errorMessage.textContent() || '').trim();
+      this.addError(errorAction, new Error(errorText));
+      await this.takeScreenshot(`${action}-rejected`);
+      return { success: false, message: errorText };
+    }
+
+    throw new Error('No answer from the hut office - check the reservation before trying again');
+  }
+
   /**
    * Main booking method
+   * @param {Object} bookingParams - Guest details in plain fields or as a guestRef (see services/guestVault.js)
    */
   async makeBooking(bookingParams) {
     try {
-      const { hutName, roomType, arrivalDate, departureDate, guestName, country, email, phone } = bookingParams;
+      const { hutName, arrivalDate, departureDate, guestName, country, email, phone } = guestVault.reveal(bookingParams);
 
-      this.bookingData.bookingDetails = bookingParams;
+      // The booking data is saved to disk, so it keeps the guest reference only
+      this.bookingData.bookingDetails = guestVault.protect(bookingParams);
       this.bookingData.status = 'in_progress';
 
-      logger.info('Starting booking process', { bookingParams });
+      logger.info('Starting booking process', { bookingParams: this.bookingData.bookingDetails });
 
       // Initialize browser
       await this.initialize();
@@ -1138,8 +1521,8 @@ class MicrogrammBookingBot {
       // Select hut
       await this.selectHut(hutName);
 
-      // Select room type
-      await this.selectRoomType(roomType);
+      // Add every room line before the dates and guest info
+      const roomLines = await this.selectRoomLines(MicrogrammBookingBot.roomLines(bookingParams));
 
       // Select dates
       await this.selectDates(arrivalDate, departureDate);
@@ -1179,6 +1562,7 @@ class MicrogrammBookingBot {
         status: 'ready_to_submit',
         captchaSolved: captchaResult.captchaSolved,
         captchaAnswer: captchaResult.answer,
+        roomLines,
         message: 'Booking form filled and captcha solved. Ready to submit when requested.'
       };
 
@@ -1203,15 +1587,18 @@ class MicrogrammBookingBot {
     try {
       logger.info('Filling user information and solving captcha on step 3');
 
-      const frame = this.page.frameLocator('iframe[src*="bentral.com"]');
+      const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
+      const guestSelectors = this.frameSelectors('guest');
+      const confirmSelectors = this.frameSelectors('confirm');
 
       // Get values with safe fallbacks
-      const guestName = this.bookingData.bookingDetails?.guestName || 'John Doe';
-      const email = this.bookingData.bookingDetails?.email || 'test@example.com';
-      const phone = this.bookingData.bookingDetails?.phone || '+386 40 123 456';
+      const guest = guestVault.reveal(this.bookingData.bookingDetails || {});
+      const guestName = guest.guestName || 'John Doe';
+      const email = guest.email || 'test@example.com';
+      const phone = guest.phone || '+386 40 123 456';
 
       // Fill guest name if not already filled
-      const nameInput = frame.locator('input[name="name"]').first();
+      const nameInput = frame.locator(guestSelectors.name).first();
       if (await nameInput.isVisible({ timeout: 1000 })) {
         const currentValue = await nameInput.inputValue();
         if (!currentValue) {
@@ -1221,7 +1608,7 @@ class MicrogrammBookingBot {
       }
 
       // Fill email if not already filled
-      const emailInput = frame.locator('input[name="email"]').first();
+      const emailInput = frame.locator(guestSelectors.email).first();
       if (await emailInput.isVisible({ timeout: 1000 })) {
         const currentValue = await emailInput.inputValue();
         if (!currentValue) {
@@ -1231,7 +1618,7 @@ class MicrogrammBookingBot {
       }
 
       // Fill country dropdown FIRST (to prevent it from clearing phone when changed later)
-      const countrySelect = frame.locator('select[name="country"]').first();
+      const countrySelect = frame.locator(guestSelectors.country).first();
       if (await countrySelect.isVisible({ timeout: 1000 })) {
         const options = countrySelect.locator('option');
         const optionCount = await options.count();
@@ -1251,7 +1638,7 @@ class MicrogrammBookingBot {
       }
 
       // Select phone type dropdown SECOND (after country is set)
-      const phoneTypeSelect = frame.locator('select[name="phone_type"]').first();
+      const phoneTypeSelect = frame.locator(guestSelectors.phoneType).first();
       if (await phoneTypeSelect.isVisible({ timeout: 1000 })) {
         // Select mobile phone option
         const options = phoneTypeSelect.locator('option');
@@ -1272,7 +1659,7 @@ class MicrogrammBookingBot {
       }
 
       // Fill phone LAST if not already filled (after all dropdowns are set)
-      const phoneInput = frame.locator('input[name="phone_number"]').first();
+      const phoneInput = frame.locator(guestSelectors.phoneNumber).first();
       if (await phoneInput.isVisible({ timeout: 1000 })) {
         const currentValue = await phoneInput.inputValue();
         if (!currentValue || currentValue !== phone) {
@@ -1310,7 +1697,7 @@ class MicrogrammBookingBot {
       }
 
       // Fill additional message textarea if needed
-      const messageTextarea = frame.locator('textarea[name="note"]').first();
+      const messageTextarea = frame.locator(guestSelectors.note).first();
       if (await messageTextarea.isVisible({ timeout: 1000 })) {
         const currentValue = await messageTextarea.inputValue();
         if (!currentValue) {
@@ -1320,7 +1707,7 @@ class MicrogrammBookingBot {
       }
 
       // Set arrival time if the dropdown is available
-      const arrivalTimeSelect = frame.locator('select[name="arrival_time"]').first();
+      const arrivalTimeSelect = frame.locator(confirmSelectors.arrivalTime).first();
       if (await arrivalTimeSelect.isVisible({ timeout: 1000 })) {
         // Try to select a reasonable arrival time (afternoon)
         const options = arrivalTimeSelect.locator('option');
@@ -1345,7 +1732,7 @@ class MicrogrammBookingBot {
       // Select payment method on step 3 (in case it wasn't selected in step 1)
       try {
         // Use broader selector to find all radio buttons in payment section
-        const allRadios = frame.locator('input[type="radio"]');
+        const allRadios = frame.locator(confirmSelectors.paymentRadio);
         const radioCount = await allRadios.count({ timeout: 2000 });
 
         if (radioCount > 0) {
@@ -1456,7 +1843,7 @@ class MicrogrammBookingBot {
 
             // Fallback: try to find "Želim prejeti ponudbo" sub-option directly
             try {
-              const ponudboRadio = frame.locator('input[type="radio"][value*="ponudbo"], input[type="radio"] + label:has-text("ponudbo")').first();
+              const ponudboRadio = frame.locator(confirmSelectors.offerRadio).first();
               if (await ponudboRadio.isVisible({ timeout: 1000 })) {
                 await ponudboRadio.check({ timeout: 2000 });
                 const isChecked = await ponudboRadio.isChecked().catch(() => false);
@@ -1477,13 +1864,14 @@ class MicrogrammBookingBot {
       }
 
       // Check required checkboxes if any
-      const checkboxes = frame.locator('input[type="checkbox"]');
+      const checkboxes = frame.locator(confirmSelectors.checkbox);
       const checkboxCount = await checkboxes.count();
 
       for (let i = 0; i < checkboxCount; i++) {
         const checkbox = checkboxes.nth(i);
         if (await checkbox.isVisible({ timeout: 1000 })) {
-          const isRequired = await checkbox.getAttribute('required');
+          // A bare "required" attribute reads back as an empty string
+          const isRequired = await checkbox.getAttribute('required') !== null;
           const isChecked = await checkbox.isChecked();
 
           if (isRequired && !isChecked) {
@@ -1524,7 +1912,7 @@ class MicrogrammBookingBot {
         fs.mkdirSync(this.config.output.bookingDataDir, { recursive: true });
       }
 
-      fs.writeFileSync(filepath, JSON.stringify(this.bookingData, null, 2));
+      fs.writeFileSync(filepath, JSON.stringify(logger.redact(this.bookingData), null, 2));
       logger.info(`Booking data saved: ${filepath}`);
 
     } catch (error) {
@@ -1536,9 +1924,10 @@ class MicrogrammBookingBot {
    * Clean up browser resources
    */
   async cleanup() {
-    if (this.browser) {
-      await this.browser.close();
-      logger.info('Browser closed');
+    if (this.lease) {
+      await this.lease.release();
+      this.lease = null;
+      logger.info('Browser context released');
     }
   }
 
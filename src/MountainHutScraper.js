@@ -1,20 +1,29 @@
-const { chromium } = require("playwright");
 const fs = require("fs");
 const path = require("path");
 const config = require("../config/scraper.config.js");
 const database = require("./services/database");
+const browserPool = require("./services/browserPool");
+const requestGovernor = require("./services/requestGovernor");
 const logger = require("./services/logger");
+const DateWindow = require("./services/dateWindow");
+const selectorProfiles = require("./services/selectorProfiles");
+const BentralCapture = require("./providers/bentral/BentralCapture");
+const { classifyDay, summarizeMonth } = require("./providers/bentral/availability");
 
 /**
  * Mountain Hut Reservation Scraper
  *
- * Scrapes availability data from Bentral booking system used by mountain huts
+ * Scrapes availability data from Bentral booking system used by mountain huts.
+ * With bentral.captureMode "network" the months are read from the availability
+ * responses the widget loads (see providers/bentral/BentralCapture.js) and the
+ * calendar is only clicked through when those do not cover every month.
  */
 class MountainHutScraper {
   constructor(options = {}) {
     this.config = { ...config, ...options };
-    this.browser = null;
+    this.lease = null; // Browser context leased from the browser pool
     this.page = null;
+    this.capture = null; // Network capture of the widget's availability responses
     this.saveToDatabase = options.saveToDatabase !== false; // Default to true
     this.saveToFile = options.saveToFile !== false; // Default to true
     this.propertyId = null;
@@ -67,14 +76,30 @@ class MountainHutScraper {
       }
     }
 
-    this.browser = await chromium.launch(this.config.scraper.browser);
-    this.page = await this.browser.newPage();
+    this.lease = await browserPool.acquire({ launch: this.config.scraper.browser });
+    this.page = await this.lease.context.newPage();
+
+    if (this.config.bentral.captureMode && this.config.bentral.captureMode !== "calendar") {
+      this.startCapture();
+    }
 
     logger.info("Loading booking system", { url: this.config.bentral.iframeUrl });
-    await this.page.goto(this.config.bentral.iframeUrl, {
+    await requestGovernor.schedule(this.config.bentral.iframeUrl, () => this.page.goto(this.config.bentral.iframeUrl, {
       waitUntil: "networkidle",
       timeout: this.config.scraper.browser.timeout,
+    }));
+  }
+
+  /**
+   * Record the widget's availability responses of this.page - call before loading the embed
+   */
+  startCapture() {
+    this.capture = new BentralCapture({
+      baseUrl: new URL(this.config.bentral.iframeUrl).origin,
+      availability: this.config.bentral.availability,
+      captureDir: this.config.bentral.captureDir || null,
     });
+    this.capture.attach(this.page);
   }
 
   /**
@@ -100,6 +125,11 @@ class MountainHutScraper {
       capacity: roomInfo.capacity
     });
     
+    // Responses loaded so far are for the embed's default room
+    if (this.capture) {
+      this.capture.reset();
+    }
+
     await this.page.selectOption(
       this.config.bentral.selectors.roomSelect,
       roomId
@@ -169,6 +199,10 @@ class MountainHutScraper {
     console.log("📅 Opening calendar...");
     await this.page.click(this.config.bentral.selectors.arrivalInput);
     await this.page.waitForTimeout(2000);
+
+    if (!(await this.page.$(this.config.bentral.selectors.calendarSwitch))) {
+      throw selectorProfiles.load("bentral").driftError("calendar", "calendarSwitch", "found no calendar after clicking the arrival input");
+    }
   }
 
   /**
@@ -184,8 +218,15 @@ class MountainHutScraper {
     let attempts = 0;
     const maxAttempts = 24; // Max 2 years of navigation
 
+    // Forward, unless the calendar already shows a later month (e.g. after a network capture)
+    const target = DateWindow.parseMonthLabel(targetMonth);
+    const current = DateWindow.parseMonthLabel(currentMonth.trim());
+    const button = target && current && (current.year * 12 + current.month) > (target.year * 12 + target.month)
+      ? this.config.bentral.selectors.prevButton
+      : this.config.bentral.selectors.nextButton;
+
     while (!currentMonth.includes(targetMonth) && attempts < maxAttempts) {
-      await this.page.click(this.config.bentral.selectors.nextButton);
+      await this.page.click(button);
       await this.page.waitForTimeout(500);
       currentMonth = await this.page.textContent(
         this.config.bentral.selectors.calendarSwitch
@@ -210,126 +251,38 @@ class MountainHutScraper {
   async extractMonthAvailability(monthName) {
     console.log(`🔍 Extracting availability for ${monthName}...`);
 
-    const calendarData = await this.page.evaluate((config) => {
-      const cells = document.querySelectorAll(
-        config.bentral.selectors.calendarDays
-      );
-      return Array.from(cells)
-        .map((cell) => {
-          const day = cell.textContent.trim();
-          const classes = cell.className;
-          const title = cell.getAttribute("title") || "";
-
-          // Only process actual day numbers that belong to the current month
-          // Skip "old" (previous month) and "new" (next month) days
-          if (day.match(/^\d{1,2}$/) && !classes.includes("old") && !classes.includes("new")) {
-            // Check for special partial availability classes
-            const hasUnavailStart = classes.includes("unavail_start");
-            const hasUnavailEnd = classes.includes("unavail_end");
-            
-            // Apply availability logic from config
-            const hasRequiredClasses =
-              config.bentral.availability.requiredClasses.every((cls) =>
-                classes.includes(cls)
-              );
-
-            // For excluded classes, we need to handle unavail_start and unavail_end specially
-            const hasExcludedClasses =
-              config.bentral.availability.excludedClasses.some((cls) => {
-                // Skip checking "unavail" if it's part of unavail_start or unavail_end
-                if (cls === "unavail" && (hasUnavailStart || hasUnavailEnd)) {
-                  return false;
-                }
-                return classes.includes(cls);
-              });
-
-            const hasExcludedTitle =
-              config.bentral.availability.excludedTitles.some((excludedTitle) =>
-                title.toLowerCase().includes(excludedTitle.toLowerCase())
-              );
-
-            // Determine availability status
-            let availabilityStatus;
-            let canStartReservation = false;
-            let canEndReservation = false;
-            
-            if (hasUnavailStart && hasUnavailEnd) {
-              // Both restrictions - can't start or end
-              availabilityStatus = "unavailable";
-              canStartReservation = false;
-              canEndReservation = false;
-            } else if (hasUnavailStart) {
-              // Can't start but CAN end a reservation on this day
-              availabilityStatus = "partial_no_start";
-              canStartReservation = false;
-              canEndReservation = true;
-            } else if (hasUnavailEnd) {
-              // Can't end but CAN start a reservation on this day
-              availabilityStatus = "partial_no_end";
-              canStartReservation = true;
-              canEndReservation = false;
-            } else if (hasRequiredClasses && !hasExcludedClasses && !hasExcludedTitle) {
-              availabilityStatus = "available";
-              canStartReservation = true;
-              canEndReservation = true;
-            } else {
-              availabilityStatus = "unavailable";
-              canStartReservation = false;
-              canEndReservation = false;
-            }
-
-            const isPartiallyAvailable = availabilityStatus === "partial_no_start" || availabilityStatus === "partial_no_end";
-            const isFullyAvailable = availabilityStatus === "available";
-            const isAvailable = isFullyAvailable || isPartiallyAvailable; // Consider partial as available
-
-            return {
-              day: parseInt(day),
-              classes: classes,
-              title: title,
-              availabilityStatus: availabilityStatus,
-              available: isAvailable,
-              fullyAvailable: isFullyAvailable,
-              partiallyAvailable: isPartiallyAvailable,
-              unavailable: availabilityStatus === "unavailable",
-              canStartReservation: canStartReservation,
-              canEndReservation: canEndReservation,
-            };
-          }
-          return null;
-        })
-        .filter((item) => item !== null);
-    }, this.config);
-
-    const available = calendarData.filter((d) => d.available);
-    const fullyAvailable = calendarData.filter((d) => d.fullyAvailable);
-    const partiallyAvailable = calendarData.filter((d) => d.partiallyAvailable);
-    const unavailable = calendarData.filter((d) => d.unavailable);
-    const canStart = calendarData.filter((d) => d.canStartReservation);
-    const canEnd = calendarData.filter((d) => d.canEndReservation);
-
-    const monthData = {
-      totalDays: calendarData.length,
-      availableDays: available.length,
-      fullyAvailableDays: fullyAvailable.length,
-      partiallyAvailableDays: partiallyAvailable.length,
-      unavailableDays: unavailable.length,
-      availabilityRate:
-        ((available.length / calendarData.length) * 100).toFixed(1) + "%",
-      availableDates: available.map((d) => d.day).sort((a, b) => a - b),
-      fullyAvailableDates: fullyAvailable.map((d) => d.day).sort((a, b) => a - b),
-      partiallyAvailableDates: partiallyAvailable.map((d) => ({
-        day: d.day,
-        status: d.availabilityStatus,
-        canStart: d.canStartReservation,
-        canEnd: d.canEndReservation
-      })),
-      unavailableDates: unavailable.map((d) => d.day).sort((a, b) => a - b),
-      canStartDates: canStart.map((d) => d.day).sort((a, b) => a - b),
-      canEndDates: canEnd.map((d) => d.day).sort((a, b) => a - b),
-      rawData: calendarData,
-    };
+    // Day number, classes and title of every cell of the displayed month
+    // ("old" and "new" cells belong to the previous and next month)
+    const cells = await this.page.evaluate((selector) => {
+      return Array.from(document.querySelectorAll(selector))
+        .map((cell) => ({
+          day: cell.textContent.trim(),
+          classes: cell.className,
+          title: cell.getAttribute("title") || "",
+        }))
+        .filter((cell) => cell.day.match(/^\d{1,2}$/) && !cell.classes.includes("old") && !cell.classes.includes("new"));
+    }, this.config.bentral.selectors.calendarDays);
 
-    // Log results
+    const calendarData = cells.map((cell) => classifyDay(cell, this.config.bentral.availability));
+
+    // A month without days (or without a single "day" cell) means Bentral changed its
+    // markup - fail with the selector to fix instead of reporting no availability
+    const { requiredClasses } = this.config.bentral.availability;
+    if (calendarData.length === 0) {
+      throw selectorProfiles.load("bentral").driftError("calendar", "calendarDays", `found no days of ${monthName}`);
+    }
+    if (!calendarData.some((d) => requiredClasses.every((cls) => d.classes.includes(cls)))) {
+      throw selectorProfiles.load("bentral").driftError("calendar", "calendarDays", `found no cells with the classes ${requiredClasses.join(", ")} in ${monthName}`);
+    }
+
+    return this.logMonth(monthName, summarizeMonth(calendarData));
+  }
+
+  /**
+   * Log the results of one month
+   * @returns {Object} monthData
+   */
+  logMonth(monthName, monthData) {
     console.log(`📊 ${monthName} Results:`);
     console.log(
       `   Total Available: ${monthData.availableDays}/${monthData.totalDays} days (${monthData.availabilityRate})`
@@ -364,16 +317,85 @@ class MountainHutScraper {
   }
 
   /**
-   * Scrape availability for all configured months
+   * Get the calendar month labels to scrape
+   * Uses an explicit targetMonths list if given, otherwise the rolling date window
+   * @returns {Array<string>} Month labels in the calendar locale (e.g. "Oktober 2026")
    */
-  async scrapeAvailability() {
+  getTargetMonths() {
+    if (Array.isArray(this.config.scraper.targetMonths) && this.config.scraper.targetMonths.length > 0) {
+      return this.config.scraper.targetMonths;
+    }
+
+    const dateWindow = new DateWindow({
+      ...this.config.scraper.dateWindow,
+      locale: this.config.bentral.locale
+    });
+
+    return dateWindow.getMonthLabels();
+  }
+
+  /**
+   * Read every target month from the calendar
+   */
+  async scrapeCalendarMonths() {
     await this.openCalendar();
 
-    for (const month of this.config.scraper.targetMonths) {
+    for (const month of this.getTargetMonths()) {
       await this.navigateToMonth(month);
       const monthData = await this.extractMonthAvailability(month);
       this.results.months[month] = monthData;
     }
+  }
+
+  /**
+   * Read every target month from the captured availability responses, paging the
+   * calendar forward (waiting for the widget's response, not a fixed time) only while
+   * months are missing
+   * @throws {BentralCaptureError} When the responses do not cover every month
+   */
+  async captureMonths() {
+    const months = this.getTargetMonths();
+
+    await this.capture.settle();
+    let missing = this.capture.missingMonths(months);
+
+    if (missing.length > 0) {
+      await this.openCalendar();
+      await this.capture.settle();
+      missing = this.capture.missingMonths(months);
+
+      for (let attempts = 0; missing.length > 0 && attempts < 24; attempts++) {
+        const [loaded] = await Promise.all([
+          this.capture.waitForResponse(this.config.bentral.captureTimeout || 10000),
+          this.page.click(this.config.bentral.selectors.nextButton),
+        ]);
+        if (!loaded) break;
+        missing = this.capture.missingMonths(months);
+      }
+    }
+
+    for (const [month, monthData] of Object.entries(this.capture.months(months))) {
+      this.results.months[month] = this.logMonth(month, monthData);
+    }
+  }
+
+  /**
+   * Scrape availability for all configured months
+   */
+  async scrapeAvailability() {
+    if (this.capture) {
+      try {
+        await this.captureMonths();
+      } catch (error) {
+        if (!(error instanceof BentralCapture.BentralCaptureError)) throw error;
+
+        logger.warn(`Network capture incomplete, reading the calendar instead: ${error.message}`);
+        this.results.months = {};
+        await this.scrapeCalendarMonths();
+      }
+    } else {
+      await this.scrapeCalendarMonths();
+    }
 
     // Calculate summary
     const totalDays = Object.values(this.results.months).reduce(
@@ -558,16 +580,14 @@ class MountainHutScraper {
   }
 
   /**
-   * Convert month name (Slovenian) to number
+   * Convert month name (Slovenian, English or German) to number
    */
   getMonthNumber(monthName) {
-    const months = {
-      'januar': 1, 'februar': 2, 'marec': 3, 'april': 4,
-      'maj': 5, 'junij': 6, 'julij': 7, 'avgust': 8,
-      'september': 9, 'oktober': 10, 'november': 11, 'december': 12
-    };
-    
-    return months[monthName.toLowerCase()] || 1;
+    const monthNumber = DateWindow.getMonthNumber(monthName);
+    if (!monthNumber) {
+      throw new Error(`Unrecognised calendar month name: ${monthName}`);
+    }
+    return monthNumber;
   }
 
   /**
@@ -597,12 +617,14 @@ class MountainHutScraper {
   }
 
   /**
-   * Clean up browser resources
+   * Clean up browser resources - the browser goes back to the pool
    */
   async cleanup() {
-    if (this.browser) {
-      await this.browser.close();
-      console.log("🧹 Browser closed");
+    if (this.lease) {
+      await this.lease.release();
+      this.lease = null;
+      this.page = null;
+      console.log("🧹 Browser context released");
     }
   }
 
@@ -1,168 +1,135 @@
-const HutReservationScraper = require('../providers/HutReservationScraper');
+const fs = require('fs');
+const path = require('path');
+const ScrapeOrchestrator = require('./ScrapeOrchestrator');
+const HutReservationClient = require('../providers/hutreservation/HutReservationClient');
+const providerConfig = require('../providers/hutreservation/config.json');
+const hutReservationConfig = require('../../config/hut-reservation.config');
+const DateWindow = require('../services/dateWindow');
 const logger = require('../services/logger');
-const database = require('../services/database');
 
 /**
  * HutReservationOrchestrator
  *
- * Manages batch scraping of multiple huts from hut-reservation.org
- * Handles concurrency, retries, and progress tracking
+ * Batch scraping of multiple huts from hut-reservation.org.
+ * Queues one work item per hut on the shared ScrapeOrchestrator, so batching,
+ * retries and progress tracking are persisted in the scrape queue.
+ *
+ * In http mode (default) every worker uses the same HutReservationClient: one session and
+ * no browser processes. requestsPerMinute overrides the provider's rateLimit, which the
+ * request governor enforces for all requests to hut-reservation.org.
+ * In browser mode each worker keeps a browser page and delayBetweenHuts paces them.
+ *
+ * Without an explicit dateRange a batch covers dateWindow, which defaults to the rolling
+ * window in config/hut-reservation.config.js (scraper.dateWindow).
  */
 class HutReservationOrchestrator {
   constructor(options = {}) {
     this.options = {
+      mode: process.env.HUT_RESERVATION_SCRAPE_MODE || 'http',
+      requestsPerMinute: parseInt(process.env.HUT_RESERVATION_REQUESTS_PER_MINUTE) || providerConfig.rateLimit.requestsPerMinute,
       headless: true,
-      concurrentBrowsers: 3,      // Run 3 browsers in parallel
-      delayBetweenHuts: 10000,    // 10 seconds between batches
+      concurrentBrowsers: 3,      // Workers in parallel (browsers in browser mode)
+      delayBetweenHuts: 10000,    // 10 seconds between huts per browser (browser mode)
       retryAttempts: 3,
       saveToDatabase: true,
-      saveToFile: false,          // Don't clutter disk with individual files
+      dateWindow: hutReservationConfig.scraper.dateWindow,
       ...options
     };
 
-    this.results = {
-      successful: [],
-      failed: [],
-      skipped: []
-    };
-  }
-
-  /**
-   * Scrape multiple huts in batches
-   * @param {Array<number>} hutIds - Array of hut IDs to scrape
-   * @returns {Object} Report with results
-   */
-  async scrapeAllHuts(hutIds) {
-    logger.info(`Starting batch scraping for ${hutIds.length} huts...`);
-
-    const startTime = Date.now();
-
-    // Initialize database if needed
-    if (this.options.saveToDatabase) {
-      await database.initialize();
-    }
-
-    // Process huts in batches
-    const batchSize = this.options.concurrentBrowsers;
-    const totalBatches = Math.ceil(hutIds.length / batchSize);
-
-    for (let i = 0; i < hutIds.length; i += batchSize) {
-      const batch = hutIds.slice(i, i + batchSize);
-      const batchNum = Math.floor(i / batchSize) + 1;
-
-      logger.info(`Processing batch ${batchNum}/${totalBatches} (${batch.length} huts)`);
-
-      // Run batch in parallel
-      await Promise.all(
-        batch.map(hutId => this.scrapeWithRetry(hutId))
-      );
-
-      // Delay between batches (but not after the last one)
-      if (i + batchSize < hutIds.length) {
-        logger.info(`Waiting ${this.options.delayBetweenHuts / 1000}s before next batch...`);
-        await this.delay(this.options.delayBetweenHuts);
+    const http = this.options.mode === 'http';
+
+    // Two requests per hut (hutInfo, getHutAvailability) in one shared session
+    this.client = http ? new HutReservationClient({
+      baseUrl: providerConfig.baseUrl,
+      timeout: providerConfig.scraping.requestTimeout
+    }) : null;
+
+    this.orchestrator = new ScrapeOrchestrator({
+      concurrency: this.options.concurrentBrowsers,
+      delayBetweenItems: http ? 0 : this.options.delayBetweenHuts,
+      maxAttempts: this.options.retryAttempts,
+      saveToDatabase: this.options.saveToDatabase,
+      providerOptions: {
+        hutreservation: {
+          ...(this.client && { client: this.client }),
+          rateLimit: { ...providerConfig.rateLimit, requestsPerMinute: this.options.requestsPerMinute },
+          scraping: {
+            ...providerConfig.scraping,
+            mode: this.options.mode,
+            browser: { headless: this.options.headless, slowMo: 300, timeout: 30000 }
+          }
+        }
       }
-
-      // Log progress
-      this.logProgress(batchNum, totalBatches);
-    }
-
-    const duration = Date.now() - startTime;
-    return this.generateReport(duration);
+    });
   }
 
   /**
-   * Scrape a single hut with retry logic
-   * @param {number} hutId - Hut ID to scrape
-   * @param {number} attempt - Current attempt number
+   * IDs of every hut in the discovered huts file
+   * @param {Object} filter - Optional { country } (e.g. 'AT')
+   * @returns {Array<number>} Hut IDs
    */
-  async scrapeWithRetry(hutId, attempt = 1) {
-    try {
-      logger.info(`[Hut ${hutId}] Starting scrape (attempt ${attempt}/${this.options.retryAttempts})`);
-
-      const scraper = new HutReservationScraper({
-        headless: this.options.headless,
-        slowMo: 300,
-        saveToDatabase: this.options.saveToDatabase,
-        saveToFile: this.options.saveToFile
-      });
-
-      const result = await scraper.scrape(hutId);
-
-      this.results.successful.push({
-        hutId,
-        hutName: result.results.hutName,
-        country: result.results.country,
-        categories: result.results.summary.totalCategories || 0,
-        totalDays: result.results.summary.totalDays,
-        totalAvailabilitySlots: result.results.summary.totalAvailabilitySlots
-      });
-
-      logger.info(`[Hut ${hutId}] ✅ Success: ${result.results.hutName} - ${result.results.summary.totalCategories} categories, ${result.results.summary.totalAvailabilitySlots} availability slots`);
+  static loadHutIds({ country = null } = {}) {
+    const hutsPath = path.join(__dirname, '..', '..', providerConfig.hutsFile);
+    const huts = JSON.parse(fs.readFileSync(hutsPath, 'utf8')).allHuts || [];
 
-    } catch (error) {
-      logger.error(`[Hut ${hutId}] ❌ Error: ${error.message}`);
-
-      // Retry logic
-      if (attempt < this.options.retryAttempts) {
-        const retryDelay = 30000 * attempt; // Exponential backoff: 30s, 60s, 90s
-        logger.info(`[Hut ${hutId}] Retrying in ${retryDelay / 1000}s...`);
-        await this.delay(retryDelay);
-        return this.scrapeWithRetry(hutId, attempt + 1);
-      }
-
-      this.results.failed.push({
-        hutId,
-        error: error.message,
-        attempts: attempt
-      });
-    }
+    return huts
+      .filter(hut => !country || hut.country === country)
+      .map(hut => hut.id);
   }
 
   /**
-   * Log current progress
+   * Scrape multiple huts
+   * @param {Array<number>} hutIds - Array of hut IDs to scrape
+   * @param {Object} dateRange - Optional { minDate, maxDate } (default: the dateWindow option)
+   * @returns {Object} Report with results
    */
-  logProgress(currentBatch, totalBatches) {
-    const total = this.results.successful.length + this.results.failed.length;
-    const successRate = total > 0
-      ? ((this.results.successful.length / total) * 100).toFixed(1)
-      : 0;
+  async scrapeAllHuts(hutIds, dateRange = null) {
+    dateRange = dateRange || new DateWindow(this.options.dateWindow).getDateRange();
+    logger.info(`Starting batch scraping for ${hutIds.length} huts (${dateRange.minDate} to ${dateRange.maxDate})...`);
+
+    const items = hutIds.map(hutId => ({
+      provider: 'hutreservation',
+      property: { externalId: hutId },
+      dateRange
+    }));
+
+    const report = await this.orchestrator.scrape(items, {
+      trigger: 'hut-reservation-batch',
+      options: { hutIds, dateRange, mode: this.options.mode }
+    });
+
+    if (this.client) {
+      logger.info('hut-reservation.org session', this.client.getStats());
+    }
 
-    logger.info(`Progress: Batch ${currentBatch}/${totalBatches} | Success: ${this.results.successful.length} | Failed: ${this.results.failed.length} | Rate: ${successRate}%`);
+    return this.formatReport(report);
   }
 
   /**
-   * Generate final report
-   * @param {number} duration - Total duration in milliseconds
+   * Map the queue report to the per-hut report format
+   * @param {Object} report - ScrapeOrchestrator report
    */
-  generateReport(duration) {
-    const total = this.results.successful.length + this.results.failed.length;
-    const durationMin = (duration / 1000 / 60).toFixed(1);
-    const avgTimePerHut = total > 0 ? (duration / total / 1000).toFixed(1) : 0;
-
-    const report = {
+  formatReport(report) {
+    return {
+      jobId: report.jobId,
       summary: {
-        total,
-        successful: this.results.successful.length,
-        failed: this.results.failed.length,
-        skipped: this.results.skipped.length,
-        successRate: total > 0 ? ((this.results.successful.length / total) * 100).toFixed(1) + '%' : '0%',
-        duration: `${durationMin} minutes`,
-        avgTimePerHut: `${avgTimePerHut} seconds`
+        ...report.summary,
+        skipped: 0
       },
-      successful: this.results.successful,
-      failed: this.results.failed,
-      skipped: this.results.skipped
+      successful: report.successful.map(item => ({
+        hutId: parseInt(item.property.externalId),
+        hutName: item.result?.propertyName,
+        categories: item.result?.roomTypes || 0,
+        totalDays: item.result?.totalDates || 0,
+        totalAvailabilitySlots: item.result?.availableDates || 0
+      })),
+      failed: report.failed.map(item => ({
+        hutId: parseInt(item.property.externalId),
+        error: item.lastError,
+        attempts: item.attempts
+      })),
+      skipped: []
     };
-
-    return report;
-  }
-
-  /**
-   * Delay helper
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
   }
 }
 
@@ -71,7 +71,12 @@ class ProviderFactory {
             }
         }
 
-        return null;
+        // Fall back to a case-insensitive match so multi-word providers
+        // (e.g. hutreservation/HutReservationProvider.js) are discovered too
+        const expected = `${providerName}provider.js`.toLowerCase();
+        const match = fs.readdirSync(providerPath).find(filename => filename.toLowerCase() === expected);
+
+        return match ? path.join(providerPath, match) : null;
     }
 
     /**
@@ -0,0 +1,295 @@
+const providerFactory = require('./ProviderFactory');
+const scrapeQueue = require('../services/scrapeQueue');
+const logger = require('../services/logger');
+const database = require('../services/database');
+const webhookDispatcher = require('../services/webhookDispatcher');
+
+/**
+ * ScrapeOrchestrator
+ *
+ * Provider-agnostic batch scraping on top of the persistent scrape queue.
+ * Work items are (provider, property, room type, date range) tuples; each one is
+ * scraped through its ProviderFactory provider and saved in the common schema.
+ * Because all progress lives in scrape_work_items, a job interrupted by a crash
+ * is continued by running it again instead of being started from scratch (see
+ * ScraperJob.resumeInterruptedJobs).
+ */
+class ScrapeOrchestrator {
+  constructor(options = {}) {
+    this.options = {
+      concurrency: 2,             // Work items processed in parallel
+      delayBetweenItems: 2000,    // Delay after each item, per worker
+      maxAttempts: 3,             // Attempts per work item
+      retryDelay: 30000,          // Backoff per attempt: 30s, 60s, ...
+      saveToDatabase: true,
+      providerOptions: {},        // Per-provider config overrides { bentral: { ... } }
+      ...options
+    };
+  }
+
+  /**
+   * Enqueue work items as a new job and process it
+   * @param {Array<Object>} items - { provider, property: { name, externalId }, roomType?, dateRange? }
+   * @param {Object} jobOptions - { trigger, options } stored with the job
+   * @returns {Promise<Object>} Job report
+   */
+  async scrape(items, jobOptions = {}) {
+    const job = await this.enqueue(items, jobOptions);
+    return this.run(job.id);
+  }
+
+  /**
+   * Enqueue work items as a new job without processing it
+   * @returns {Promise<Object>} Job row
+   */
+  async enqueue(items, { trigger = 'manual', options = {} } = {}) {
+    await database.initialize();
+
+    const job = await scrapeQueue.createJob({
+      trigger,
+      items,
+      options,
+      maxAttempts: this.options.maxAttempts
+    });
+
+    logger.info(`Enqueued scrape job ${job.id}`, { trigger, items: items.length });
+    return job;
+  }
+
+  /**
+   * Process a queued job until none of its items are pending
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object>} Job report
+   */
+  async run(jobId) {
+    await database.initialize();
+    await scrapeQueue.recoverStaleItems();
+    await scrapeQueue.startJob(jobId);
+
+    const startTime = Date.now();
+
+    logger.info(`Processing scrape job ${jobId} with concurrency ${this.options.concurrency}`);
+
+    await webhookDispatcher.emit('scrape.started', { job_id: jobId, concurrency: this.options.concurrency });
+
+    try {
+      const workers = [];
+      for (let i = 0; i < this.options.concurrency; i++) {
+        workers.push(this.runWorker(jobId, i + 1));
+      }
+      await Promise.all(workers);
+    } catch (error) {
+      await webhookDispatcher.emit('scrape.failed', { job_id: jobId, error: error.message });
+      throw error;
+    }
+
+    const progress = await scrapeQueue.finishJob(jobId);
+    const report = await this.generateReport(jobId, Date.now() - startTime);
+
+    logger.info(`Scrape job ${jobId} ${progress.job.status}`, report.summary);
+
+    // completed_with_errors: some items failed for good (each one was sent as property.failed)
+    await webhookDispatcher.emit('scrape.completed', {
+      job_id: jobId,
+      status: progress.job.status,
+      summary: report.summary
+    });
+
+    return report;
+  }
+
+  /**
+   * Pull items from the queue until the job is drained
+   * Each worker keeps its own provider instances, since providers hold a browser page.
+   * @param {number} jobId - Job ID
+   * @param {number} workerNumber - Worker number for logs
+   */
+  async runWorker(jobId, workerNumber) {
+    const providers = new Map();
+
+    try {
+      while (true) {
+        const item = await scrapeQueue.claimNextItem(jobId);
+
+        if (!item) {
+          // Nothing due right now - wait for items in retry backoff, or stop when none are left
+          const nextDue = await scrapeQueue.getNextDueDelay(jobId);
+          if (nextDue === null) {
+            break;
+          }
+          await this.delay(Math.max(nextDue, 1000));
+          continue;
+        }
+
+        await this.processItem(item, providers, workerNumber);
+
+        if (this.options.delayBetweenItems > 0) {
+          await this.delay(this.options.delayBetweenItems);
+        }
+      }
+    } finally {
+      for (const provider of providers.values()) {
+        await provider.cleanup().catch(error => {
+          logger.warn(`Failed to clean up provider`, { error: error.message });
+        });
+      }
+    }
+  }
+
+  /**
+   * Scrape and persist a single work item
+   * @param {Object} item - Claimed work item
+   * @param {Map} providers - Worker's provider instances
+   * @param {number} workerNumber - Worker number for logs
+   */
+  async processItem(item, providers, workerNumber) {
+    const label = this.describeItem(item);
+    logger.info(`[Worker ${workerNumber}] ${label} (attempt ${item.attempts}/${item.maxAttempts})`);
+
+    try {
+      const provider = await this.getProvider(item.provider, providers);
+
+      const result = await provider.scrapeAvailability(
+        {
+          name: item.property.name,
+          externalId: item.property.externalId
+        },
+        {
+          ...(item.roomType && { roomTypes: [item.roomType] }),
+          ...(item.dateRange && { dateRange: item.dateRange })
+        }
+      );
+
+      const summary = {
+        propertyName: result.property.name,
+        roomTypes: result.summary.totalRoomTypes,
+        totalDates: result.summary.totalDates,
+        availableDates: result.summary.availableDates,
+        dateRange: result.dateRange
+      };
+
+      if (this.options.saveToDatabase) {
+        const saved = await database.saveProviderAvailability(
+          result,
+          provider.config.bookingSystem || provider.getProviderName()
+        );
+        summary.propertyId = saved.propertyId;
+        summary.availableDatesSaved = saved.availableDatesSaved;
+        summary.changes = saved.events.length;
+
+        if (saved.events.length > 0) {
+          await webhookDispatcher.emit('availability.changed', {
+            job_id: item.jobId,
+            provider: item.provider,
+            property_id: saved.propertyId,
+            property_name: result.property.name,
+            changes: saved.events.map(event => ({
+              room_type_id: event.roomTypeId,
+              room_type_name: event.roomTypeName,
+              date: event.date,
+              event_type: event.event_type,
+              old_free_beds: event.old_free_beds,
+              new_free_beds: event.new_free_beds
+            }))
+          });
+        }
+      }
+
+      await scrapeQueue.completeItem(item.id, summary);
+      logger.info(`[Worker ${workerNumber}] ✅ ${label}: ${summary.availableDates}/${summary.totalDates} dates available`);
+
+    } catch (error) {
+      const retryDelay = this.options.retryDelay * item.attempts;
+      const willRetry = await scrapeQueue.failItem(item, error, retryDelay);
+
+      logger.error(`[Worker ${workerNumber}] ❌ ${label}: ${error.message}`, {
+        itemId: item.id,
+        attempt: item.attempts,
+        willRetry
+      });
+
+      if (!willRetry) {
+        await webhookDispatcher.emit('property.failed', {
+          job_id: item.jobId,
+          provider: item.provider,
+          property_name: item.property.name,
+          property_external_id: item.property.externalId,
+          room_type_name: item.roomType ? item.roomType.name : null,
+          date_range: item.dateRange,
+          attempts: item.attempts,
+          error: error.message
+        });
+      }
+
+      // A failed scrape can leave the browser in an unknown state - start fresh next time
+      const provider = providers.get(item.provider);
+      if (provider) {
+        providers.delete(item.provider);
+        await provider.cleanup().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Get (or create and initialize) a worker's provider instance
+   */
+  async getProvider(providerName, providers) {
+    if (!providers.has(providerName)) {
+      const provider = await providerFactory.createProvider(
+        providerName,
+        this.options.providerOptions[providerName] || {}
+      );
+      await provider.initialize();
+      providers.set(providerName, provider);
+    }
+    return providers.get(providerName);
+  }
+
+  /**
+   * Human-readable item description for logs
+   */
+  describeItem(item) {
+    const parts = [item.provider, item.property.name || item.property.externalId];
+    if (item.roomType) {
+      parts.push(item.roomType.name || item.roomType.externalId);
+    }
+    if (item.dateRange) {
+      parts.push(`${item.dateRange.minDate}..${item.dateRange.maxDate}`);
+    }
+    return parts.join(' / ');
+  }
+
+  /**
+   * Build the job report from the queue
+   * @param {number} jobId - Job ID
+   * @param {number} duration - Duration of this run in milliseconds
+   */
+  async generateReport(jobId, duration) {
+    const progress = await scrapeQueue.getJobProgress(jobId);
+    const { counts } = progress;
+    const processed = counts.completed + counts.failed;
+
+    return {
+      jobId,
+      status: progress.job.status,
+      summary: {
+        total: counts.total,
+        successful: counts.completed,
+        failed: counts.failed,
+        successRate: processed > 0 ? ((counts.completed / processed) * 100).toFixed(1) + '%' : '0%',
+        duration: `${(duration / 1000 / 60).toFixed(1)} minutes`
+      },
+      successful: progress.items.filter(item => item.status === 'completed'),
+      failed: progress.items.filter(item => item.status === 'failed')
+    };
+  }
+
+  /**
+   * Delay helper
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = ScrapeOrchestrator;
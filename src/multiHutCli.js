@@ -2,6 +2,8 @@
 
 const MultiHutScraper = require('./multiHutScraper');
 const database = require('./services/database');
+const browserPool = require('./services/browserPool');
+const DateWindow = require('./services/dateWindow');
 
 /**
  * Multi-Hut Scraper CLI
@@ -17,8 +19,14 @@ Usage: node src/multiHutCli.js [options]
 
 Options:
   --huts <names>        Comma-separated list of hut names to scrape (default: all)
-  --test               Test mode: only scrape September 2025 (default: false)
-  --full               Full mode: scrape 12 months (September 2025 - August 2026)
+  --test               Test mode: only scrape the first month of the window (default: false)
+  --full               Full mode: scrape 12 months starting from --from
+  --from <date>        Window start: YYYY-MM-DD, YYYY-MM, +Nd or +Nm (default: today)
+  --months <n>         Window horizon in months, overrides --test/--full
+  --days <n>           Window horizon in days, overrides --test/--full
+  --locale <code>      Calendar language: sl, en or de (default: sl)
+  --capture <mode>     Read availability from the calendar or the widget's network responses:
+                       calendar or network (default: calendar, or BENTRAL_CAPTURE_MODE)
   --concurrency <n>    Max concurrent browsers (default: 2)
   --delay-huts <ms>    Delay between huts in milliseconds (default: 5000)
   --delay-rooms <ms>   Delay between room types in milliseconds (default: 2000)
@@ -26,9 +34,11 @@ Options:
   --help               Show this help message
 
 Examples:
-  node src/multiHutCli.js --test                          # All huts, September only
-  node src/multiHutCli.js --full                          # All huts, 12 months
-  node src/multiHutCli.js --huts "Triglavski Dom" --test  # One hut, September only
+  node src/multiHutCli.js --test                          # All huts, current month only
+  node src/multiHutCli.js --full                          # All huts, 12 months from today
+  node src/multiHutCli.js --from 2026-06 --months 4       # All huts, June - September 2026
+  node src/multiHutCli.js --from +1m --days 45            # All huts, 45 days from next month
+  node src/multiHutCli.js --huts "Triglavski Dom" --test  # One hut, current month only
   node src/multiHutCli.js --huts "Vodnikov dom,Koča na Doliču" --test  # Two huts
   node src/multiHutCli.js --list-huts                     # List available huts
 
@@ -85,6 +95,11 @@ function parseArgs() {
         concurrency: 2,
         delayBetweenHuts: 5000,
         delayBetweenRooms: 2000,
+        from: null,
+        months: null,
+        days: null,
+        locale: 'sl',
+        capture: null,
         listHuts: false,
         help: false
     };
@@ -149,6 +164,67 @@ function parseArgs() {
                 }
                 break;
             
+            case '--from':
+                if (i + 1 < args.length) {
+                    options.from = args[++i];
+                } else {
+                    console.error('❌ --from requires a value');
+                    process.exit(1);
+                }
+                break;
+            
+            case '--months':
+                if (i + 1 < args.length) {
+                    options.months = parseInt(args[++i]);
+                    if (isNaN(options.months) || options.months < 1) {
+                        console.error('❌ --months must be a positive number');
+                        process.exit(1);
+                    }
+                } else {
+                    console.error('❌ --months requires a value');
+                    process.exit(1);
+                }
+                break;
+            
+            case '--days':
+                if (i + 1 < args.length) {
+                    options.days = parseInt(args[++i]);
+                    if (isNaN(options.days) || options.days < 1) {
+                        console.error('❌ --days must be a positive number');
+                        process.exit(1);
+                    }
+                } else {
+                    console.error('❌ --days requires a value');
+                    process.exit(1);
+                }
+                break;
+            
+            case '--locale':
+                if (i + 1 < args.length) {
+                    options.locale = args[++i].toLowerCase();
+                    if (!DateWindow.getSupportedLocales().includes(options.locale)) {
+                        console.error(`❌ --locale must be one of: ${DateWindow.getSupportedLocales().join(', ')}`);
+                        process.exit(1);
+                    }
+                } else {
+                    console.error('❌ --locale requires a value');
+                    process.exit(1);
+                }
+                break;
+            
+            case '--capture':
+                if (i + 1 < args.length) {
+                    options.capture = args[++i].toLowerCase();
+                    if (!['calendar', 'network'].includes(options.capture)) {
+                        console.error('❌ --capture must be one of: calendar, network');
+                        process.exit(1);
+                    }
+                } else {
+                    console.error('❌ --capture requires a value');
+                    process.exit(1);
+                }
+                break;
+            
             case '--list-huts':
                 options.listHuts = true;
                 break;
@@ -169,10 +245,31 @@ function parseArgs() {
         process.exit(1);
     }
     
+    if (options.months && options.days) {
+        console.error('❌ Cannot use both --months and --days');
+        process.exit(1);
+    }
+    
+    // An explicit horizon replaces the test/full presets
+    const hasHorizon = Boolean(options.months || options.days);
+    
     // Default to test mode if neither specified
-    if (!options.testMode && !options.fullMode) {
+    if (!options.testMode && !options.fullMode && !hasHorizon) {
         options.testMode = true;
-        console.log('ℹ️  Defaulting to test mode (September only). Use --full for 12 months.');
+        console.log('ℹ️  Defaulting to test mode (first month only). Use --full for 12 months.');
+    }
+    
+    // Validate the window up front so bad --from values fail before scraping starts
+    try {
+        new DateWindow({
+            from: options.from,
+            months: options.months || (options.days ? null : (options.testMode ? 1 : 12)),
+            days: options.days,
+            locale: options.locale
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
     }
     
     return options;
@@ -199,13 +296,27 @@ async function main() {
             delayBetweenHuts: options.delayBetweenHuts,
             delayBetweenRooms: options.delayBetweenRooms,
             testMode: options.testMode,
+            dateWindow: {
+                from: options.from,
+                months: options.months,
+                days: options.days
+            },
+            locale: options.locale,
+            ...(options.capture && { captureMode: options.capture }),
             targetHuts: options.huts
         });
         
+        const dateWindow = scraper.getDateWindow();
+        const { minDate, maxDate } = dateWindow.getDateRange();
+        const monthLabels = dateWindow.getMonthLabels();
+        
         // Print configuration
         console.log('📋 Configuration:');
-        console.log('  Mode:', options.testMode ? 'TEST (September 2025 only)' : 'FULL (12 months)');
+        console.log('  Mode:', options.months || options.days ? 'CUSTOM' : (options.testMode ? 'TEST (1 month)' : 'FULL (12 months)'));
+        console.log('  Date window:', `${minDate} - ${maxDate}`);
+        console.log('  Months:', monthLabels.join(', '));
         console.log('  Target huts:', options.huts ? options.huts.join(', ') : 'ALL');
+        console.log('  Availability from:', scraper.options.captureMode);
         console.log('  Concurrency:', options.concurrency);
         console.log('  Delay between huts:', options.delayBetweenHuts + 'ms');
         console.log('  Delay between rooms:', options.delayBetweenRooms + 'ms');
@@ -235,10 +346,12 @@ async function main() {
         
         console.log('\n✅ Success! Availability data has been updated in the database.');
         
+        await browserPool.shutdown();
         process.exit(0);
         
     } catch (error) {
         console.error('❌ Fatal error:', error.message);
+        await browserPool.shutdown();
         process.exit(1);
     }
 }
@@ -1,6 +1,9 @@
 const MountainHutScraper = require('./MountainHutScraper');
+const scraperConfig = require('../config/scraper.config.js');
 const database = require('./services/database');
 const logger = require('./services/logger');
+const DateWindow = require('./services/dateWindow');
+const selectorProfiles = require('./services/selectorProfiles');
 
 /**
  * Multi-Hut Scraper - Scrapes all huts and their room types
@@ -11,7 +14,10 @@ class MultiHutScraper {
             maxConcurrency: 2, // Number of concurrent browsers
             delayBetweenHuts: 5000, // Delay between huts (ms)
             delayBetweenRooms: 2000, // Delay between room types (ms)
-            testMode: true, // Only scrape September 2025 if true
+            testMode: true, // Only scrape the first month of the date window if true
+            dateWindow: null, // { from, months } or { from, days } - see services/dateWindow.js
+            locale: 'sl', // Calendar language: 'sl', 'en' or 'de'
+            captureMode: scraperConfig.bentral.captureMode, // 'calendar' or 'network' - see MountainHutScraper
             targetHuts: null, // Array of hut names to scrape (null = all)
             manageDatabaseConnection: true, // Whether to close database after scraping (false in server mode)
             ...options
@@ -99,7 +105,9 @@ class MultiHutScraper {
     /**
      * Create scraper config for a specific hut
      */
-    createHutConfig(property, targetMonths) {        
+    createHutConfig(property, targetMonths) {
+        const profile = selectorProfiles.load('bentral');
+
         return {
             target: {
                 name: property.name,
@@ -108,19 +116,11 @@ class MultiHutScraper {
             },
             bentral: {
                 iframeUrl: 'PLACEHOLDER', // Will be updated per room type with correct key
-                selectors: {
-                    roomSelect: 'select[name="unit[]"]',
-                    arrivalInput: 'input[name="formated_arrival"]',
-                    calendarSwitch: '.datepicker-switch',
-                    calendarDays: '.datepicker-days td',
-                    nextButton: '.datepicker-days .next',
-                    prevButton: '.datepicker-days .prev'
-                },
-                availability: {
-                    requiredClasses: ['day'],
-                    excludedClasses: ['unavail', 'disabled', 'old', 'new'],
-                    excludedTitles: ['zasedeno', 'occupied']
-                }
+                locale: this.options.locale,
+                selectors: profile.selectors('calendar'),
+                availability: profile.availability,
+                captureMode: this.options.captureMode,
+                captureDir: scraperConfig.bentral.captureDir
             },
             scraper: {
                 browser: {
@@ -140,18 +140,28 @@ class MultiHutScraper {
     }
     
     /**
-     * Get target months based on test mode
+     * Build the rolling date window for this run
+     * An explicit months/days horizon wins; otherwise test mode scrapes one month and full mode twelve
      */
-    getTargetMonths() {
-        if (this.options.testMode) {
-            return ['September 2025']; // Just one month for testing
-        } else {
-            return [
-                'September 2025', 'Oktober 2025', 'November 2025', 'December 2025',
-                'Januar 2026', 'Februar 2026', 'Marec 2026', 'April 2026',
-                'Maj 2026', 'Junij 2026', 'Julij 2026', 'Avgust 2026'
-            ];
+    getDateWindow() {
+        const windowOptions = { ...(this.options.dateWindow || {}) };
+        const hasHorizon = windowOptions.months != null || windowOptions.days != null;
+
+        if (!hasHorizon) {
+            windowOptions.months = this.options.testMode ? 1 : 12;
         }
+
+        return new DateWindow({
+            ...windowOptions,
+            locale: this.options.locale
+        });
+    }
+
+    /**
+     * Get target month labels from the date window
+     */
+    getTargetMonths() {
+        return this.getDateWindow().getMonthLabels();
     }
     
     /**
@@ -165,7 +175,7 @@ class MultiHutScraper {
         
         // Build the correct Bentral iframe URL using the hut's main Bentral ID and key
         // We'll select the specific room using the room selector dropdown
-        const bentralUrl = `https://www.bentral.com/service/embed/booking.html?id=${hutBentralConfig.bentralId}&title=0&width=full&header-bg=edeff4&header-color=363c49&header2-bg=edeff4&header2-color=363c49&table-bg=edeff4&table-color=363c49&btn-bg=12509b&border-width=0&poweredby=0&lang=sl&key=${hutBentralConfig.key}`;
+        const bentralUrl = `https://www.bentral.com/service/embed/booking.html?id=${hutBentralConfig.bentralId}&title=0&width=full&header-bg=edeff4&header-color=363c49&header2-bg=edeff4&header2-color=363c49&table-bg=edeff4&table-color=363c49&btn-bg=12509b&border-width=0&poweredby=0&lang=${this.options.locale}&key=${hutBentralConfig.key}`;
         
         hutConfig.bentral.iframeUrl = bentralUrl;
         
@@ -239,7 +249,7 @@ class MultiHutScraper {
             roomTypesCount: roomTypes.length 
         });
         
-        // Use optimized scraper that reuses browser for all rooms in this hut
+        // Room types lease their contexts from the shared browser pool (see services/browserPool.js)
         return await this.scrapeHutOptimized(property, roomTypes, targetMonths);
     }
     
@@ -250,6 +260,7 @@ class MultiHutScraper {
         try {
             logger.info('Starting multi-hut scraping', {
                 testMode: this.options.testMode,
+                dateWindow: this.getDateWindow().toJSON(),
                 maxConcurrency: this.options.maxConcurrency,
                 targetHuts: this.options.targetHuts
             });
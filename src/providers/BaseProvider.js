@@ -1,7 +1,28 @@
 /**
  * Abstract base class for all booking providers
  * Defines the standard interface that all providers must implement
+ *
+ * Every provider's scrapeAvailability() resolves to the common availability schema
+ * built by formatAvailability():
+ *
+ * {
+ *   provider: 'bentral',
+ *   scrapedAt: '2026-10-19T06:00:00.000Z',
+ *   property: { name, externalId, url, location? },
+ *   dateRange: { minDate: 'YYYY-MM-DD', maxDate: 'YYYY-MM-DD' } | null,
+ *   roomTypes: [{
+ *     name, externalId, capacity,
+ *     dates: [{ date: 'YYYY-MM-DD', status, available, canCheckin, canCheckout, freeBeds }]
+ *   }],
+ *   summary: { totalRoomTypes, totalDates, availableDates }
+ * }
+ *
+ * status is one of AVAILABILITY_STATUSES; freeBeds is null when the booking system
+ * does not report bed counts. location is optional metadata stored with the property
+ * (e.g. { area, altitude }).
  */
+const AVAILABILITY_STATUSES = ['available', 'partial_no_start', 'partial_no_end', 'unavailable'];
+
 class BaseProvider {
     constructor(config) {
         if (this.constructor === BaseProvider) {
@@ -10,7 +31,7 @@ class BaseProvider {
 
         this.config = config;
         this.capabilities = ['scrape']; // Default capability
-        this.browser = null;
+        this.lease = null; // Browser context leased from the browser pool
         this.page = null;
     }
 
@@ -45,13 +66,13 @@ class BaseProvider {
     }
 
     /**
-     * Clean up resources (close browser, logout, etc.)
+     * Clean up resources (release the browser context, logout, etc.)
      * @returns {Promise<void>}
      */
     async cleanup() {
-        if (this.browser) {
-            await this.browser.close();
-            this.browser = null;
+        if (this.lease) {
+            await this.lease.release();
+            this.lease = null;
             this.page = null;
         }
     }
@@ -80,6 +101,87 @@ class BaseProvider {
         };
     }
 
+    /**
+     * Build a result in the common availability schema
+     * @param {Object} property - { name, externalId, url, location? }
+     * @param {Array<Object>} roomTypes - { name, externalId, capacity, dates }
+     * @param {Object} dateRange - { minDate, maxDate } covered by the scrape
+     * @returns {Object} Common availability result
+     */
+    formatAvailability(property, roomTypes, dateRange = null) {
+        const normalizedRoomTypes = roomTypes.map(roomType => ({
+            name: roomType.name,
+            externalId: roomType.externalId != null ? String(roomType.externalId) : null,
+            capacity: roomType.capacity != null ? roomType.capacity : null,
+            dates: (roomType.dates || [])
+                .map(entry => this.normalizeDateEntry(entry))
+                .sort((a, b) => a.date.localeCompare(b.date))
+        }));
+
+        const totalDates = normalizedRoomTypes.reduce((sum, roomType) => sum + roomType.dates.length, 0);
+        const availableDates = normalizedRoomTypes.reduce(
+            (sum, roomType) => sum + roomType.dates.filter(d => d.available).length,
+            0
+        );
+
+        return {
+            provider: this.getProviderName(),
+            scrapedAt: new Date().toISOString(),
+            property: {
+                name: property.name,
+                externalId: property.externalId != null ? String(property.externalId) : null,
+                url: property.url || null,
+                ...(property.location && { location: property.location })
+            },
+            dateRange,
+            roomTypes: normalizedRoomTypes,
+            summary: {
+                totalRoomTypes: normalizedRoomTypes.length,
+                totalDates,
+                availableDates
+            }
+        };
+    }
+
+    /**
+     * Normalize a single date entry to the common schema
+     * @param {Object} entry - { date, status?, canCheckin?, canCheckout?, freeBeds? }
+     * @returns {Object} Normalized date entry
+     */
+    normalizeDateEntry(entry) {
+        const canCheckin = entry.canCheckin === true;
+        const canCheckout = entry.canCheckout === true;
+
+        let status = entry.status;
+        if (!status) {
+            if (canCheckin && canCheckout) status = 'available';
+            else if (canCheckout) status = 'partial_no_start';
+            else if (canCheckin) status = 'partial_no_end';
+            else status = 'unavailable';
+        }
+
+        if (!AVAILABILITY_STATUSES.includes(status)) {
+            throw new Error(`Unknown availability status "${status}" for ${entry.date}`);
+        }
+
+        return {
+            date: entry.date,
+            status,
+            available: status !== 'unavailable',
+            canCheckin,
+            canCheckout,
+            freeBeds: entry.freeBeds != null ? entry.freeBeds : null
+        };
+    }
+
+    /**
+     * Get the provider name as registered in the ProviderFactory
+     * @returns {string} Provider name
+     */
+    getProviderName() {
+        return this.config.name || this.constructor.name.toLowerCase().replace('provider', '');
+    }
+
     /**
      * Get provider capabilities
      * @returns {Array<string>} List of capabilities
@@ -110,4 +212,6 @@ class BaseProvider {
     }
 }
 
+BaseProvider.AVAILABILITY_STATUSES = AVAILABILITY_STATUSES;
+
 module.exports = BaseProvider;
\ No newline at end of file
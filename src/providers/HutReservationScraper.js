@@ -1,19 +1,35 @@
-const { chromium } = require("playwright");
 const fs = require("fs");
 const path = require("path");
 const logger = require("../services/logger");
 const database = require("../services/database");
+const browserPool = require("../services/browserPool");
+const requestGovernor = require("../services/requestGovernor");
+const HutReservationClient = require("./hutreservation/HutReservationClient");
+
+const SCRAPE_MODES = ["http", "browser"];
 
 /**
  * Hut-Reservation.org Scraper
  *
  * Scrapes availability data from hut-reservation.org platform
  * which manages bookings for 666+ mountain huts across AT, CH, DE, IT
+ *
+ * mode (or HUT_RESERVATION_SCRAPE_MODE) picks how the XSRF token for getHutAvailability
+ * is obtained:
+ *   http    - HutReservationClient fetches it over plain HTTP (default, no browser)
+ *   browser - a leased browser page loads the booking wizard and the cookie is read from it
+ * Pass options.client to share one HTTP session between scrapers.
  */
 class HutReservationScraper {
   constructor(options = {}) {
     this.options = options;
-    this.browser = null;
+    this.baseUrl = options.baseUrl || process.env.HUT_RESERVATION_BASE_URL || "https://www.hut-reservation.org";
+    this.mode = options.mode || process.env.HUT_RESERVATION_SCRAPE_MODE || "http";
+    if (!SCRAPE_MODES.includes(this.mode)) {
+      throw new Error(`hut-reservation.org scrape mode must be one of: ${SCRAPE_MODES.join(", ")}`);
+    }
+    this.client = options.client || new HutReservationClient({ baseUrl: this.baseUrl });
+    this.lease = null; // Browser context leased from the browser pool (mode browser)
     this.page = null;
     this.saveToDatabase = options.saveToDatabase !== false;
     this.saveToFile = options.saveToFile !== false;
@@ -33,7 +49,7 @@ class HutReservationScraper {
   }
 
   /**
-   * Initialize the browser and page
+   * Fetch hut data, set up the database and, in browser mode, the page
    * @param {number} hutId - The hut ID on hut-reservation.org
    */
   async initialize(hutId) {
@@ -49,7 +65,7 @@ class HutReservationScraper {
       // Ensure property exists in database
       this.propertyId = await database.ensureProperty(
         this.hutData.hutName,
-        `https://www.hut-reservation.org/reservation/book-hut/${hutId}/wizard`,
+        `${this.baseUrl}/reservation/book-hut/${hutId}/wizard`,
         `${this.hutData.hutName} - ${this.hutData.country} mountain hut on hut-reservation.org`
       );
 
@@ -90,16 +106,23 @@ class HutReservationScraper {
       }
     }
 
-    // Launch browser
-    this.browser = await chromium.launch({
-      headless: this.options.headless !== undefined ? this.options.headless : false,
-      slowMo: this.options.slowMo || 500
+    // Over HTTP the client fetches the XSRF token with the first availability request
+    if (this.mode === "http") {
+      return;
+    }
+
+    // Lease a browser context
+    this.lease = await browserPool.acquire({
+      launch: {
+        headless: this.options.headless !== undefined ? this.options.headless : false,
+        slowMo: this.options.slowMo || 500
+      }
     });
 
-    this.page = await this.browser.newPage();
+    this.page = await this.lease.context.newPage();
 
     // Navigate to booking wizard
-    const url = `https://www.hut-reservation.org/reservation/book-hut/${hutId}/wizard`;
+    const url = `${this.baseUrl}/reservation/book-hut/${hutId}/wizard`;
     logger.info("Loading booking wizard", { url });
 
     await this.page.goto(url, {
@@ -118,14 +141,10 @@ class HutReservationScraper {
    */
   async fetchHutData(hutId) {
     try {
-      const axios = require('axios');
-      const response = await axios.get(
-        `https://www.hut-reservation.org/api/v1/reservation/hutInfo/${hutId}`,
-        { timeout: 10000 }
-      );
+      const hutData = await this.client.getHutInfo(hutId);
 
-      if (response.data) {
-        this.hutData = response.data;
+      if (hutData) {
+        this.hutData = hutData;
         this.results.hutId = hutId;
         this.results.hutName = this.hutData.hutName;
         this.results.country = this.hutData.tenantCountry;
@@ -183,23 +202,21 @@ class HutReservationScraper {
     logger.info(`Fetching availability from API for hut ${hutId}...`);
 
     try {
-      const axios = require('axios');
-      const response = await axios.get(
-        `https://www.hut-reservation.org/api/v1/reservation/getHutAvailability`,
-        {
-          params: {
-            hutId: hutId,
-            step: 'WIZARD'
-          },
-          headers: {
-            'accept': 'application/json, text/plain, */*',
-            'x-xsrf-token': authTokens.xsrfToken,
-            'cookie': authTokens.cookieString,
-            'referer': `https://www.hut-reservation.org/reservation/book-hut/${hutId}/wizard`
-          },
-          timeout: 15000
-        }
-      );
+      const response = await requestGovernor.request({
+        method: 'GET',
+        url: `${this.baseUrl}/api/v1/reservation/getHutAvailability`,
+        params: {
+          hutId: hutId,
+          step: 'WIZARD'
+        },
+        headers: {
+          'accept': 'application/json, text/plain, */*',
+          'x-xsrf-token': authTokens.xsrfToken,
+          'cookie': authTokens.cookieString,
+          'referer': `${this.baseUrl}/reservation/book-hut/${hutId}/wizard`
+        },
+        timeout: 15000
+      });
 
       logger.info("API response received", {
         status: response.status,
@@ -306,6 +323,28 @@ class HutReservationScraper {
     return months[monthNum - 1] || 'Unknown';
   }
 
+  /**
+   * Fetch availability with the XSRF token of the client's session, or of the browser page in browser mode
+   * @param {number} hutId - The hut ID
+   * @returns {Array} Raw availability data from API
+   */
+  async fetchAvailability(hutId) {
+    if (this.mode === "browser") {
+      // Extract authentication tokens from the browser session
+      const authTokens = await this.extractAuthTokens();
+      return this.fetchAvailabilityFromAPI(hutId, authTokens);
+    }
+
+    logger.info(`Fetching availability from API for hut ${hutId}...`);
+
+    try {
+      return await this.client.getHutAvailability(hutId);
+    } catch (error) {
+      logger.error(`API request failed for hut ${hutId}`, { error: error.message, status: error.status });
+      throw new Error(`Failed to fetch availability from API: ${error.message}`);
+    }
+  }
+
   /**
    * Scrape availability using API approach
    * @param {number} hutId - Hut ID to scrape
@@ -313,11 +352,8 @@ class HutReservationScraper {
   async scrapeAvailability(hutId) {
     logger.info("Starting API-based availability scraping...");
 
-    // Extract authentication tokens from the browser session
-    const authTokens = await this.extractAuthTokens();
-
     // Fetch availability data from API
-    const apiData = await this.fetchAvailabilityFromAPI(hutId, authTokens);
+    const apiData = await this.fetchAvailability(hutId);
 
     // Parse the API response (organized by category)
     const parsedData = this.parseAvailabilityData(apiData);
@@ -361,7 +397,8 @@ class HutReservationScraper {
       const availableDates = categoryData.dates.map(dateEntry => ({
         date: dateEntry.date,
         can_checkin: true,
-        can_checkout: true
+        can_checkout: true,
+        free_beds: dateEntry.availableBeds
       }));
 
       if (availableDates.length > 0) {
@@ -452,9 +489,11 @@ class HutReservationScraper {
    * Clean up browser resources
    */
   async cleanup() {
-    if (this.browser) {
-      await this.browser.close();
-      logger.info("Browser closed");
+    if (this.lease) {
+      await this.lease.release();
+      this.lease = null;
+      this.page = null;
+      logger.info("Browser context released");
     }
   }
 
@@ -466,7 +505,7 @@ class HutReservationScraper {
    */
   async scrape(hutId, options = {}) {
     try {
-      // Initialize browser and fetch hut data
+      // Fetch hut data (and open the browser page in browser mode)
       // This also creates all room types in the database
       await this.initialize(hutId);
 
@@ -0,0 +1,397 @@
+const fs = require('fs');
+const path = require('path');
+const DateWindow = require('../../services/dateWindow');
+const logger = require('../../services/logger');
+const requestGovernor = require('../../services/requestGovernor');
+const { classifyDay, summarizeMonth } = require('./availability');
+
+/**
+ * Bentral Network Capture
+ *
+ * Reads availability from the JSON responses the Bentral embed widget loads instead of
+ * from the rendered calendar. Attached to a Playwright page, it records every XHR/fetch
+ * JSON response from the Bentral host and picks the calendar days out of it: entries
+ * keyed by (or carrying) a date, with the day's CSS classes ("unavail unavail_start")
+ * or the flags unavail / unavail_start / unavail_end / disabled. The days are classified
+ * with the same rules as calendar cells (see availability.js), so check-in and check-out
+ * come out exactly as with calendar scraping.
+ *
+ * A month counts as captured only when every one of its days was in a response; anything
+ * less raises BentralCaptureError and callers fall back to clicking through the calendar.
+ *
+ * The requests that returned days can be turned into a template (toTemplate) with the
+ * hut ID, key and room ID as placeholders and replayed for other huts and rooms over plain
+ * HTTP (fetchTemplate), without a browser.
+ *
+ * Set captureDir to save every recorded response, e.g. to look at the format after the
+ * widget changed.
+ */
+
+const DATE_FIELDS = ['date', 'datum', 'day', 'd'];
+const CLASS_FIELDS = ['classes', 'class', 'className', 'cssClass', 'css'];
+const FLAG_FIELDS = ['unavail', 'unavail_start', 'unavail_end', 'disabled'];
+const TITLE_FIELDS = ['title', 'tooltip'];
+
+// Request values replaced by placeholders in a template
+const PLACEHOLDERS = { bentralId: '{id}', key: '{key}', unit: '{unit}' };
+
+class BentralCaptureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BentralCaptureError';
+    }
+}
+
+class BentralCapture {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - Only responses from this host are recorded
+     * @param {Object} options.availability - { requiredClasses, excludedClasses, excludedTitles }
+     * @param {string} options.captureDir - Save every recorded response to this directory
+     */
+    constructor({ baseUrl = 'https://www.bentral.com', availability, captureDir = null } = {}) {
+        this.host = new URL(baseUrl).host;
+        this.availability = availability;
+        this.captureDir = captureDir;
+        this.page = null;
+        this.listener = null;
+        this.pending = new Set();
+        this.reset();
+    }
+
+    /**
+     * Forget what was recorded so far (e.g. the responses for the default room)
+     */
+    reset() {
+        this.responses = [];
+        this.days = new Map(); // ISO date -> { classes, title }
+    }
+
+    /**
+     * Start recording the responses of a page; attach before page.goto()
+     * @param {Page} page - Playwright page
+     */
+    attach(page) {
+        this.detach();
+        this.page = page;
+        this.listener = response => {
+            const recording = this.record(response).catch(error => {
+                logger.debug(`Bentral capture skipped ${response.url()}: ${error.message}`);
+            });
+            this.pending.add(recording);
+            recording.finally(() => this.pending.delete(recording));
+        };
+        page.on('response', this.listener);
+    }
+
+    detach() {
+        if (this.page && this.listener) {
+            this.page.off('response', this.listener);
+        }
+        this.page = null;
+        this.listener = null;
+    }
+
+    /**
+     * XHR/fetch response from the Bentral host
+     */
+    isCandidate(response) {
+        const request = response.request();
+        if (!['xhr', 'fetch'].includes(request.resourceType()) || !response.ok()) {
+            return false;
+        }
+
+        try {
+            return new URL(response.url()).host === this.host;
+        } catch {
+            return false;
+        }
+    }
+
+    async record(response) {
+        if (!this.isCandidate(response)) return;
+
+        let body;
+        try {
+            body = JSON.parse(await response.text());
+        } catch {
+            return; // HTML fragments, scripts ...
+        }
+
+        const request = response.request();
+        const headers = request.headers();
+        const entry = {
+            url: response.url(),
+            method: request.method(),
+            postData: request.postData() || null,
+            headers: {
+                'content-type': headers['content-type'],
+                referer: headers.referer
+            },
+            status: response.status(),
+            days: this.addDays(BentralCapture.extractDays(body))
+        };
+        this.responses.push(entry);
+
+        if (this.captureDir) {
+            fs.mkdirSync(this.captureDir, { recursive: true });
+            const file = path.join(this.captureDir, `bentral-${Date.now()}-${this.responses.length}.json`);
+            fs.writeFileSync(file, JSON.stringify({ ...entry, body }, null, 2));
+        }
+    }
+
+    /**
+     * Wait until the responses received so far are read
+     */
+    async settle() {
+        await Promise.all([...this.pending]);
+    }
+
+    /**
+     * Wait for the next response from the Bentral host (e.g. after switching months)
+     * @returns {Promise<boolean>} false when none came within the timeout
+     */
+    async waitForResponse(timeout = 5000) {
+        try {
+            await this.page.waitForResponse(response => this.isCandidate(response), { timeout });
+            await this.settle();
+            return true;
+        } catch {
+            await this.settle();
+            return false;
+        }
+    }
+
+    addDays(days) {
+        for (const [date, day] of days) {
+            this.days.set(date, day);
+        }
+        return days.size;
+    }
+
+    /**
+     * Calendar days in a widget response
+     * @param {*} body - Parsed JSON response
+     * @returns {Map<string, Object>} ISO date -> { classes, title }
+     */
+    static extractDays(body) {
+        const days = new Map();
+
+        const walk = node => {
+            if (Array.isArray(node)) {
+                for (const item of node) {
+                    const date = item && typeof item === 'object' && !Array.isArray(item) && dateOf(item);
+                    const day = date && dayOf(item);
+                    if (day) {
+                        days.set(date, day);
+                    } else {
+                        walk(item);
+                    }
+                }
+            } else if (node && typeof node === 'object') {
+                for (const [name, value] of Object.entries(node)) {
+                    const date = toISODate(name);
+                    const day = date && dayOf(value);
+                    if (day) {
+                        days.set(date, day);
+                    } else {
+                        walk(value);
+                    }
+                }
+            }
+        };
+
+        walk(body);
+        return days;
+    }
+
+    /**
+     * Captured cells of a month, or null unless every day of it was captured
+     * @param {string} monthLabel - e.g. "September 2025"
+     * @returns {Array<Object>|null} { day, classes, title }
+     */
+    monthCells(monthLabel) {
+        const parsed = DateWindow.parseMonthLabel(monthLabel);
+        if (!parsed) {
+            throw new BentralCaptureError(`Unrecognised calendar month label: ${monthLabel}`);
+        }
+
+        const cells = [];
+        for (let day = 1; day <= DateWindow.daysInMonth(parsed.year, parsed.month); day++) {
+            const captured = this.days.get(DateWindow.toISODate({ ...parsed, day }));
+            if (!captured) return null;
+
+            // The response carries the day's state; the calendar cell also has the base classes
+            cells.push({
+                day,
+                classes: [...this.availability.requiredClasses, captured.classes].join(' ').trim(),
+                title: captured.title
+            });
+        }
+        return cells;
+    }
+
+    /**
+     * @returns {Array<string>} Month labels not completely captured
+     */
+    missingMonths(monthLabels) {
+        return monthLabels.filter(label => !this.monthCells(label));
+    }
+
+    /**
+     * Month results (same shape as calendar scraping) for captured months
+     * @param {Array<string>} monthLabels
+     * @returns {Object} { [monthLabel]: monthData }
+     */
+    months(monthLabels) {
+        const missing = this.missingMonths(monthLabels);
+        if (missing.length > 0) {
+            throw new BentralCaptureError(
+                `Bentral responses did not cover ${missing.join(', ')} ` +
+                `(${this.responses.length} responses, ${this.days.size} days captured)`
+            );
+        }
+
+        const months = {};
+        for (const label of monthLabels) {
+            months[label] = summarizeMonth(this.monthCells(label).map(cell => classifyDay(cell, this.availability)));
+        }
+        return months;
+    }
+
+    /**
+     * Requests that returned days, with the hut and room IDs replaced by placeholders
+     * @param {Object} values - { bentralId, key, unit } the requests were made with
+     * @returns {Array<Object>|null} Requests { method, url, postData, headers }; null when they
+     *   cannot be replayed for another hut and room (no requests, or IDs not in the requests)
+     */
+    toTemplate(values) {
+        const requests = this.responses.filter(entry => entry.days > 0);
+        if (requests.length === 0) return null;
+
+        const template = requests.map(entry => {
+            const replace = text => {
+                if (!text) return text;
+                for (const [name, placeholder] of Object.entries(PLACEHOLDERS)) {
+                    if (values[name]) text = text.split(values[name]).join(placeholder);
+                }
+                return text;
+            };
+
+            return {
+                method: entry.method,
+                url: replace(entry.url),
+                postData: replace(entry.postData),
+                headers: {
+                    'content-type': entry.headers['content-type'],
+                    referer: replace(entry.headers.referer)
+                }
+            };
+        });
+
+        // Room-specific days only come back for another room if the room ID is in the request
+        const replayable = template.every(request => {
+            const text = `${request.url} ${request.postData || ''}`;
+            return text.includes(PLACEHOLDERS.unit) && (text.includes(PLACEHOLDERS.bentralId) || text.includes(PLACEHOLDERS.key));
+        });
+
+        return replayable ? template : null;
+    }
+
+    /**
+     * Replay a template over plain HTTP
+     * @param {Array<Object>} template - toTemplate() result
+     * @param {Object} values - { bentralId, key, unit } of the hut and room to fetch
+     * @param {Object} options - { baseUrl, availability, timeout, http (default: the request governor) }
+     * @returns {Promise<BentralCapture>} Capture holding the fetched days
+     */
+    static async fetchTemplate(template, values, { timeout = 30000, http = requestGovernor, ...options } = {}) {
+        const capture = new BentralCapture(options);
+
+        for (const request of template) {
+            const fill = text => text && Object.entries(PLACEHOLDERS).reduce(
+                (filled, [name, placeholder]) => filled.split(placeholder).join(encodeURIComponent(values[name])),
+                text
+            );
+
+            const headers = { 'x-requested-with': 'XMLHttpRequest' };
+            if (request.headers['content-type']) headers['content-type'] = request.headers['content-type'];
+            if (request.headers.referer) headers.referer = fill(request.headers.referer);
+
+            const response = await http.request({
+                method: request.method,
+                url: fill(request.url),
+                data: fill(request.postData) || undefined,
+                headers,
+                timeout,
+                responseType: 'text',
+                transformResponse: [data => data]
+            });
+
+            let body;
+            try {
+                body = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+            } catch {
+                throw new BentralCaptureError(`Bentral answered ${fill(request.url)} without JSON`);
+            }
+
+            capture.responses.push({ url: fill(request.url), method: request.method, status: response.status, days: capture.addDays(BentralCapture.extractDays(body)) });
+        }
+
+        return capture;
+    }
+}
+
+function dateOf(item) {
+    for (const field of DATE_FIELDS) {
+        const date = typeof item[field] === 'string' && toISODate(item[field]);
+        if (date) return date;
+    }
+    return null;
+}
+
+/**
+ * { classes, title } of a day entry, or null if the value does not describe a day
+ */
+function dayOf(value) {
+    if (typeof value === 'string') {
+        return /^[\w\s-]*$/.test(value) ? { classes: value.trim(), title: '' } : null;
+    }
+    if (Array.isArray(value)) {
+        return value.every(item => typeof item === 'string') ? { classes: value.join(' '), title: '' } : null;
+    }
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+
+    const title = TITLE_FIELDS.map(field => value[field]).find(text => typeof text === 'string') || '';
+
+    const classField = CLASS_FIELDS.find(field => field in value);
+    if (classField) {
+        const classes = value[classField];
+        return { classes: Array.isArray(classes) ? classes.join(' ') : String(classes || '').trim(), title };
+    }
+
+    const flags = FLAG_FIELDS.filter(field => field in value);
+    if (flags.length > 0) {
+        return { classes: flags.filter(field => value[field] && value[field] !== '0').join(' '), title };
+    }
+
+    return null;
+}
+
+/**
+ * YYYY-MM-DD or DD.MM.YYYY as YYYY-MM-DD
+ */
+function toISODate(text) {
+    let match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+    if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+    match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(text.trim());
+    if (match) return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+
+    return null;
+}
+
+module.exports = BentralCapture;
+module.exports.BentralCaptureError = BentralCaptureError;
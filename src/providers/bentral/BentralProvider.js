@@ -0,0 +1,347 @@
+const BaseProvider = require('../BaseProvider');
+const fs = require('fs');
+const path = require('path');
+const MountainHutScraper = require('../../MountainHutScraper');
+const BentralCapture = require('./BentralCapture');
+const DateWindow = require('../../services/dateWindow');
+const browserPool = require('../../services/browserPool');
+const requestGovernor = require('../../services/requestGovernor');
+const selectorProfiles = require('../../services/selectorProfiles');
+
+/**
+ * Bentral Provider - scrapes the Bentral embed calendar used by Slovenian huts
+ * Reuses MountainHutScraper for calendar navigation and CSS-class parsing,
+ * but shares one browser context (leased from the browser pool) across all room types of a run
+ *
+ * scraping.mode (or BENTRAL_CAPTURE_MODE) picks where availability comes from:
+ *   calendar - click through the calendar and read the day classes
+ *   network  - read the widget's availability responses (see BentralCapture.js)
+ *   http     - like network for the first room type, then replay those requests over
+ *              plain HTTP with each hut's ID and key; back to the browser when that fails
+ */
+
+const SCRAPE_MODES = ['calendar', 'network', 'http'];
+
+class BentralProvider extends BaseProvider {
+    constructor(config) {
+        // Calendar selectors and day classes come from the selector profile unless the config overrides them
+        const profile = selectorProfiles.load('bentral');
+        super({
+            ...config,
+            selectors: config.selectors || profile.selectors('calendar'),
+            availability: config.availability || profile.availability,
+            scraping: config.scraping && {
+                ...config.scraping,
+                mode: process.env.BENTRAL_CAPTURE_MODE || config.scraping.mode || 'calendar'
+            }
+        });
+        this.profile = profile;
+        this.httpTemplate = null; // Availability requests to replay over plain HTTP (mode http)
+        this.capabilities = config.capabilities || ['scrape'];
+        this.huts = null;
+    }
+
+    /**
+     * Initialize the provider (lease the shared browser context)
+     */
+    async initialize() {
+        this.validateConfig();
+        this.log('info', 'Initializing Bentral provider');
+
+        requestGovernor.configureProvider(this.config);
+
+        this.lease = await browserPool.acquire({ launch: this.config.scraping.browser });
+
+        this.log('info', 'Bentral provider initialized successfully');
+    }
+
+    /**
+     * Scrape availability for a hut
+     * @param {Object} property - { name, externalId (Bentral ID) } - ID and key are looked up in the huts file if missing
+     * @param {Object} options - { roomTypes: [{ name, externalId, capacity }], dateRange | dateWindow | targetMonths }
+     * @returns {Promise<Object>} Common availability result
+     */
+    async scrapeAvailability(property, options = {}) {
+        if (!this.lease) {
+            throw new Error('Bentral provider not initialized. Call initialize() first.');
+        }
+
+        const hut = this.resolveHut(property);
+        const embedUrl = this.buildEmbedUrl(hut);
+        const locale = options.locale || this.config.locale;
+
+        const dateWindow = options.dateRange
+            ? DateWindow.fromDateRange(options.dateRange, locale)
+            : new DateWindow({ ...(options.dateWindow || this.config.dateWindow), locale });
+        const targetMonths = options.targetMonths || dateWindow.getMonthLabels();
+        const dateRange = options.dateRange || this.getMonthsDateRange(targetMonths);
+
+        const roomTypes = options.roomTypes && options.roomTypes.length > 0
+            ? options.roomTypes
+            : await this.discoverRoomTypes(embedUrl);
+
+        this.log('info', `Scraping availability for ${hut.name}`, {
+            roomTypes: roomTypes.length,
+            months: targetMonths.length
+        });
+
+        const roomTypeResults = [];
+
+        for (const roomType of roomTypes) {
+            const dates = (await this.scrapeRoomType(hut, embedUrl, roomType, targetMonths, locale))
+                .filter(entry => !dateRange || (entry.date >= dateRange.minDate && entry.date <= dateRange.maxDate));
+
+            roomTypeResults.push({
+                name: roomType.name,
+                externalId: roomType.externalId,
+                capacity: roomType.capacity != null ? roomType.capacity : null,
+                dates
+            });
+        }
+
+        return this.formatAvailability(
+            { name: hut.name, externalId: hut.bentralId, url: embedUrl },
+            roomTypeResults,
+            dateRange
+        );
+    }
+
+    /**
+     * Scrape one room type - over plain HTTP when a request template is known (mode http),
+     * otherwise in a fresh page of the shared browser
+     * @returns {Promise<Array>} Date entries in the common schema
+     */
+    async scrapeRoomType(hut, embedUrl, roomType, targetMonths, locale) {
+        const mode = this.config.scraping.mode;
+        const ids = { bentralId: hut.bentralId, key: hut.key, unit: roomType.externalId };
+
+        if (mode === 'http' && this.httpTemplate) {
+            try {
+                const capture = await BentralCapture.fetchTemplate(this.httpTemplate, ids, {
+                    baseUrl: this.config.baseUrl,
+                    availability: this.config.availability,
+                    timeout: this.config.scraping.browser.timeout
+                });
+                return this.convertMonths(capture.months(targetMonths));
+            } catch (error) {
+                // Rebuilt from the next browser capture
+                this.httpTemplate = null;
+                this.log('warn', `Plain HTTP availability failed for ${hut.name} - ${roomType.name}, using the browser: ${error.message}`);
+            }
+        }
+
+        const scraper = new MountainHutScraper({
+            target: {
+                name: hut.name,
+                baseUrl: this.config.baseUrl,
+                bookingSystem: 'Bentral'
+            },
+            bentral: {
+                iframeUrl: embedUrl,
+                locale,
+                selectors: this.config.selectors,
+                availability: this.config.availability,
+                captureMode: mode === 'calendar' ? 'calendar' : 'network',
+                captureDir: this.config.scraping.captureDir || process.env.BENTRAL_CAPTURE_DIR || null
+            },
+            scraper: {
+                browser: this.config.scraping.browser,
+                targetMonths,
+                output: {
+                    saveResults: false,
+                    saveScreenshots: false
+                }
+            },
+            saveToDatabase: false,
+            saveToFile: false
+        });
+
+        scraper.roomTypesMap = {
+            [roomType.name]: {
+                external_id: roomType.externalId,
+                capacity: roomType.capacity
+            }
+        };
+
+        const page = await this.lease.context.newPage();
+        scraper.page = page;
+        if (mode !== 'calendar') {
+            scraper.startCapture();
+        }
+
+        try {
+            await requestGovernor.schedule(embedUrl, () => page.goto(embedUrl, {
+                waitUntil: 'networkidle',
+                timeout: this.config.scraping.browser.timeout
+            }));
+
+            await scraper.selectRoomType(roomType.name);
+            await scraper.scrapeAvailability();
+
+            // Only a capture that covered every month is worth replaying
+            if (mode === 'http' && !this.httpTemplate && scraper.capture.missingMonths(targetMonths).length === 0) {
+                this.httpTemplate = scraper.capture.toTemplate(ids);
+                this.log(this.httpTemplate ? 'info' : 'warn', this.httpTemplate
+                    ? `Replaying ${this.httpTemplate.length} Bentral availability requests over plain HTTP`
+                    : 'Bentral availability requests do not carry the hut and room IDs, staying with the browser');
+            }
+
+            return this.convertMonths(scraper.getResults().months);
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Read the room types offered in the embed's room dropdown
+     * @param {string} embedUrl - Bentral embed URL
+     * @returns {Promise<Array>} Room types { name, externalId, capacity }
+     */
+    async discoverRoomTypes(embedUrl) {
+        const page = await this.lease.context.newPage();
+
+        try {
+            await requestGovernor.schedule(embedUrl, () => page.goto(embedUrl, {
+                waitUntil: 'networkidle',
+                timeout: this.config.scraping.browser.timeout
+            }));
+
+            const options = await page.$$eval(`${this.config.selectors.roomSelect} option`, elements =>
+                elements
+                    .map(el => ({ value: el.value, text: el.textContent.trim() }))
+                    .filter(option => option.value)
+            );
+
+            // An embed without room types means the markup changed, not that the hut has no rooms
+            if (options.length === 0) {
+                throw this.profile.driftError('calendar', 'roomSelect', 'has no room types');
+            }
+
+            return options.map(option => ({
+                name: option.text,
+                externalId: option.value,
+                capacity: MountainHutScraper.prototype.extractRoomCapacity(option.text)
+            }));
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Convert MountainHutScraper month results to common-schema date entries
+     * @param {Object} months - Results keyed by month label
+     * @returns {Array} Date entries
+     */
+    convertMonths(months) {
+        const dates = [];
+
+        Object.entries(months).forEach(([monthLabel, monthData]) => {
+            const parsed = DateWindow.parseMonthLabel(monthLabel);
+            if (!parsed) {
+                throw new Error(`Unrecognised calendar month label: ${monthLabel}`);
+            }
+
+            monthData.rawData.forEach(day => {
+                dates.push({
+                    date: DateWindow.toISODate({ year: parsed.year, month: parsed.month, day: day.day }),
+                    status: day.availabilityStatus,
+                    canCheckin: day.canStartReservation,
+                    canCheckout: day.canEndReservation,
+                    freeBeds: null
+                });
+            });
+        });
+
+        return dates;
+    }
+
+    /**
+     * Date range covered by whole calendar months
+     * @param {Array<string>} monthLabels - Scraped month labels
+     * @returns {Object|null} { minDate, maxDate }
+     */
+    getMonthsDateRange(monthLabels) {
+        const months = monthLabels.map(label => DateWindow.parseMonthLabel(label)).filter(Boolean);
+        if (months.length === 0) {
+            return null;
+        }
+
+        const first = months[0];
+        const last = months[months.length - 1];
+
+        return {
+            minDate: DateWindow.toISODate({ ...first, day: 1 }),
+            maxDate: DateWindow.toISODate({ ...last, day: DateWindow.daysInMonth(last.year, last.month) })
+        };
+    }
+
+    /**
+     * Build the embed URL for a hut
+     * @param {Object} hut - { bentralId, key }
+     * @returns {string} Embed URL
+     */
+    buildEmbedUrl(hut) {
+        return this.config.embedUrl
+            .replace('{id}', encodeURIComponent(hut.bentralId))
+            .replace('{key}', encodeURIComponent(hut.key))
+            .replace('{lang}', encodeURIComponent(this.config.locale));
+    }
+
+    /**
+     * Resolve a property to a hut entry with Bentral ID and key
+     * @param {Object} property - { name, externalId?, bentralId?, key? }
+     * @returns {Object} Hut entry { name, bentralId, key }
+     */
+    resolveHut(property) {
+        const bentralId = property.bentralId || property.externalId;
+
+        if (bentralId && property.key) {
+            return { name: property.name, bentralId, key: property.key };
+        }
+
+        const hut = this.getHuts().find(h =>
+            (bentralId && h.bentralId === bentralId) || h.name === property.name
+        );
+
+        if (!hut) {
+            throw new Error(`Bentral hut configuration not found for: ${property.name || bentralId}`);
+        }
+
+        return hut;
+    }
+
+    /**
+     * Get list of all huts from the huts file
+     * @returns {Array} List of hut configurations
+     */
+    getHuts() {
+        if (!this.huts) {
+            const hutsPath = path.join(__dirname, '..', '..', '..', this.config.hutsFile);
+            if (!fs.existsSync(hutsPath)) {
+                throw new Error(`Bentral huts file not found: ${this.config.hutsFile}`);
+            }
+            this.huts = JSON.parse(fs.readFileSync(hutsPath, 'utf8')).huts || [];
+        }
+        return this.huts;
+    }
+
+    /**
+     * Validate Bentral specific configuration
+     */
+    validateConfig() {
+        super.validateConfig();
+
+        const required = ['embedUrl', 'hutsFile', 'selectors', 'availability', 'scraping'];
+        for (const field of required) {
+            if (!this.config[field]) {
+                throw new Error(`Bentral provider configuration missing required field: ${field}`);
+            }
+        }
+
+        if (!SCRAPE_MODES.includes(this.config.scraping.mode)) {
+            throw new Error(`Bentral scraping.mode must be one of: ${SCRAPE_MODES.join(', ')}`);
+        }
+    }
+}
+
+module.exports = BentralProvider;
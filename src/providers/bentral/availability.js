@@ -0,0 +1,114 @@
+/**
+ * Bentral day classification
+ *
+ * Turns the CSS classes of a Bentral calendar day into availability, the same way for
+ * days read from the rendered calendar (MountainHutScraper) and days captured from the
+ * widget's availability responses (BentralCapture):
+ *
+ *   unavail_start + unavail_end  -> unavailable
+ *   unavail_start                -> partial_no_start (can check out, not check in)
+ *   unavail_end                  -> partial_no_end (can check in, not check out)
+ *   required classes, none of the excluded classes or titles -> available
+ *   anything else                -> unavailable
+ *
+ * The classes and titles come from the availability settings of the Bentral selector
+ * profile (config/selectors/bentral.json).
+ */
+
+/**
+ * Classify one calendar day
+ * @param {Object} cell - { day, classes, title }
+ * @param {Object} availability - { requiredClasses, excludedClasses, excludedTitles }
+ * @returns {Object} Day entry as stored in month rawData
+ */
+function classifyDay({ day, classes, title = '' }, availability) {
+    const hasUnavailStart = classes.includes('unavail_start');
+    const hasUnavailEnd = classes.includes('unavail_end');
+
+    const hasRequiredClasses = availability.requiredClasses.every(cls => classes.includes(cls));
+
+    // "unavail" is part of unavail_start / unavail_end, which are handled separately
+    const hasExcludedClasses = availability.excludedClasses.some(cls => {
+        if (cls === 'unavail' && (hasUnavailStart || hasUnavailEnd)) {
+            return false;
+        }
+        return classes.includes(cls);
+    });
+
+    const hasExcludedTitle = availability.excludedTitles.some(excludedTitle =>
+        title.toLowerCase().includes(excludedTitle.toLowerCase())
+    );
+
+    let availabilityStatus;
+    let canStartReservation = false;
+    let canEndReservation = false;
+
+    if (hasUnavailStart && hasUnavailEnd) {
+        availabilityStatus = 'unavailable';
+    } else if (hasUnavailStart) {
+        availabilityStatus = 'partial_no_start';
+        canEndReservation = true;
+    } else if (hasUnavailEnd) {
+        availabilityStatus = 'partial_no_end';
+        canStartReservation = true;
+    } else if (hasRequiredClasses && !hasExcludedClasses && !hasExcludedTitle) {
+        availabilityStatus = 'available';
+        canStartReservation = true;
+        canEndReservation = true;
+    } else {
+        availabilityStatus = 'unavailable';
+    }
+
+    const isPartiallyAvailable = availabilityStatus === 'partial_no_start' || availabilityStatus === 'partial_no_end';
+    const isFullyAvailable = availabilityStatus === 'available';
+
+    return {
+        day: parseInt(day),
+        classes,
+        title,
+        availabilityStatus,
+        available: isFullyAvailable || isPartiallyAvailable, // Partial counts as available
+        fullyAvailable: isFullyAvailable,
+        partiallyAvailable: isPartiallyAvailable,
+        unavailable: availabilityStatus === 'unavailable',
+        canStartReservation,
+        canEndReservation
+    };
+}
+
+/**
+ * Month results from classified days
+ * @param {Array<Object>} days - classifyDay() entries of one month
+ * @returns {Object} Month data as stored in scraper results
+ */
+function summarizeMonth(days) {
+    const sortedDays = entries => entries.map(d => d.day).sort((a, b) => a - b);
+
+    const available = days.filter(d => d.available);
+    const fullyAvailable = days.filter(d => d.fullyAvailable);
+    const partiallyAvailable = days.filter(d => d.partiallyAvailable);
+    const unavailable = days.filter(d => d.unavailable);
+
+    return {
+        totalDays: days.length,
+        availableDays: available.length,
+        fullyAvailableDays: fullyAvailable.length,
+        partiallyAvailableDays: partiallyAvailable.length,
+        unavailableDays: unavailable.length,
+        availabilityRate: ((available.length / days.length) * 100).toFixed(1) + '%',
+        availableDates: sortedDays(available),
+        fullyAvailableDates: sortedDays(fullyAvailable),
+        partiallyAvailableDates: partiallyAvailable.map(d => ({
+            day: d.day,
+            status: d.availabilityStatus,
+            canStart: d.canStartReservation,
+            canEnd: d.canEndReservation
+        })),
+        unavailableDates: sortedDays(unavailable),
+        canStartDates: sortedDays(days.filter(d => d.canStartReservation)),
+        canEndDates: sortedDays(days.filter(d => d.canEndReservation)),
+        rawData: days
+    };
+}
+
+module.exports = { classifyDay, summarizeMonth };
@@ -0,0 +1,243 @@
+const logger = require('../../services/logger');
+const requestGovernor = require('../../services/requestGovernor');
+
+/**
+ * Hut-Reservation.org HTTP Client
+ *
+ * Talks to the hut-reservation.org JSON API without a browser. getHutAvailability only
+ * answers requests that carry the XSRF-TOKEN cookie and the same value in the
+ * x-xsrf-token header, so the client first picks up the cookie (handshake) and then
+ * sends it with every request of its session:
+ *
+ *   const client = new HutReservationClient();
+ *   for (const hutId of hutIds) {
+ *       const hutInfo = await client.getHutInfo(hutId);
+ *       const availability = await client.getHutAvailability(hutId);
+ *   }
+ *
+ * One client is one session for any number of huts. The token is fetched again when
+ * its cookie expires or the API rejects it (401/403). Requests go through the request
+ * governor, which spaces them to the provider's rateLimit (see requestGovernor.js).
+ */
+
+const AUTH_FAILURE_STATUSES = [401, 403];
+
+class HutReservationClientError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'HutReservationClientError';
+        this.status = status;
+    }
+}
+
+class HutReservationClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - hut-reservation.org or a copy of it
+     * @param {number} options.timeout - Request timeout (ms)
+     * @param {Object} options.http - Sends requests: { request(config) } (default: the request governor)
+     */
+    constructor(options = {}) {
+        this.options = {
+            baseUrl: process.env.HUT_RESERVATION_BASE_URL || 'https://www.hut-reservation.org',
+            timeout: 15000,
+            ...options
+        };
+        this.http = this.options.http || requestGovernor;
+
+        this.cookies = new Map(); // name -> { value, expiresAt }
+        this.handshakePromise = null;
+
+        this.stats = {
+            requests: 0,
+            handshakes: 0,
+            tokenRefreshes: 0
+        };
+    }
+
+    /**
+     * Hut details and bed categories (no token needed)
+     * @param {number} hutId - Hut ID on hut-reservation.org
+     * @returns {Promise<Object>} hutInfo response
+     */
+    async getHutInfo(hutId) {
+        const response = await this.request({
+            url: `/api/v1/reservation/hutInfo/${hutId}`
+        });
+        return response.data;
+    }
+
+    /**
+     * Free beds per category and day
+     * @param {number} hutId - Hut ID on hut-reservation.org
+     * @returns {Promise<Array>} getHutAvailability response (one entry per date)
+     */
+    async getHutAvailability(hutId) {
+        const response = await this.request({
+            url: '/api/v1/reservation/getHutAvailability',
+            params: { hutId, step: 'WIZARD' },
+            headers: { referer: this.wizardUrl(hutId) }
+        }, { auth: true, hutId });
+        return response.data;
+    }
+
+    /**
+     * Send a request in this session
+     * @param {Object} config - axios request config, url relative to baseUrl
+     * @param {Object} options - { auth: send the XSRF token, fetching it first if needed; hutId: wizard to fetch it from }
+     * @returns {Promise<Object>} axios response
+     */
+    async request(config, { auth = false, hutId = null } = {}) {
+        if (auth && !this.getToken()) {
+            await this.handshake(hutId);
+        }
+
+        let response = await this.send(config, auth);
+
+        // Expired or revoked token - fetch a new one and try once more
+        if (auth && AUTH_FAILURE_STATUSES.includes(response.status)) {
+            logger.info(`hut-reservation.org rejected the XSRF token (${response.status}), refreshing it`);
+            this.stats.tokenRefreshes++;
+            this.cookies.delete('XSRF-TOKEN');
+            await this.handshake(hutId);
+            response = await this.send(config, auth);
+        }
+
+        if (response.status >= 400) {
+            throw new HutReservationClientError(
+                `hut-reservation.org answered ${config.url} with HTTP ${response.status}`,
+                response.status
+            );
+        }
+        return response;
+    }
+
+    async send(config, auth) {
+        this.stats.requests++;
+
+        const headers = {
+            accept: 'application/json, text/plain, */*',
+            ...config.headers
+        };
+        const cookie = this.cookieHeader();
+        if (cookie) headers.cookie = cookie;
+        if (auth) headers['x-xsrf-token'] = this.getToken();
+
+        let response;
+        try {
+            response = await this.http.request({
+                method: 'GET',
+                ...config,
+                baseURL: this.options.baseUrl,
+                headers,
+                timeout: this.options.timeout,
+                validateStatus: () => true
+            });
+        } catch (error) {
+            if (error instanceof requestGovernor.CircuitOpenError) throw error;
+            throw new HutReservationClientError(`hut-reservation.org request ${config.url} failed: ${error.message}`);
+        }
+
+        this.storeCookies(response.headers?.['set-cookie']);
+        return response;
+    }
+
+    /**
+     * Pick up the XSRF-TOKEN cookie; concurrent callers share one handshake
+     * @param {number} hutId - Hut whose booking wizard is loaded if the csrf endpoint sets no cookie
+     * @returns {Promise<string>} XSRF token
+     */
+    handshake(hutId = null) {
+        if (!this.handshakePromise) {
+            this.handshakePromise = this.fetchToken(hutId).finally(() => {
+                this.handshakePromise = null;
+            });
+        }
+        return this.handshakePromise;
+    }
+
+    async fetchToken(hutId) {
+        this.stats.handshakes++;
+
+        // The csrf endpoint sets the cookie; loading the booking wizard does too
+        const urls = ['/api/v1/csrf'];
+        if (hutId) urls.push(`/reservation/book-hut/${hutId}/wizard`);
+
+        for (const url of urls) {
+            await this.send({ url }, false);
+            if (this.getToken()) {
+                logger.debug('hut-reservation.org XSRF token received', { from: url });
+                return this.getToken();
+            }
+        }
+
+        throw new HutReservationClientError('hut-reservation.org did not set the XSRF-TOKEN cookie');
+    }
+
+    /**
+     * Current XSRF token, or null when there is none or its cookie expired
+     */
+    getToken() {
+        const cookie = this.cookies.get('XSRF-TOKEN');
+        if (!cookie) return null;
+        if (cookie.expiresAt && cookie.expiresAt <= Date.now()) {
+            this.cookies.delete('XSRF-TOKEN');
+            return null;
+        }
+        return cookie.value;
+    }
+
+    /**
+     * Keep the cookies of a response (Set-Cookie headers)
+     * @param {Array<string>|string} setCookie - Set-Cookie header values
+     */
+    storeCookies(setCookie) {
+        const headers = Array.isArray(setCookie) ? setCookie : (setCookie ? [setCookie] : []);
+
+        for (const header of headers) {
+            const [pair, ...attributes] = header.split(';').map(part => part.trim());
+            const separator = pair.indexOf('=');
+            if (separator <= 0) continue;
+
+            const name = pair.slice(0, separator);
+            const value = pair.slice(separator + 1);
+            let expiresAt = null;
+
+            for (const attribute of attributes) {
+                const [key, ...rest] = attribute.split('=');
+                const attributeValue = rest.join('=');
+                if (key.toLowerCase() === 'max-age') {
+                    expiresAt = Date.now() + parseInt(attributeValue) * 1000;
+                } else if (key.toLowerCase() === 'expires' && expiresAt === null) {
+                    const date = Date.parse(attributeValue);
+                    if (!isNaN(date)) expiresAt = date;
+                }
+            }
+
+            if (value === '' || (expiresAt !== null && expiresAt <= Date.now())) {
+                this.cookies.delete(name);
+            } else {
+                this.cookies.set(name, { value, expiresAt });
+            }
+        }
+    }
+
+    cookieHeader() {
+        this.getToken(); // Drops an expired token
+        return Array.from(this.cookies, ([name, cookie]) => `${name}=${cookie.value}`).join('; ');
+    }
+
+    wizardUrl(hutId) {
+        return `${this.options.baseUrl}/reservation/book-hut/${hutId}/wizard`;
+    }
+
+    /**
+     * @returns {Object} Request counts of this session
+     */
+    getStats() {
+        return { ...this.stats, hasToken: Boolean(this.getToken()) };
+    }
+}
+
+module.exports = HutReservationClient;
+module.exports.HutReservationClientError = HutReservationClientError;
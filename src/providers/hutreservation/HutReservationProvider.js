@@ -0,0 +1,225 @@
+const BaseProvider = require('../BaseProvider');
+const fs = require('fs');
+const path = require('path');
+const HutReservationScraper = require('../HutReservationScraper');
+const HutReservationClient = require('./HutReservationClient');
+const browserPool = require('../../services/browserPool');
+const requestGovernor = require('../../services/requestGovernor');
+
+/**
+ * Hut-Reservation.org Provider - gets availability from the platform's JSON API
+ * Reuses HutReservationScraper for the hutInfo/getHutAvailability calls.
+ *
+ * scraping.mode (or HUT_RESERVATION_SCRAPE_MODE) picks how the XSRF-TOKEN cookie is obtained:
+ *   http    - HutReservationClient handshake, no browser (default)
+ *   browser - one browser page kept open to load the booking wizard
+ *
+ * In http mode config.client can hold a HutReservationClient shared by several provider
+ * instances (e.g. the workers of a batch), so they use one session. The request rate is
+ * config.rateLimit, enforced per host by the request governor.
+ */
+
+const SCRAPE_MODES = ['http', 'browser'];
+
+class HutReservationProvider extends BaseProvider {
+    constructor(config) {
+        super({
+            ...config,
+            scraping: config.scraping && {
+                ...config.scraping,
+                mode: process.env.HUT_RESERVATION_SCRAPE_MODE || config.scraping.mode || 'http'
+            }
+        });
+        this.capabilities = config.capabilities || ['scrape'];
+        this.client = null;
+        this.huts = null;
+    }
+
+    /**
+     * Initialize the provider (HTTP session, or the browser context used for the CSRF cookie)
+     */
+    async initialize() {
+        this.validateConfig();
+        this.log('info', `Initializing hut-reservation.org provider (${this.config.scraping.mode})`);
+
+        requestGovernor.configureProvider(this.config);
+
+        if (this.config.scraping.mode === 'http') {
+            this.client = this.config.client || new HutReservationClient({
+                baseUrl: this.config.baseUrl,
+                timeout: this.config.scraping.requestTimeout
+            });
+            this.log('info', 'hut-reservation.org provider initialized successfully');
+            return;
+        }
+
+        this.lease = await browserPool.acquire({ launch: this.config.scraping.browser });
+        this.page = await this.lease.context.newPage();
+
+        this.log('info', 'hut-reservation.org provider initialized successfully');
+    }
+
+    /**
+     * Scrape availability for a hut
+     * @param {Object} property - { externalId | hutId | id, name? }
+     * @param {Object} options - { dateRange: { minDate, maxDate } } to trim the returned dates
+     * @returns {Promise<Object>} Common availability result
+     */
+    async scrapeAvailability(property, options = {}) {
+        if (!this.page && !this.client) {
+            throw new Error('hut-reservation.org provider not initialized. Call initialize() first.');
+        }
+
+        const hutId = parseInt(property.externalId || property.hutId || property.id);
+        if (isNaN(hutId)) {
+            throw new Error(`Invalid hut-reservation.org hut ID for property: ${property.name || JSON.stringify(property)}`);
+        }
+
+        const bookingUrl = this.config.bookingUrlPattern.replace('{hutId}', hutId);
+
+        const scraper = new HutReservationScraper({
+            baseUrl: this.config.baseUrl,
+            mode: this.config.scraping.mode,
+            ...(this.client && { client: this.client }),
+            saveToDatabase: false,
+            saveToFile: false
+        });
+        scraper.page = this.page;
+
+        await scraper.fetchHutData(hutId);
+
+        this.log('info', `Scraping availability for ${scraper.hutData.hutName} (${hutId}) using API`);
+
+        if (this.page) {
+            // Loading the wizard sets the XSRF-TOKEN cookie required by getHutAvailability
+            await this.page.goto(bookingUrl, {
+                waitUntil: 'domcontentloaded',
+                timeout: this.config.scraping.browser.timeout
+            });
+            await this.page.waitForTimeout(2000);
+        }
+
+        const apiData = await scraper.fetchAvailability(hutId);
+
+        const roomTypes = this.convertAvailability(scraper.hutData, apiData, options.dateRange);
+
+        return this.formatAvailability(
+            { name: scraper.hutData.hutName, externalId: hutId, url: bookingUrl },
+            roomTypes,
+            this.getDateRange(roomTypes)
+        );
+    }
+
+    /**
+     * Convert getHutAvailability data to one room type per bed category
+     * @param {Object} hutData - hutInfo response
+     * @param {Array} apiData - getHutAvailability response (one entry per date)
+     * @param {Object} dateRange - Optional { minDate, maxDate } filter
+     * @returns {Array} Room types with common-schema date entries
+     */
+    convertAvailability(hutData, apiData, dateRange = null) {
+        const categories = new Map();
+
+        (hutData.hutBedCategories || []).forEach(category => {
+            categories.set(String(category.categoryID), {
+                name: this.getCategoryLabel(category),
+                externalId: String(category.categoryID),
+                capacity: category.totalSleepingPlaces,
+                dates: []
+            });
+        });
+
+        (Array.isArray(apiData) ? apiData : []).forEach(entry => {
+            const date = entry.date.split('T')[0];
+
+            if (dateRange && ((dateRange.minDate && date < dateRange.minDate) || (dateRange.maxDate && date > dateRange.maxDate))) {
+                return;
+            }
+
+            const isOpen = entry.hutStatus !== 'CLOSED';
+            const freeBedsPerCategory = entry.freeBedsPerCategory || {};
+
+            Object.keys(freeBedsPerCategory).forEach(categoryId => {
+                if (!categories.has(categoryId)) {
+                    categories.set(categoryId, {
+                        name: `Category ${categoryId}`,
+                        externalId: categoryId,
+                        capacity: null,
+                        dates: []
+                    });
+                }
+            });
+
+            categories.forEach((category, categoryId) => {
+                const freeBeds = isOpen ? (freeBedsPerCategory[categoryId] || 0) : 0;
+                const available = freeBeds > 0;
+
+                category.dates.push({
+                    date,
+                    status: available ? 'available' : 'unavailable',
+                    canCheckin: available,
+                    canCheckout: available,
+                    freeBeds
+                });
+            });
+        });
+
+        return Array.from(categories.values());
+    }
+
+    /**
+     * Get the bed category label in the configured language
+     * @param {Object} category - hutBedCategories entry
+     * @returns {string} Label
+     */
+    getCategoryLabel(category) {
+        const languageData = category.hutBedCategoryLanguageData || [];
+        const preferred = languageData.find(l => l.language === this.config.language);
+        return preferred?.label || languageData[0]?.label || `Category ${category.categoryID}`;
+    }
+
+    /**
+     * Date range covered by the converted room types
+     * @param {Array} roomTypes - Room types with dates
+     * @returns {Object|null} { minDate, maxDate }
+     */
+    getDateRange(roomTypes) {
+        const dates = roomTypes.flatMap(roomType => roomType.dates.map(d => d.date)).sort();
+        return dates.length > 0 ? { minDate: dates[0], maxDate: dates[dates.length - 1] } : null;
+    }
+
+    /**
+     * Get list of all discovered huts from the huts file
+     * @returns {Array} Hut list ({ id, name, country, ... })
+     */
+    getHuts() {
+        if (!this.huts) {
+            const hutsPath = path.join(__dirname, '..', '..', '..', this.config.hutsFile);
+            if (!fs.existsSync(hutsPath)) {
+                throw new Error(`hut-reservation.org huts file not found: ${this.config.hutsFile}`);
+            }
+            this.huts = JSON.parse(fs.readFileSync(hutsPath, 'utf8')).allHuts || [];
+        }
+        return this.huts;
+    }
+
+    /**
+     * Validate hut-reservation.org specific configuration
+     */
+    validateConfig() {
+        super.validateConfig();
+
+        const required = ['bookingUrlPattern', 'hutsFile', 'scraping'];
+        for (const field of required) {
+            if (!this.config[field]) {
+                throw new Error(`hut-reservation.org provider configuration missing required field: ${field}`);
+            }
+        }
+
+        if (!SCRAPE_MODES.includes(this.config.scraping.mode)) {
+            throw new Error(`hut-reservation.org scraping.mode must be one of: ${SCRAPE_MODES.join(', ')}`);
+        }
+    }
+}
+
+module.exports = HutReservationProvider;
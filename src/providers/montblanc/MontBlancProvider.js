@@ -1,5 +1,5 @@
 const BaseProvider = require('../BaseProvider');
-const https = require('https');
+const requestGovernor = require('../../services/requestGovernor');
 
 /**
  * Mont Blanc Tour Provider - gets availability from REST API
@@ -9,7 +9,7 @@ class MontBlancProvider extends BaseProvider {
     constructor(config) {
         super(config);
         this.capabilities = ['scrape'];
-        this.apiBaseUrl = 'https://etape-rest.for-system.com/index.aspx';
+        this.apiBaseUrl = config.apiBaseUrl || 'https://etape-rest.for-system.com/index.aspx';
     }
 
     /**
@@ -18,19 +18,27 @@ class MontBlancProvider extends BaseProvider {
     async initialize() {
         this.validateConfig();
         this.log('info', 'Initializing Mont Blanc API provider');
+
+        // rateLimit applies to the API host too (apiBaseUrl)
+        requestGovernor.configureProvider({ ...this.config, apiBaseUrl: this.apiBaseUrl });
         this.log('info', 'Mont Blanc provider initialized successfully - using direct API');
     }
 
     /**
      * Scrape availability for a specific hut using the API
-     * @param {Object} property - Property with id/hutId and name
-     * @param {Object} options - Options with months to check
-     * @returns {Promise<Object>} Availability data
+     * @param {Object} property - Property with externalId/id/hutId (or just the name of a configured refuge)
+     * @param {Object} options - { months to check, dateRange: only keep dates inside { minDate, maxDate } }
+     * @returns {Promise<Object>} Common availability result (one "Dormitory" room type per refuge)
      */
     async scrapeAvailability(property, options = {}) {
-        const hutId = property.id || property.hutId;
-        const name = property.name;
-        const { months = 2 } = options; // Default to checking 2 months ahead
+        const hutConfig = this.findHut(property) || {};
+        const hutId = property.externalId || property.id || property.hutId || hutConfig.id;
+        const name = property.name || hutConfig.name;
+        const { months = 2, dateRange = null } = options; // Default to checking 2 months ahead
+
+        if (!hutId) {
+            throw new Error(`Unknown Mont Blanc refuge: ${name}`);
+        }
 
         this.log('info', `Scraping availability for ${name} (${hutId}) using API`);
 
@@ -46,21 +54,37 @@ class MontBlancProvider extends BaseProvider {
 
                 this.log('debug', `Fetching availability starting from ${startDate.toISOString().split('T')[0]}`);
 
+                // Spaced by the request governor (rateLimit in config.json)
                 const monthAvailability = await this.fetchAvailabilityFromAPI(hutId, startDate);
                 availabilityData.push(...monthAvailability);
-
-                // Small delay between API calls to be respectful
-                await new Promise(resolve => setTimeout(resolve, 500));
             }
 
-            this.log('info', `Found ${availabilityData.length} availability records for ${name}`);
-
-            return this.formatResults({
-                hutId,
-                hutName: name,
-                availability: availabilityData,
-                apiUsed: this.apiBaseUrl
-            });
+            // The API answers relative to today, so consecutive months can overlap - keep one record per date
+            const byDate = new Map();
+            availabilityData
+                .filter(record => !dateRange || (record.date >= dateRange.minDate && record.date <= dateRange.maxDate))
+                .forEach(record => byDate.set(record.date, record));
+            const records = Array.from(byDate.values());
+
+            this.log('info', `Found ${records.length} availability records for ${name}`);
+
+            const refuge = this.describeRefuge({ ...hutConfig, id: hutId, name });
+            const dates = records.map(record => record.date).sort();
+
+            return this.formatAvailability(
+                refuge.property,
+                [{
+                    ...refuge.roomType,
+                    dates: records.map(record => ({
+                        date: record.date,
+                        status: record.available ? 'available' : 'unavailable',
+                        canCheckin: record.canCheckin,
+                        canCheckout: record.canCheckout,
+                        freeBeds: record.spotsAvailable
+                    }))
+                }],
+                dates.length > 0 ? { minDate: dates[0], maxDate: dates[dates.length - 1] } : null
+            );
 
         } catch (error) {
             this.log('error', `Error scraping ${name}:`, error.message);
@@ -68,6 +92,58 @@ class MontBlancProvider extends BaseProvider {
         }
     }
 
+    /**
+     * The configured refuges as results without dates, for onboarding them as properties
+     * and room types before (or without) a scrape
+     * @returns {Array<Object>} Common availability results
+     */
+    getRefuges() {
+        return this.getHuts().map(hut => {
+            const refuge = this.describeRefuge(hut);
+            return this.formatAvailability(refuge.property, [refuge.roomType], null);
+        });
+    }
+
+    /**
+     * Property and dormitory room type of a refuge
+     * @param {Object} hut - Hut configuration (id, name, url, location, capacity, altitude)
+     * @returns {Object} { property: { name, externalId, url, location }, roomType: { name, externalId, capacity } }
+     */
+    describeRefuge(hut) {
+        const altitude = parseInt(hut.altitude);
+
+        return {
+            property: {
+                name: hut.name,
+                externalId: hut.id,
+                url: hut.url ? `${this.config.baseUrl}${hut.url}` : this.config.baseUrl,
+                location: {
+                    area: hut.location || null,
+                    altitude: isNaN(altitude) ? null : altitude
+                }
+            },
+            // The API reports free spots for the whole refuge, sold as dormitory places
+            roomType: {
+                name: 'Dormitory',
+                externalId: hut.id,
+                capacity: hut.capacity || null
+            }
+        };
+    }
+
+    /**
+     * Configured hut of a property, by ID or else by name
+     * @param {Object} property - { externalId | id | hutId, name }
+     * @returns {Object|undefined} Hut configuration
+     */
+    findHut(property) {
+        const hutId = property.externalId || property.id || property.hutId;
+        if (hutId) {
+            return this.getHuts().find(h => String(h.id) === String(hutId));
+        }
+        return this.getHuts().find(h => h.name === property.name);
+    }
+
     /**
      * Fetch availability data from the API
      * @param {string} hutId - Hut ID
@@ -90,6 +166,10 @@ class MontBlancProvider extends BaseProvider {
             return this.parseAPIResponse(response, null); // Let parseAPIResponse use the datemini from response
 
         } catch (error) {
+            // The API is down or blocking us - fail the scrape instead of reporting no availability
+            if (error instanceof requestGovernor.CircuitOpenError) {
+                throw error;
+            }
             this.log('error', `API request failed:`, error.message);
             return [];
         }
@@ -101,28 +181,19 @@ class MontBlancProvider extends BaseProvider {
      * @returns {Promise<string>} Response text
      */
     async makeAPIRequest(url) {
-        return new Promise((resolve, reject) => {
-            https.get(url, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-                    'Accept': '*/*',
-                    'Referer': 'https://www.montourdumontblanc.com/'
-                }
-            }, (res) => {
-                let data = '';
-
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-
-                res.on('end', () => {
-                    resolve(data);
-                });
-
-            }).on('error', (err) => {
-                reject(err);
-            });
+        const response = await requestGovernor.request({
+            method: 'GET',
+            url,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+                'Accept': '*/*',
+                'Referer': 'https://www.montourdumontblanc.com/'
+            },
+            timeout: this.config.scraping?.browser?.timeout || 30000,
+            responseType: 'text',
+            transformResponse: [data => data]
         });
+        return response.data;
     }
 
     /**
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+const selectorProfiles = require('./services/selectorProfiles');
+const selectorHealthCheck = require('./services/selectorHealthCheck');
+const browserPool = require('./services/browserPool');
+const bookingConfig = require('../config/booking.config.js');
+
+/**
+ * Selector Health Check CLI
+ *
+ * Loads the pages of the selector profiles (config/selectors/) and reports the
+ * selectors that no longer match. Exits with 1 when any selector drifted or a page
+ * could not be loaded.
+ */
+
+function printUsage() {
+    console.log(`
+🩺 Selector Health Check
+
+Usage: node src/selectorCheckCli.js [options]
+
+Options:
+  --system <names>     Comma-separated profiles to check (default: all - ${selectorProfiles.list().join(', ')})
+  --page <name>        Only this page of the profile (requires a single --system)
+  --url <url|file>     Load the page from here: a live URL or a saved HTML page (requires --page)
+  --timeout <ms>       Page load timeout in milliseconds (default: 30000)
+  --json               Print the reports as JSON
+  --list               List the profiles with their pages and exit
+  --help               Show this help message
+
+Pages without a URL in the profile (later booking steps) are skipped unless given with --url.
+
+Examples:
+  node src/selectorCheckCli.js                                    # Every page with a URL
+  node src/selectorCheckCli.js --system bentral                   # Bentral booking iframe
+  node src/selectorCheckCli.js --system bentral --page confirm --url ./saved/step3.html
+`);
+}
+
+function listProfiles() {
+    for (const system of selectorProfiles.list()) {
+        const profile = selectorProfiles.load(system);
+        console.log(`${profile.id} - ${profile.description || ''}`);
+
+        for (const [pageName, page] of Object.entries(profile.pages)) {
+            const groups = Object.entries(profile.groups)
+                .filter(([, group]) => group.page === pageName)
+                .map(([groupName]) => groupName);
+            console.log(`  ${pageName} [${groups.join(', ')}]${page.url ? ` ${page.url}` : ''}`);
+        }
+        console.log('');
+    }
+}
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        systems: null,
+        page: null,
+        url: null,
+        timeout: 30000,
+        json: false,
+        list: false,
+        help: false
+    };
+
+    const valueOf = (i, name) => {
+        if (i + 1 >= args.length) {
+            console.error(`❌ ${name} requires a value`);
+            process.exit(1);
+        }
+        return args[i + 1];
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        switch (arg) {
+            case '--system':
+                options.systems = valueOf(i++, arg).split(',').map(system => system.trim());
+                break;
+
+            case '--page':
+                options.page = valueOf(i++, arg);
+                break;
+
+            case '--url':
+                options.url = valueOf(i++, arg);
+                break;
+
+            case '--timeout':
+                options.timeout = parseInt(valueOf(i++, arg));
+                if (isNaN(options.timeout) || options.timeout < 1) {
+                    console.error('❌ --timeout must be a positive number');
+                    process.exit(1);
+                }
+                break;
+
+            case '--json':
+                options.json = true;
+                break;
+
+            case '--list':
+                options.list = true;
+                break;
+
+            case '--help':
+                options.help = true;
+                break;
+
+            default:
+                console.error(`❌ Unknown option: ${arg}`);
+                process.exit(1);
+        }
+    }
+
+    // Validation
+    if (options.page && (!options.systems || options.systems.length !== 1)) {
+        console.error('❌ --page requires a single --system');
+        process.exit(1);
+    }
+
+    if (options.url && !options.page) {
+        console.error('❌ --url requires --page');
+        process.exit(1);
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs();
+
+    if (options.help) {
+        printUsage();
+        return;
+    }
+
+    if (options.list) {
+        listProfiles();
+        return;
+    }
+
+    try {
+        const reports = await selectorHealthCheck.run({
+            systems: options.systems,
+            page: options.page,
+            url: options.url,
+            auth: bookingConfig.auth,
+            timeout: options.timeout
+        });
+
+        await browserPool.shutdown();
+        console.log(options.json ? JSON.stringify(reports, null, 2) : selectorHealthCheck.formatReport(reports));
+
+        if (reports.some(report => report.drift || report.error)) {
+            process.exit(1);
+        }
+    } catch (error) {
+        await browserPool.shutdown();
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
@@ -8,11 +8,17 @@ require('dotenv').config();
 
 const database = require('../services/database');
 const scheduler = require('./jobs/scheduler');
+const bookingSessionManager = require('../services/bookingSessionManager');
+const browserPool = require('../services/browserPool');
 
 const healthRoutes = require('./routes/health');
 const scrapingRoutes = require('./routes/scraping');
 const availabilityRoutes = require('./routes/availability');
 const bookingRoutes = require('./routes/booking');
+const itineraryRoutes = require('./routes/itineraries');
+const watchRoutes = require('./routes/watches');
+const waitlistRoutes = require('./routes/waitlist');
+const webhookRoutes = require('./routes/webhooks');
 const errorHandler = require('./middleware/errorHandler');
 
 class MountainHutServer {
@@ -60,6 +66,9 @@ class MountainHutServer {
             await database.initialize();
             this.logger.info('Database initialized successfully');
 
+            // Settle booking sessions a previous run left open and start expiring old ones
+            await bookingSessionManager.start();
+
             // Configure middleware
             this.app.use(helmet({
                 contentSecurityPolicy: false // Allow for development flexibility
@@ -87,6 +96,10 @@ class MountainHutServer {
             this.app.use('/api/v1/scraping', scrapingRoutes);
             this.app.use('/api/v1/availability', availabilityRoutes);
             this.app.use('/api/v1/booking', bookingRoutes);
+            this.app.use('/api/v1/itineraries', itineraryRoutes);
+            this.app.use('/api/v1/watches', watchRoutes);
+            this.app.use('/api/v1/waitlist', waitlistRoutes);
+            this.app.use('/api/v1/webhooks', webhookRoutes);
 
             // Root endpoint
             this.app.get('/', (req, res) => {
@@ -99,7 +112,11 @@ class MountainHutServer {
                         health: '/health',
                         scraping: '/api/v1/scraping',
                         availability: '/api/v1/availability',
-                        booking: '/api/v1/booking'
+                        booking: '/api/v1/booking',
+                        itineraries: '/api/v1/itineraries',
+                        watches: '/api/v1/watches',
+                        waitlist: '/api/v1/waitlist',
+                        webhooks: '/api/v1/webhooks'
                     }
                 });
             });
@@ -169,6 +186,13 @@ class MountainHutServer {
                             this.logger.info('Scheduled jobs stopped');
                         }
 
+                        // Close the browsers of open booking sessions
+                        await bookingSessionManager.stop();
+
+                        // Close the pooled browsers
+                        await browserPool.shutdown();
+                        this.logger.info('Browser pool closed');
+
                         // Close database connections
                         await database.close();
                         this.logger.info('Database connections closed');
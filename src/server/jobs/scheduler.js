@@ -1,5 +1,6 @@
 const cron = require('node-cron');
 const ScraperJob = require('./scraperJob');
+const webhookDispatcher = require('../../services/webhookDispatcher');
 
 class JobScheduler {
     constructor() {
@@ -55,6 +56,22 @@ class JobScheduler {
         }
 
         this.initialized = true;
+
+        // Continue scrape jobs that a crash or restart left in the queue
+        if (process.env.RESUME_SCRAPE_JOBS !== 'false') {
+            this.scraperJob.resumeInterruptedJobs().then(results => {
+                if (results.length > 0) {
+                    this.logger.info(`Resumed ${results.length} interrupted scrape job(s)`);
+                }
+            }).catch(error => {
+                this.logger.error('Failed to resume interrupted scrape jobs', {
+                    error: error.message
+                });
+            });
+        }
+
+        // Deliver webhook events still pending from before the restart
+        webhookDispatcher.processDueDeliveries();
         
         this.logger.info('Job scheduler initialized', {
             jobs: Array.from(this.jobs.keys()),
@@ -1,5 +1,12 @@
-const MultiHutScraper = require('../../multiHutScraper');
+const fs = require('fs');
+const path = require('path');
+const ScrapeOrchestrator = require('../../core/ScrapeOrchestrator');
+const scrapeQueue = require('../../services/scrapeQueue');
 const database = require('../../services/database');
+const watchService = require('../../services/watchService');
+const waitlistService = require('../../services/waitlistService');
+const DateWindow = require('../../services/dateWindow');
+const montBlancConfig = require('../../providers/montblanc/config.json');
 
 class ScraperJob {
     constructor(logger) {
@@ -31,27 +38,56 @@ class ScraperJob {
         });
 
         try {
-            // Configure scraper options
-            const scraperOptions = {
-                maxConcurrency: parseInt(process.env.SCRAPER_MAX_CONCURRENCY) || 2,
-                delayBetweenHuts: parseInt(process.env.SCRAPER_DELAY_HUTS) || 5000,
-                delayBetweenRooms: parseInt(process.env.SCRAPER_DELAY_ROOMS) || 2000,
-                testMode: options.testMode || false,
-                targetHuts: options.targetHuts || null,
-                headless: process.env.NODE_ENV === 'production' ? true : 
-                         (process.env.HEADLESS_MODE === 'true'),
-                manageDatabaseConnection: false, // Don't close database in server mode
-                ...options
-            };
-
-            this.logger.info('Initializing MultiHutScraper', { 
-                jobId,
-                options: scraperOptions 
+            const orchestrator = new ScrapeOrchestrator({
+                concurrency: parseInt(options.maxConcurrency) || parseInt(process.env.SCRAPER_MAX_CONCURRENCY) || 2,
+                delayBetweenItems: parseInt(options.delayBetweenRooms) || parseInt(process.env.SCRAPER_DELAY_ROOMS) || 2000,
+                maxAttempts: parseInt(process.env.SCRAPE_ITEM_MAX_ATTEMPTS) || 3,
+                providerOptions: {
+                    bentral: {
+                        scraping: {
+                            browser: {
+                                headless: process.env.NODE_ENV === 'production' ? true :
+                                         (process.env.HEADLESS_MODE === 'true'),
+                                timeout: 30000
+                            }
+                        }
+                    }
+                }
             });
 
-            // Create and run scraper
-            const scraper = new MultiHutScraper(scraperOptions);
-            const result = await scraper.scrapeAllHuts();
+            let report;
+
+            if (options.resumeJobId) {
+                // Continue a job interrupted by a restart
+                this.logger.info(`Resuming scrape job ${options.resumeJobId}`, { jobId });
+                report = await orchestrator.run(options.resumeJobId);
+            } else if (options.attempt > 1 && this.lastResult?.queueJobId &&
+                       await scrapeQueue.retryFailedItems(this.lastResult.queueJobId) > 0) {
+                // Job-level retry: only the work items that failed last time
+                this.logger.info(`Retrying failed work items of scrape job ${this.lastResult.queueJobId}`, { jobId });
+                report = await orchestrator.run(this.lastResult.queueJobId);
+            } else {
+                const items = await this.buildWorkItems(options);
+
+                this.logger.info('Queueing scrape work items', {
+                    jobId,
+                    items: items.length,
+                    dateRange: items[0].dateRange
+                });
+
+                report = await orchestrator.scrape(items, {
+                    trigger: options.scheduled ? `scheduled-${options.type || 'run'}` : 'manual',
+                    options: {
+                        testMode: options.testMode || false,
+                        targetHuts: options.targetHuts || null,
+                        dateWindow: options.dateWindow || null
+                    }
+                });
+            }
+
+            const result = this.summarizeReport(report);
+            result.watches = await this.checkWatches();
+            result.waitlist = await this.checkWaitlist();
 
             const endTime = new Date();
             const duration = endTime - startTime;
@@ -133,6 +169,134 @@ class ScraperJob {
         }
     }
 
+    /**
+     * Build one Bentral work item per active room type of every known Bentral hut, and one
+     * Mont Blanc work item per configured refuge (unless SCRAPE_MONTBLANC=false)
+     * @param {Object} options - { testMode, targetHuts, dateWindow }
+     * @returns {Promise<Array>} Work items for the scrape queue
+     */
+    async buildWorkItems(options = {}) {
+        const windowOptions = { ...(options.dateWindow || {}) };
+        if (windowOptions.months == null && windowOptions.days == null) {
+            windowOptions.months = options.testMode ? 1 : 12;
+        }
+        const dateRange = new DateWindow(windowOptions).getDateRange();
+
+        const hutsConfigPath = path.join(__dirname, '..', '..', '..', 'config', 'huts-bentral-ids.json');
+        const bentralHuts = new Set(
+            JSON.parse(fs.readFileSync(hutsConfigPath, 'utf8')).huts.map(hut => hut.name)
+        );
+
+        const result = await database.query(`
+            SELECT p.name as property_name, p.slug, rt.name, rt.external_id, rt.capacity
+            FROM availability.properties p
+            JOIN availability.room_types rt ON p.id = rt.property_id AND rt.is_active = true
+            WHERE p.is_active = true AND rt.external_id IS NOT NULL
+            ORDER BY p.name, rt.name
+        `);
+
+        const targetHuts = Array.isArray(options.targetHuts) ? options.targetHuts : null;
+
+        const items = result.rows
+            .filter(row => bentralHuts.has(row.property_name))
+            .filter(row => !targetHuts || targetHuts.includes(row.property_name) || targetHuts.includes(row.slug))
+            .map(row => ({
+                provider: 'bentral',
+                property: { name: row.property_name },
+                roomType: { name: row.name, externalId: row.external_id, capacity: row.capacity },
+                dateRange
+            }));
+
+        // The Mont Blanc API answers per refuge, so one item covers its dormitory
+        if (process.env.SCRAPE_MONTBLANC !== 'false') {
+            montBlancConfig.huts
+                .filter(hut => !targetHuts || targetHuts.includes(hut.name) || targetHuts.includes(hut.id))
+                .forEach(hut => items.push({
+                    provider: 'montblanc',
+                    property: { name: hut.name, externalId: hut.id },
+                    dateRange
+                }));
+        }
+
+        if (items.length === 0) {
+            throw new Error('No properties found to scrape');
+        }
+
+        return items;
+    }
+
+    /**
+     * Check availability watches against the data just scraped
+     * Watch problems are logged but never fail the scrape job.
+     * @returns {Promise<Object|null>} Check summary, or null if the check failed
+     */
+    async checkWatches() {
+        try {
+            return await watchService.checkWatches();
+        } catch (error) {
+            this.logger.error('Failed to check availability watches', {
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Prepare bookings for waitlist entries whose nights opened up
+     * Waitlist problems are logged but never fail the scrape job.
+     * @returns {Promise<Object|null>} Check summary, or null if the check failed or was already running
+     */
+    async checkWaitlist() {
+        try {
+            return await waitlistService.checkWaitlist();
+        } catch (error) {
+            this.logger.error('Failed to check booking waitlist', {
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Reduce a ScrapeOrchestrator report to the job result fields
+     * @param {Object} report - Orchestrator report
+     * @returns {Object} { queueJobId, hutsProcessed, roomTypesProcessed, totalAvailableDates, errors }
+     */
+    summarizeReport(report) {
+        const items = [...report.successful, ...report.failed];
+
+        return {
+            queueJobId: report.jobId,
+            queueStatus: report.status,
+            hutsProcessed: new Set(items.map(item => item.property.name || item.property.externalId)).size,
+            roomTypesProcessed: items.length,
+            totalAvailableDates: report.successful.reduce((sum, item) => sum + (item.result?.availableDates || 0), 0),
+            errors: report.failed.map(item => ({
+                hut: item.property.name || item.property.externalId,
+                roomType: item.roomType?.name || null,
+                error: item.lastError,
+                attempts: item.attempts
+            })),
+            summary: report.summary
+        };
+    }
+
+    /**
+     * Resume scrape jobs left unfinished by a crash or restart
+     * @returns {Promise<Array>} Results of the resumed jobs
+     */
+    async resumeInterruptedJobs() {
+        await scrapeQueue.recoverStaleItems({ allForeign: true });
+        const jobs = await scrapeQueue.getUnfinishedJobs();
+        const results = [];
+
+        for (const job of jobs) {
+            results.push(await this.execute({ resumeJobId: job.id, type: 'resume' }));
+        }
+
+        return results;
+    }
+
     async executeWithRetries(options = {}, maxRetries = 3) {
         const retryDelay = parseInt(process.env.SCRAPER_RETRY_DELAY) || 300000; // 5 minutes
         
@@ -164,6 +328,7 @@ class ScraperJob {
 
     async sendFailureNotification(result) {
         try {
+            // scrape.failed webhooks are sent by ScrapeOrchestrator when a queue job crashes
             // Email notification (if configured)
             const alertEmail = process.env.ALERT_EMAIL;
             if (alertEmail) {
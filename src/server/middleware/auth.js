@@ -0,0 +1,20 @@
+// Middleware for API key authentication (optional)
+// With API_KEY set, requests must send it as X-API-Key header or api_key query parameter
+const requireAuth = (req, res, next) => {
+    const apiKey = process.env.API_KEY;
+    
+    if (apiKey) {
+        const providedKey = req.headers['x-api-key'] || req.query.api_key;
+        
+        if (!providedKey || providedKey !== apiKey) {
+            return res.status(401).json({
+                error: 'Authentication required',
+                message: 'Valid API key required'
+            });
+        }
+    }
+    
+    next();
+};
+
+module.exports = requireAuth;
@@ -1,7 +1,28 @@
 const express = require('express');
 const database = require('../../services/database');
+const AvailabilityDiff = require('../../services/availabilityDiff');
+const GroupAllocation = require('../../services/groupAllocation');
 const router = express.Router();
 
+// Free beds of an available date: the reported count, or the room capacity for booking
+// systems that only sell whole rooms and report no bed counts (Bentral)
+const FREE_BEDS_SQL = 'COALESCE(ad.free_beds, rt.capacity)';
+
+// Longest stay /group-search checks (same as availability watches)
+const MAX_GROUP_NIGHTS = 30;
+
+/**
+ * Parse the min_free_beds query parameter
+ * @returns {number|null|false} Bed count, null if not given, false if invalid
+ */
+const parseMinFreeBeds = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const beds = parseInt(value);
+    return isNaN(beds) || beds < 1 ? false : beds;
+};
+
 // GET /api/v1/availability - Query availability data
 router.get('/', async (req, res) => {
     try {
@@ -11,11 +32,20 @@ router.get('/', async (req, res) => {
             room_type_id = null,
             start_date = null,
             end_date = null,
+            min_free_beds = null,
             limit = 1000,
             offset = 0,
             format = 'detailed' // 'detailed' | 'simple' | 'calendar'
         } = req.query;
 
+        const minFreeBeds = parseMinFreeBeds(min_free_beds);
+        if (minFreeBeds === false) {
+            return res.status(400).json({
+                error: 'Invalid min_free_beds parameter',
+                message: 'min_free_beds must be a positive integer'
+            });
+        }
+
         // Validate limit
         const maxLimit = 10000;
         const actualLimit = Math.min(parseInt(limit) || 1000, maxLimit);
@@ -35,6 +65,7 @@ router.get('/', async (req, res) => {
                 ad.date as available_date,
                 ad.can_checkin,
                 ad.can_checkout,
+                ad.free_beds,
                 ad.scraped_at
             FROM availability.available_dates ad
             JOIN availability.room_types rt ON ad.room_type_id = rt.id
@@ -79,6 +110,13 @@ router.get('/', async (req, res) => {
             paramIndex++;
         }
 
+        // Filter by free beds (room capacity when the booking system reports no bed counts)
+        if (minFreeBeds) {
+            query += ` AND ${FREE_BEDS_SQL} >= $${paramIndex}`;
+            params.push(minFreeBeds);
+            paramIndex++;
+        }
+
         // Add ordering and pagination
         query += ` ORDER BY p.name, rt.name, ad.date`;
         query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
@@ -94,7 +132,8 @@ router.get('/', async (req, res) => {
                 room_type: row.room_type_name,
                 date: row.available_date,
                 checkin: row.can_checkin,
-                checkout: row.can_checkout
+                checkout: row.can_checkout,
+                free_beds: row.free_beds
             }));
         } else if (format === 'calendar') {
             // Group by property and room type
@@ -119,7 +158,8 @@ router.get('/', async (req, res) => {
                 formattedData[propertyKey][roomKey].available_dates.push({
                     date: row.available_date,
                     can_checkin: row.can_checkin,
-                    can_checkout: row.can_checkout
+                    can_checkout: row.can_checkout,
+                    free_beds: row.free_beds
                 });
             });
         } else {
@@ -140,7 +180,8 @@ router.get('/', async (req, res) => {
                 property_name,
                 room_type_id,
                 start_date,
-                end_date
+                end_date,
+                min_free_beds: minFreeBeds
             },
             format
         });
@@ -206,7 +247,7 @@ router.get('/properties/:id', async (req, res) => {
                 }
                 grouped[roomType].push({
                     date: row.available_date,
-                    // Add checkin/checkout info if available
+                    free_beds: row.free_beds
                 });
             });
             formattedData = grouped;
@@ -241,6 +282,7 @@ router.get('/search', async (req, res) => {
             capacity = null,
             room_category = null, // 'shared' | 'private'
             property_names = null, // comma-separated list
+            min_free_beds = null, // e.g. group size
             available_days = 1 // minimum consecutive days available
         } = req.query;
 
@@ -251,6 +293,14 @@ router.get('/search', async (req, res) => {
             });
         }
 
+        const minFreeBeds = parseMinFreeBeds(min_free_beds);
+        if (minFreeBeds === false) {
+            return res.status(400).json({
+                error: 'Invalid min_free_beds parameter',
+                message: 'min_free_beds must be a positive integer'
+            });
+        }
+
         // Build complex query for availability search
         let query = `
             WITH consecutive_availability AS (
@@ -265,6 +315,7 @@ router.get('/search', async (req, res) => {
                     ad.date,
                     ad.can_checkin,
                     ad.can_checkout,
+                    ${FREE_BEDS_SQL} as free_beds,
                     LAG(ad.date, 1) OVER (
                         PARTITION BY rt.id 
                         ORDER BY ad.date
@@ -307,6 +358,13 @@ router.get('/search', async (req, res) => {
             paramIndex++;
         }
 
+        // Add free beds filter
+        if (minFreeBeds) {
+            query += ` AND ${FREE_BEDS_SQL} >= $${paramIndex}`;
+            params.push(minFreeBeds);
+            paramIndex++;
+        }
+
         query += `
                 AND p.is_active = true 
                 AND rt.is_active = true
@@ -322,6 +380,7 @@ router.get('/search', async (req, res) => {
                 COUNT(*) as available_days,
                 MIN(date) as first_available_date,
                 MAX(date) as last_available_date,
+                MIN(free_beds) as min_free_beds,
                 ARRAY_AGG(date ORDER BY date) as available_dates
             FROM consecutive_availability
             GROUP BY 
@@ -342,6 +401,7 @@ router.get('/search', async (req, res) => {
                 capacity,
                 room_category,
                 property_names,
+                min_free_beds: minFreeBeds,
                 minimum_available_days: parseInt(available_days) || 1
             },
             results: result.rows,
@@ -356,6 +416,172 @@ router.get('/search', async (req, res) => {
     }
 });
 
+// GET /api/v1/availability/group-search - Properties that can sleep a whole party on every night of a stay
+router.get('/group-search', async (req, res) => {
+    try {
+        const {
+            group_size = null,
+            checkin_date = null,
+            checkout_date = null,
+            nights = null,
+            room_category = null, // 'shared' | 'private'
+            property_names = null // comma-separated list
+        } = req.query;
+
+        const groupSize = parseInt(group_size);
+        if (isNaN(groupSize) || groupSize < 1 || groupSize > GroupAllocation.MAX_GROUP_SIZE) {
+            return res.status(400).json({
+                error: 'Invalid group_size parameter',
+                message: `group_size is required and must be an integer between 1 and ${GroupAllocation.MAX_GROUP_SIZE}`
+            });
+        }
+
+        if (!checkin_date || isNaN(Date.parse(checkin_date))) {
+            return res.status(400).json({
+                error: 'Invalid checkin_date parameter',
+                message: 'checkin_date is required (YYYY-MM-DD)'
+            });
+        }
+
+        // Nights are checkin_date .. checkout_date - 1
+        let nightCount = nights ? parseInt(nights) : null;
+        if (!nightCount && checkout_date) {
+            nightCount = Math.round((Date.parse(checkout_date) - Date.parse(checkin_date)) / 86400000);
+        }
+        if (!nightCount || isNaN(nightCount) || nightCount < 1 || nightCount > MAX_GROUP_NIGHTS) {
+            return res.status(400).json({
+                error: 'Invalid night range',
+                message: `Provide checkout_date after checkin_date or nights between 1 and ${MAX_GROUP_NIGHTS}`
+            });
+        }
+
+        const stayNights = [];
+        for (let i = 0; i < nightCount; i++) {
+            const night = new Date(Date.parse(checkin_date) + i * 86400000);
+            stayNights.push(night.toISOString().split('T')[0]);
+        }
+
+        const rows = await database.getNightlyAvailability({
+            startDate: stayNights[0],
+            endDate: stayNights[stayNights.length - 1],
+            roomCategory: room_category && ['shared', 'private'].includes(room_category) ? room_category : null,
+            propertyNames: property_names ? property_names.split(',').map(name => name.trim()) : null
+        });
+
+        // Group rows per property, then look for an allocation covering every night
+        const properties = new Map();
+        rows.forEach(row => {
+            if (!properties.has(row.property_id)) {
+                properties.set(row.property_id, { name: row.property_name, rows: [] });
+            }
+            properties.get(row.property_id).rows.push(row);
+        });
+
+        const results = [];
+
+        properties.forEach((property, propertyId) => {
+            const offers = GroupAllocation.buildOffers(property.rows, stayNights);
+            const suggestion = GroupAllocation.allocate(offers, groupSize);
+
+            if (suggestion) {
+                results.push({
+                    property_id: propertyId,
+                    property_name: property.name,
+                    allocation: GroupAllocation.toResponse(suggestion.allocation),
+                    unused_beds: suggestion.unusedBeds,
+                    available_beds: offers.reduce((sum, offer) => sum + offer.beds, 0)
+                });
+            }
+        });
+
+        res.json({
+            search_criteria: {
+                group_size: groupSize,
+                checkin_date: stayNights[0],
+                checkout_date: new Date(Date.parse(stayNights[stayNights.length - 1]) + 86400000).toISOString().split('T')[0],
+                nights: nightCount,
+                room_category,
+                property_names
+            },
+            results,
+            total_matches: results.length
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to search group availability',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/v1/availability/changes - Availability events (opened/closed/beds_changed) since a timestamp
+router.get('/changes', async (req, res) => {
+    try {
+        const {
+            since = null,
+            property_id = null,
+            room_type_id = null,
+            event_type = null,
+            limit = 1000,
+            offset = 0
+        } = req.query;
+
+        if (!since || isNaN(Date.parse(since))) {
+            return res.status(400).json({
+                error: 'Invalid since parameter',
+                message: 'since is required and must be an ISO 8601 date or timestamp'
+            });
+        }
+
+        const eventTypes = AvailabilityDiff.getEventTypes();
+        if (event_type && !eventTypes.includes(event_type)) {
+            return res.status(400).json({
+                error: 'Invalid event_type parameter',
+                message: `event_type must be one of: ${eventTypes.join(', ')}`
+            });
+        }
+
+        const maxLimit = 10000;
+        const actualLimit = Math.min(parseInt(limit) || 1000, maxLimit);
+        const actualOffset = parseInt(offset) || 0;
+
+        const filters = {
+            since: new Date(since),
+            propertyId: property_id ? parseInt(property_id) : null,
+            roomTypeId: room_type_id ? parseInt(room_type_id) : null,
+            eventType: event_type
+        };
+
+        const [events, total] = await Promise.all([
+            database.getAvailabilityEvents({ ...filters, limit: actualLimit, offset: actualOffset }),
+            database.countAvailabilityEvents(filters)
+        ]);
+
+        res.json({
+            changes: events,
+            pagination: {
+                limit: actualLimit,
+                offset: actualOffset,
+                total,
+                has_more: actualOffset + events.length < total
+            },
+            filters: {
+                since,
+                property_id,
+                room_type_id,
+                event_type
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to get availability changes',
+            message: error.message
+        });
+    }
+});
+
 // GET /api/v1/availability/summary - Get availability summary statistics
 router.get('/summary', async (req, res) => {
     try {
@@ -1,51 +1,167 @@
 const express = require('express');
 const MicrogrammBookingBot = require('../../MicrogrammBookingBot');
+const bookingQueue = require('../../services/bookingQueue');
+const bookingSessionManager = require('../../services/bookingSessionManager');
+const bookingLedger = require('../../services/bookingLedger');
+const guestVault = require('../../services/guestVault');
+const CaptchaSolver = require('../../services/captchaSolver');
 const logger = require('../../services/logger');
+const requireAuth = require('../middleware/auth');
 
 const router = express.Router();
 
-// Store active booking sessions
-const activeSessions = new Map();
+const sessionNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Session not found',
+    message: 'Invalid session ID'
+});
 
-/**
- * Validate booking request parameters
- */
-function validateBookingRequest(req, res, next) {
-    const { hutName, roomType, arrivalDate, departureDate, guestName, country, email, phone } = req.body;
+const bookingNotFound = (res, id) => res.status(404).json({
+    success: false,
+    error: 'Booking not found',
+    message: `No booking with ID ${id}`
+});
 
-    const errors = [];
+const parseBookingId = (req, res) => {
+    const id = parseInt(req.params.bookingId);
 
-    if (!hutName || typeof hutName !== 'string') {
-        errors.push('hutName is required and must be a string');
+    if (isNaN(id) || id < 1 || String(id) !== req.params.bookingId) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid booking ID',
+            message: 'Booking ID must be a positive integer'
+        });
+        return null;
     }
 
-    if (!roomType || typeof roomType !== 'string') {
-        errors.push('roomType is required and must be a string');
+    return id;
+};
+
+/**
+ * Respond with the status code matching a booking session manager error
+ */
+function sendSessionError(res, error, fallbackMessage) {
+    if (error instanceof bookingQueue.BookingRejectedError) {
+        return res.status(error.reason === 'queue_full' ? 503 : 409).json({
+            success: false,
+            error: 'Booking rejected',
+            reason: error.reason,
+            message: error.message,
+            details: error.details
+        });
     }
 
-    if (!arrivalDate || typeof arrivalDate !== 'string') {
-        errors.push('arrivalDate is required and must be a string (YYYY-MM-DD or DD.MM.YYYY)');
+    if (error instanceof bookingSessionManager.CapacityError) {
+        return res.status(503).json({
+            success: false,
+            error: 'No booking browser available',
+            message: error.message
+        });
     }
 
-    if (!departureDate || typeof departureDate !== 'string') {
-        errors.push('departureDate is required and must be a string (YYYY-MM-DD or DD.MM.YYYY)');
+    if (error instanceof bookingSessionManager.SessionStateError) {
+        return res.status(409).json({
+            success: false,
+            error: 'Session not ready',
+            message: error.message
+        });
     }
 
-    if (!guestName || typeof guestName !== 'string') {
-        errors.push('guestName is required and must be a string');
+    if (error instanceof bookingSessionManager.BookingStateError) {
+        return res.status(409).json({
+            success: false,
+            error: 'Booking cannot be changed',
+            message: error.message
+        });
     }
 
-    if (!country || typeof country !== 'string') {
-        errors.push('country is required and must be a string');
+    if (error instanceof bookingSessionManager.UnsupportedChangeError) {
+        return res.status(501).json({
+            success: false,
+            error: 'Not supported for this provider',
+            message: error.message
+        });
     }
 
-    if (!email || typeof email !== 'string' || !email.includes('@')) {
-        errors.push('email is required and must be a valid email address');
+    if (error instanceof bookingLedger.ValidationError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            message: error.message
+        });
     }
 
-    if (!phone || typeof phone !== 'string') {
-        errors.push('phone is required and must be a string');
+    res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        message: error.message,
+        sessionId: error.sessionId,
+        details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+}
+
+/**
+ * Session row in the response format of this router
+ */
+function formatSession(session) {
+    const steps = session.steps || [];
+
+    return {
+        sessionId: session.id,
+        provider: session.provider,
+        status: session.status,
+        attempts: session.attempts,
+        browserOpen: session.browser_open,
+        createdAt: session.created_at,
+        expiresAt: session.expires_at,
+        submittedAt: session.submitted_at,
+        bookingParams: session.params,
+        steps,
+        errors: session.errors || [],
+        result: session.result,
+        lastActivity: steps.length > 0 ? steps[steps.length - 1].timestamp : session.created_at
+    };
+}
+
+/**
+ * Guest name of stored booking parameters, null if the guest reference cannot be opened
+ */
+function guestNameOf(params) {
+    try {
+        return guestVault.reveal(params).guestName || null;
+    } catch (error) {
+        if (error instanceof guestVault.GuestDataError) {
+            return null;
+        }
+        throw error;
     }
+}
+
+/**
+ * Ledger row in the response format of this router
+ */
+function formatBooking(booking) {
+    return {
+        bookingId: booking.id,
+        provider: booking.provider,
+        sessionId: booking.session_id,
+        hutName: booking.hut_name,
+        roomType: booking.room_type,
+        confirmationNumber: booking.confirmation_number,
+        status: booking.status,
+        bookingParams: booking.params,
+        history: booking.history || [],
+        createdAt: booking.created_at,
+        updatedAt: booking.updated_at,
+        cancelledAt: booking.cancelled_at
+    };
+}
+
+/**
+ * Validate booking request parameters
+ */
+function validateBookingRequest(req, res, next) {
+    const errors = bookingQueue.validateRequest(req.body);
 
     if (errors.length > 0) {
         return res.status(400).json({
@@ -61,37 +177,20 @@ function validateBookingRequest(req, res, next) {
 /**
  * POST /api/v1/booking/create
  * Create a new booking (fills form and solves captcha but doesn't submit)
+ * provider: microgramm (default) or hutreservation (hutId, bedCategory, partySize instead of hutName, roomType)
+ * Microgramm bookings of several rooms send rooms: [{ roomType, quantity }] instead of roomType;
+ * the result reports the outcome of every line in roomLines.
+ * The request waits in the booking queue and is rejected with a reason when the
+ * stay is not bookable according to stored and freshly scraped availability.
  */
 router.post('/create', validateBookingRequest, async (req, res) => {
-    const bookingBot = new MicrogrammBookingBot();
-
     try {
         logger.info('Starting new booking request', {
-            body: { ...req.body, phone: '***' } // Hide phone in logs
-        });
-
-        const result = await bookingBot.makeBooking(req.body);
-
-        // Store the session for potential submission
-        activeSessions.set(result.sessionId, {
-            bot: bookingBot,
-            bookingParams: req.body,
-            createdAt: new Date(),
-            status: result.status
+            body: req.body // Guest details are redacted by the logger
         });
 
-        // Clean up old sessions (older than 1 hour)
-        const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-        for (const [sessionId, session] of activeSessions) {
-            if (session.createdAt < oneHourAgo) {
-                try {
-                    await session.bot.cleanup();
-                } catch (e) {
-                    logger.warn(`Failed to cleanup old session ${sessionId}:`, e.message);
-                }
-                activeSessions.delete(sessionId);
-            }
-        }
+        const { provider = 'microgramm', ...params } = req.body;
+        const result = await bookingQueue.enqueue(params, { provider });
 
         res.json({
             success: true,
@@ -101,26 +200,16 @@ router.post('/create', validateBookingRequest, async (req, res) => {
 
     } catch (error) {
         logger.error('Booking creation failed:', error);
-
-        // Clean up the bot
-        try {
-            await bookingBot.cleanup();
-        } catch (cleanupError) {
-            logger.warn('Failed to cleanup booking bot:', cleanupError);
-        }
-
-        res.status(500).json({
-            success: false,
-            error: 'Booking creation failed',
-            message: error.message,
-            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        });
+        sendSessionError(res, error, 'Booking creation failed');
     }
 });
 
 /**
  * POST /api/v1/booking/submit/:sessionId
  * Submit a prepared booking (actually clicks the submit button)
+ * If the browser of the session is gone, the form is filled in again first.
+ * An accepted booking is recorded in the booking ledger; data.bookingId is the ID
+ * for /:bookingId/cancel and /:bookingId/modify.
  */
 router.post('/submit/:sessionId', async (req, res) => {
     const { sessionId } = req.params;
@@ -128,62 +217,130 @@ router.post('/submit/:sessionId', async (req, res) => {
     try {
         logger.info(`Attempting to submit booking for session: ${sessionId}`);
 
-        const session = activeSessions.get(sessionId);
-        if (!session) {
-            return res.status(404).json({
-                success: false,
-                error: 'Session not found',
-                message: 'Invalid session ID or session has expired'
-            });
+        const result = await bookingSessionManager.submit(sessionId);
+        if (!result) {
+            return sessionNotFound(res);
         }
 
-        if (session.status !== 'ready_to_submit') {
-            return res.status(400).json({
-                success: false,
-                error: 'Session not ready',
-                message: `Session status is ${session.status}, expected 'ready_to_submit'`
-            });
+        res.json({
+            success: result.submitted,
+            data: result,
+            message: result.submitted ? 'Booking submitted successfully!' : 'Booking submission failed'
+        });
+
+    } catch (error) {
+        logger.error(`Booking submission failed for session ${sessionId}:`, error);
+        sendSessionError(res, error, 'Booking submission failed');
+    }
+});
+
+/**
+ * POST /api/v1/booking/:bookingId/cancel
+ * Cancel a submitted booking with the hut (microgramm only)
+ * The booking ID is the bookingId returned by /submit; see GET /bookings.
+ */
+router.post('/:bookingId/cancel', requireAuth, async (req, res) => {
+    const id = parseBookingId(req, res);
+    if (id === null) return;
+
+    try {
+        logger.info(`Cancelling booking ${id}`);
+
+        const result = await bookingSessionManager.cancelBooking(id);
+        if (!result) {
+            return bookingNotFound(res, id);
         }
 
-        // Submit the booking
-        const result = await session.bot.submitBooking();
+        res.json({
+            success: result.success,
+            data: result.booking ? formatBooking(result.booking) : null,
+            message: result.success ? 'Booking cancelled' : `The hut refused the cancellation: ${result.message}`
+        });
 
-        // Update session status
-        session.status = result.success ? 'submitted' : 'failed';
+    } catch (error) {
+        logger.error(`Cancelling booking ${id} failed:`, error);
+        sendSessionError(res, error, 'Booking cancellation failed');
+    }
+});
 
-        // Clean up the bot
-        setTimeout(async () => {
-            try {
-                await session.bot.cleanup();
-                activeSessions.delete(sessionId);
-            } catch (e) {
-                logger.warn(`Failed to cleanup session ${sessionId}:`, e.message);
-            }
-        }, 5000); // Give some time for any follow-up requests
+/**
+ * POST /api/v1/booking/:bookingId/modify
+ * Change the dates or guest details of a submitted booking with the hut (microgramm only)
+ * Body: any of arrivalDate + departureDate (together), guestName, email, phone, country
+ */
+router.post('/:bookingId/modify', requireAuth, async (req, res) => {
+    const id = parseBookingId(req, res);
+    if (id === null) return;
+
+    try {
+        logger.info(`Modifying booking ${id}`, { fields: Object.keys(req.body || {}) });
+
+        const result = await bookingSessionManager.modifyBooking(id, req.body);
+        if (!result) {
+            return bookingNotFound(res, id);
+        }
 
         res.json({
             success: result.success,
-            data: {
-                sessionId,
-                submitted: result.success,
-                message: result.message,
-                bookingParams: session.bookingParams
-            },
-            message: result.success ? 'Booking submitted successfully!' : 'Booking submission failed'
+            data: result.booking ? formatBooking(result.booking) : null,
+            message: result.success ? 'Booking modified' : `The hut refused the change: ${result.message}`
         });
 
     } catch (error) {
-        logger.error(`Booking submission failed for session ${sessionId}:`, error);
+        logger.error(`Modifying booking ${id} failed:`, error);
+        sendSessionError(res, error, 'Booking modification failed');
+    }
+});
 
-        res.status(500).json({
-            success: false,
-            error: 'Booking submission failed',
-            message: error.message,
-            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+/**
+ * POST /api/v1/booking/session/:sessionId/redrive
+ * Fill in the form again from the stored parameters (failed, expired or browser gone)
+ */
+router.post('/session/:sessionId/redrive', async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const session = await bookingSessionManager.get(sessionId);
+        if (!session) {
+            return sessionNotFound(res);
+        }
+
+        const result = await bookingQueue.enqueue(session.params, { provider: session.provider, sessionId });
+
+        res.json({
+            success: true,
+            data: result,
+            message: 'Booking form filled again. Use /submit endpoint to complete the booking.'
         });
+
+    } catch (error) {
+        logger.error(`Re-driving booking session ${sessionId} failed:`, error);
+        sendSessionError(res, error, 'Booking re-drive failed');
     }
 });
 
+/**
+ * GET /api/v1/booking/queue
+ * Booking requests being verified or prepared and those waiting
+ */
+router.get('/queue', (req, res) => {
+    res.json({
+        success: true,
+        data: bookingQueue.getStatus()
+    });
+});
+
+/**
+ * GET /api/v1/booking/captcha/metrics
+ * How often each captcha strategy solved the captcha since the server started
+ */
+router.get('/captcha/metrics', (req, res) => {
+    res.json({
+        success: true,
+        data: CaptchaSolver.getMetrics()
+    });
+});
+
 /**
  * GET /api/v1/booking/status/:sessionId
  * Get booking session status
@@ -192,30 +349,14 @@ router.get('/status/:sessionId', async (req, res) => {
     const { sessionId } = req.params;
 
     try {
-        const session = activeSessions.get(sessionId);
+        const session = await bookingSessionManager.get(sessionId);
         if (!session) {
-            return res.status(404).json({
-                success: false,
-                error: 'Session not found',
-                message: 'Invalid session ID or session has expired'
-            });
+            return sessionNotFound(res);
         }
 
-        const bookingData = session.bot.getBookingData();
-
         res.json({
             success: true,
-            data: {
-                sessionId,
-                status: session.status,
-                createdAt: session.createdAt,
-                bookingParams: session.bookingParams,
-                steps: bookingData.steps,
-                errors: bookingData.errors,
-                lastActivity: bookingData.steps.length > 0
-                    ? bookingData.steps[bookingData.steps.length - 1].timestamp
-                    : session.createdAt
-            }
+            data: formatSession(session)
         });
 
     } catch (error) {
@@ -231,24 +372,32 @@ router.get('/status/:sessionId', async (req, res) => {
 
 /**
  * GET /api/v1/booking/sessions
- * List all active booking sessions
+ * List booking sessions, newest first
+ * Query: status, all=true to include submitted, expired and cancelled sessions, limit
  */
 router.get('/sessions', async (req, res) => {
     try {
-        const sessions = Array.from(activeSessions.entries()).map(([sessionId, session]) => ({
-            sessionId,
-            status: session.status,
-            createdAt: session.createdAt,
-            hutName: session.bookingParams.hutName,
-            roomType: session.bookingParams.roomType,
-            guestName: session.bookingParams.guestName
-        }));
+        const sessions = await bookingSessionManager.list({
+            status: req.query.status || null,
+            active: !req.query.status && req.query.all !== 'true',
+            limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+        });
 
         res.json({
             success: true,
             data: {
                 totalSessions: sessions.length,
-                sessions
+                sessions: sessions.map(session => ({
+                    sessionId: session.id,
+                    status: session.status,
+                    browserOpen: session.browser_open,
+                    createdAt: session.created_at,
+                    expiresAt: session.expires_at,
+                    provider: session.provider,
+                    hutName: session.hut_name,
+                    roomType: session.room_type,
+                    guestName: guestNameOf(session.params)
+                }))
             }
         });
 
@@ -264,50 +413,103 @@ router.get('/sessions', async (req, res) => {
 });
 
 /**
- * DELETE /api/v1/booking/session/:sessionId
- * Cancel and cleanup a booking session
+ * GET /api/v1/booking/bookings
+ * List submitted bookings from the ledger, newest first
+ * Query: status, hut_name, limit
  */
-router.delete('/session/:sessionId', async (req, res) => {
-    const { sessionId } = req.params;
-
+router.get('/bookings', async (req, res) => {
     try {
-        const session = activeSessions.get(sessionId);
-        if (!session) {
-            return res.status(404).json({
-                success: false,
-                error: 'Session not found',
-                message: 'Invalid session ID or session has expired'
-            });
-        }
+        const bookings = await bookingSessionManager.listBookings({
+            status: req.query.status || null,
+            hutName: req.query.hut_name || null,
+            limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+        });
 
-        // Clean up the bot
-        try {
-            await session.bot.cleanup();
-        } catch (cleanupError) {
-            logger.warn(`Failed to cleanup bot for session ${sessionId}:`, cleanupError.message);
-        }
+        res.json({
+            success: true,
+            data: {
+                totalBookings: bookings.length,
+                bookings: bookings.map(booking => ({
+                    bookingId: booking.id,
+                    provider: booking.provider,
+                    sessionId: booking.session_id,
+                    hutName: booking.hut_name,
+                    roomType: booking.room_type,
+                    confirmationNumber: booking.confirmation_number,
+                    status: booking.status,
+                    guestName: guestNameOf(booking.params),
+                    arrivalDate: booking.params.arrivalDate,
+                    departureDate: booking.params.departureDate,
+                    createdAt: booking.created_at
+                }))
+            }
+        });
 
-        // Remove from active sessions
-        activeSessions.delete(sessionId);
+    } catch (error) {
+        logger.error('Failed to list bookings:', error);
 
-        logger.info(`Booking session ${sessionId} cancelled and cleaned up`);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list bookings',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/v1/booking/bookings/:bookingId
+ * Get a submitted booking with its history of submission, cancellation and modifications
+ */
+router.get('/bookings/:bookingId', async (req, res) => {
+    const id = parseBookingId(req, res);
+    if (id === null) return;
+
+    try {
+        const booking = await bookingSessionManager.getBooking(id);
+        if (!booking) {
+            return bookingNotFound(res, id);
+        }
 
         res.json({
             success: true,
-            message: 'Booking session cancelled successfully'
+            data: formatBooking(booking)
         });
 
     } catch (error) {
-        logger.error(`Failed to cancel booking session ${sessionId}:`, error);
+        logger.error(`Failed to get booking ${id}:`, error);
 
         res.status(500).json({
             success: false,
-            error: 'Failed to cancel booking session',
+            error: 'Failed to get booking',
             message: error.message
         });
     }
 });
 
+/**
+ * DELETE /api/v1/booking/session/:sessionId
+ * Cancel a booking session and close its browser
+ */
+router.delete('/session/:sessionId', async (req, res) => {
+    const { sessionId } = req.params;
+
+    try {
+        const session = await bookingSessionManager.cancel(sessionId);
+        if (!session) {
+            return sessionNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Booking session cancelled successfully'
+        });
+
+    } catch (error) {
+        logger.error(`Failed to cancel booking session ${sessionId}:`, error);
+        sendSessionError(res, error, 'Failed to cancel booking session');
+    }
+});
+
 /**
  * POST /api/v1/booking/test-captcha
  * Test captcha solving (development only)
@@ -341,6 +543,7 @@ router.post('/test-captcha', async (req, res) => {
             data: {
                 captchaSolved: captchaResult !== null,
                 answer: captchaResult,
+                strategy: bookingBot.captchaSolver.lastResult && bookingBot.captchaSolver.lastResult.strategy,
                 message: captchaResult !== null
                     ? `Captcha solved with answer: ${captchaResult}`
                     : 'No captcha found or failed to solve'
@@ -364,24 +567,4 @@ router.post('/test-captcha', async (req, res) => {
     }
 });
 
-// Clean up old sessions periodically
-setInterval(() => {
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    let cleanedCount = 0;
-
-    for (const [sessionId, session] of activeSessions) {
-        if (session.createdAt < oneHourAgo) {
-            session.bot.cleanup().catch(e =>
-                logger.warn(`Failed to cleanup expired session ${sessionId}:`, e.message)
-            );
-            activeSessions.delete(sessionId);
-            cleanedCount++;
-        }
-    }
-
-    if (cleanedCount > 0) {
-        logger.info(`Cleaned up ${cleanedCount} expired booking sessions`);
-    }
-}, 15 * 60 * 1000); // Check every 15 minutes
-
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,7 @@
 const express = require('express');
 const database = require('../../services/database');
+const browserPool = require('../../services/browserPool');
+const requestGovernor = require('../../services/requestGovernor');
 const router = express.Router();
 
 router.get('/', async (req, res) => {
@@ -126,6 +128,8 @@ router.get('/metrics', async (req, res) => {
                 lastRuns: lastScrapingRuns
             },
             database: database.getHealthStatus(),
+            browserPool: browserPool.getMetrics(),
+            requestGovernor: requestGovernor.getMetrics(),
             system: {
                 uptime: process.uptime(),
                 memory: process.memoryUsage(),
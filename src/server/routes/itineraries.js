@@ -0,0 +1,49 @@
+const express = require('express');
+const itineraryPlanner = require('../../services/itineraryPlanner');
+const router = express.Router();
+
+// POST /api/v1/itineraries/plan - Find start dates for a hut-to-hut trek
+router.post('/plan', async (req, res) => {
+    try {
+        const {
+            stages = null, // ["Hut A", { huts: ["Hut B", "Hut C"], nights: 2 }, 42]
+            start_date_from = null,
+            start_date_to = null,
+            party_size = null
+        } = req.body || {};
+
+        const plan = await itineraryPlanner.plan({
+            stages,
+            startDateFrom: start_date_from,
+            startDateTo: start_date_to,
+            partySize: parseInt(party_size)
+        });
+
+        res.json({
+            request: {
+                stages: plan.stages,
+                start_date_from,
+                start_date_to: start_date_to || start_date_from,
+                party_size: parseInt(party_size)
+            },
+            itineraries: plan.itineraries,
+            total_itineraries: plan.itineraries.length,
+            checked_start_dates: plan.checkedStartDates
+        });
+
+    } catch (error) {
+        if (error instanceof itineraryPlanner.ValidationError) {
+            return res.status(400).json({
+                error: 'Invalid itinerary request',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            error: 'Failed to plan itinerary',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
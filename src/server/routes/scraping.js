@@ -1,38 +1,33 @@
 const express = require('express');
 const scheduler = require('../jobs/scheduler');
 const database = require('../../services/database');
+const scrapeQueue = require('../../services/scrapeQueue');
+const DateWindow = require('../../services/dateWindow');
+const requireAuth = require('../middleware/auth');
 const router = express.Router();
 
-// Middleware for API key authentication (optional)
-const requireAuth = (req, res, next) => {
-    const apiKey = process.env.API_KEY;
-    
-    if (apiKey) {
-        const providedKey = req.headers['x-api-key'] || req.query.api_key;
-        
-        if (!providedKey || providedKey !== apiKey) {
-            return res.status(401).json({
-                error: 'Authentication required',
-                message: 'Valid API key required'
-            });
-        }
-    }
-    
-    next();
-};
-
-// GET /api/v1/scraping/status - Get scraping status
+// GET /api/v1/scraping/status - Get scraping status and per-item queue progress
 router.get('/status', async (req, res) => {
     try {
         const detailed = req.query.detailed === 'true';
-        
-        if (detailed) {
-            const status = await scheduler.getDetailedStatus();
-            res.json(status);
-        } else {
-            const status = scheduler.getJobStatus();
-            res.json(status);
+        const jobId = req.query.jobId ? parseInt(req.query.jobId) : null;
+
+        const status = detailed
+            ? await scheduler.getDetailedStatus()
+            : scheduler.getJobStatus();
+
+        // Progress of the requested (or most recent) scrape queue job
+        const job = jobId ? { id: jobId } : await scrapeQueue.getLatestJob();
+        status.queue = job ? await scrapeQueue.getJobProgress(job.id) : null;
+
+        if (jobId && !status.queue) {
+            return res.status(404).json({
+                error: 'Scrape job not found',
+                message: `No scrape job with ID ${jobId}`
+            });
         }
+
+        res.json(status);
     } catch (error) {
         res.status(500).json({
             error: 'Failed to get scraping status',
@@ -47,6 +42,9 @@ router.post('/trigger', requireAuth, async (req, res) => {
         const {
             testMode = false,
             targetHuts = null,
+            from = null,
+            months = null,
+            days = null,
             maxConcurrency = null,
             delayBetweenHuts = null,
             delayBetweenRooms = null,
@@ -61,9 +59,22 @@ router.post('/trigger', requireAuth, async (req, res) => {
             });
         }
 
+        // Validate date window if provided
+        if (from || months || days) {
+            try {
+                new DateWindow({ from, months, days });
+            } catch (error) {
+                return res.status(400).json({
+                    error: 'Invalid date window',
+                    message: error.message
+                });
+            }
+        }
+
         const options = {
             testMode,
             targetHuts,
+            ...((from || months || days) && { dateWindow: { from, months, days } }),
             ...(maxConcurrency && { maxConcurrency: parseInt(maxConcurrency) }),
             ...(delayBetweenHuts && { delayBetweenHuts: parseInt(delayBetweenHuts) }),
             ...(delayBetweenRooms && { delayBetweenRooms: parseInt(delayBetweenRooms) }),
@@ -0,0 +1,125 @@
+const express = require('express');
+const waitlistService = require('../../services/waitlistService');
+const requireAuth = require('../middleware/auth');
+const router = express.Router();
+
+const parseEntryId = (req, res) => {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id) || id < 1) {
+        res.status(400).json({
+            error: 'Invalid waitlist entry ID',
+            message: 'Waitlist entry ID must be a positive integer'
+        });
+        return null;
+    }
+
+    return id;
+};
+
+const sendError = (res, error, fallback) => {
+    if (error instanceof waitlistService.ValidationError) {
+        return res.status(400).json({
+            error: 'Invalid waitlist entry',
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        error: fallback,
+        message: error.message
+    });
+};
+
+const entryNotFound = (res, id) => res.status(404).json({
+    error: 'Waitlist entry not found',
+    message: `No waitlist entry with ID ${id}`
+});
+
+// GET /api/v1/waitlist - List entries in waitlist order
+router.get('/', async (req, res) => {
+    try {
+        const { status = null, hut_name = null } = req.query;
+
+        const entries = await waitlistService.listEntries({ status, hutName: hut_name });
+
+        res.json({
+            entries,
+            total: entries.length
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to list waitlist entries');
+    }
+});
+
+// POST /api/v1/waitlist - Join the waitlist with the body of POST /api/v1/booking/create plus deadline, channel, target
+router.post('/', requireAuth, async (req, res) => {
+    try {
+        const entry = await waitlistService.createEntry(req.body || {});
+        res.status(201).json({ entry });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create waitlist entry');
+    }
+});
+
+// POST /api/v1/waitlist/check - Try to prepare waiting entries against the stored availability now
+router.post('/check', requireAuth, async (req, res) => {
+    try {
+        const summary = await waitlistService.checkWaitlist();
+        if (!summary) {
+            return res.status(409).json({
+                error: 'Waitlist check already running',
+                message: 'Try again when the current check has finished'
+            });
+        }
+
+        res.json({ summary });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to check waitlist');
+    }
+});
+
+// GET /api/v1/waitlist/:id - Get an entry (session_id is set once it is prepared)
+router.get('/:id', async (req, res) => {
+    try {
+        const id = parseEntryId(req, res);
+        if (id === null) return;
+
+        const entry = await waitlistService.getEntry(id);
+        if (!entry) {
+            return entryNotFound(res, id);
+        }
+
+        res.json({ entry });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to get waitlist entry');
+    }
+});
+
+// DELETE /api/v1/waitlist/:id - Leave the waitlist (only while waiting)
+router.delete('/:id', requireAuth, async (req, res) => {
+    try {
+        const id = parseEntryId(req, res);
+        if (id === null) return;
+
+        const entry = await waitlistService.cancelEntry(id);
+        if (!entry) {
+            return entryNotFound(res, id);
+        }
+
+        res.json({
+            success: true,
+            entry,
+            message: `Waitlist entry ${id} cancelled`
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel waitlist entry');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const watchService = require('../../services/watchService');
+const requireAuth = require('../middleware/auth');
+const router = express.Router();
+
+const parseWatchId = (req, res) => {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id) || id < 1) {
+        res.status(400).json({
+            error: 'Invalid watch ID',
+            message: 'Watch ID must be a positive integer'
+        });
+        return null;
+    }
+
+    return id;
+};
+
+const sendError = (res, error, fallback) => {
+    if (error instanceof watchService.ValidationError) {
+        return res.status(400).json({
+            error: 'Invalid watch',
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        error: fallback,
+        message: error.message
+    });
+};
+
+// GET /api/v1/watches - List watches
+router.get('/', async (req, res) => {
+    try {
+        const { active = null, property_id = null } = req.query;
+
+        const watches = await watchService.listWatches({
+            active: active === null ? null : active === 'true',
+            propertyId: property_id ? parseInt(property_id) : null
+        });
+
+        res.json({
+            watches,
+            total: watches.length
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to list watches');
+    }
+});
+
+// POST /api/v1/watches - Create a watch
+router.post('/', requireAuth, async (req, res) => {
+    try {
+        const watch = await watchService.createWatch(req.body || {});
+        res.status(201).json({ watch });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create watch');
+    }
+});
+
+// POST /api/v1/watches/check - Check all active watches against the stored availability now
+router.post('/check', requireAuth, async (req, res) => {
+    try {
+        const summary = await watchService.checkWatches();
+        res.json({ summary });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to check watches');
+    }
+});
+
+// GET /api/v1/watches/:id - Get a watch with its sent notifications
+router.get('/:id', async (req, res) => {
+    try {
+        const id = parseWatchId(req, res);
+        if (id === null) return;
+
+        const watch = await watchService.getWatch(id);
+        if (!watch) {
+            return res.status(404).json({
+                error: 'Watch not found',
+                message: `No watch with ID ${id}`
+            });
+        }
+
+        res.json({
+            watch,
+            notifications: await watchService.getNotifications(id)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to get watch');
+    }
+});
+
+// PATCH /api/v1/watches/:id - Update a watch (e.g. { "is_active": false } to pause it)
+router.patch('/:id', requireAuth, async (req, res) => {
+    try {
+        const id = parseWatchId(req, res);
+        if (id === null) return;
+
+        const watch = await watchService.updateWatch(id, req.body || {});
+        if (!watch) {
+            return res.status(404).json({
+                error: 'Watch not found',
+                message: `No watch with ID ${id}`
+            });
+        }
+
+        res.json({ watch });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to update watch');
+    }
+});
+
+// DELETE /api/v1/watches/:id - Delete a watch and its notification history
+router.delete('/:id', requireAuth, async (req, res) => {
+    try {
+        const id = parseWatchId(req, res);
+        if (id === null) return;
+
+        if (!await watchService.deleteWatch(id)) {
+            return res.status(404).json({
+                error: 'Watch not found',
+                message: `No watch with ID ${id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Watch ${id} deleted`
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to delete watch');
+    }
+});
+
+module.exports = router;
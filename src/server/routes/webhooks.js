@@ -0,0 +1,154 @@
+const express = require('express');
+const webhookDispatcher = require('../../services/webhookDispatcher');
+const requireAuth = require('../middleware/auth');
+const router = express.Router();
+
+const parseWebhookId = (req, res) => {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id) || id < 1) {
+        res.status(400).json({
+            error: 'Invalid webhook ID',
+            message: 'Webhook ID must be a positive integer'
+        });
+        return null;
+    }
+
+    return id;
+};
+
+const sendError = (res, error, fallback) => {
+    if (error instanceof webhookDispatcher.ValidationError) {
+        return res.status(400).json({
+            error: 'Invalid webhook',
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        error: fallback,
+        message: error.message
+    });
+};
+
+const sendNotFound = (res, id) => {
+    res.status(404).json({
+        error: 'Webhook not found',
+        message: `No webhook with ID ${id}`
+    });
+};
+
+// GET /api/v1/webhooks - List registered webhooks (secrets are never listed)
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const webhooks = await webhookDispatcher.listWebhooks();
+
+        res.json({
+            webhooks,
+            total: webhooks.length,
+            available_events: webhookDispatcher.getEventTypes()
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to list webhooks');
+    }
+});
+
+// POST /api/v1/webhooks - Register a webhook; the response contains the signing secret
+router.post('/', requireAuth, async (req, res) => {
+    try {
+        const { url, events, secret = null, description = null } = req.body || {};
+
+        const webhook = await webhookDispatcher.registerWebhook({ url, events, secret, description });
+        res.status(201).json({ webhook });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to register webhook');
+    }
+});
+
+// GET /api/v1/webhooks/:id - Get a webhook with its latest deliveries
+router.get('/:id', requireAuth, async (req, res) => {
+    try {
+        const id = parseWebhookId(req, res);
+        if (id === null) return;
+
+        const webhook = await webhookDispatcher.getWebhook(id);
+        if (!webhook) {
+            return sendNotFound(res, id);
+        }
+
+        res.json({
+            webhook,
+            deliveries: await webhookDispatcher.getDeliveries(id, { limit: 20 })
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to get webhook');
+    }
+});
+
+// GET /api/v1/webhooks/:id/deliveries - Delivery log (?status=pending|delivered|failed&limit=50)
+router.get('/:id/deliveries', requireAuth, async (req, res) => {
+    try {
+        const id = parseWebhookId(req, res);
+        if (id === null) return;
+
+        if (!await webhookDispatcher.getWebhook(id)) {
+            return sendNotFound(res, id);
+        }
+
+        const deliveries = await webhookDispatcher.getDeliveries(id, {
+            status: req.query.status || null,
+            limit: Math.min(parseInt(req.query.limit) || 50, 500)
+        });
+
+        res.json({
+            deliveries,
+            total: deliveries.length
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to get webhook deliveries');
+    }
+});
+
+// PATCH /api/v1/webhooks/:id - Update url, events, description, is_active or rotate the secret
+router.patch('/:id', requireAuth, async (req, res) => {
+    try {
+        const id = parseWebhookId(req, res);
+        if (id === null) return;
+
+        const webhook = await webhookDispatcher.updateWebhook(id, req.body || {});
+        if (!webhook) {
+            return sendNotFound(res, id);
+        }
+
+        res.json({ webhook });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to update webhook');
+    }
+});
+
+// DELETE /api/v1/webhooks/:id - Delete a webhook and its delivery log
+router.delete('/:id', requireAuth, async (req, res) => {
+    try {
+        const id = parseWebhookId(req, res);
+        if (id === null) return;
+
+        if (!await webhookDispatcher.deleteWebhook(id)) {
+            return sendNotFound(res, id);
+        }
+
+        res.json({
+            success: true,
+            message: `Webhook ${id} deleted`
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to delete webhook');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+/**
+ * Availability Diff Service
+ *
+ * Compares the stored availability of a room type with a fresh scrape and
+ * describes what changed as availability events:
+ *
+ *   opened       - date was not bookable before and is now
+ *   closed       - date was bookable before and no longer is
+ *   beds_changed - date stayed bookable but the free bed count changed
+ *
+ * Both sides are lists of available dates only (the shape kept in available_dates),
+ * so a date missing from a side means "not bookable" there.
+ */
+
+const EVENT_TYPES = ['opened', 'closed', 'beds_changed'];
+
+class AvailabilityDiff {
+  /**
+   * Diff stored against scraped availability
+   * @param {Array<Object>} previous - Stored rows { date, can_checkin, can_checkout, free_beds? }
+   * @param {Array<Object>} next - Scraped rows in the same shape
+   * @returns {Array<Object>} Events { date, event_type, old_free_beds, new_free_beds, can_checkin, can_checkout }
+   */
+  static compute(previous, next) {
+    const before = AvailabilityDiff.indexByDate(previous);
+    const after = AvailabilityDiff.indexByDate(next);
+    const events = [];
+
+    after.forEach((entry, date) => {
+      const old = before.get(date);
+
+      if (!old) {
+        events.push(AvailabilityDiff.createEvent(date, 'opened', null, entry));
+      } else if (
+        old.free_beds != null &&
+        entry.free_beds != null &&
+        old.free_beds !== entry.free_beds
+      ) {
+        events.push(AvailabilityDiff.createEvent(date, 'beds_changed', old, entry));
+      }
+    });
+
+    before.forEach((old, date) => {
+      if (!after.has(date)) {
+        events.push(AvailabilityDiff.createEvent(date, 'closed', old, null));
+      }
+    });
+
+    return events.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  static createEvent(date, eventType, old, entry) {
+    return {
+      date,
+      event_type: eventType,
+      old_free_beds: old && old.free_beds != null ? old.free_beds : null,
+      new_free_beds: entry && entry.free_beds != null ? entry.free_beds : null,
+      can_checkin: entry ? entry.can_checkin !== false : null,
+      can_checkout: entry ? entry.can_checkout !== false : null
+    };
+  }
+
+  /**
+   * Index rows by ISO date; accepts plain date strings (legacy format) as well
+   * @param {Array<Object|string>} rows - Availability rows
+   * @returns {Map<string, Object>} Rows keyed by YYYY-MM-DD
+   */
+  static indexByDate(rows) {
+    const index = new Map();
+
+    (rows || []).forEach(row => {
+      const entry = typeof row === 'string' ? { date: row } : row;
+      const date = entry.date instanceof Date
+        ? AvailabilityDiff.toISODate(entry.date)
+        : String(entry.date).split('T')[0];
+
+      index.set(date, { ...entry, date });
+    });
+
+    return index;
+  }
+
+  static toISODate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  static getEventTypes() {
+    return [...EVENT_TYPES];
+  }
+}
+
+module.exports = AvailabilityDiff;
@@ -0,0 +1,238 @@
+const database = require('./database');
+const DateWindow = require('./dateWindow');
+const logger = require('./logger');
+const ValidationError = require('./validationError');
+
+/**
+ * Booking Ledger
+ *
+ * Postgres record of every booking a hut accepted. A row links our booking ID to
+ * the booking session it was submitted from and the hut's confirmation number, and
+ * keeps a history of what was done with the booking since: the submission and every
+ * cancellation or modification, each with the bot's step and error log. Guest
+ * details in the parameters are a guest reference (see guestVault.js).
+ *
+ * Status: confirmed -> cancelling -> cancelled
+ *         confirmed -> modifying -> confirmed
+ *         change_unknown when a change failed (or a restart interrupted it) after the
+ *         change was sent to the hut - check with the hut before trying again
+ */
+
+const BOOKING_COLUMNS = `
+    id, provider, session_id, hut_name, room_type, confirmation_number, status,
+    params, history, created_at, updated_at, cancelled_at
+`;
+
+// Guest details a modification may change; dates are changed together
+const MODIFIABLE_FIELDS = ['arrivalDate', 'departureDate', 'guestName', 'email', 'phone', 'country'];
+
+class BookingLedger {
+    /**
+     * Record a submitted booking
+     * @param {Object} booking - { session, result, steps, errors }; session is the booking_sessions row
+     *   and result what the bot's submitBooking returned
+     * @returns {Promise<Object>} Booking row
+     */
+    async record({ session, result, steps = [], errors = [] }) {
+        const entry = this.historyEntry('submitted', session.id, result, { steps, errors });
+
+        const id = await database.transaction(async (client) => {
+            await client.query('LOCK TABLE availability.bookings IN SHARE ROW EXCLUSIVE MODE');
+            const idResult = await client.query('SELECT COALESCE(MAX(id), 0) + 1 as next_id FROM availability.bookings');
+            const bookingId = idResult.rows[0].next_id;
+
+            await client.query(`
+                INSERT INTO availability.bookings (
+                    id, provider, session_id, hut_name, room_type, confirmation_number, status,
+                    params, history, created_at, updated_at
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, 'confirmed', $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP);
+            `, [
+                bookingId, session.provider, session.id, session.hut_name, session.room_type,
+                result.reservationNumber || null, JSON.stringify(session.params), JSON.stringify([entry])
+            ]);
+
+            return bookingId;
+        });
+
+        logger.info(`Recorded booking ${id}`, {
+            sessionId: session.id,
+            hutName: session.hut_name,
+            confirmationNumber: result.reservationNumber || null
+        });
+        return this.get(id);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Booking row or null
+     */
+    async get(id) {
+        const result = await database.query(
+            `SELECT ${BOOKING_COLUMNS} FROM availability.bookings WHERE id = $1`,
+            [id]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * List bookings, newest first
+     * @param {Object} filters - { status, hutName, limit }
+     */
+    async list({ status = null, hutName = null, limit = 100 } = {}) {
+        const params = [limit];
+        let query = `SELECT ${BOOKING_COLUMNS} FROM availability.bookings WHERE 1 = 1`;
+
+        if (status) {
+            params.push(status);
+            query += ` AND status = $${params.length}`;
+        }
+
+        if (hutName) {
+            params.push(hutName);
+            query += ` AND hut_name = $${params.length}`;
+        }
+
+        query += ' ORDER BY created_at DESC, id DESC LIMIT $1';
+
+        const result = await database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Move a booking from one status to another if nobody else did first
+     * @returns {Promise<Object|null>} Updated row, or null if the booking was not in fromStatuses
+     */
+    async transition(id, fromStatuses, toStatus) {
+        const result = await database.query(`
+            UPDATE availability.bookings
+            SET status = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = ANY($2)
+            RETURNING ${BOOKING_COLUMNS};
+        `, [id, fromStatuses, toStatus]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Store the outcome of a cancellation or modification
+     * @param {number} id - Booking ID
+     * @param {Object} outcome - { status, entry, params? }; entry is appended to the history,
+     *   params replace the stored booking parameters
+     * @returns {Promise<Object>} Updated row
+     */
+    async finishChange(id, { status, entry, params = null }) {
+        const result = await database.query(`
+            UPDATE availability.bookings
+            SET status = $2,
+                history = history || $3::jsonb,
+                params = COALESCE($4, params),
+                cancelled_at = CASE WHEN $2 = 'cancelled' THEN CURRENT_TIMESTAMP ELSE cancelled_at END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING ${BOOKING_COLUMNS};
+        `, [id, status, JSON.stringify([entry]), params ? JSON.stringify(params) : null]);
+        return result.rows[0];
+    }
+
+    /**
+     * Settle changes a previous process left half-way - they may or may not have reached the hut
+     * @returns {Promise<number>} Number of bookings settled
+     */
+    async recoverInterrupted() {
+        const result = await database.query(`
+            UPDATE availability.bookings
+            SET status = 'change_unknown',
+                history = history || jsonb_build_array(jsonb_build_object(
+                    'at', to_char(CURRENT_TIMESTAMP AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS"Z"'),
+                    'action', 'server_restart',
+                    'success', false,
+                    'message', 'Server restarted while the booking was being ' ||
+                        CASE WHEN status = 'cancelling' THEN 'cancelled' ELSE 'modified' END ||
+                        ' - check with the hut before trying again'
+                )),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE status IN ('cancelling', 'modifying');
+        `);
+        return result.rowCount;
+    }
+
+    /**
+     * History entry for one action on a booking; guest details in the message and logs are redacted
+     * @param {string} action - submitted, cancel or modify
+     * @param {string} sessionId - Session ID of the bot that did it
+     * @param {Object|null} result - { success, message } from the bot, null if it threw
+     * @param {Object} log - { steps, errors, changes?, error? }
+     */
+    historyEntry(action, sessionId, result, { steps = [], errors = [], changes, error } = {}) {
+        return {
+            at: new Date().toISOString(),
+            action,
+            session_id: sessionId,
+            success: Boolean(result && result.success),
+            message: logger.redact(result ? result.message : error),
+            changes,
+            steps: logger.redact(steps),
+            errors: logger.redact(errors)
+        };
+    }
+
+    /**
+     * Validate the changes of a modification
+     * @param {Object} changes - Any of MODIFIABLE_FIELDS
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    validateChanges(changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            return ['Request body must be an object of changes'];
+        }
+
+        const fields = Object.keys(changes);
+        const errors = fields
+            .filter(field => !MODIFIABLE_FIELDS.includes(field))
+            .map(field => `${field} cannot be changed (allowed: ${MODIFIABLE_FIELDS.join(', ')})`);
+
+        if (fields.length === 0) {
+            errors.push(`Send at least one of: ${MODIFIABLE_FIELDS.join(', ')}`);
+        }
+
+        for (const field of ['guestName', 'country', 'phone']) {
+            if (field in changes && (!changes[field] || typeof changes[field] !== 'string')) {
+                errors.push(`${field} must be a non-empty string`);
+            }
+        }
+
+        if ('email' in changes && (typeof changes.email !== 'string' || !changes.email.includes('@'))) {
+            errors.push('email must be a valid email address');
+        }
+
+        if ('arrivalDate' in changes || 'departureDate' in changes) {
+            errors.push(...this.validateDates(changes.arrivalDate, changes.departureDate));
+        }
+
+        return errors;
+    }
+
+    validateDates(arrivalDate, departureDate) {
+        if (arrivalDate === undefined || departureDate === undefined) {
+            return ['arrivalDate and departureDate must be changed together'];
+        }
+
+        const [arrival, departure] = [arrivalDate, departureDate].map(DateWindow.parseDate);
+        if (!arrival || !departure) {
+            return ['arrivalDate and departureDate must be dates (YYYY-MM-DD or DD.MM.YYYY)'];
+        }
+
+        const today = new DateWindow({ days: 1 }).getDateRange().minDate;
+        if (DateWindow.toISODate(arrival) < today) {
+            return [`Arrival ${DateWindow.toISODate(arrival)} is in the past`];
+        }
+        if (DateWindow.toISODate(departure) <= DateWindow.toISODate(arrival)) {
+            return ['Departure must be after arrival'];
+        }
+
+        return [];
+    }
+}
+
+module.exports = new BookingLedger();
+module.exports.ValidationError = ValidationError;
+module.exports.MODIFIABLE_FIELDS = MODIFIABLE_FIELDS;
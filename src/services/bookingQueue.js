@@ -0,0 +1,489 @@
+const ScrapeOrchestrator = require('../core/ScrapeOrchestrator');
+const MicrogrammBookingBot = require('../MicrogrammBookingBot');
+const bookingSessionManager = require('./bookingSessionManager');
+const database = require('./database');
+const scrapeQueue = require('./scrapeQueue');
+const DateWindow = require('./dateWindow');
+const logger = require('./logger');
+
+/**
+ * Booking Queue
+ *
+ * Sits in front of the booking bot: every request is checked against the stored
+ * availability of the requested hut, room type and nights before a browser is
+ * opened, with a fresh scrape of just the months of the stay. Requests that pass
+ * are prepared with at most BOOKING_QUEUE_CONCURRENCY running at once; the rest wait
+ * in line. Requests that cannot be booked are rejected with a BookingRejectedError
+ * whose reason is one of REJECTION_REASONS.
+ *
+ * Request status: queued -> verifying -> booking
+ */
+
+const REJECTION_REASONS = [
+    'invalid_dates',         // Dates unreadable, in the past or departure not after arrival
+    'unknown_hut',           // No active property with this name
+    'unknown_room_type',     // The hut has no active room type with this name
+    'not_available',         // At least one night is sold out
+    'check_in_restricted',   // Rooms are free but nobody may arrive on the arrival date
+    'check_out_restricted',  // Rooms are free but nobody may leave on the departure date
+    'stale_data',            // The stay could not be scraped and stored data is too old to trust
+    'queue_full'             // Too many requests waiting
+];
+
+// Rooms (unit[] rows) one Microgramm booking can hold
+const MAX_ROOM_UNITS = 10;
+
+class BookingRejectedError extends Error {
+    constructor(reason, message, details = {}) {
+        super(message);
+        this.name = 'BookingRejectedError';
+        this.reason = reason;
+        this.details = details;
+    }
+}
+
+class BookingQueue {
+    constructor() {
+        this.concurrency = parseInt(process.env.BOOKING_QUEUE_CONCURRENCY) || 2;
+        this.maxPending = parseInt(process.env.BOOKING_QUEUE_MAX_PENDING) || 20;
+        this.maxDataAgeMs = parseInt(process.env.BOOKING_MAX_DATA_AGE_MS) || 21600000;
+        this.freshScrape = process.env.BOOKING_PREFLIGHT_SCRAPE !== 'false';
+
+        this.pending = [];
+        this.running = new Map();
+        this.nextRequestNumber = 1;
+    }
+
+    /**
+     * Queue a booking request; resolves once the form is filled in
+     * @param {Object} params - Booking parameters (see MicrogrammBookingBot.makeBooking)
+     * @param {Object} [options] - { provider, sessionId, freshScrape } - sessionId re-drives a stored session instead
+     *   of starting a new one; freshScrape: false skips the scrape of the stay and trusts recent stored data
+     * @returns {Promise<Object>} Bot result with the pre-flight verification as `preflight`
+     */
+    enqueue(params, { provider = 'microgramm', sessionId = null, freshScrape = this.freshScrape } = {}) {
+        if (this.pending.length >= this.maxPending) {
+            return Promise.reject(new BookingRejectedError(
+                'queue_full',
+                `${this.pending.length} booking requests are already waiting - try again later`,
+                { pending: this.pending.length }
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pending.push({
+                id: `request_${this.nextRequestNumber++}`,
+                params,
+                provider,
+                sessionId,
+                freshScrape,
+                status: 'queued',
+                enqueuedAt: new Date(),
+                resolve,
+                reject
+            });
+            this.drain();
+        });
+    }
+
+    /**
+     * Start queued requests while there is room
+     */
+    drain() {
+        while (this.running.size < this.concurrency && this.pending.length > 0) {
+            const request = this.pending.shift();
+            this.running.set(request.id, request);
+
+            this.process(request).finally(() => {
+                this.running.delete(request.id);
+                this.drain();
+            });
+        }
+    }
+
+    async process(request) {
+        try {
+            request.status = 'verifying';
+            const preflight = await this.verify(request.params, request.provider, { freshScrape: request.freshScrape });
+
+            request.status = 'booking';
+            const result = request.sessionId
+                ? await bookingSessionManager.redrive(request.sessionId)
+                : await bookingSessionManager.prepare(request.params, request.provider);
+
+            request.resolve(result && { ...result, preflight });
+        } catch (caught) {
+            let error = caught;
+
+            // Bots that check availability themselves flag an unbookable stay with error.reason
+            if (error.reason && !(error instanceof BookingRejectedError)) {
+                error = Object.assign(new BookingRejectedError(error.reason, error.message, error.details), {
+                    sessionId: error.sessionId
+                });
+            }
+
+            if (error instanceof BookingRejectedError) {
+                logger.info(`Booking request rejected: ${error.reason}`, {
+                    hutName: request.params.hutName,
+                    roomType: request.params.roomType,
+                    rooms: request.params.rooms,
+                    arrivalDate: request.params.arrivalDate,
+                    departureDate: request.params.departureDate,
+                    details: error.details
+                });
+            }
+            request.reject(error);
+        }
+    }
+
+    /**
+     * Check the fields of a booking request
+     * @param {Object} body - Booking parameters plus `provider` (microgramm or hutreservation)
+     * @returns {Array<string>} Validation errors, empty when the request is complete
+     */
+    validateRequest(body) {
+        const { provider = 'microgramm', hutName, roomType, rooms, hutId, bedCategory, partySize } = body;
+        const { arrivalDate, departureDate, guestName, country, email, phone } = body;
+
+        const errors = [];
+
+        if (!bookingSessionManager.BOOKING_PROVIDERS.includes(provider)) {
+            errors.push(`provider must be one of: ${bookingSessionManager.BOOKING_PROVIDERS.join(', ')}`);
+        }
+
+        if (provider === 'hutreservation') {
+            if (!Number.isInteger(hutId) || hutId < 1) {
+                errors.push('hutId is required and must be a hut-reservation.org hut ID');
+            }
+
+            if (bedCategory === undefined || bedCategory === null || bedCategory === '') {
+                errors.push('bedCategory is required (bed category ID or label)');
+            }
+
+            if (!Number.isInteger(partySize) || partySize < 1) {
+                errors.push('partySize is required and must be a positive integer');
+            }
+
+            if (rooms !== undefined) {
+                errors.push('rooms is only supported for microgramm bookings');
+            }
+        } else {
+            if (!hutName || typeof hutName !== 'string') {
+                errors.push('hutName is required and must be a string');
+            }
+
+            if (rooms !== undefined) {
+                errors.push(...this.validateRoomLines(rooms, roomType));
+            } else if (!roomType || typeof roomType !== 'string') {
+                errors.push('roomType is required and must be a string');
+            }
+        }
+
+        if (!arrivalDate || typeof arrivalDate !== 'string') {
+            errors.push('arrivalDate is required and must be a string (YYYY-MM-DD or DD.MM.YYYY)');
+        }
+
+        if (!departureDate || typeof departureDate !== 'string') {
+            errors.push('departureDate is required and must be a string (YYYY-MM-DD or DD.MM.YYYY)');
+        }
+
+        if (!guestName || typeof guestName !== 'string') {
+            errors.push('guestName is required and must be a string');
+        }
+
+        if (!country || typeof country !== 'string') {
+            errors.push('country is required and must be a string');
+        }
+
+        if (!email || typeof email !== 'string' || !email.includes('@')) {
+            errors.push('email is required and must be a valid email address');
+        }
+
+        if (!phone || typeof phone !== 'string') {
+            errors.push('phone is required and must be a string');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the `rooms` array of a multi-room booking
+     * @returns {Array<string>} Validation errors
+     */
+    validateRoomLines(rooms, roomType) {
+        if (roomType !== undefined) {
+            return ['Send either roomType or rooms, not both'];
+        }
+
+        if (!Array.isArray(rooms) || rooms.length === 0) {
+            return ['rooms must be a non-empty array of { roomType, quantity }'];
+        }
+
+        const errors = [];
+        let units = 0;
+
+        rooms.forEach((line, index) => {
+            if (!line || !line.roomType || typeof line.roomType !== 'string') {
+                errors.push(`rooms[${index}].roomType is required and must be a string`);
+            }
+
+            const quantity = line && line.quantity !== undefined ? line.quantity : 1;
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                errors.push(`rooms[${index}].quantity must be a positive integer`);
+            } else {
+                units += quantity;
+            }
+        });
+
+        if (units > MAX_ROOM_UNITS) {
+            errors.push(`A booking can hold at most ${MAX_ROOM_UNITS} rooms`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Queue contents without guest data
+     */
+    getStatus() {
+        const describe = (request) => ({
+            request_id: request.id,
+            provider: request.provider,
+            status: request.status,
+            session_id: request.sessionId,
+            hut_name: request.params.hutName,
+            room_type: request.params.rooms
+                ? MicrogrammBookingBot.describeRoomLines(MicrogrammBookingBot.roomLines(request.params))
+                : request.params.roomType,
+            arrival_date: request.params.arrivalDate,
+            departure_date: request.params.departureDate,
+            enqueued_at: request.enqueuedAt
+        });
+
+        return {
+            concurrency: this.concurrency,
+            max_pending: this.maxPending,
+            running: Array.from(this.running.values()).map(describe),
+            pending: this.pending.map(describe)
+        };
+    }
+
+    /**
+     * Check a booking request against stored and freshly scraped availability
+     * hut-reservation.org stays are checked live by HutReservationBookingBot against the
+     * hut's availability API, so only their dates are checked here.
+     * @param {Object} params - { hutName, roomType or rooms, arrivalDate, departureDate }
+     * @param {string} [provider] - Booking provider
+     * @param {Object} [options] - { freshScrape } - Defaults to BOOKING_PREFLIGHT_SCRAPE
+     * @returns {Promise<Object>} What was checked
+     * @throws {BookingRejectedError} When the stay cannot be booked
+     */
+    async verify(params, provider = 'microgramm', { freshScrape = this.freshScrape } = {}) {
+        const stay = this.parseStay(params.arrivalDate, params.departureDate);
+
+        if (provider === 'hutreservation') {
+            return { arrival_date: stay.arrival, departure_date: stay.departure, nights: stay.nights, live_check: true };
+        }
+
+        const property = await database.getPropertyByName(params.hutName);
+        if (!property) {
+            throw new BookingRejectedError('unknown_hut', `No active hut named "${params.hutName}"`);
+        }
+
+        const roomTypes = await database.getRoomTypesForProperty(property.id);
+        const lineRoomTypes = MicrogrammBookingBot.roomLines(params).map(line => {
+            const wanted = String(line.roomType).trim().toLowerCase();
+            const roomType = roomTypes.find(candidate => candidate.name.trim().toLowerCase() === wanted);
+            if (!roomType) {
+                throw new BookingRejectedError('unknown_room_type', `${property.name} has no room type "${line.roomType}"`);
+            }
+            return roomType;
+        });
+
+        // Each room type is checked once, however many rooms of it are booked - the
+        // stored data does not count free rooms, so quantities are left to the form
+        const distinct = lineRoomTypes.filter((roomType, index) => lineRoomTypes.indexOf(roomType) === index);
+        const checked = [];
+
+        for (const roomType of distinct) {
+            try {
+                checked.push(await this.verifyRoomType(property, roomType, stay, freshScrape));
+            } catch (error) {
+                if (distinct.length > 1 && error instanceof BookingRejectedError) {
+                    error.message = `${roomType.name}: ${error.message}`;
+                    error.details = { ...error.details, room_type: roomType.name };
+                }
+                throw error;
+            }
+        }
+
+        const lastScrapedAt = checked
+            .map(check => check.last_scraped_at)
+            .reduce((oldest, date) => (new Date(date) < new Date(oldest) ? date : oldest));
+
+        return {
+            property_id: property.id,
+            ...(checked.length === 1 ? { room_type_id: checked[0].room_type_id } : { room_types: checked }),
+            arrival_date: stay.arrival,
+            departure_date: stay.departure,
+            nights: stay.nights,
+            fresh_scrape: checked.every(check => check.fresh_scrape),
+            last_scraped_at: lastScrapedAt
+        };
+    }
+
+    /**
+     * Check one room type of a stay against stored and freshly scraped availability
+     * @returns {Promise<Object>} { room_type_id, room_type, fresh_scrape, last_scraped_at }
+     * @throws {BookingRejectedError} When the room type cannot be booked for the stay
+     */
+    async verifyRoomType(property, roomType, stay, freshScrape) {
+        const lastScrapedAt = await scrapeQueue.getLastCompletedScrape({
+            propertyName: property.name,
+            roomTypeName: roomType.name,
+            dateFrom: stay.arrival,
+            dateTo: stay.departure
+        });
+        const storedIsRecent = lastScrapedAt !== null && Date.now() - new Date(lastScrapedAt).getTime() <= this.maxDataAgeMs;
+
+        // Recent stored data that rules the stay out saves opening a browser for the scrape
+        if (storedIsRecent) {
+            this.assertBookable(await this.getStayAvailability(property, roomType, stay), stay);
+        }
+
+        const scraped = freshScrape && await this.scrapeStay(property, roomType, stay);
+
+        if (!scraped && !storedIsRecent) {
+            throw new BookingRejectedError(
+                'stale_data',
+                `Availability of ${roomType.name} could not be refreshed and the stored data is ${lastScrapedAt ? 'too old' : 'missing'}`,
+                { last_scraped_at: lastScrapedAt, max_data_age_ms: this.maxDataAgeMs }
+            );
+        }
+
+        if (scraped) {
+            this.assertBookable(await this.getStayAvailability(property, roomType, stay), stay);
+        }
+
+        return {
+            room_type_id: roomType.id,
+            room_type: roomType.name,
+            fresh_scrape: scraped,
+            last_scraped_at: scraped ? new Date() : lastScrapedAt
+        };
+    }
+
+    /**
+     * Throw if the stored rows of a stay do not allow booking it
+     * @param {Array} rows - getNightlyAvailability rows of one room type, arrival to departure
+     * @param {Object} stay - See parseStay
+     */
+    assertBookable(rows, stay) {
+        const byDate = new Map(rows.map(row => [row.date, row]));
+
+        const unavailableNights = stay.nights.filter(night => !byDate.has(night));
+        if (unavailableNights.length > 0) {
+            throw new BookingRejectedError(
+                'not_available',
+                `Not available on ${unavailableNights.length} of ${stay.nights.length} nights`,
+                { unavailable_nights: unavailableNights }
+            );
+        }
+
+        if (!byDate.get(stay.arrival).can_checkin) {
+            throw new BookingRejectedError(
+                'check_in_restricted',
+                `Arrival is not possible on ${stay.arrival}`,
+                { date: stay.arrival }
+            );
+        }
+
+        // The departure day itself may be sold out - only an explicit restriction blocks leaving
+        const departureDay = byDate.get(stay.departure);
+        if (departureDay && !departureDay.can_checkout) {
+            throw new BookingRejectedError(
+                'check_out_restricted',
+                `Departure is not possible on ${stay.departure}`,
+                { date: stay.departure }
+            );
+        }
+    }
+
+    async getStayAvailability(property, roomType, stay) {
+        const rows = await database.getNightlyAvailability({
+            startDate: stay.arrival,
+            endDate: stay.departure,
+            propertyIds: [property.id]
+        });
+        return rows.filter(row => row.room_type_id === roomType.id);
+    }
+
+    /**
+     * Scrape the calendar months of the stay for one room type
+     * @returns {Promise<boolean>} Whether the scrape succeeded
+     */
+    async scrapeStay(property, roomType, stay) {
+        // Only Bentral room types (the calendar behind the Microgramm form) can be scraped one by one
+        if (!roomType.external_id) {
+            return false;
+        }
+
+        const [arrivalYear, arrivalMonth] = stay.arrival.split('-').map(Number);
+        const [departureYear, departureMonth] = stay.departure.split('-').map(Number);
+        const months = (departureYear - arrivalYear) * 12 + (departureMonth - arrivalMonth) + 1;
+        const dateRange = new DateWindow({ from: stay.arrival.slice(0, 7), months }).getDateRange();
+
+        // Past days of the arrival month are not shown by the calendar
+        const today = new DateWindow({ days: 1 }).getDateRange().minDate;
+        if (dateRange.minDate < today) {
+            dateRange.minDate = today;
+        }
+
+        const orchestrator = new ScrapeOrchestrator({ concurrency: 1, delayBetweenItems: 0, maxAttempts: 1 });
+
+        try {
+            const report = await orchestrator.scrape([{
+                provider: 'bentral',
+                property: { name: property.name },
+                roomType: { name: roomType.name, externalId: roomType.external_id, capacity: roomType.capacity },
+                dateRange
+            }], {
+                trigger: 'booking_preflight',
+                options: { hutName: property.name, roomType: roomType.name, dateRange }
+            });
+            return report.failed.length === 0;
+
+        } catch (error) {
+            logger.warn(`Pre-flight scrape of ${property.name} / ${roomType.name} failed`, { error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Parse arrival and departure (YYYY-MM-DD or DD.MM.YYYY) into ISO dates and nights
+     * @returns {Object} { arrival, departure, nights: [ISO date of every night] }
+     */
+    parseStay(arrivalDate, departureDate) {
+        const [arrival, departure] = [arrivalDate, departureDate].map(value => {
+            const parsed = DateWindow.parseDate(value);
+            if (!parsed) {
+                throw new BookingRejectedError('invalid_dates', `Invalid date: ${value} (expected YYYY-MM-DD or DD.MM.YYYY)`);
+            }
+            return DateWindow.toISODate(parsed);
+        });
+        const today = new DateWindow({ days: 1 }).getDateRange().minDate;
+
+        if (arrival < today) {
+            throw new BookingRejectedError('invalid_dates', `Arrival ${arrival} is in the past`);
+        }
+        if (departure <= arrival) {
+            throw new BookingRejectedError('invalid_dates', 'Departure must be after arrival');
+        }
+
+        return { arrival, departure, nights: DateWindow.nightsBetween(arrival, departure) };
+    }
+}
+
+module.exports = new BookingQueue();
+module.exports.BookingRejectedError = BookingRejectedError;
+module.exports.REJECTION_REASONS = REJECTION_REASONS;
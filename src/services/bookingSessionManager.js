@@ -0,0 +1,540 @@
+const MicrogrammBookingBot = require('../MicrogrammBookingBot');
+const HutReservationBookingBot = require('../HutReservationBookingBot');
+const bookingSessionStore = require('./bookingSessionStore');
+const bookingLedger = require('./bookingLedger');
+const guestVault = require('./guestVault');
+const logger = require('./logger');
+
+/**
+ * Booking Session Manager
+ *
+ * Runs the booking bots behind /api/v1/booking. Every session is recorded in
+ * booking_sessions (see bookingSessionStore.js); the browser holding the filled-in
+ * form is kept here and closed when the session is submitted, cancelled or expires.
+ * A session whose browser is gone (restart, expiry, failure) can be re-driven from
+ * its stored parameters.
+ *
+ * Guest details are stored and handed to the bots as a guest reference (see
+ * guestVault.js). A submitted booking the hut accepted is recorded in the booking ledger (see
+ * bookingLedger.js), from where it can be cancelled or modified with a fresh bot.
+ *
+ * At most BOOKING_MAX_BROWSERS bots run at once - each one holds a context leased from
+ * the browser pool (see browserPool.js) until its session ends.
+ */
+
+class SessionStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionStateError';
+    }
+}
+
+class CapacityError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CapacityError';
+    }
+}
+
+class BookingStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BookingStateError';
+    }
+}
+
+class UnsupportedChangeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsupportedChangeError';
+    }
+}
+
+// Booking bots by provider; all share the makeBooking / submitBooking / cleanup interface
+const BOOKING_BOTS = {
+    microgramm: MicrogrammBookingBot,
+    hutreservation: HutReservationBookingBot
+};
+
+// Statuses a session can be re-driven from
+const REDRIVABLE_STATUSES = ['ready_to_submit', 'failed', 'expired'];
+const CANCELLABLE_STATUSES = ['preparing', 'ready_to_submit', 'failed', 'expired'];
+
+// Ledger statuses a submitted booking can be changed from
+const CHANGEABLE_BOOKING_STATUSES = ['confirmed'];
+
+// Changes to a submitted booking: bot method, ledger status while it runs and after it worked
+const BOOKING_CHANGES = {
+    cancel: { method: 'cancelBooking', pendingStatus: 'cancelling', doneStatus: 'cancelled', done: 'cancelled' },
+    modify: { method: 'modifyBooking', pendingStatus: 'modifying', doneStatus: 'confirmed', done: 'modified' }
+};
+
+class BookingSessionManager {
+    constructor() {
+        this.store = bookingSessionStore;
+        this.ledger = bookingLedger;
+        this.ttlMs = parseInt(process.env.BOOKING_SESSION_TTL_MS) || 3600000;
+        this.sweepIntervalMs = parseInt(process.env.BOOKING_SESSION_SWEEP_MS) || 60000;
+        this.maxBrowsers = parseInt(process.env.BOOKING_MAX_BROWSERS) || 3;
+
+        this.bots = new Map();          // sessionId -> bot with an open browser
+        this.progressWrites = new Map(); // sessionId -> promise of the last progress write
+        this.timer = null;
+    }
+
+    /**
+     * Settle sessions left over from a previous process and start the expiry sweep
+     */
+    async start() {
+        const recovered = await this.store.recoverInterrupted();
+        if (recovered > 0) {
+            logger.warn(`Settled ${recovered} booking sessions interrupted by a restart`);
+        }
+
+        const interruptedChanges = await this.ledger.recoverInterrupted();
+        if (interruptedChanges > 0) {
+            logger.warn(`${interruptedChanges} booking changes were interrupted by a restart - check them with the huts`);
+        }
+
+        this.timer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop the sweep and close every open browser
+     */
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        await Promise.all(Array.from(this.bots.keys()).map(id => this.releaseBrowser(id)));
+    }
+
+    /**
+     * Fill in a booking up to (not including) submission
+     * @param {Object} params - Booking parameters as accepted by the provider's makeBooking;
+     *   the guest details are sealed into a guest reference before they are stored
+     * @param {string} [provider] - Key of BOOKING_BOTS
+     * @returns {Promise<Object>} Bot result with the session ID
+     */
+    async prepare(params, provider = 'microgramm') {
+        const bot = this.createBot(null, provider);
+        this.reserveBrowser(bot);
+
+        const protectedParams = guestVault.protect(params);
+        try {
+            await this.store.create({ id: bot.sessionId, provider, params: protectedParams, ttlMs: this.ttlMs });
+        } catch (error) {
+            this.bots.delete(bot.sessionId);
+            throw error;
+        }
+
+        return await this.drive(bot, protectedParams);
+    }
+
+    /**
+     * Start a session again from its stored parameters
+     * @returns {Promise<Object|null>} Bot result, or null if the session does not exist
+     */
+    async redrive(id) {
+        const session = await this.store.get(id);
+        if (!session) {
+            return null;
+        }
+
+        if (this.bots.has(id)) {
+            throw new SessionStateError(`Session ${id} still has an open browser (status ${session.status})`);
+        }
+        if (!REDRIVABLE_STATUSES.includes(session.status)) {
+            throw new SessionStateError(`Session status is ${session.status}, expected one of ${REDRIVABLE_STATUSES.join(', ')}`);
+        }
+
+        const bot = this.createBot(session);
+        this.reserveBrowser(bot);
+
+        const restarted = await this.store.restart(id, REDRIVABLE_STATUSES, this.ttlMs);
+        if (!restarted) {
+            this.bots.delete(id);
+            throw new SessionStateError(`Session ${id} changed status while being re-driven`);
+        }
+
+        logger.info(`Re-driving booking session ${id} (attempt ${restarted.attempts})`);
+        return await this.drive(bot, restarted.params);
+    }
+
+    /**
+     * Submit a prepared booking
+     * If the browser is gone the form is filled in again from the stored parameters first.
+     * @returns {Promise<Object|null>} { sessionId, submitted, message, bookingParams, bookingId, confirmationNumber },
+     *   or null if the session does not exist; bookingId is null when the booking could not be recorded
+     */
+    async submit(id) {
+        const session = await this.store.get(id);
+        if (!session) {
+            return null;
+        }
+
+        if (session.status !== 'ready_to_submit') {
+            throw new SessionStateError(`Session status is ${session.status}, expected 'ready_to_submit'`);
+        }
+
+        let bot = this.bots.get(id);
+        const browserOpen = Boolean(bot);
+        if (!browserOpen) {
+            bot = this.createBot(session);
+            this.reserveBrowser(bot);
+        }
+
+        const claimed = await this.store.transition(id, ['ready_to_submit'], 'submitting');
+        if (!claimed) {
+            if (!browserOpen) this.bots.delete(id);
+            throw new SessionStateError(`Session ${id} is already being submitted`);
+        }
+
+        try {
+            if (!browserOpen) {
+                logger.info(`Browser for booking session ${id} is gone - filling in the form again`);
+                await bot.makeBooking(claimed.params);
+            }
+
+            const result = await bot.submitBooking();
+            await this.saveFinal(id, bot, result.success ? 'submitted' : 'failed', result);
+            const booking = result.success ? await this.recordBooking(claimed, bot, result) : null;
+
+            return {
+                sessionId: id,
+                submitted: result.success,
+                message: result.message,
+                bookingParams: claimed.params,
+                bookingId: booking ? booking.id : null,
+                confirmationNumber: result.reservationNumber || null
+            };
+
+        } catch (error) {
+            await this.saveFinal(id, bot, 'failed', null);
+            throw error;
+        } finally {
+            await this.releaseBrowser(id);
+        }
+    }
+
+    /**
+     * Cancel a submitted booking with the hut
+     * @param {number} id - Booking ID in the ledger
+     * @returns {Promise<Object|null>} { booking, success, message }, or null if the booking does not exist
+     */
+    async cancelBooking(id) {
+        return this.changeBooking(id, 'cancel');
+    }
+
+    /**
+     * Change the dates or guest details of a submitted booking with the hut
+     * @param {number} id - Booking ID in the ledger
+     * @param {Object} changes - See bookingLedger.validateChanges
+     * @returns {Promise<Object|null>} { booking, success, message }, or null if the booking does not exist
+     */
+    async modifyBooking(id, changes) {
+        const errors = this.ledger.validateChanges(changes);
+        if (errors.length > 0) {
+            throw new bookingLedger.ValidationError(errors.join('; '));
+        }
+
+        return this.changeBooking(id, 'modify', changes);
+    }
+
+    /**
+     * Run a cancellation or modification with a fresh bot and record it in the ledger
+     * A change that fails before it was sent to the hut leaves the booking confirmed;
+     * one that fails after is marked change_unknown.
+     */
+    async changeBooking(id, action, changes = undefined) {
+        const booking = await this.ledger.get(id);
+        if (!booking) {
+            return null;
+        }
+
+        const change = BOOKING_CHANGES[action];
+        const BookingBot = BOOKING_BOTS[booking.provider];
+        if (!BookingBot || typeof BookingBot.prototype[change.method] !== 'function') {
+            throw new UnsupportedChangeError(`${booking.provider} bookings cannot be ${change.done} through the API - contact the hut`);
+        }
+        if (!CHANGEABLE_BOOKING_STATUSES.includes(booking.status)) {
+            throw new BookingStateError(`Booking status is ${booking.status}, expected one of ${CHANGEABLE_BOOKING_STATUSES.join(', ')}`);
+        }
+
+        const bot = new BookingBot();
+        this.reserveBrowser(bot);
+
+        try {
+            const claimed = await this.ledger.transition(id, CHANGEABLE_BOOKING_STATUSES, change.pendingStatus);
+            if (!claimed) {
+                throw new BookingStateError(`Booking ${id} is already being changed`);
+            }
+
+            logger.info(`Booking ${id}: ${action} with the hut`, { sessionId: bot.sessionId, changes });
+
+            let result;
+            try {
+                result = await bot[change.method](claimed, changes);
+            } catch (error) {
+                await this.finishChange(id, {
+                    status: bot.changeSubmitted ? 'change_unknown' : 'confirmed',
+                    entry: this.ledger.historyEntry(action, bot.sessionId, null, {
+                        steps: bot.bookingData.steps,
+                        errors: bot.bookingData.errors,
+                        changes: changes && guestVault.protect(changes),
+                        error: error.message
+                    })
+                });
+                throw error;
+            }
+
+            const updated = await this.finishChange(id, {
+                status: result.success ? change.doneStatus : 'confirmed',
+                entry: this.ledger.historyEntry(action, bot.sessionId, result, {
+                    steps: bot.bookingData.steps,
+                    errors: bot.bookingData.errors,
+                    changes: changes && guestVault.protect(changes)
+                }),
+                params: result.success && changes ? guestVault.protect({ ...claimed.params, ...changes }) : null
+            });
+
+            return { booking: updated, success: result.success, message: result.message };
+
+        } finally {
+            await this.releaseBrowser(bot.sessionId);
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Ledger row, or null
+     */
+    async getBooking(id) {
+        return this.ledger.get(id);
+    }
+
+    /**
+     * @param {Object} filters - See bookingLedger.list
+     */
+    async listBookings(filters = {}) {
+        return this.ledger.list(filters);
+    }
+
+    /**
+     * Cancel a session and close its browser
+     * @returns {Promise<Object|null>} Cancelled session, or null if it does not exist
+     */
+    async cancel(id) {
+        const session = await this.store.get(id);
+        if (!session) {
+            return null;
+        }
+
+        const cancelled = await this.store.transition(id, CANCELLABLE_STATUSES, 'cancelled');
+        if (!cancelled) {
+            throw new SessionStateError(`Session status is ${session.status} and can no longer be cancelled`);
+        }
+
+        await this.releaseBrowser(id);
+        logger.info(`Booking session ${id} cancelled`);
+        return cancelled;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Session with browser_open, or null
+     */
+    async get(id) {
+        const session = await this.store.get(id);
+        return session ? { ...session, browser_open: this.bots.has(id) } : null;
+    }
+
+    /**
+     * @param {Object} filters - See bookingSessionStore.list
+     */
+    async list(filters = {}) {
+        const sessions = await this.store.list(filters);
+        return sessions.map(session => ({ ...session, browser_open: this.bots.has(session.id) }));
+    }
+
+    /**
+     * Expire sessions past their expiry and close their browsers
+     */
+    async sweep() {
+        try {
+            const expired = await this.store.expireDue();
+            for (const id of expired) {
+                await this.releaseBrowser(id);
+            }
+
+            if (expired.length > 0) {
+                logger.info(`Expired ${expired.length} booking sessions`);
+            }
+        } catch (error) {
+            logger.error('Failed to expire booking sessions', { error: error.message });
+        }
+    }
+
+    /**
+     * Run makeBooking for a session in status preparing
+     */
+    async drive(bot, params) {
+        const id = bot.sessionId;
+
+        try {
+            const result = await bot.makeBooking(params);
+            await this.flushProgress(id);
+            await this.store.saveProgress(id, { steps: bot.bookingData.steps, errors: bot.bookingData.errors, result });
+
+            // Cancelled or expired while the form was being filled in
+            if (!await this.store.transition(id, ['preparing'], 'ready_to_submit')) {
+                await this.releaseBrowser(id);
+                throw new SessionStateError(`Session ${id} was closed while it was being prepared`);
+            }
+
+            return result;
+
+        } catch (error) {
+            if (!(error instanceof SessionStateError)) {
+                try {
+                    await this.flushProgress(id);
+                    await this.store.saveProgress(id, { steps: bot.bookingData.steps, errors: bot.bookingData.errors });
+                    await this.store.transition(id, ['preparing'], 'failed');
+                } catch (storeError) {
+                    logger.error(`Failed to store failure of booking session ${id}`, { error: storeError.message });
+                }
+                await this.releaseBrowser(id);
+            }
+
+            error.sessionId = id;
+            throw error;
+        }
+    }
+
+    /**
+     * Store the outcome of a submission
+     */
+    async saveFinal(id, bot, status, result) {
+        try {
+            await this.flushProgress(id);
+            await this.store.saveProgress(id, {
+                status,
+                steps: bot.bookingData.steps,
+                errors: bot.bookingData.errors,
+                result
+            });
+        } catch (error) {
+            logger.error(`Failed to store outcome of booking session ${id}`, { status, error: error.message });
+        }
+    }
+
+    /**
+     * Record an accepted submission in the booking ledger
+     * The booking went through either way, so a failure here is logged and not thrown.
+     * @returns {Promise<Object|null>} Ledger row, or null
+     */
+    async recordBooking(session, bot, result) {
+        try {
+            return await this.ledger.record({
+                session,
+                result,
+                steps: bot.bookingData.steps,
+                errors: bot.bookingData.errors
+            });
+        } catch (error) {
+            logger.error(`Failed to record booking of session ${session.id} in the ledger`, {
+                confirmationNumber: result.reservationNumber,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Store the outcome of a booking change; the outcome is logged if that fails
+     */
+    async finishChange(id, outcome) {
+        try {
+            return await this.ledger.finishChange(id, outcome);
+        } catch (error) {
+            logger.error(`Failed to store the outcome of a change to booking ${id}`, {
+                status: outcome.status,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * New bot for a session; a stored session keeps its ID and step log
+     */
+    createBot(session = null, provider = session ? session.provider : 'microgramm') {
+        const BookingBot = BOOKING_BOTS[provider];
+        if (!BookingBot) {
+            throw new Error(`Unknown booking provider: ${provider}`);
+        }
+
+        const bot = new BookingBot({
+            sessionId: session ? session.id : undefined,
+            onProgress: (bookingData) => this.queueProgress(bot.sessionId, bookingData)
+        });
+
+        if (session) {
+            bot.bookingData.steps = [...(session.steps || [])];
+            bot.bookingData.errors = [...(session.errors || [])];
+        }
+
+        return bot;
+    }
+
+    reserveBrowser(bot) {
+        if (this.bots.size >= this.maxBrowsers) {
+            throw new CapacityError(`All ${this.maxBrowsers} booking browsers are in use - try again later`);
+        }
+        this.bots.set(bot.sessionId, bot);
+    }
+
+    async releaseBrowser(id) {
+        const bot = this.bots.get(id);
+        if (!bot) {
+            return;
+        }
+
+        this.bots.delete(id);
+        try {
+            await bot.cleanup();
+        } catch (error) {
+            logger.warn(`Failed to close browser for booking session ${id}:`, error.message);
+        }
+    }
+
+    /**
+     * Persist the step and error log in the background, one write per session at a time
+     */
+    queueProgress(id, bookingData) {
+        const steps = [...bookingData.steps];
+        const errors = [...bookingData.errors];
+        const previous = this.progressWrites.get(id) || Promise.resolve();
+
+        const write = previous
+            .then(() => this.store.saveProgress(id, { steps, errors }))
+            .catch(error => logger.warn(`Failed to store progress of booking session ${id}`, { error: error.message }));
+
+        this.progressWrites.set(id, write);
+        write.then(() => {
+            if (this.progressWrites.get(id) === write) this.progressWrites.delete(id);
+        });
+    }
+
+    async flushProgress(id) {
+        await this.progressWrites.get(id);
+    }
+}
+
+module.exports = new BookingSessionManager();
+module.exports.SessionStateError = SessionStateError;
+module.exports.CapacityError = CapacityError;
+module.exports.BookingStateError = BookingStateError;
+module.exports.UnsupportedChangeError = UnsupportedChangeError;
+module.exports.BOOKING_PROVIDERS = Object.keys(BOOKING_BOTS);
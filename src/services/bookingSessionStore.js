@@ -0,0 +1,192 @@
+const os = require('os');
+const database = require('./database');
+const MicrogrammBookingBot = require('../MicrogrammBookingBot');
+const logger = require('./logger');
+
+/**
+ * Booking Session Store
+ *
+ * Postgres record of every prepared booking: the parameters it was started with,
+ * its status, the bot's step and error log and when it expires. The browser that
+ * holds the filled-in form lives only in memory (see bookingSessionManager.js);
+ * this table is what survives a restart.
+ *
+ * Status: preparing -> ready_to_submit -> submitting -> submitted
+ *         failed | expired | cancelled at any point before submitted
+ *         submit_unknown when a restart interrupted the submission
+ */
+
+const SESSION_COLUMNS = `
+    id, provider, hut_name, room_type, params, status, steps, errors, result,
+    attempts, worker_id, expires_at, created_at, updated_at, submitted_at
+`;
+
+const FINAL_STATUSES = ['submitted', 'submit_unknown', 'expired', 'cancelled'];
+
+class BookingSessionStore {
+    constructor() {
+        // Start time keeps the ID unique when a container restarts with the same hostname and PID
+        this.workerId = `${os.hostname()}:${process.pid}:${Date.now().toString(36)}`;
+    }
+
+    /**
+     * Record a new session
+     * @param {Object} session - { id, provider, params, ttlMs }
+     * @returns {Promise<Object>} Session row
+     */
+    async create({ id, provider = 'microgramm', params, ttlMs }) {
+        const result = await database.query(`
+            INSERT INTO availability.booking_sessions (
+                id, provider, hut_name, room_type, params, status, steps, errors,
+                attempts, worker_id, expires_at, created_at, updated_at
+            )
+            VALUES ($1, $2, $3, $4, $5, 'preparing', '[]', '[]', 1, $6,
+                CURRENT_TIMESTAMP + $7::int * INTERVAL '1 millisecond', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            RETURNING ${SESSION_COLUMNS};
+        `, [
+            id,
+            provider,
+            params.hutName || (params.hutId != null ? String(params.hutId) : null),
+            params.rooms
+                ? MicrogrammBookingBot.describeRoomLines(MicrogrammBookingBot.roomLines(params))
+                : params.roomType || (params.bedCategory != null ? String(params.bedCategory) : null),
+            JSON.stringify(params),
+            this.workerId,
+            ttlMs
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Session row or null
+     */
+    async get(id) {
+        const result = await database.query(
+            `SELECT ${SESSION_COLUMNS} FROM availability.booking_sessions WHERE id = $1`,
+            [id]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * List sessions, newest first
+     * @param {Object} filters - { status, active, limit }; active = not in a final status
+     */
+    async list({ status = null, active = false, limit = 100 } = {}) {
+        const params = [limit];
+        let query = `SELECT ${SESSION_COLUMNS} FROM availability.booking_sessions WHERE 1 = 1`;
+
+        if (status) {
+            params.push(status);
+            query += ` AND status = $${params.length}`;
+        }
+
+        if (active) {
+            params.push(FINAL_STATUSES);
+            query += ` AND status <> ALL($${params.length})`;
+        }
+
+        query += ' ORDER BY created_at DESC LIMIT $1';
+
+        const result = await database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Store the bot's progress
+     * Guest details in the step and error log are redacted as they are in the logs.
+     * @param {string} id - Session ID
+     * @param {Object} progress - { status?, steps?, errors?, result? }
+     */
+    async saveProgress(id, { status = null, steps = null, errors = null, result = null }) {
+        await database.query(`
+            UPDATE availability.booking_sessions
+            SET status = COALESCE($2, status),
+                steps = COALESCE($3, steps),
+                errors = COALESCE($4, errors),
+                result = COALESCE($5, result),
+                submitted_at = CASE WHEN $2 = 'submitted' THEN CURRENT_TIMESTAMP ELSE submitted_at END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1;
+        `, [
+            id,
+            status,
+            steps ? JSON.stringify(logger.redact(steps)) : null,
+            errors ? JSON.stringify(logger.redact(errors)) : null,
+            result ? JSON.stringify(result) : null
+        ]);
+    }
+
+    /**
+     * Move a session from one status to another if nobody else did first
+     * @returns {Promise<Object|null>} Updated row, or null if the session was not in fromStatuses
+     */
+    async transition(id, fromStatuses, toStatus) {
+        const result = await database.query(`
+            UPDATE availability.booking_sessions
+            SET status = $3, worker_id = $4, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = ANY($2)
+            RETURNING ${SESSION_COLUMNS};
+        `, [id, fromStatuses, toStatus, this.workerId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Start another run of a session from its stored parameters
+     * @returns {Promise<Object|null>} Updated row, or null if the session was not in fromStatuses
+     */
+    async restart(id, fromStatuses, ttlMs) {
+        const result = await database.query(`
+            UPDATE availability.booking_sessions
+            SET status = 'preparing', attempts = attempts + 1, worker_id = $3, result = NULL,
+                expires_at = CURRENT_TIMESTAMP + $4::int * INTERVAL '1 millisecond',
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = ANY($2)
+            RETURNING ${SESSION_COLUMNS};
+        `, [id, fromStatuses, this.workerId, ttlMs]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Expire sessions past their expiry that were not submitted or closed
+     * Sessions being submitted are left alone - the submission decides their outcome.
+     * @returns {Promise<Array<string>>} IDs of the expired sessions
+     */
+    async expireDue() {
+        const result = await database.query(`
+            UPDATE availability.booking_sessions
+            SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+            WHERE expires_at < CURRENT_TIMESTAMP AND status IN ('preparing', 'ready_to_submit', 'failed')
+            RETURNING id;
+        `);
+        return result.rows.map(row => row.id);
+    }
+
+    /**
+     * Settle sessions a previous process left half-way
+     * preparing  -> failed (the browser is gone; the session can be re-driven)
+     * submitting -> submit_unknown, as the booking may or may not have gone through
+     * @returns {Promise<number>} Number of sessions settled
+     */
+    async recoverInterrupted() {
+        const result = await database.query(`
+            UPDATE availability.booking_sessions
+            SET status = CASE WHEN status = 'submitting' THEN 'submit_unknown' ELSE 'failed' END,
+                errors = errors || jsonb_build_array(jsonb_build_object(
+                    'timestamp', to_char(CURRENT_TIMESTAMP AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS"Z"'),
+                    'action', 'server_restart',
+                    'error', CASE WHEN status = 'submitting'
+                        THEN 'Server restarted during submission - check with the hut before submitting again'
+                        ELSE 'Server restarted while the booking was being prepared' END
+                )),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE status IN ('preparing', 'submitting') AND worker_id IS DISTINCT FROM $1
+            RETURNING id;
+        `, [this.workerId]);
+        return result.rowCount;
+    }
+}
+
+module.exports = new BookingSessionStore();
+module.exports.FINAL_STATUSES = FINAL_STATUSES;
@@ -0,0 +1,368 @@
+const { chromium } = require('playwright');
+const logger = require('./logger');
+
+/**
+ * Browser Pool
+ *
+ * One bounded set of long-lived Chromium browsers shared by the scrapers, providers
+ * and booking bots. Callers lease an isolated browser context instead of launching a
+ * browser of their own:
+ *
+ *   const lease = await browserPool.acquire({ launch: { headless: true }, context: { userAgent } });
+ *   try {
+ *       const page = await lease.context.newPage();
+ *       ...
+ *   } finally {
+ *       await lease.release();
+ *   }
+ *
+ * Browsers are shared between leases with the same launch options (headless, slowMo ...).
+ * At most BROWSER_POOL_SIZE browsers run at once with up to BROWSER_POOL_CONTEXTS leases
+ * each; further callers wait in line. A browser is recycled after BROWSER_POOL_MAX_USES
+ * leases, replaced when it crashes and closed after BROWSER_POOL_IDLE_MS without leases.
+ */
+
+class BrowserPoolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BrowserPoolError';
+    }
+}
+
+class BrowserPool {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxBrowsers - Browsers running at once
+     * @param {number} options.maxContextsPerBrowser - Leases per browser at once
+     * @param {number} options.maxUsesPerBrowser - Leases before a browser is recycled
+     * @param {number} options.idleTimeout - Close a browser after this long without leases (ms)
+     * @param {number} options.acquireTimeout - Give up waiting for a lease after this long (ms)
+     * @param {Object} options.launcher - Launches browsers: { launch(options) } (default: Playwright Chromium)
+     */
+    constructor(options = {}) {
+        this.options = {
+            maxBrowsers: parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+            maxContextsPerBrowser: parseInt(process.env.BROWSER_POOL_CONTEXTS) || 4,
+            maxUsesPerBrowser: parseInt(process.env.BROWSER_POOL_MAX_USES) || 50,
+            idleTimeout: parseInt(process.env.BROWSER_POOL_IDLE_MS) || 60000,
+            acquireTimeout: parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT) || 600000,
+            ...options
+        };
+        this.launcher = this.options.launcher || chromium;
+
+        this.slots = [];
+        this.waiters = [];
+        this.nextSlotId = 1;
+        this.nextLeaseId = 1;
+        this.shuttingDown = false;
+
+        this.stats = {
+            launched: 0,
+            launchFailures: 0,
+            recycled: 0,
+            crashed: 0,
+            idleClosed: 0,
+            leases: 0,
+            released: 0,
+            timeouts: 0,
+            totalWaitMs: 0,
+            maxWaitMs: 0
+        };
+    }
+
+    /**
+     * Lease a fresh browser context
+     * @param {Object} options
+     * @param {Object} options.launch - chromium.launch() options of the browser to share
+     * @param {Object} options.context - browser.newContext() options of the leased context
+     * @returns {Promise<Object>} Lease { id, browser, context, release() }
+     */
+    async acquire({ launch = {}, context: contextOptions = {} } = {}) {
+        if (this.shuttingDown) {
+            throw new BrowserPoolError('Browser pool is shutting down');
+        }
+
+        const startedAt = Date.now();
+        const key = launchKey(launch);
+
+        // A browser that died between leases is replaced once before giving up
+        for (let attempt = 1; ; attempt++) {
+            const slot = await this.reserve(key, launch);
+            let context;
+
+            try {
+                const browser = await slot.ready;
+                context = await browser.newContext(contextOptions);
+            } catch (error) {
+                if (slot.browser) {
+                    this.retire(slot, 'crashed');
+                }
+                this.free(slot);
+                if (attempt >= 2 || !slot.browser) {
+                    throw error;
+                }
+                logger.warn(`Browser ${slot.id} could not open a context, replacing it: ${error.message}`);
+                continue;
+            }
+
+            const waited = Date.now() - startedAt;
+            this.stats.leases++;
+            this.stats.totalWaitMs += waited;
+            this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waited);
+
+            return this.createLease(slot, context);
+        }
+    }
+
+    /**
+     * Run fn with a leased context and release it afterwards
+     * @param {Object} options - See acquire()
+     * @param {Function} fn - async (context, lease) => result
+     */
+    async withContext(options, fn) {
+        const lease = await this.acquire(options);
+        try {
+            return await fn(lease.context, lease);
+        } finally {
+            await lease.release();
+        }
+    }
+
+    createLease(slot, context) {
+        const lease = {
+            id: this.nextLeaseId++,
+            browser: slot.browser,
+            context,
+            released: false,
+            release: async () => {
+                if (lease.released) return;
+                lease.released = true;
+
+                await context.close().catch(() => {});
+                this.stats.released++;
+                this.free(slot);
+            }
+        };
+        return lease;
+    }
+
+    /**
+     * A slot with room for one more lease; waits in line when the pool is full
+     */
+    reserve(key, launch) {
+        const slot = this.waiters.length === 0 && this.tryReserve(key, launch);
+        if (slot) {
+            return Promise.resolve(slot);
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { key, launch, resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                this.stats.timeouts++;
+                reject(new BrowserPoolError(
+                    `No browser free after ${this.options.acquireTimeout}ms ` +
+                    `(${this.slots.length} browsers, ${this.activeContexts()} contexts in use)`
+                ));
+            }, this.options.acquireTimeout);
+            this.waiters.push(waiter);
+        });
+    }
+
+    tryReserve(key, launch) {
+        const { maxBrowsers, maxContextsPerBrowser, maxUsesPerBrowser } = this.options;
+
+        let slot = this.slots
+            .filter(s => s.key === key && !s.retiring && s.active < maxContextsPerBrowser)
+            .sort((a, b) => a.active - b.active)[0];
+
+        if (!slot) {
+            // Make room by closing an idle browser launched with other options
+            if (this.slots.length >= maxBrowsers) {
+                const idle = this.slots.find(s => s.active === 0);
+                if (!idle) return null;
+                this.retire(idle, 'idle');
+            }
+            slot = this.launch(key, launch);
+        }
+
+        clearTimeout(slot.idleTimer);
+        slot.active++;
+        slot.uses++;
+        if (slot.uses >= maxUsesPerBrowser) {
+            slot.retiring = true;
+        }
+        return slot;
+    }
+
+    launch(key, launch) {
+        const slot = {
+            id: this.nextSlotId++,
+            key,
+            browser: null,
+            active: 0,
+            uses: 0,
+            retiring: false,
+            closed: false,
+            launchedAt: new Date(),
+            idleTimer: null
+        };
+
+        slot.ready = Promise.resolve()
+            .then(() => this.launcher.launch(launch))
+            .then(browser => {
+                slot.browser = browser;
+                this.stats.launched++;
+                browser.on('disconnected', () => this.onDisconnected(slot));
+                logger.debug(`Browser ${slot.id} launched (${key})`);
+
+                // Closed while it was starting
+                if (slot.closed) {
+                    browser.close().catch(() => {});
+                }
+                return browser;
+            }, error => {
+                this.stats.launchFailures++;
+                this.remove(slot);
+                throw error;
+            });
+        // Callers handle launch errors; keep an unused rejection from surfacing
+        slot.ready.catch(() => {});
+
+        this.slots.push(slot);
+        return slot;
+    }
+
+    /**
+     * Give back a lease's place in its browser
+     */
+    free(slot) {
+        slot.active = Math.max(0, slot.active - 1);
+
+        if (slot.active === 0 && !slot.closed) {
+            if (slot.retiring) {
+                this.retire(slot, 'recycled');
+            } else {
+                clearTimeout(slot.idleTimer);
+                slot.idleTimer = setTimeout(() => this.retire(slot, 'idle'), this.options.idleTimeout);
+                slot.idleTimer.unref?.();
+            }
+        }
+
+        this.dispatch();
+    }
+
+    /**
+     * Take a browser out of the pool; it is closed once its last lease is released
+     * @param {Object} slot
+     * @param {string} reason - recycled, idle, crashed or shutdown
+     */
+    retire(slot, reason) {
+        if (slot.closed) return Promise.resolve();
+
+        slot.retiring = true;
+        if (slot.active > 0 && reason !== 'crashed' && reason !== 'shutdown') {
+            return Promise.resolve();
+        }
+
+        slot.closed = true;
+        clearTimeout(slot.idleTimer);
+        this.remove(slot);
+
+        if (reason === 'recycled') this.stats.recycled++;
+        if (reason === 'idle') this.stats.idleClosed++;
+        if (reason === 'crashed') this.stats.crashed++;
+        logger.debug(`Browser ${slot.id} closed (${reason}) after ${slot.uses} leases`);
+
+        const closed = slot.browser
+            ? slot.browser.close().catch(() => {})
+            : Promise.resolve();
+        this.dispatch();
+        return closed;
+    }
+
+    onDisconnected(slot) {
+        if (slot.closed) return;
+
+        logger.warn(`Browser ${slot.id} disconnected with ${slot.active} leases, launching a new one for the next lease`);
+        this.retire(slot, 'crashed');
+    }
+
+    remove(slot) {
+        this.slots = this.slots.filter(s => s !== slot);
+    }
+
+    /**
+     * Hand free places to the callers waiting in line, first come first served
+     */
+    dispatch() {
+        while (this.waiters.length > 0) {
+            const waiter = this.waiters[0];
+            const slot = this.tryReserve(waiter.key, waiter.launch);
+            if (!slot) break;
+
+            this.waiters.shift();
+            clearTimeout(waiter.timer);
+            waiter.resolve(slot);
+        }
+    }
+
+    activeContexts() {
+        return this.slots.reduce((sum, slot) => sum + slot.active, 0);
+    }
+
+    /**
+     * @returns {Object} Pool size, usage and lifetime counters
+     */
+    getMetrics() {
+        return {
+            browsers: this.slots.length,
+            activeContexts: this.activeContexts(),
+            waiting: this.waiters.length,
+            ...this.stats,
+            averageWaitMs: this.stats.leases > 0 ? Math.round(this.stats.totalWaitMs / this.stats.leases) : 0,
+            limits: {
+                maxBrowsers: this.options.maxBrowsers,
+                maxContextsPerBrowser: this.options.maxContextsPerBrowser,
+                maxUsesPerBrowser: this.options.maxUsesPerBrowser
+            },
+            pool: this.slots.map(slot => ({
+                id: slot.id,
+                launch: slot.key,
+                activeContexts: slot.active,
+                uses: slot.uses,
+                retiring: slot.retiring,
+                launchedAt: slot.launchedAt.toISOString()
+            }))
+        };
+    }
+
+    /**
+     * Close every browser and turn away waiting callers
+     */
+    async shutdown() {
+        this.shuttingDown = true;
+
+        for (const waiter of this.waiters.splice(0)) {
+            clearTimeout(waiter.timer);
+            waiter.reject(new BrowserPoolError('Browser pool is shutting down'));
+        }
+
+        await Promise.all([...this.slots].map(slot => this.retire(slot, 'shutdown')));
+        this.shuttingDown = false;
+    }
+}
+
+/**
+ * Browsers are shared between leases with the same launch options
+ */
+function launchKey(launch) {
+    return JSON.stringify(Object.keys(launch).sort().reduce((sorted, name) => {
+        sorted[name] = launch[name];
+        return sorted;
+    }, {}));
+}
+
+module.exports = new BrowserPool();
+module.exports.BrowserPool = BrowserPool;
+module.exports.BrowserPoolError = BrowserPoolError;
@@ -0,0 +1,102 @@
+/**
+ * Captcha OCR Service
+ *
+ * Reads the math expression off a captcha image with tesseract.js. The English
+ * model comes from the @tesseract.js-data/eng package, so recognition works
+ * offline. One worker is shared by all booking bots; it is started on first use
+ * and stopped again after CAPTCHA_OCR_IDLE_MS without work.
+ */
+
+const logger = require("./logger");
+
+const EXPRESSION_CHARACTERS = "0123456789+-";
+const EXPRESSION_PATTERN = /\d+(?:[+-]\d+)+/;
+
+class CaptchaOcr {
+  constructor() {
+    this.idleMs = parseInt(process.env.CAPTCHA_OCR_IDLE_MS) || 300000;
+    this.worker = null;
+    this.idleTimer = null;
+  }
+
+  /**
+   * Start the tesseract worker unless it is running
+   * @returns {Promise<Object>} tesseract.js worker
+   */
+  getWorker() {
+    if (!this.worker) {
+      this.worker = this.createWorker();
+      this.worker.catch(() => {
+        this.worker = null;
+      });
+    }
+    return this.worker;
+  }
+
+  async createWorker() {
+    const { createWorker, OEM, PSM } = require("tesseract.js");
+    const model = require("@tesseract.js-data/eng");
+
+    logger.debug("Starting captcha OCR worker");
+    const worker = await createWorker(model.code, OEM.LSTM_ONLY, {
+      langPath: model.langPath,
+      gzip: model.gzip,
+      cacheMethod: "none"
+    });
+
+    await worker.setParameters({
+      tessedit_char_whitelist: EXPRESSION_CHARACTERS,
+      tessedit_pageseg_mode: PSM.SINGLE_LINE
+    });
+
+    return worker;
+  }
+
+  /**
+   * Read a captcha image
+   * @param {Buffer|string} image - PNG/JPEG buffer or file path
+   * @returns {Promise<Object>} { text, expression, confidence } - expression is null when none was read
+   */
+  async recognize(image) {
+    clearTimeout(this.idleTimer);
+
+    try {
+      const worker = await this.getWorker();
+      const { data } = await worker.recognize(image);
+
+      const text = data.text.replace(/\s+/g, "");
+      const match = text.match(EXPRESSION_PATTERN);
+
+      return {
+        text,
+        expression: match ? match[0] : null,
+        confidence: data.confidence
+      };
+
+    } finally {
+      this.idleTimer = setTimeout(() => this.terminate(), this.idleMs);
+      this.idleTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the worker (it is started again by the next recognize())
+   */
+  async terminate() {
+    clearTimeout(this.idleTimer);
+
+    const worker = this.worker;
+    this.worker = null;
+
+    if (worker) {
+      try {
+        await (await worker).terminate();
+        logger.debug("Stopped captcha OCR worker");
+      } catch (error) {
+        logger.debug("Failed to stop captcha OCR worker", { error: error.message });
+      }
+    }
+  }
+}
+
+module.exports = new CaptchaOcr();
@@ -1,16 +1,133 @@
 /**
  * Math Captcha Solver Service
  *
- * Solves simple math captchas by trying incremental answers
- * and monitoring error message disappearance
+ * Solves simple math captchas with a chain of strategies. Each strategy proposes
+ * answers, which are typed in one by one while watching for the error message
+ * to disappear:
+ *
+ *   dom_text    - read the expression from the image alt/title or the page text
+ *   ocr         - read the expression off the captcha image (see captchaOcr.js)
+ *   brute_force - try startNumber..maxNumber, at most maxCaptchaAttempts answers
+ *
+ * The chain comes from config.booking.captcha.strategies; further strategies can
+ * be added with CaptchaSolver.registerStrategy(). Success metrics are kept per
+ * strategy for the whole process (CaptchaSolver.getMetrics()).
+ *
+ * With CAPTCHA_CORPUS_DIR set, every solved captcha image is saved there with its
+ * answer, building the corpus the OCR accuracy test runs against.
  */
 
+const fs = require("fs");
+const path = require("path");
 const logger = require("./logger");
+const captchaOcr = require("./captchaOcr");
+
+class DomTextStrategy {
+  async propose(solver) {
+    const expression = await solver.extractExpression();
+    const answer = expression ? solver.evaluateExpression(expression) : null;
+    return answer === null ? [] : [answer];
+  }
+}
+
+class OcrStrategy {
+  async propose(solver) {
+    const image = await solver.captureImage();
+    if (!image) {
+      return [];
+    }
+
+    const { text, expression, confidence } = await captchaOcr.recognize(image);
+    const answer = expression ? solver.evaluateExpression(expression) : null;
+
+    logger.info(`OCR read captcha as "${text}"`, { expression, confidence, answer });
+    return answer === null ? [] : [answer];
+  }
+}
+
+class BruteForceStrategy {
+  async propose(solver, rejected) {
+    const { startNumber, maxNumber } = solver.config.booking.captcha;
+    const maxAttempts = solver.config.booking.retries.maxCaptchaAttempts;
+    const answers = [];
+
+    for (let answer = startNumber; answer <= maxNumber && answers.length < maxAttempts; answer++) {
+      if (!rejected.has(answer)) {
+        answers.push(answer);
+      }
+    }
+
+    logger.info(`Will try ${answers.length} answers between ${startNumber} and ${maxNumber}`);
+    return answers;
+  }
+}
+
+const STRATEGIES = new Map([
+  ["dom_text", new DomTextStrategy()],
+  ["ocr", new OcrStrategy()],
+  ["brute_force", new BruteForceStrategy()]
+]);
+
+// Per strategy, for every bot of this process
+const metrics = new Map();
+
+function strategyMetrics(name) {
+  if (!metrics.has(name)) {
+    metrics.set(name, {
+      runs: 0,          // Times the chain reached the strategy
+      solved: 0,        // Runs that found the answer
+      no_proposal: 0,   // Runs without an answer to try (e.g. no expression found)
+      rejected: 0,      // Runs whose answers were all wrong
+      errors: 0,        // Runs that threw
+      answers_tried: 0,
+      total_ms: 0
+    });
+  }
+  return metrics.get(name);
+}
 
 class CaptchaSolver {
   constructor(page, config) {
     this.page = page;
     this.config = config;
+    this.image = null;
+    this.lastResult = null;
+  }
+
+  /**
+   * Add or replace a strategy usable in config.booking.captcha.strategies
+   * @param {string} name - Strategy name
+   * @param {Object} strategy - { propose(solver, rejected: Set<number>): Promise<Array<number>> }
+   */
+  static registerStrategy(name, strategy) {
+    STRATEGIES.set(name, strategy);
+  }
+
+  /**
+   * Success metrics per strategy since the process started (or resetMetrics())
+   * @returns {Object} name -> { runs, solved, no_proposal, rejected, errors, answers_tried, success_rate, avg_ms }
+   */
+  static getMetrics() {
+    const result = {};
+    for (const [name, counts] of metrics) {
+      result[name] = {
+        ...counts,
+        success_rate: counts.runs > 0 ? counts.solved / counts.runs : null,
+        avg_ms: counts.runs > 0 ? Math.round(counts.total_ms / counts.runs) : null
+      };
+    }
+    return result;
+  }
+
+  static resetMetrics() {
+    metrics.clear();
+  }
+
+  /**
+   * Captcha selectors of the booking iframe's last step (config/selectors/bentral.json)
+   */
+  selectors() {
+    return this.config.bentral.selectors("confirm");
   }
 
   /**
@@ -55,10 +172,10 @@ class CaptchaSolver {
   async extractExpression() {
     try {
       // Try to find the captcha image with the specific class we found
-      const frame = this.page.frameLocator('iframe[src*="bentral.com"]');
+      const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
 
       // Look for the specific captcha image we know exists
-      const captchaImg = frame.locator('img.secure-img').first();
+      const captchaImg = frame.locator(this.selectors().captchaImage).first();
       if (await captchaImg.isVisible({ timeout: 2000 })) {
         // Try to get the alt text
         const alt = await captchaImg.getAttribute('alt').catch(() => null);
@@ -88,7 +205,7 @@ class CaptchaSolver {
       }
 
       // Look for text content near the captcha section
-      const captchaSection = frame.locator('*:has-text("Varnostna koda"), *:has-text("Vpišite rezultat")').first();
+      const captchaSection = frame.locator(this.selectors().captchaSection).first();
       if (await captchaSection.isVisible({ timeout: 2000 })) {
         const sectionText = await captchaSection.textContent();
         if (sectionText) {
@@ -127,17 +244,10 @@ class CaptchaSolver {
    */
   async hasErrorMessage() {
     try {
-      const frame = this.page.frameLocator('iframe[src*="bentral.com"]');
+      const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
 
       // Look for the specific error message "Vnesite rezultat seštevka s slike."
-      const errorTexts = [
-        'Vnesite rezultat seštevka s slike',
-        'Vnesite rezultat',
-        'seštevka s slike',
-        'Napačen rezultat',
-        'Wrong result',
-        'Invalid captcha'
-      ];
+      const errorTexts = this.config.bentral.texts('confirm').captchaError;
 
       // First check for visible text elements with explicit visibility check
       for (const errorText of errorTexts) {
@@ -169,19 +279,11 @@ class CaptchaSolver {
       }
 
       // Fallback - check for elements containing error text using CSS selectors
-      const errorSelectors = [
-        '.error:visible',
-        '.alert-danger:visible',
-        '.text-danger:visible',
-        '[style*="color: red"]:visible',
-        '[style*="color:#red"]:visible',
-        '.captcha-error:visible',
-        '.validation-error:visible'
-      ];
+      const errorSelectors = this.selectors().captchaError;
 
       for (const selector of errorSelectors) {
         try {
-          const errorElements = frame.locator(selector.replace(':visible', ''));
+          const errorElements = frame.locator(selector);
           const count = await errorElements.count({ timeout: 500 }).catch(() => 0);
 
           if (count > 0) {
@@ -254,21 +356,14 @@ class CaptchaSolver {
       logger.debug(`Trying captcha answer: ${answer}`);
 
       // Try to find captcha input in iframe first, then main page
-      const frame = this.page.frameLocator('iframe[src*="bentral.com"]');
+      const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
       let captchaInput = null;
 
+      // Captcha input alternatives of the Bentral selector profile, in order
+      const captchaSelectors = this.selectors().captchaInput;
+
       // First try in iframe - use the correct selectors for this specific captcha
       try {
-        // Try multiple selectors for the captcha input field
-        const captchaSelectors = [
-          'input.secure-code',  // Based on class found in analysis
-          'input[type="number"].secure-code',  // More specific with type
-          'input[type="number"]:near(img.secure-img)',  // Near the captcha image
-          'input[name="captcha"]',  // Fallback - standard name
-          'input[name="security_code"]',  // Fallback - standard name
-          'input[type="text"]:near(img[alt*="captcha"])'  // Fallback - old selector
-        ];
-
         for (const selector of captchaSelectors) {
           try {
             captchaInput = frame.locator(selector).first();
@@ -288,15 +383,18 @@ class CaptchaSolver {
 
       // If not found in iframe, try main page
       if (!captchaInput) {
-        const mainPageInput = await this.page.$(this.config.selectors.captchaInput);
-        if (mainPageInput) {
-          logger.debug('Found captcha input in main page');
-          captchaInput = mainPageInput;
+        for (const selector of captchaSelectors) {
+          const mainPageInput = await this.page.$(selector).catch(() => null);
+          if (mainPageInput) {
+            logger.debug('Found captcha input in main page');
+            captchaInput = mainPageInput;
+            break;
+          }
         }
       }
 
       if (!captchaInput) {
-        throw new Error('Captcha input field not found');
+        throw this.config.bentral.driftError('confirm', 'captchaInput', 'found no captcha input');
       }
 
       // Use robust input method for captcha (it's a number input, needs special handling)
@@ -349,66 +447,155 @@ class CaptchaSolver {
   }
 
   /**
-   * Solve the captcha by trying different approaches
+   * Solve the captcha with the configured strategy chain
    * @returns {number|null} Correct answer or null if not found
    */
   async solve() {
-    logger.info("Starting captcha solving process");
-
-    try {
-      // First approach: Try to extract and calculate the expression
-      const expression = await this.extractExpression();
-      if (expression) {
-        const calculatedAnswer = this.evaluateExpression(expression);
-        if (calculatedAnswer !== null) {
-          logger.info(`Found math expression: ${expression} = ${calculatedAnswer}`);
-
-          const isCorrect = await this.tryAnswer(calculatedAnswer);
-          if (isCorrect) {
-            logger.info(`Captcha solved with calculated answer: ${calculatedAnswer}`);
-            return calculatedAnswer;
-          }
-        }
+    const chain = this.config.booking.captcha.strategies || ["dom_text", "ocr", "brute_force"];
+    const rejected = new Set();
+
+    logger.info(`Starting captcha solving process (${chain.join(" -> ")})`);
+    this.image = null;
+    this.lastResult = null;
+
+    for (const name of chain) {
+      const strategy = STRATEGIES.get(name);
+      if (!strategy) {
+        logger.warn(`Unknown captcha strategy: ${name}`);
+        continue;
       }
 
-      // Second approach: Brute force from 0 to maxNumber
-      logger.info("Trying brute force approach for captcha");
-      logger.info(`Will try answers from ${this.config.booking.captcha.startNumber} to ${this.config.booking.captcha.maxNumber}`);
+      const counts = strategyMetrics(name);
+      const startedAt = Date.now();
+      counts.runs++;
+
+      try {
+        const answers = (await strategy.propose(this, rejected)).filter(answer => !rejected.has(answer));
+        if (answers.length === 0) {
+          counts.no_proposal++;
+          continue;
+        }
 
-      for (let answer = this.config.booking.captcha.startNumber; answer <= this.config.booking.captcha.maxNumber; answer++) {
-        logger.debug(`Trying brute force answer ${answer}/${this.config.booking.captcha.maxNumber}`);
+        const answer = await this.tryAnswers(answers, rejected, counts);
+        if (answer !== null) {
+          counts.solved++;
+          this.lastResult = { answer, strategy: name, attempts: rejected.size + 1 };
+          logger.info(`✅ Captcha solved by ${name} with answer: ${answer}`);
 
-        const isCorrect = await this.tryAnswer(answer);
-        if (isCorrect) {
-          logger.info(`✅ Captcha solved with brute force answer: ${answer}`);
-          // Take a screenshot of the successful state
-          await this.debugScreenshot(`captcha-solved-${answer}`);
+          await this.recordSample(answer, name);
           return answer;
         }
 
-        // Check if we should continue or if there's been an unexpected error
-        try {
-          // Quick check to see if the page is still responsive
-          const frame = this.page.frameLocator('iframe[src*="bentral.com"]');
-          await frame.locator('body').count({ timeout: 1000 });
-        } catch (e) {
+        counts.rejected++;
+        if (!await this.isResponsive()) {
           logger.warn("Page may have become unresponsive during captcha solving");
           break;
         }
 
-        // Add a delay between attempts for brute force (but shorter than before)
-        if (answer < this.config.booking.captcha.maxNumber) {
-          await this.page.waitForTimeout(this.config.booking.captcha.delayBetweenAttempts);
+      } catch (error) {
+        counts.errors++;
+        logger.error(`Captcha strategy ${name} failed`, {
+          error: error.message
+        });
+      } finally {
+        counts.total_ms += Date.now() - startedAt;
+      }
+    }
+
+    logger.error("Failed to solve captcha with all strategies", { tried: rejected.size });
+    return null;
+  }
+
+  /**
+   * Type in proposed answers until one is accepted
+   * @returns {number|null} Accepted answer
+   */
+  async tryAnswers(answers, rejected, counts) {
+    for (const [index, answer] of answers.entries()) {
+      counts.answers_tried++;
+
+      if (await this.tryAnswer(answer)) {
+        return answer;
+      }
+      rejected.add(answer);
+
+      if (index < answers.length - 1) {
+        if (!await this.isResponsive()) {
+          break;
         }
+        await this.page.waitForTimeout(this.config.booking.captcha.delayBetweenAttempts);
       }
+    }
+    return null;
+  }
 
-      logger.error("Failed to solve captcha with all approaches");
-      return null;
+  /**
+   * Quick check that the booking iframe still answers
+   */
+  async isResponsive() {
+    try {
+      const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
+      await frame.locator('body').count({ timeout: 1000 });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Screenshot of the captcha image, taken once per solve()
+   * @returns {Buffer|null} PNG or null if the image is not shown
+   */
+  async captureImage() {
+    if (!this.image) {
+      try {
+        const frame = this.page.frameLocator(this.config.selectors.bookingFrame);
+        const captchaImg = frame.locator(this.selectors().captchaImage).first();
+
+        if (await captchaImg.isVisible({ timeout: 2000 })) {
+          this.image = await captchaImg.screenshot({ timeout: 5000 });
+        }
+      } catch (error) {
+        logger.debug("Failed to capture captcha image", {
+          error: error.message
+        });
+      }
+    }
+    return this.image;
+  }
+
+  /**
+   * Save the solved captcha to CAPTCHA_CORPUS_DIR (image plus an entry in corpus.json)
+   */
+  async recordSample(answer, strategy) {
+    const corpusDir = process.env.CAPTCHA_CORPUS_DIR;
+    if (!corpusDir) {
+      return;
+    }
+
+    try {
+      const image = await this.captureImage();
+      if (!image) {
+        return;
+      }
+
+      const file = `${answer}-${new Date().toISOString().replace(/[:.]/g, "-")}.png`;
+      const manifestPath = path.join(corpusDir, "corpus.json");
+
+      await fs.promises.mkdir(corpusDir, { recursive: true });
+      await fs.promises.writeFile(path.join(corpusDir, file), image);
+
+      const manifest = fs.existsSync(manifestPath)
+        ? JSON.parse(await fs.promises.readFile(manifestPath, "utf8"))
+        : { samples: [] };
+      manifest.samples.push({ file, answer, solved_by: strategy, recorded_at: new Date().toISOString() });
+      await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+
+      logger.info(`Recorded captcha sample ${file}`);
     } catch (error) {
-      logger.error("Captcha solving failed", {
+      logger.warn("Failed to record captcha sample", {
         error: error.message
       });
-      return null;
     }
   }
 
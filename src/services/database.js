@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const dotenv = require('dotenv');
+const AvailabilityDiff = require('./availabilityDiff');
 
 dotenv.config();
 
@@ -80,7 +81,19 @@ class DatabaseService {
         }
     }
 
-    async ensureProperty(name, url, description = null) {
+    /**
+     * Find a property by name, creating it if needed
+     * @param {string} name - Property name
+     * @param {string} url - Property URL
+     * @param {string} description - Stored in the location metadata
+     * @param {string} bookingSystem - booking_system of a new property
+     * @param {Object} location - Location metadata (e.g. { area, altitude }) stored next to the
+     *   description; given, it also updates the location and booking system of an existing property
+     * @returns {Promise<number>} Property ID
+     */
+    async ensureProperty(name, url, description = null, bookingSystem = 'hut-reservation.org', location = null) {
+        const locationJson = JSON.stringify({ description: description, ...location });
+
         // First try to find by name since URL might not be unique constraint in your schema
         const findQuery = `
             SELECT id FROM availability.properties WHERE name = $1 LIMIT 1;
@@ -88,6 +101,13 @@ class DatabaseService {
 
         const existingResult = await this.query(findQuery, [name]);
         if (existingResult.rows.length > 0) {
+            if (location) {
+                await this.query(`
+                    UPDATE availability.properties
+                    SET location = $2, booking_system = $3, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1;
+                `, [existingResult.rows[0].id, locationJson, bookingSystem]);
+            }
             return existingResult.rows[0].id;
         }
 
@@ -114,8 +134,7 @@ class DatabaseService {
                 RETURNING id;
             `;
 
-            const locationJson = JSON.stringify({ description: description });
-            const result = await client.query(query, [generatedId, name, slug, locationJson, 'hut-reservation.org', true]);
+            const result = await client.query(query, [generatedId, name, slug, locationJson, bookingSystem, true]);
             return result.rows[0].id;
         });
     }
@@ -161,6 +180,22 @@ class DatabaseService {
             return existingResult.rows[0].id;
         }
 
+        if (externalId) {
+            // Room types created before the external ID was known (e.g. hut-reservation.org categories)
+            const byNameResult = await this.query(`
+                UPDATE availability.room_types SET external_id = $3, updated_at = CURRENT_TIMESTAMP
+                WHERE id = (
+                    SELECT id FROM availability.room_types
+                    WHERE property_id = $1 AND name = $2 AND external_id IS NULL
+                    LIMIT 1
+                )
+                RETURNING id;
+            `, [propertyId, name, externalId]);
+            if (byNameResult.rows.length > 0) {
+                return byNameResult.rows[0].id;
+            }
+        }
+
         // Use transaction with row-level lock to prevent concurrent ID collisions
         return await this.transaction(async (client) => {
             // Lock the table to prevent concurrent MAX(id) queries
@@ -216,14 +251,40 @@ class DatabaseService {
         
         const propertyId = propertyResult.rows[0].property_id;
 
+        const entries = (availableDates || []).map(dateEntry => {
+            if (typeof dateEntry === 'string') {
+                // Legacy format: just date string
+                return { date: dateEntry, can_checkin: true, can_checkout: true, free_beds: null };
+            }
+            // New format: availability object
+            return {
+                date: dateEntry.date,
+                can_checkin: dateEntry.can_checkin !== false, // Default to true
+                can_checkout: dateEntry.can_checkout !== false, // Default to true
+                free_beds: dateEntry.free_beds != null ? dateEntry.free_beds : null // Only known for some booking systems
+            };
+        });
+
+        const hasRange = dateRange && dateRange.minDate && dateRange.maxDate;
+
         // Execute transaction once - no retries needed with auto-increment IDs
         try {
             return await this.transaction(async (client) => {
                     // Lock the table to prevent concurrent MAX(id) queries
                     await client.query('LOCK TABLE availability.available_dates IN SHARE ROW EXCLUSIVE MODE');
 
+                    // Stored state of the range we are about to replace, for change tracking
+                    const previousResult = await client.query(`
+                        SELECT to_char(date, 'YYYY-MM-DD') as date, can_checkin, can_checkout, free_beds
+                        FROM availability.available_dates
+                        WHERE room_type_id = $1
+                        ${hasRange ? 'AND date BETWEEN $2 AND $3' : ''}
+                    `, hasRange ? [roomTypeId, dateRange.minDate, dateRange.maxDate] : [roomTypeId]);
+
+                    const events = await this.diffAvailability(client, roomTypeId, previousResult.rows, entries);
+
                     // Smart date range deletion
-                    if (dateRange && dateRange.minDate && dateRange.maxDate) {
+                    if (hasRange) {
                         // Delete only dates within the scraped range
                         const deleteQuery = `
                             DELETE FROM availability.available_dates
@@ -238,9 +299,11 @@ class DatabaseService {
                         console.log(`   🗑️  Deleted all existing dates for room type ${roomTypeId}`);
                     }
 
-                    if (!availableDates || availableDates.length === 0) {
+                    await this.insertAvailabilityEvents(client, propertyId, roomTypeId, events);
+
+                    if (entries.length === 0) {
                         console.log(`   ⚠️  No available dates to insert`);
-                        return;
+                        return { inserted: 0, events };
                     }
 
                     // Use timestamp-based ID generation to avoid sequence permissions and collisions
@@ -251,41 +314,28 @@ class DatabaseService {
 
                     let insertedCount = 0;
 
-                    for (let i = 0; i < availableDates.length; i++) {
-                        const dateEntry = availableDates[i];
-                        let date, canCheckin, canCheckout;
-
-                        if (typeof dateEntry === 'string') {
-                            // Legacy format: just date string
-                            date = dateEntry;
-                            canCheckin = true;
-                            canCheckout = true;
-                        } else {
-                            // New format: availability object
-                            date = dateEntry.date;
-                            canCheckin = dateEntry.can_checkin !== false; // Default to true
-                            canCheckout = dateEntry.can_checkout !== false; // Default to true
-                        }
-
+                    for (const entry of entries) {
                         // Use incrementing ID from max
                         const uniqueId = nextId++;
 
 
                         // Individual INSERT with manual ID and ON CONFLICT handling
                         const insertQuery = `
-                            INSERT INTO availability.available_dates (id, property_id, room_type_id, date, can_checkin, can_checkout, scraped_at)
-                            VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+                            INSERT INTO availability.available_dates (id, property_id, room_type_id, date, can_checkin, can_checkout, free_beds, scraped_at)
+                            VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
                             ON CONFLICT (property_id, room_type_id, date) DO UPDATE SET
                                 can_checkin = EXCLUDED.can_checkin,
                                 can_checkout = EXCLUDED.can_checkout,
+                                free_beds = EXCLUDED.free_beds,
                                 scraped_at = CURRENT_TIMESTAMP;
                         `;
                         
-                        await client.query(insertQuery, [uniqueId, propertyId, roomTypeId, date, canCheckin, canCheckout]);
+                        await client.query(insertQuery, [uniqueId, propertyId, roomTypeId, entry.date, entry.can_checkin, entry.can_checkout, entry.free_beds]);
                         insertedCount++;
                     }
                     
                     console.log(`   ✅ Inserted ${insertedCount} available dates`);
+                    return { inserted: insertedCount, events };
                 });
                 
         } catch (error) {
@@ -294,9 +344,197 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Work out availability events between the stored and the scraped state
+     * The first scrape of a room type only establishes a baseline and records no events.
+     * @param {Object} client - Transaction client
+     * @param {number} roomTypeId - Room type ID
+     * @param {Array} previous - Stored rows in the scraped range
+     * @param {Array} entries - Scraped available dates
+     * @returns {Promise<Array>} Events (see services/availabilityDiff.js)
+     */
+    async diffAvailability(client, roomTypeId, previous, entries) {
+        if (previous.length === 0) {
+            const historyResult = await client.query(`
+                SELECT
+                    EXISTS (SELECT 1 FROM availability.available_dates WHERE room_type_id = $1) OR
+                    EXISTS (SELECT 1 FROM availability.availability_events WHERE room_type_id = $1) as has_history
+            `, [roomTypeId]);
+
+            if (!historyResult.rows[0].has_history) {
+                return [];
+            }
+        }
+
+        return AvailabilityDiff.compute(previous, entries);
+    }
+
+    async insertAvailabilityEvents(client, propertyId, roomTypeId, events) {
+        if (events.length === 0) {
+            return;
+        }
+
+        await client.query('LOCK TABLE availability.availability_events IN SHARE ROW EXCLUSIVE MODE');
+        const maxIdResult = await client.query(`SELECT COALESCE(MAX(id), 0) + 1 as next_id FROM availability.availability_events`);
+        let nextId = parseInt(maxIdResult.rows[0].next_id);
+
+        for (const event of events) {
+            await client.query(`
+                INSERT INTO availability.availability_events (
+                    id, property_id, room_type_id, date, event_type,
+                    old_free_beds, new_free_beds, can_checkin, can_checkout, detected_at
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP);
+            `, [
+                nextId++,
+                propertyId,
+                roomTypeId,
+                event.date,
+                event.event_type,
+                event.old_free_beds,
+                event.new_free_beds,
+                event.can_checkin,
+                event.can_checkout
+            ]);
+        }
+
+        console.log(`   🔔 Recorded ${events.length} availability events`);
+    }
+
+    /**
+     * Get availability events detected since a point in time
+     * @param {Object} filters - { since, propertyId, roomTypeId, eventType, limit, offset }
+     * @returns {Promise<Array>} Events joined with property and room type names
+     */
+    async getAvailabilityEvents({ since, propertyId = null, roomTypeId = null, eventType = null, limit = 1000, offset = 0 }) {
+        const filter = this.buildAvailabilityEventFilter({ since, propertyId, roomTypeId, eventType });
+        const paramIndex = filter.params.length + 1;
+
+        const result = await this.query(`
+            SELECT
+                ae.id,
+                ae.event_type,
+                to_char(ae.date, 'YYYY-MM-DD') as date,
+                ae.old_free_beds,
+                ae.new_free_beds,
+                ae.can_checkin,
+                ae.can_checkout,
+                ae.detected_at,
+                p.id as property_id,
+                p.name as property_name,
+                rt.id as room_type_id,
+                rt.name as room_type_name
+            ${filter.from}
+            ORDER BY ae.detected_at ASC, ae.id ASC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+        `, [...filter.params, limit, offset]);
+        return result.rows;
+    }
+
+    /**
+     * Count the availability events matching the filters of getAvailabilityEvents
+     * @param {Object} filters - { since, propertyId, roomTypeId, eventType }
+     * @returns {Promise<number>} Number of matching events across all pages
+     */
+    async countAvailabilityEvents({ since, propertyId = null, roomTypeId = null, eventType = null }) {
+        const filter = this.buildAvailabilityEventFilter({ since, propertyId, roomTypeId, eventType });
+
+        const result = await this.query(`SELECT COUNT(*) as total ${filter.from}`, filter.params);
+        return parseInt(result.rows[0].total);
+    }
+
+    buildAvailabilityEventFilter({ since, propertyId, roomTypeId, eventType }) {
+        let from = `
+            FROM availability.availability_events ae
+            JOIN availability.room_types rt ON ae.room_type_id = rt.id
+            JOIN availability.properties p ON ae.property_id = p.id
+            WHERE ae.detected_at >= $1
+        `;
+
+        const params = [since];
+        let paramIndex = 2;
+
+        if (propertyId) {
+            from += ` AND p.id = $${paramIndex}`;
+            params.push(propertyId);
+            paramIndex++;
+        }
+
+        if (roomTypeId) {
+            from += ` AND rt.id = $${paramIndex}`;
+            params.push(roomTypeId);
+            paramIndex++;
+        }
+
+        if (eventType) {
+            from += ` AND ae.event_type = $${paramIndex}`;
+            params.push(eventType);
+            paramIndex++;
+        }
+
+        return { from, params };
+    }
+
+    /**
+     * Persist a provider result in the common availability schema (see providers/BaseProvider.js)
+     * @param {Object} result - Result of provider.scrapeAvailability()
+     * @param {string} bookingSystem - booking_system stored for newly created properties (and for
+     *   existing ones when the result carries property.location)
+     * @returns {Promise<Object>} { propertyId, roomTypesSaved, availableDatesSaved, events }
+     */
+    async saveProviderAvailability(result, bookingSystem = result.provider) {
+        const propertyId = await this.ensureProperty(
+            result.property.name,
+            result.property.url,
+            `${result.property.name} mountain hut using ${bookingSystem} booking system`,
+            bookingSystem,
+            result.property.location || null
+        );
+
+        let availableDatesSaved = 0;
+        const events = [];
+
+        for (const roomType of result.roomTypes) {
+            const capacity = roomType.capacity || 0;
+            const roomTypeId = roomType.externalId
+                ? await this.ensureRoomType(propertyId, roomType.name, roomType.externalId, capacity)
+                : await this.ensureRoomType(propertyId, roomType.name, capacity);
+
+            const availableDates = roomType.dates
+                .filter(entry => entry.available)
+                .map(entry => ({
+                    date: entry.date,
+                    can_checkin: entry.canCheckin,
+                    can_checkout: entry.canCheckout,
+                    free_beds: entry.freeBeds
+                }));
+
+            // Without a date range the upsert would wipe every stored date of the room type
+            if (!result.dateRange) {
+                continue;
+            }
+
+            const saved = await this.upsertAvailableDates(roomTypeId, availableDates, result.dateRange);
+            availableDatesSaved += availableDates.length;
+            saved.events.forEach(event => events.push({
+                ...event,
+                propertyId,
+                roomTypeId,
+                propertyName: result.property.name,
+                roomTypeName: roomType.name
+            }));
+        }
+
+        return {
+            propertyId,
+            roomTypesSaved: result.roomTypes.length,
+            availableDatesSaved,
+            events
+        };
+    }
+
     async getAvailableDates(propertyId, roomTypeId = null, startDate = null, endDate = null) {
         let query = `
-            SELECT p.name as property_name, rt.name as room_type_name, ad.date as available_date
+            SELECT p.name as property_name, rt.name as room_type_name, ad.date as available_date, ad.free_beds
             FROM availability.available_dates ad
             JOIN availability.room_types rt ON ad.room_type_id = rt.id
             JOIN availability.properties p ON rt.property_id = p.id
@@ -330,6 +568,60 @@ class DatabaseService {
         return result.rows;
     }
 
+    /**
+     * Get available dates night by night with room type details
+     * @param {Object} filters - { startDate, endDate, propertyIds, propertyNames, roomCategory }
+     * @returns {Promise<Array>} Rows { property_id, property_name, room_type_id, room_type_name,
+     *   capacity, room_category, date (YYYY-MM-DD), can_checkin, can_checkout, free_beds }
+     */
+    async getNightlyAvailability({ startDate, endDate, propertyIds = null, propertyNames = null, roomCategory = null }) {
+        let query = `
+            SELECT
+                p.id as property_id,
+                p.name as property_name,
+                rt.id as room_type_id,
+                rt.name as room_type_name,
+                rt.capacity,
+                rt.room_category,
+                to_char(ad.date, 'YYYY-MM-DD') as date,
+                ad.can_checkin,
+                ad.can_checkout,
+                ad.free_beds
+            FROM availability.available_dates ad
+            JOIN availability.room_types rt ON ad.room_type_id = rt.id
+            JOIN availability.properties p ON rt.property_id = p.id
+            WHERE ad.date BETWEEN $1 AND $2
+            AND p.is_active = true
+            AND rt.is_active = true
+        `;
+
+        const params = [startDate, endDate];
+        let paramIndex = 3;
+
+        if (propertyIds) {
+            query += ` AND p.id = ANY($${paramIndex})`;
+            params.push(propertyIds);
+            paramIndex++;
+        }
+
+        if (propertyNames) {
+            query += ` AND p.name = ANY($${paramIndex})`;
+            params.push(propertyNames);
+            paramIndex++;
+        }
+
+        if (roomCategory) {
+            query += ` AND rt.room_category = $${paramIndex}`;
+            params.push(roomCategory);
+            paramIndex++;
+        }
+
+        query += ' ORDER BY p.name, rt.name, ad.date';
+
+        const result = await this.query(query, params);
+        return result.rows;
+    }
+
     async getLastScrapingRun(propertyId) {
         const query = `
             SELECT MAX(ad.scraped_at) as last_run
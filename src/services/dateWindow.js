@@ -0,0 +1,288 @@
+/**
+ * Date Window Service
+ *
+ * Computes a rolling scrape window (start date + horizon in days or months)
+ * relative to "now" and turns it into the month labels that the booking
+ * calendars display in their `.datepicker-switch` header.
+ */
+
+const MONTH_NAMES = {
+  sl: [
+    'Januar', 'Februar', 'Marec', 'April', 'Maj', 'Junij',
+    'Julij', 'Avgust', 'September', 'Oktober', 'November', 'December'
+  ],
+  en: [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+  ],
+  de: [
+    'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+    'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'
+  ]
+};
+
+const DEFAULT_LOCALE = 'sl';
+const DEFAULT_MONTHS = 12;
+
+class DateWindow {
+  /**
+   * @param {Object} options
+   * @param {string|Date} [options.from] - Start of the window: Date, "YYYY-MM-DD", "YYYY-MM",
+   *   or an offset from today such as "+7d" / "+2m" (default: today)
+   * @param {number} [options.months] - Horizon in calendar months, counting the start month
+   * @param {number} [options.days] - Horizon in days, counting the start day
+   * @param {string} [options.locale] - Month label locale: sl, en or de (default: sl)
+   * @param {Date} [options.now] - Reference "now" (for tests and reproducible runs)
+   */
+  constructor(options = {}) {
+    this.locale = DateWindow.resolveLocale(options.locale);
+    this.now = options.now ? new Date(options.now) : new Date();
+
+    if (options.months !== undefined && options.months !== null && options.days !== undefined && options.days !== null) {
+      throw new Error('Date window accepts either months or days as horizon, not both');
+    }
+
+    this.start = this.parseFrom(options.from);
+
+    if (options.days !== undefined && options.days !== null) {
+      const days = parseInt(options.days);
+      if (isNaN(days) || days < 1) {
+        throw new Error(`Invalid date window horizon: ${options.days} days`);
+      }
+      this.end = DateWindow.addDays(this.start, days - 1);
+    } else {
+      const months = options.months !== undefined && options.months !== null
+        ? parseInt(options.months)
+        : DEFAULT_MONTHS;
+      if (isNaN(months) || months < 1) {
+        throw new Error(`Invalid date window horizon: ${options.months} months`);
+      }
+      const last = DateWindow.addMonths({ year: this.start.year, month: this.start.month, day: 1 }, months - 1);
+      this.end = { year: last.year, month: last.month, day: DateWindow.daysInMonth(last.year, last.month) };
+    }
+  }
+
+  /**
+   * Parse the window start into a { year, month, day } triple
+   * @param {string|Date|undefined} from - Start specification
+   * @returns {Object} Start date
+   */
+  parseFrom(from) {
+    const today = {
+      year: this.now.getFullYear(),
+      month: this.now.getMonth() + 1,
+      day: this.now.getDate()
+    };
+
+    if (from === undefined || from === null || from === '' || from === 'today') {
+      return today;
+    }
+
+    if (from instanceof Date) {
+      if (isNaN(from.getTime())) {
+        throw new Error('Invalid date window start: Invalid Date');
+      }
+      return { year: from.getFullYear(), month: from.getMonth() + 1, day: from.getDate() };
+    }
+
+    const value = String(from).trim();
+
+    // Relative offsets: +7d, +2m
+    const relativeMatch = value.match(/^\+(\d+)([dm])$/i);
+    if (relativeMatch) {
+      const amount = parseInt(relativeMatch[1]);
+      return relativeMatch[2].toLowerCase() === 'd'
+        ? DateWindow.addDays(today, amount)
+        : { ...DateWindow.addMonths({ ...today, day: 1 }, amount), day: 1 };
+    }
+
+    // Absolute: YYYY-MM-DD or YYYY-MM
+    const absoluteMatch = value.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/);
+    if (absoluteMatch) {
+      const year = parseInt(absoluteMatch[1]);
+      const month = parseInt(absoluteMatch[2]);
+      const day = absoluteMatch[3] ? parseInt(absoluteMatch[3]) : 1;
+
+      if (month < 1 || month > 12 || day < 1 || day > DateWindow.daysInMonth(year, month)) {
+        throw new Error(`Invalid date window start: ${value}`);
+      }
+      return { year, month, day };
+    }
+
+    throw new Error(`Invalid date window start: ${value} (expected YYYY-MM-DD, YYYY-MM, +Nd or +Nm)`);
+  }
+
+  /**
+   * Get every calendar month touched by the window, in order
+   * @returns {Array<Object>} Array of { year, month }
+   */
+  getMonths() {
+    const months = [];
+    let current = { year: this.start.year, month: this.start.month, day: 1 };
+
+    while (current.year < this.end.year || (current.year === this.end.year && current.month <= this.end.month)) {
+      months.push({ year: current.year, month: current.month });
+      current = DateWindow.addMonths(current, 1);
+    }
+
+    return months;
+  }
+
+  /**
+   * Get locale-specific month labels as shown in the calendar header
+   * @param {string} [locale] - Override the window locale
+   * @returns {Array<string>} Labels such as "Oktober 2026"
+   */
+  getMonthLabels(locale = this.locale) {
+    return this.getMonths().map(({ year, month }) => DateWindow.formatMonthLabel(year, month, locale));
+  }
+
+  /**
+   * Get the window as an inclusive ISO date range
+   * @returns {Object} { minDate, maxDate } in YYYY-MM-DD format
+   */
+  getDateRange() {
+    return {
+      minDate: DateWindow.toISODate(this.start),
+      maxDate: DateWindow.toISODate(this.end)
+    };
+  }
+
+  /**
+   * Describe the window for logs and API responses
+   */
+  toJSON() {
+    return {
+      locale: this.locale,
+      ...this.getDateRange(),
+      months: this.getMonthLabels()
+    };
+  }
+
+  /**
+   * Build a window covering an inclusive ISO date range
+   * @param {Object} dateRange - { minDate, maxDate } in YYYY-MM-DD format
+   * @param {string} [locale] - Month label locale
+   * @returns {DateWindow} Window starting at minDate and ending at maxDate
+   */
+  static fromDateRange({ minDate, maxDate }, locale = DEFAULT_LOCALE) {
+    const days = Math.round((Date.parse(maxDate) - Date.parse(minDate)) / 86400000) + 1;
+    if (isNaN(days) || days < 1) {
+      throw new Error(`Invalid date range: ${minDate} to ${maxDate}`);
+    }
+    return new DateWindow({ from: minDate, days, locale });
+  }
+
+  /**
+   * Format a month label in the given locale
+   * @param {number} year - Full year
+   * @param {number} month - Month number (1-12)
+   * @param {string} [locale] - sl, en or de
+   * @returns {string} Label such as "Avgust 2026"
+   */
+  static formatMonthLabel(year, month, locale = DEFAULT_LOCALE) {
+    const names = MONTH_NAMES[DateWindow.resolveLocale(locale)];
+    return `${names[month - 1]} ${year}`;
+  }
+
+  /**
+   * Parse a month label in any supported locale
+   * @param {string} label - Label such as "März 2026" or "Junij 2026"
+   * @returns {Object|null} { year, month } or null if not recognised
+   */
+  static parseMonthLabel(label) {
+    if (!label) return null;
+
+    const match = String(label).trim().match(/^(\S+)\s+(\d{4})$/);
+    if (!match) return null;
+
+    const month = DateWindow.getMonthNumber(match[1]);
+    return month ? { year: parseInt(match[2]), month } : null;
+  }
+
+  /**
+   * Convert a month name (sl, en or de) to its number
+   * @param {string} monthName - Month name, case-insensitive
+   * @returns {number|null} Month number (1-12) or null
+   */
+  static getMonthNumber(monthName) {
+    const needle = String(monthName).toLowerCase();
+
+    for (const names of Object.values(MONTH_NAMES)) {
+      const index = names.findIndex(name => name.toLowerCase() === needle);
+      if (index !== -1) {
+        return index + 1;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get supported label locales
+   * @returns {Array<string>} Locale codes
+   */
+  static getSupportedLocales() {
+    return Object.keys(MONTH_NAMES);
+  }
+
+  static resolveLocale(locale) {
+    const resolved = (locale || DEFAULT_LOCALE).toLowerCase();
+    if (!MONTH_NAMES[resolved]) {
+      throw new Error(`Unsupported date window locale: ${locale}. Supported: ${Object.keys(MONTH_NAMES).join(', ')}`);
+    }
+    return resolved;
+  }
+
+  static daysInMonth(year, month) {
+    return new Date(year, month, 0).getDate();
+  }
+
+  static addMonths({ year, month, day }, amount) {
+    const index = year * 12 + (month - 1) + amount;
+    return { year: Math.floor(index / 12), month: (index % 12) + 1, day };
+  }
+
+  static addDays({ year, month, day }, amount) {
+    const date = new Date(year, month - 1, day + amount);
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  }
+
+  static toISODate({ year, month, day }) {
+    return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Parse a booking form date
+   * @param {string} value - "YYYY-MM-DD" or "DD.MM.YYYY"
+   * @returns {Object|null} { year, month, day } or null if not a valid date
+   */
+  static parseDate(value) {
+    const text = String(value || '').trim();
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const local = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+    if (!iso && !local) return null;
+
+    const [year, month, day] = (iso ? [iso[1], iso[2], iso[3]] : [local[3], local[2], local[1]]).map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > DateWindow.daysInMonth(year, month)) {
+      return null;
+    }
+    return { year, month, day };
+  }
+
+  /**
+   * Every night of a stay
+   * @param {string} arrival - YYYY-MM-DD
+   * @param {string} departure - YYYY-MM-DD
+   * @returns {Array<string>} ISO dates from arrival up to (not including) departure
+   */
+  static nightsBetween(arrival, departure) {
+    const nights = [];
+    for (let night = DateWindow.parseDate(arrival); DateWindow.toISODate(night) < departure; night = DateWindow.addDays(night, 1)) {
+      nights.push(DateWindow.toISODate(night));
+    }
+    return nights;
+  }
+}
+
+module.exports = DateWindow;
@@ -0,0 +1,188 @@
+/**
+ * Group Allocation Service
+ *
+ * Finds a mix of room types that sleeps a whole party at one property.
+ * Two kinds of offers are combined:
+ *
+ *   beds - bed counts that can be booked one by one (hut-reservation.org categories, dormitories)
+ *   room - rooms that are booked whole, sleeping up to `capacity` guests (Bentral rooms)
+ *
+ * The suggestion wastes as few beds as possible, then uses as few room types as possible.
+ * The search table grows with the group size, so parties are capped at MAX_GROUP_SIZE.
+ */
+
+const MAX_GROUP_SIZE = 100;
+
+class GroupAllocation {
+  /**
+   * Suggest an allocation for a party
+   * @param {Array<Object>} offers - { roomTypeId, name, kind: 'beds'|'room', beds }
+   *   where beds is the free bed count (kind "beds") or the room capacity (kind "room")
+   * @param {number} groupSize - Number of guests
+   * @returns {Object|null} { allocation: [{ roomTypeId, name, kind, guests, beds }], unusedBeds } or null
+   * @throws {RangeError} When groupSize is not an integer between 1 and MAX_GROUP_SIZE
+   */
+  static allocate(offers, groupSize) {
+    if (!Number.isInteger(groupSize) || groupSize < 1 || groupSize > MAX_GROUP_SIZE) {
+      throw new RangeError(`Group size must be an integer between 1 and ${MAX_GROUP_SIZE}`);
+    }
+
+    const rooms = offers.filter(offer => offer.kind === 'room' && offer.beds > 0);
+    const bedPools = offers
+      .filter(offer => offer.kind === 'beds' && offer.beds > 0)
+      .sort((a, b) => b.beds - a.beds);
+    const pooledBeds = bedPools.reduce((sum, pool) => sum + pool.beds, 0);
+
+    // best[sum] = cheapest set of whole rooms sleeping exactly `sum` guests
+    const maxSum = groupSize + Math.max(0, ...rooms.map(room => room.beds));
+    let best = new Array(maxSum + 1).fill(null);
+    best[0] = [];
+
+    rooms.forEach(room => {
+      const next = best.slice();
+      for (let sum = 0; sum + room.beds <= maxSum; sum++) {
+        if (best[sum] && (!next[sum + room.beds] || next[sum + room.beds].length > best[sum].length + 1)) {
+          next[sum + room.beds] = [...best[sum], room];
+        }
+      }
+      best = next;
+    });
+
+    let choice = null;
+
+    best.forEach((roomSet, roomBeds) => {
+      if (!roomSet) return;
+
+      const remaining = Math.max(0, groupSize - roomBeds);
+      if (remaining > pooledBeds) return;
+
+      const pools = GroupAllocation.takeFromPools(bedPools, remaining);
+      const candidate = {
+        rooms: roomSet,
+        pools,
+        unusedBeds: Math.max(0, roomBeds - groupSize),
+        roomTypes: roomSet.length + pools.length
+      };
+
+      if (!choice ||
+          candidate.unusedBeds < choice.unusedBeds ||
+          (candidate.unusedBeds === choice.unusedBeds && candidate.roomTypes < choice.roomTypes)) {
+        choice = candidate;
+      }
+    });
+
+    if (!choice) {
+      return null;
+    }
+
+    return {
+      allocation: GroupAllocation.describe(choice, groupSize),
+      unusedBeds: choice.unusedBeds
+    };
+  }
+
+  /**
+   * Turn nightly availability rows of one property into offers for a stay
+   * A room type qualifies only if it is available on every night and allows check-in on the first.
+   * @param {Array<Object>} rows - { room_type_id, room_type_name, capacity, date, can_checkin, free_beds }
+   * @param {Array<string>} stayNights - Nights of the stay (YYYY-MM-DD)
+   * @returns {Array<Object>} Offers for allocate()
+   */
+  static buildOffers(rows, stayNights) {
+    const roomTypes = new Map();
+
+    rows.forEach(row => {
+      if (!roomTypes.has(row.room_type_id)) {
+        roomTypes.set(row.room_type_id, { row, nights: new Map() });
+      }
+      roomTypes.get(row.room_type_id).nights.set(row.date, row);
+    });
+
+    const offers = [];
+
+    roomTypes.forEach(({ row, nights }, roomTypeId) => {
+      const coversStay = stayNights.every(night => nights.has(night)) &&
+        nights.get(stayNights[0]).can_checkin;
+      if (!coversStay) return;
+
+      // Bed counts are booked bed by bed; without them the room is booked whole
+      const bedCounts = stayNights.map(night => nights.get(night).free_beds);
+      const hasBedCounts = bedCounts.every(beds => beds !== null && beds !== undefined);
+
+      offers.push({
+        roomTypeId,
+        name: row.room_type_name,
+        kind: hasBedCounts ? 'beds' : 'room',
+        beds: hasBedCounts ? Math.min(...bedCounts) : row.capacity
+      });
+    });
+
+    return offers;
+  }
+
+  /**
+   * Format an allocation for API responses (snake_case, as the routes return database rows)
+   */
+  static toResponse(allocation) {
+    return allocation.map(entry => ({
+      room_type_id: entry.roomTypeId,
+      room_type_name: entry.name,
+      booking_unit: entry.kind,
+      guests: entry.guests,
+      beds: entry.beds
+    }));
+  }
+
+  /**
+   * Take beds from the largest pools first
+   * @returns {Array<Object>} [{ pool, guests }]
+   */
+  static takeFromPools(bedPools, guests) {
+    const taken = [];
+    let remaining = guests;
+
+    for (const pool of bedPools) {
+      if (remaining <= 0) break;
+      const count = Math.min(pool.beds, remaining);
+      taken.push({ pool, guests: count });
+      remaining -= count;
+    }
+
+    return taken;
+  }
+
+  static describe(choice, groupSize) {
+    const allocation = [];
+    const pooled = choice.pools.reduce((sum, taken) => sum + taken.guests, 0);
+    let unassigned = groupSize - pooled;
+
+    // Fill whole rooms largest first; the last one may have spare beds
+    [...choice.rooms].sort((a, b) => b.beds - a.beds).forEach(room => {
+      const guests = Math.max(0, Math.min(room.beds, unassigned));
+      allocation.push({
+        roomTypeId: room.roomTypeId,
+        name: room.name,
+        kind: 'room',
+        guests,
+        beds: room.beds
+      });
+      unassigned -= guests;
+    });
+
+    choice.pools.forEach(({ pool, guests }) => {
+      allocation.push({
+        roomTypeId: pool.roomTypeId,
+        name: pool.name,
+        kind: 'beds',
+        guests,
+        beds: guests
+      });
+    });
+
+    return allocation;
+  }
+}
+
+GroupAllocation.MAX_GROUP_SIZE = MAX_GROUP_SIZE;
+
+module.exports = GroupAllocation;
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Guest Vault
+ *
+ * Keeps guest PII out of everything the booking services write: booking session,
+ * waitlist and ledger parameters and the bots' booking data files carry a guest
+ * reference instead of guestName, email and phone. A reference is those fields
+ * sealed with AES-256-GCM under GUEST_DATA_KEY; the bots reveal it only to fill
+ * in a form. Every value the vault seals or reveals is handed to the logger,
+ * which redacts it from all log output.
+ *
+ * GUEST_DATA_KEY is 64 hex characters (used as the key) or any other secret
+ * (stretched with scrypt). It is required in production; elsewhere a random key is
+ * used, so references do not survive a restart.
+ */
+
+const GUEST_FIELDS = ['guestName', 'email', 'phone'];
+const REFERENCE_PREFIX = 'guest:v1:';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+class GuestVault {
+    constructor() {
+        this.key = null;
+    }
+
+    /**
+     * Replace the guest fields of booking parameters with a guest reference
+     * Fields sent next to an existing reference (a modification) replace the sealed ones.
+     * @param {Object} params - Booking parameters
+     * @returns {Object} Parameters with guestRef instead of guestName, email and phone
+     */
+    protect(params) {
+        const guest = pickGuest(params);
+        if (Object.keys(guest).length === 0) {
+            return params;
+        }
+
+        const rest = omitGuest(params);
+        const sealed = params.guestRef ? this.open(params.guestRef) : {};
+
+        return { ...rest, guestRef: this.seal({ ...sealed, ...guest }) };
+    }
+
+    /**
+     * Put the guest fields back into parameters that carry a guest reference
+     * @param {Object} params - Booking parameters, protected or not
+     * @returns {Object} Parameters with guestName, email and phone and without guestRef
+     */
+    reveal(params) {
+        if (!params || !params.guestRef) {
+            registerGuest(pickGuest(params || {}));
+            return params;
+        }
+
+        const { guestRef, ...rest } = params;
+        return { ...rest, ...this.open(guestRef) };
+    }
+
+    /**
+     * @param {Object} guest - { guestName?, email?, phone? }
+     * @returns {string} Guest reference
+     */
+    seal(guest) {
+        registerGuest(guest);
+
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(guest), 'utf8'), cipher.final()]);
+
+        return REFERENCE_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+    }
+
+    /**
+     * @param {string} reference - Guest reference from seal()
+     * @returns {Object} { guestName?, email?, phone? }
+     */
+    open(reference) {
+        if (!GuestVault.isReference(reference)) {
+            throw new GuestDataError('Not a guest reference');
+        }
+
+        const data = Buffer.from(reference.slice(REFERENCE_PREFIX.length), 'base64url');
+
+        let guest;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), data.subarray(0, IV_BYTES));
+            decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+            const plaintext = Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+            guest = JSON.parse(plaintext.toString('utf8'));
+        } catch (error) {
+            throw new GuestDataError('Guest details cannot be decrypted - the reference was sealed under another GUEST_DATA_KEY');
+        }
+
+        registerGuest(guest);
+        return guest;
+    }
+
+    getKey() {
+        if (!this.key) {
+            this.key = GuestVault.deriveKey(process.env.GUEST_DATA_KEY);
+        }
+        return this.key;
+    }
+
+    /**
+     * @param {string|undefined} secret - GUEST_DATA_KEY
+     * @returns {Buffer} 32-byte key
+     */
+    static deriveKey(secret) {
+        if (!secret) {
+            if (process.env.NODE_ENV === 'production') {
+                throw new GuestDataError('GUEST_DATA_KEY must be set in production');
+            }
+            logger.warn('GUEST_DATA_KEY is not set - using a random key, stored guest details will not survive a restart');
+            return crypto.randomBytes(32);
+        }
+
+        if (/^[0-9a-f]{64}$/i.test(secret)) {
+            return Buffer.from(secret, 'hex');
+        }
+        return crypto.scryptSync(secret, 'mountain-hut-guest-vault', 32);
+    }
+
+    static isReference(value) {
+        return typeof value === 'string' && value.startsWith(REFERENCE_PREFIX);
+    }
+}
+
+function pickGuest(params) {
+    const guest = {};
+    for (const field of GUEST_FIELDS) {
+        if (params[field] !== undefined && params[field] !== null) {
+            guest[field] = params[field];
+        }
+    }
+    return guest;
+}
+
+function omitGuest(params) {
+    const rest = { ...params };
+    GUEST_FIELDS.forEach(field => delete rest[field]);
+    return rest;
+}
+
+function registerGuest(guest) {
+    Object.entries(guest).forEach(([field, value]) => logger.addSensitiveValue(value, { isName: field === 'guestName' }));
+}
+
+/**
+ * Missing key or a reference that cannot be opened
+ */
+class GuestDataError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GuestDataError';
+    }
+}
+
+module.exports = new GuestVault();
+module.exports.GuestVault = GuestVault;
+module.exports.GuestDataError = GuestDataError;
+module.exports.GUEST_FIELDS = GUEST_FIELDS;
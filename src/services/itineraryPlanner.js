@@ -0,0 +1,224 @@
+const database = require('./database');
+const GroupAllocation = require('./groupAllocation');
+const ValidationError = require('./validationError');
+
+/**
+ * Itinerary Planner Service
+ *
+ * Plans hut-to-hut treks on top of the stored availability of every provider.
+ * A trek is an ordered list of stages; each stage has one or more candidate huts
+ * and a number of nights (default 1). For every start date in the requested range
+ * the planner checks that, stage after stage, at least one candidate hut can sleep
+ * the whole party on each of its nights.
+ */
+
+const MAX_START_DATES = 92;
+const MAX_STAGES = 30;
+const MAX_STAGE_NIGHTS = 30;
+const DAY_MS = 86400000;
+
+class ItineraryPlanner {
+  /**
+   * Plan an itinerary
+   * @param {Object} request
+   * @param {Array<Object|string|number>} request.stages - Hut name/ID, or { huts: [name|ID], nights }
+   * @param {string} request.startDateFrom - First possible start date (YYYY-MM-DD)
+   * @param {string} [request.startDateTo] - Last possible start date (default: startDateFrom)
+   * @param {number} request.partySize - Number of guests
+   * @returns {Promise<Object>} { itineraries, checkedStartDates, stages }
+   */
+  async plan({ stages, startDateFrom, startDateTo = null, partySize }) {
+    const normalizedStages = this.normalizeStages(stages);
+    const startDates = this.getStartDates(startDateFrom, startDateTo || startDateFrom);
+
+    if (!Number.isInteger(partySize) || partySize < 1 || partySize > GroupAllocation.MAX_GROUP_SIZE) {
+      throw new ValidationError(`party_size must be an integer between 1 and ${GroupAllocation.MAX_GROUP_SIZE}`);
+    }
+
+    const propertiesByHut = await this.resolveHuts(normalizedStages);
+    const totalNights = normalizedStages.reduce((sum, stage) => sum + stage.nights, 0);
+
+    const rows = await database.getNightlyAvailability({
+      startDate: startDates[0],
+      endDate: ItineraryPlanner.addDays(startDates[startDates.length - 1], totalNights - 1),
+      propertyIds: Array.from(new Set(Array.from(propertiesByHut.values()).map(property => property.id)))
+    });
+
+    const rowsByProperty = new Map();
+    rows.forEach(row => {
+      if (!rowsByProperty.has(row.property_id)) {
+        rowsByProperty.set(row.property_id, []);
+      }
+      rowsByProperty.get(row.property_id).push(row);
+    });
+
+    const itineraries = [];
+
+    for (const startDate of startDates) {
+      const itinerary = this.planFromDate(startDate, normalizedStages, propertiesByHut, rowsByProperty, partySize);
+      if (itinerary) {
+        itineraries.push(itinerary);
+      }
+    }
+
+    return {
+      itineraries,
+      checkedStartDates: startDates.length,
+      stages: normalizedStages.map((stage, index) => ({
+        stage: index + 1,
+        nights: stage.nights,
+        huts: stage.huts.map(hut => {
+          const property = propertiesByHut.get(hut);
+          return { property_id: property.id, property_name: property.name };
+        })
+      }))
+    };
+  }
+
+  /**
+   * Check one start date stage by stage
+   * @returns {Object|null} Itinerary, or null if some stage has no hut with room for the party
+   */
+  planFromDate(startDate, stages, propertiesByHut, rowsByProperty, partySize) {
+    const plannedStages = [];
+    let checkIn = startDate;
+
+    for (let index = 0; index < stages.length; index++) {
+      const stage = stages[index];
+      const stayNights = [];
+      for (let night = 0; night < stage.nights; night++) {
+        stayNights.push(ItineraryPlanner.addDays(checkIn, night));
+      }
+
+      const options = [];
+
+      stage.huts.forEach(hut => {
+        const property = propertiesByHut.get(hut);
+        const offers = GroupAllocation.buildOffers(rowsByProperty.get(property.id) || [], stayNights);
+        const suggestion = GroupAllocation.allocate(offers, partySize);
+
+        if (suggestion) {
+          options.push({
+            property_id: property.id,
+            property_name: property.name,
+            allocation: GroupAllocation.toResponse(suggestion.allocation),
+            unused_beds: suggestion.unusedBeds
+          });
+        }
+      });
+
+      if (options.length === 0) {
+        return null;
+      }
+
+      const checkOut = ItineraryPlanner.addDays(checkIn, stage.nights);
+      plannedStages.push({
+        stage: index + 1,
+        check_in: checkIn,
+        check_out: checkOut,
+        nights: stage.nights,
+        options
+      });
+      checkIn = checkOut;
+    }
+
+    return {
+      start_date: startDate,
+      end_date: checkIn,
+      stages: plannedStages
+    };
+  }
+
+  /**
+   * Normalize stages to { huts: [name|ID], nights }
+   */
+  normalizeStages(stages) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new ValidationError('stages must be a non-empty array');
+    }
+    if (stages.length > MAX_STAGES) {
+      throw new ValidationError(`stages can have at most ${MAX_STAGES} entries`);
+    }
+
+    return stages.map((stage, index) => {
+      const raw = typeof stage === 'object' && stage !== null && !Array.isArray(stage)
+        ? stage
+        : { huts: Array.isArray(stage) ? stage : [stage] };
+
+      const huts = Array.isArray(raw.huts) ? raw.huts : (raw.hut !== undefined ? [raw.hut] : []);
+      const nights = raw.nights === undefined ? 1 : parseInt(raw.nights);
+
+      if (huts.length === 0 || huts.some(hut => hut === null || hut === '' || typeof hut === 'object')) {
+        throw new ValidationError(`Stage ${index + 1} needs at least one hut name or ID`);
+      }
+      if (isNaN(nights) || nights < 1 || nights > MAX_STAGE_NIGHTS) {
+        throw new ValidationError(`Stage ${index + 1} nights must be an integer between 1 and ${MAX_STAGE_NIGHTS}`);
+      }
+
+      return { huts: huts.map(hut => (typeof hut === 'number' ? hut : String(hut).trim())), nights };
+    });
+  }
+
+  /**
+   * List start dates in the requested range
+   */
+  getStartDates(from, to) {
+    const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateFormat.test(from || '') || isNaN(Date.parse(from)) || !dateFormat.test(to || '') || isNaN(Date.parse(to))) {
+      throw new ValidationError('start_date_from and start_date_to must be dates in YYYY-MM-DD format');
+    }
+
+    const count = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+    if (count < 1) {
+      throw new ValidationError('start_date_to must not be before start_date_from');
+    }
+    if (count > MAX_START_DATES) {
+      throw new ValidationError(`Start date range can span at most ${MAX_START_DATES} days`);
+    }
+
+    return Array.from({ length: count }, (_, offset) => ItineraryPlanner.addDays(from, offset));
+  }
+
+  /**
+   * Resolve hut names (case-insensitive) and IDs to active properties
+   * @returns {Promise<Map>} Hut reference -> { id, name }
+   */
+  async resolveHuts(stages) {
+    const references = Array.from(new Set(stages.flatMap(stage => stage.huts)));
+    const ids = references.filter(ref => typeof ref === 'number');
+    const names = references.filter(ref => typeof ref === 'string').map(name => name.toLowerCase());
+
+    const result = await database.query(`
+      SELECT id, name FROM availability.properties
+      WHERE is_active = true AND (id = ANY($1) OR LOWER(name) = ANY($2))
+    `, [ids, names]);
+
+    const propertiesByHut = new Map();
+    const unknown = [];
+
+    references.forEach(ref => {
+      const property = typeof ref === 'number'
+        ? result.rows.find(row => row.id === ref)
+        : result.rows.find(row => row.name.toLowerCase() === ref.toLowerCase());
+
+      if (property) {
+        propertiesByHut.set(ref, property);
+      } else {
+        unknown.push(ref);
+      }
+    });
+
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown huts: ${unknown.join(', ')}`);
+    }
+
+    return propertiesByHut;
+  }
+
+  static addDays(isoDate, days) {
+    return new Date(Date.parse(isoDate) + days * DAY_MS).toISOString().split('T')[0];
+  }
+}
+
+module.exports = new ItineraryPlanner();
+module.exports.ValidationError = ValidationError;
@@ -6,6 +6,67 @@ require('dotenv').config();
 const logDir = 'logs';
 const logLevel = process.env.LOG_LEVEL || 'info';
 
+// Guest details never reach a transport: values under these keys, email addresses,
+// phone numbers and every value registered with addSensitiveValue (the guest names
+// and contact details the guest vault has seen) are replaced before formatting.
+const SENSITIVE_KEYS = new Set(['guestName', 'guest_name', 'email', 'phone', 'telefon']);
+const PASSTHROUGH_KEYS = new Set(['guestRef']);
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /(?:\+|\b00)\d[\d\s/.-]{6,}\d|\b0\d{1,2}[\s/-]?\d{3}[\s/-]?\d{3,4}\b/g;
+const MAX_SENSITIVE_VALUES = 1000;
+// Shorter names ("Ana") are too likely to be part of other words or names to redact safely
+const MIN_VALUE_LENGTH = 3;
+const MIN_NAME_LENGTH = 5;
+const MAX_REDACT_DEPTH = 8;
+
+const sensitiveValues = new Set();
+let sensitivePattern = null;
+
+function redactText(text) {
+    let redacted = text.replace(EMAIL_PATTERN, '[email]').replace(PHONE_PATTERN, '[phone]');
+    if (sensitivePattern) {
+        redacted = redacted.replace(sensitivePattern, '[redacted]');
+    }
+    return redacted;
+}
+
+function redactValue(value, key = null, depth = 0) {
+    if (value === null || value === undefined || PASSTHROUGH_KEYS.has(key)) {
+        return value;
+    }
+
+    if (typeof value === 'string') {
+        return SENSITIVE_KEYS.has(key) && value ? '[redacted]' : redactText(value);
+    }
+
+    if (typeof value !== 'object' || depth >= MAX_REDACT_DEPTH) {
+        return value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redactValue(item, null, depth + 1));
+    }
+
+    // Dates, buffers, errors and other class instances are left as they are
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+        return value;
+    }
+
+    const redacted = {};
+    for (const [entryKey, entryValue] of Object.entries(value)) {
+        redacted[entryKey] = redactValue(entryValue, entryKey, depth + 1);
+    }
+    return redacted;
+}
+
+const redactFormat = winston.format((info) => {
+    for (const key of Object.keys(info)) {
+        info[key] = redactValue(info[key], key);
+    }
+    return info;
+});
+
 const logFormat = winston.format.combine(
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.errors({ stack: true }),
@@ -65,6 +126,7 @@ const consoleTransport = new winston.transports.Console({
 
 const logger = winston.createLogger({
     level: logLevel,
+    format: redactFormat(),
     transports: [
         dailyRotateFileTransport,
         errorRotateFileTransport
@@ -89,6 +151,38 @@ class Logger {
         return this.correlationId;
     }
 
+    /**
+     * Redact a value from all log output from now on (guest names, emails, phones)
+     * Values are only replaced as whole words, never inside other words.
+     * @param {string} value - Value to redact
+     * @param {Object} options - { isName: apply the longer minimum length for names }
+     */
+    addSensitiveValue(value, { isName = false } = {}) {
+        const minLength = isName ? MIN_NAME_LENGTH : MIN_VALUE_LENGTH;
+        if (typeof value !== 'string' || value.trim().length < minLength || sensitiveValues.has(value.trim())) {
+            return;
+        }
+
+        sensitiveValues.add(value.trim());
+        if (sensitiveValues.size > MAX_SENSITIVE_VALUES) {
+            sensitiveValues.delete(sensitiveValues.values().next().value);
+        }
+
+        // Longest first, so a full name is replaced before a part of it
+        const escaped = Array.from(sensitiveValues)
+            .sort((a, b) => b.length - a.length)
+            .map(known => known.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        // Unicode-aware word boundaries (\b only knows ASCII letters, so it would fail on "Žiga")
+        sensitivePattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${escaped.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+    }
+
+    /**
+     * Copy of a value with guest details redacted, as it would be logged
+     */
+    redact(value) {
+        return redactValue(value);
+    }
+
     _formatMessage(message, meta = {}) {
         const correlationMeta = this.correlationId ? { correlationId: this.correlationId } : {};
         return { message, ...correlationMeta, ...meta };
@@ -0,0 +1,362 @@
+const axios = require('axios');
+const logger = require('./logger');
+
+/**
+ * Request Governor
+ *
+ * One gate for all outbound traffic to the booking systems, shared by the providers,
+ * scrapers and discovery scripts. Every request names its URL; the governor keeps per
+ * host:
+ *
+ *   - a token bucket refilled at requestsPerMinute (up to burst requests at once)
+ *   - a cap of concurrentRequests requests in flight
+ *   - a backoff after 429/503 answers (Retry-After, or doubling from backoffBase),
+ *     after which the request is sent again up to maxRetries times
+ *   - a circuit breaker that opens after failureThreshold failures in a row (network
+ *     errors, 5xx, 429) and turns requests away with CircuitOpenError for openTimeout;
+ *     then one trial request decides whether it closes again
+ *
+ * Limits come from a provider's rateLimit config (configureProvider) or configure();
+ * hosts without limits get the REQUEST_GOVERNOR_* defaults.
+ *
+ *   await requestGovernor.request({ url, timeout });            // axios request
+ *   await requestGovernor.schedule(url, () => page.goto(url));  // anything else
+ */
+
+const BACKOFF_STATUSES = [429, 503];
+
+class CircuitOpenError extends Error {
+    constructor(host, retryAt) {
+        super(`Circuit open for ${host}: too many failed requests, retry after ${new Date(retryAt).toISOString()}`);
+        this.name = 'CircuitOpenError';
+        this.host = host;
+        this.retryAt = retryAt;
+    }
+}
+
+class RequestGovernor {
+    /**
+     * @param {Object} options
+     * @param {number} options.requestsPerMinute - Default rate per host
+     * @param {number} options.concurrentRequests - Default requests in flight per host
+     * @param {number} options.failureThreshold - Failures in a row that open the circuit
+     * @param {number} options.openTimeout - How long an open circuit turns requests away (ms)
+     * @param {number} options.backoffBase - First backoff after 429/503 without Retry-After (ms)
+     * @param {number} options.maxBackoff - Longest backoff (ms)
+     * @param {number} options.maxRetries - Retries of a request answered with 429/503
+     * @param {Object} options.http - axios instance used by request()
+     */
+    constructor(options = {}) {
+        this.options = {
+            requestsPerMinute: parseInt(process.env.REQUEST_GOVERNOR_DEFAULT_RPM) || 60,
+            concurrentRequests: parseInt(process.env.REQUEST_GOVERNOR_DEFAULT_CONCURRENCY) || 4,
+            failureThreshold: parseInt(process.env.REQUEST_GOVERNOR_FAILURE_THRESHOLD) || 5,
+            openTimeout: parseInt(process.env.REQUEST_GOVERNOR_OPEN_MS) || 60000,
+            backoffBase: parseInt(process.env.REQUEST_GOVERNOR_BACKOFF_MS) || 2000,
+            maxBackoff: parseInt(process.env.REQUEST_GOVERNOR_MAX_BACKOFF_MS) || 60000,
+            maxRetries: parseInt(process.env.REQUEST_GOVERNOR_MAX_RETRIES) || 2,
+            ...options
+        };
+        this.http = this.options.http || axios;
+        this.hosts = new Map();
+    }
+
+    /**
+     * Set the limits of a host
+     * @param {string} hostOrUrl - Host (www.example.com) or any URL on it
+     * @param {Object} limits - { requestsPerMinute, concurrentRequests, burst }
+     */
+    configure(hostOrUrl, limits = {}) {
+        const host = this.getHost(hostOrUrl);
+        const state = this.hostState(host);
+
+        if (limits.requestsPerMinute > 0) state.requestsPerMinute = limits.requestsPerMinute;
+        if (limits.concurrentRequests > 0) state.concurrentRequests = limits.concurrentRequests;
+        state.burst = limits.burst > 0 ? limits.burst : state.concurrentRequests;
+        state.tokens = Math.min(state.tokens, state.burst);
+
+        logger.debug(`Request limits for ${host}`, {
+            requestsPerMinute: state.requestsPerMinute,
+            concurrentRequests: state.concurrentRequests,
+            burst: state.burst
+        });
+        return state;
+    }
+
+    /**
+     * Apply a provider config's rateLimit to the hosts it talks to
+     * @param {Object} config - Provider config (rateLimit, baseUrl, apiBaseUrl, embedUrl)
+     * @returns {Array<string>} Configured hosts
+     */
+    configureProvider(config) {
+        if (!config.rateLimit) return [];
+
+        const hosts = new Set(['baseUrl', 'apiBaseUrl', 'embedUrl']
+            .map(field => config[field] && this.getHost(config[field]))
+            .filter(Boolean));
+
+        for (const host of hosts) {
+            this.configure(host, config.rateLimit);
+        }
+        return Array.from(hosts);
+    }
+
+    /**
+     * Send an axios request through the governor
+     * @param {Object} config - axios request config (url, optionally baseURL)
+     * @returns {Promise<Object>} axios response
+     */
+    request(config) {
+        const url = config.baseURL ? new URL(config.url, config.baseURL).href : config.url;
+        return this.schedule(url, () => this.http.request(config));
+    }
+
+    /**
+     * Run fn once the host of url has a token and a free slot
+     * @param {string} url - Request URL
+     * @param {Function} fn - async () => response; answers and errors with a status (axios,
+     *   Playwright responses) drive the backoff and the circuit breaker
+     * @returns {Promise<*>} fn's result
+     */
+    async schedule(url, fn) {
+        const host = this.getHost(url);
+        const state = this.hostState(host);
+
+        for (let attempt = 0; ; attempt++) {
+            await this.take(state);
+
+            let result;
+            let error = null;
+            try {
+                result = await fn();
+            } catch (caught) {
+                error = caught;
+            } finally {
+                state.active--;
+            }
+
+            const status = statusOf(error ? error.response : result);
+            const retry = BACKOFF_STATUSES.includes(status) && attempt < this.options.maxRetries;
+
+            this.record(state, status, error, error ? error.response : result);
+            this.pump(state);
+
+            if (retry) {
+                logger.warn(`${host} answered ${status}, sending ${url} again after ${state.backoffUntil - Date.now()}ms`);
+                continue;
+            }
+            if (error) throw error;
+            return result;
+        }
+    }
+
+    /**
+     * Wait in the host's line for a token and a free slot
+     */
+    take(state) {
+        this.checkCircuit(state);
+
+        return new Promise((resolve, reject) => {
+            state.queue.push({ resolve, reject });
+            this.pump(state);
+        });
+    }
+
+    /**
+     * Fail fast while the circuit is open; let one trial request through after openTimeout
+     */
+    checkCircuit(state) {
+        if (state.circuit === 'closed') return;
+
+        const retryAt = state.openedAt + this.options.openTimeout;
+        if (state.circuit === 'open' && Date.now() >= retryAt) {
+            state.circuit = 'half_open';
+            state.trialInFlight = false;
+            logger.info(`Circuit for ${state.host} half open, sending a trial request`);
+        }
+
+        if (state.circuit === 'open' || (state.circuit === 'half_open' && state.trialInFlight)) {
+            state.stats.rejected++;
+            throw new CircuitOpenError(state.host, retryAt);
+        }
+        state.trialInFlight = true;
+    }
+
+    /**
+     * Hand tokens and slots to the requests waiting for this host, first come first served
+     */
+    pump(state) {
+        clearTimeout(state.timer);
+        state.timer = null;
+
+        if (state.circuit === 'open') {
+            for (const waiter of state.queue.splice(0)) {
+                state.stats.rejected++;
+                waiter.reject(new CircuitOpenError(state.host, state.openedAt + this.options.openTimeout));
+            }
+            return;
+        }
+
+        while (state.queue.length > 0 && state.active < state.concurrentRequests) {
+            this.refill(state);
+
+            const now = Date.now();
+            const wait = Math.max(
+                state.backoffUntil - now,
+                state.tokens >= 1 ? 0 : Math.ceil((1 - state.tokens) * 60000 / state.requestsPerMinute)
+            );
+            if (wait > 0) {
+                state.timer = setTimeout(() => this.pump(state), wait);
+                return;
+            }
+
+            state.tokens -= 1;
+            state.active++;
+            state.stats.requests++;
+            state.queue.shift().resolve();
+        }
+    }
+
+    refill(state) {
+        const now = Date.now();
+        state.tokens = Math.min(state.burst, state.tokens + (now - state.refilledAt) * state.requestsPerMinute / 60000);
+        state.refilledAt = now;
+    }
+
+    /**
+     * Update backoff and circuit from the outcome of a request
+     */
+    record(state, status, error, response) {
+        const failed = BACKOFF_STATUSES.includes(status) || status >= 500 || (error && !status);
+
+        if (BACKOFF_STATUSES.includes(status)) {
+            state.backoffs++;
+            state.stats.backoffs++;
+            const retryAfter = retryAfterOf(response);
+            const delay = retryAfter !== null
+                ? retryAfter
+                : this.options.backoffBase * 2 ** (state.backoffs - 1);
+            state.backoffUntil = Date.now() + Math.min(delay, this.options.maxBackoff);
+        } else if (!failed) {
+            state.backoffs = 0;
+        }
+
+        if (!failed) {
+            if (state.circuit !== 'closed') {
+                logger.info(`Circuit for ${state.host} closed again`);
+            }
+            state.failures = 0;
+            state.circuit = 'closed';
+            state.trialInFlight = false;
+            return;
+        }
+
+        state.failures++;
+        state.stats.failures++;
+
+        if (state.circuit === 'half_open' || state.failures >= this.options.failureThreshold) {
+            if (state.circuit !== 'open') state.stats.circuitOpened++;
+            state.circuit = 'open';
+            state.openedAt = Date.now();
+            state.trialInFlight = false;
+            logger.warn(`Circuit for ${state.host} open after ${state.failures} failed requests`, {
+                status,
+                error: error?.message
+            });
+        }
+    }
+
+    hostState(host) {
+        if (!this.hosts.has(host)) {
+            this.hosts.set(host, {
+                host,
+                requestsPerMinute: this.options.requestsPerMinute,
+                concurrentRequests: this.options.concurrentRequests,
+                burst: this.options.concurrentRequests,
+                tokens: this.options.concurrentRequests,
+                refilledAt: Date.now(),
+                active: 0,
+                queue: [],
+                timer: null,
+                backoffs: 0,
+                backoffUntil: 0,
+                failures: 0,
+                circuit: 'closed',
+                openedAt: 0,
+                trialInFlight: false,
+                stats: { requests: 0, failures: 0, backoffs: 0, rejected: 0, circuitOpened: 0 }
+            });
+        }
+        return this.hosts.get(host);
+    }
+
+    getHost(hostOrUrl) {
+        try {
+            return new URL(hostOrUrl).host;
+        } catch {
+            return hostOrUrl;
+        }
+    }
+
+    /**
+     * @returns {Object} Limits, queue and circuit state per host
+     */
+    getMetrics() {
+        const hosts = {};
+        for (const state of this.hosts.values()) {
+            hosts[state.host] = {
+                circuit: state.circuit,
+                requestsPerMinute: state.requestsPerMinute,
+                concurrentRequests: state.concurrentRequests,
+                active: state.active,
+                waiting: state.queue.length,
+                consecutiveFailures: state.failures,
+                backoffUntil: state.backoffUntil > Date.now() ? new Date(state.backoffUntil).toISOString() : null,
+                ...state.stats
+            };
+        }
+        return { hosts };
+    }
+
+    /**
+     * Forget all hosts (limits, circuits and waiting requests)
+     */
+    reset() {
+        for (const state of this.hosts.values()) {
+            clearTimeout(state.timer);
+            for (const waiter of state.queue.splice(0)) {
+                waiter.reject(new Error('Request governor reset'));
+            }
+        }
+        this.hosts.clear();
+    }
+}
+
+/**
+ * HTTP status of an axios or Playwright response
+ */
+function statusOf(response) {
+    if (!response) return null;
+    const status = typeof response.status === 'function' ? response.status() : response.status;
+    return typeof status === 'number' ? status : null;
+}
+
+/**
+ * Retry-After of a response in ms (seconds or HTTP date), null without one
+ */
+function retryAfterOf(response) {
+    if (!response || !response.headers) return null;
+    const headers = typeof response.headers === 'function' ? response.headers() : response.headers;
+    const value = headers['retry-after'];
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return seconds * 1000;
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = new RequestGovernor();
+module.exports.RequestGovernor = RequestGovernor;
+module.exports.CircuitOpenError = CircuitOpenError;
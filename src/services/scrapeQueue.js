@@ -0,0 +1,392 @@
+const os = require('os');
+const database = require('./database');
+
+/**
+ * Scrape Queue Service
+ *
+ * Postgres-backed queue of scrape work items (provider, property, room type, date range).
+ * Every item carries its own status, attempt counter and last error, so a run that dies
+ * half-way can be picked up again from the table instead of starting over.
+ *
+ * Item status: pending -> running -> completed | failed (pending again while attempts remain)
+ * Job status:  pending -> running -> completed | completed_with_errors
+ */
+
+const ITEM_COLUMNS = `
+    id, job_id, provider, property_name, property_external_id,
+    room_type_name, room_type_external_id, room_type_capacity,
+    to_char(date_from, 'YYYY-MM-DD') AS date_from,
+    to_char(date_to, 'YYYY-MM-DD') AS date_to,
+    status, attempts, max_attempts, last_error, result,
+    available_at, locked_by, locked_at, started_at, finished_at
+`;
+
+class ScrapeQueue {
+    constructor() {
+        this.workerId = `${os.hostname()}:${process.pid}`;
+    }
+
+    /**
+     * Create a job and enqueue its work items
+     * @param {Object} params
+     * @param {string} params.trigger - What started the job (scheduled, manual, cli, ...)
+     * @param {Array<Object>} params.items - Work items { provider, property: { name, externalId },
+     *   roomType?: { name, externalId, capacity }, dateRange?: { minDate, maxDate } }
+     * @param {Object} [params.options] - Options stored with the job for reference
+     * @param {number} [params.maxAttempts] - Attempts per item before it is marked failed
+     * @returns {Promise<Object>} Created job row
+     */
+    async createJob({ trigger, items, options = {}, maxAttempts = 3 }) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new Error('Cannot create a scrape job without work items');
+        }
+
+        return await database.transaction(async (client) => {
+            // Same MAX(id) + 1 scheme as the availability tables (no sequence permissions needed)
+            await client.query('LOCK TABLE availability.scrape_jobs IN SHARE ROW EXCLUSIVE MODE');
+            const jobIdResult = await client.query('SELECT COALESCE(MAX(id), 0) + 1 as next_id FROM availability.scrape_jobs');
+            const jobId = jobIdResult.rows[0].next_id;
+
+            const jobResult = await client.query(`
+                INSERT INTO availability.scrape_jobs (id, trigger, status, options, total_items, created_at)
+                VALUES ($1, $2, 'pending', $3, $4, CURRENT_TIMESTAMP)
+                RETURNING *;
+            `, [jobId, trigger, JSON.stringify(options), items.length]);
+
+            await client.query('LOCK TABLE availability.scrape_work_items IN SHARE ROW EXCLUSIVE MODE');
+            const itemIdResult = await client.query('SELECT COALESCE(MAX(id), 0) + 1 as next_id FROM availability.scrape_work_items');
+            let nextId = parseInt(itemIdResult.rows[0].next_id);
+
+            for (const item of items) {
+                if (!item.provider) {
+                    throw new Error('Work item is missing provider');
+                }
+
+                await client.query(`
+                    INSERT INTO availability.scrape_work_items (
+                        id, job_id, provider, property_name, property_external_id,
+                        room_type_name, room_type_external_id, room_type_capacity,
+                        date_from, date_to, status, attempts, max_attempts,
+                        available_at, created_at, updated_at
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', 0, $11,
+                        CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP);
+                `, [
+                    nextId++,
+                    jobId,
+                    item.provider,
+                    item.property?.name || null,
+                    item.property?.externalId != null ? String(item.property.externalId) : null,
+                    item.roomType?.name || null,
+                    item.roomType?.externalId != null ? String(item.roomType.externalId) : null,
+                    item.roomType?.capacity != null ? item.roomType.capacity : null,
+                    item.dateRange?.minDate || null,
+                    item.dateRange?.maxDate || null,
+                    maxAttempts
+                ]);
+            }
+
+            return jobResult.rows[0];
+        });
+    }
+
+    /**
+     * Mark a job as running
+     * @param {number} jobId - Job ID
+     */
+    async startJob(jobId) {
+        await database.query(`
+            UPDATE availability.scrape_jobs
+            SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP), finished_at = NULL
+            WHERE id = $1;
+        `, [jobId]);
+    }
+
+    /**
+     * Close a job once none of its items are pending or running
+     * @param {number} jobId - Job ID
+     * @returns {Promise<Object>} Final job progress
+     */
+    async finishJob(jobId) {
+        const progress = await this.getJobProgress(jobId, { includeItems: false });
+        const { pending, running, failed } = progress.counts;
+
+        if (pending === 0 && running === 0) {
+            const status = failed > 0 ? 'completed_with_errors' : 'completed';
+            await database.query(`
+                UPDATE availability.scrape_jobs
+                SET status = $2, finished_at = CURRENT_TIMESTAMP
+                WHERE id = $1;
+            `, [jobId, status]);
+            progress.job.status = status;
+        }
+
+        return progress;
+    }
+
+    /**
+     * Claim the next due item of a job for this process
+     * SKIP LOCKED lets several workers (or processes) pull from the same job safely.
+     * @param {number} jobId - Job ID
+     * @returns {Promise<Object|null>} Work item or null when nothing is due
+     */
+    async claimNextItem(jobId) {
+        const result = await database.query(`
+            UPDATE availability.scrape_work_items
+            SET status = 'running',
+                attempts = attempts + 1,
+                locked_by = $2,
+                locked_at = CURRENT_TIMESTAMP,
+                started_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = (
+                SELECT id FROM availability.scrape_work_items
+                WHERE job_id = $1 AND status = 'pending' AND available_at <= CURRENT_TIMESTAMP
+                ORDER BY id
+                FOR UPDATE SKIP LOCKED
+                LIMIT 1
+            )
+            RETURNING ${ITEM_COLUMNS};
+        `, [jobId, this.workerId]);
+
+        return result.rows.length > 0 ? this.toWorkItem(result.rows[0]) : null;
+    }
+
+    /**
+     * Mark an item as completed
+     * @param {number} itemId - Work item ID
+     * @param {Object} summary - Short result summary stored with the item
+     */
+    async completeItem(itemId, summary = {}) {
+        await database.query(`
+            UPDATE availability.scrape_work_items
+            SET status = 'completed', result = $2, last_error = NULL,
+                locked_by = NULL, locked_at = NULL,
+                finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1;
+        `, [itemId, JSON.stringify(summary)]);
+    }
+
+    /**
+     * Record a failed attempt - the item goes back to pending until its attempts run out
+     * @param {Object} item - Work item as returned by claimNextItem()
+     * @param {Error|string} error - Failure
+     * @param {number} retryDelayMs - Delay before the item becomes due again
+     * @returns {Promise<boolean>} True if the item will be retried
+     */
+    async failItem(item, error, retryDelayMs = 0) {
+        const willRetry = item.attempts < item.maxAttempts;
+        const message = error instanceof Error ? error.message : String(error);
+
+        await database.query(`
+            UPDATE availability.scrape_work_items
+            SET status = $2, last_error = $3,
+                available_at = CURRENT_TIMESTAMP + $4::int * INTERVAL '1 millisecond',
+                locked_by = NULL, locked_at = NULL,
+                finished_at = CASE WHEN $2 = 'failed' THEN CURRENT_TIMESTAMP ELSE NULL END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1;
+        `, [item.id, willRetry ? 'pending' : 'failed', message, Math.round(retryDelayMs)]);
+
+        return willRetry;
+    }
+
+    /**
+     * Milliseconds until the next pending item of a job becomes due
+     * @param {number} jobId - Job ID
+     * @returns {Promise<number|null>} Delay, or null if the job has no pending items
+     */
+    async getNextDueDelay(jobId) {
+        const result = await database.query(`
+            SELECT GREATEST(0, EXTRACT(EPOCH FROM (MIN(available_at) - CURRENT_TIMESTAMP)) * 1000) AS delay
+            FROM availability.scrape_work_items
+            WHERE job_id = $1 AND status = 'pending';
+        `, [jobId]);
+
+        const delay = result.rows[0].delay;
+        return delay === null ? null : Math.ceil(parseFloat(delay));
+    }
+
+    /**
+     * Put items left "running" by a dead process back to pending
+     * @param {Object} options
+     * @param {number} [options.staleAfterMs] - Only recover items locked longer than this
+     * @param {boolean} [options.allForeign] - Recover every item not locked by this process
+     *   (used on startup, when no other process is expected to be working the queue)
+     * @returns {Promise<number>} Number of recovered items
+     */
+    async recoverStaleItems({ staleAfterMs = parseInt(process.env.SCRAPE_QUEUE_STALE_MS) || 1800000, allForeign = false } = {}) {
+        const result = await database.query(`
+            UPDATE availability.scrape_work_items
+            SET status = 'pending', locked_by = NULL, locked_at = NULL,
+                available_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+                last_error = COALESCE(last_error, 'Interrupted before completion')
+            WHERE status = 'running'
+            AND locked_by IS DISTINCT FROM $1
+            AND ($2 OR locked_at < CURRENT_TIMESTAMP - $3::int * INTERVAL '1 millisecond')
+            RETURNING id;
+        `, [this.workerId, allForeign, staleAfterMs]);
+
+        return result.rows.length;
+    }
+
+    /**
+     * Requeue the permanently failed items of a job with a fresh set of attempts
+     * @param {number} jobId - Job ID
+     * @returns {Promise<number>} Number of requeued items
+     */
+    async retryFailedItems(jobId) {
+        const result = await database.query(`
+            UPDATE availability.scrape_work_items
+            SET status = 'pending', attempts = 0, available_at = CURRENT_TIMESTAMP,
+                finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE job_id = $1 AND status = 'failed'
+            RETURNING id;
+        `, [jobId]);
+
+        if (result.rows.length > 0) {
+            await database.query(`
+                UPDATE availability.scrape_jobs SET status = 'pending', finished_at = NULL WHERE id = $1;
+            `, [jobId]);
+        }
+
+        return result.rows.length;
+    }
+
+    /**
+     * When a room type was last scraped successfully for a whole date range
+     * @param {Object} params - { propertyName, roomTypeName, dateFrom, dateTo }
+     * @returns {Promise<Date|null>} finished_at of the latest completed item covering the range
+     */
+    async getLastCompletedScrape({ propertyName, roomTypeName, dateFrom, dateTo }) {
+        const result = await database.query(`
+            SELECT MAX(finished_at) AS finished_at
+            FROM availability.scrape_work_items
+            WHERE status = 'completed'
+            AND property_name = $1
+            AND room_type_name = $2
+            AND date_from <= $3
+            AND date_to >= $4;
+        `, [propertyName, roomTypeName, dateFrom, dateTo]);
+        return result.rows[0].finished_at;
+    }
+
+    /**
+     * Jobs that still have work to do (oldest first)
+     * @returns {Promise<Array>} Job rows
+     */
+    async getUnfinishedJobs() {
+        const result = await database.query(`
+            SELECT * FROM availability.scrape_jobs
+            WHERE status IN ('pending', 'running')
+            ORDER BY id;
+        `);
+        return result.rows;
+    }
+
+    /**
+     * Get the most recent job
+     * @returns {Promise<Object|null>} Job row
+     */
+    async getLatestJob() {
+        const result = await database.query(`
+            SELECT * FROM availability.scrape_jobs ORDER BY id DESC LIMIT 1;
+        `);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Get job progress with per-status counts and (optionally) every item
+     * @param {number} jobId - Job ID
+     * @param {Object} options - { includeItems: true }
+     * @returns {Promise<Object|null>} { job, counts, items } or null if the job does not exist
+     */
+    async getJobProgress(jobId, { includeItems = true } = {}) {
+        const jobResult = await database.query('SELECT * FROM availability.scrape_jobs WHERE id = $1', [jobId]);
+        if (jobResult.rows.length === 0) {
+            return null;
+        }
+
+        const countsResult = await database.query(`
+            SELECT status, COUNT(*) as count
+            FROM availability.scrape_work_items
+            WHERE job_id = $1
+            GROUP BY status;
+        `, [jobId]);
+
+        const counts = { pending: 0, running: 0, completed: 0, failed: 0 };
+        countsResult.rows.forEach(row => {
+            counts[row.status] = parseInt(row.count);
+        });
+
+        const job = jobResult.rows[0];
+        const done = counts.completed + counts.failed;
+
+        const progress = {
+            job: {
+                id: job.id,
+                trigger: job.trigger,
+                status: job.status,
+                options: job.options,
+                createdAt: job.created_at,
+                startedAt: job.started_at,
+                finishedAt: job.finished_at
+            },
+            counts: {
+                total: job.total_items,
+                ...counts,
+                percentComplete: job.total_items > 0 ? Math.round((done / job.total_items) * 100) : 0
+            }
+        };
+
+        if (includeItems) {
+            const itemsResult = await database.query(`
+                SELECT ${ITEM_COLUMNS}
+                FROM availability.scrape_work_items
+                WHERE job_id = $1
+                ORDER BY id;
+            `, [jobId]);
+            progress.items = itemsResult.rows.map(row => this.toWorkItem(row));
+        }
+
+        return progress;
+    }
+
+    /**
+     * Convert a database row to a work item
+     * @param {Object} row - scrape_work_items row
+     * @returns {Object} Work item
+     */
+    toWorkItem(row) {
+        return {
+            id: parseInt(row.id),
+            jobId: row.job_id,
+            provider: row.provider,
+            property: {
+                name: row.property_name,
+                externalId: row.property_external_id
+            },
+            roomType: row.room_type_name || row.room_type_external_id
+                ? {
+                    name: row.room_type_name,
+                    externalId: row.room_type_external_id,
+                    capacity: row.room_type_capacity
+                }
+                : null,
+            dateRange: row.date_from && row.date_to
+                ? { minDate: row.date_from, maxDate: row.date_to }
+                : null,
+            status: row.status,
+            attempts: row.attempts,
+            maxAttempts: row.max_attempts,
+            lastError: row.last_error,
+            result: row.result,
+            availableAt: row.available_at,
+            lockedBy: row.locked_by,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at
+        };
+    }
+}
+
+module.exports = new ScrapeQueue();
@@ -0,0 +1,217 @@
+const { pathToFileURL } = require('url');
+const selectorProfiles = require('./selectorProfiles');
+const browserPool = require('./browserPool');
+const { SelectorProfile } = selectorProfiles;
+
+/**
+ * Selector Health Check
+ *
+ * Loads the pages of a selector profile (config/selectors/) and reports every
+ * selector that no longer matches, so markup changes of a booking system show up
+ * as a list of broken selectors instead of huts without availability.
+ *
+ * Result per selector: ok, absent (optional selector that matched nothing),
+ * missing (required selector that matched nothing) or invalid (not a valid selector).
+ * A page report has drift when any selector is missing or invalid.
+ */
+
+const DRIFT_STATUSES = ['missing', 'invalid'];
+
+class SelectorHealthCheck {
+    /**
+     * Check the selectors of one profile page against a loaded page
+     * @param {Page|Frame} page - Playwright page or frame showing the profile page
+     * @param {SelectorProfile} profile
+     * @param {string} pageName - Page of the profile
+     * @param {Object} options - { url } for the report
+     * @returns {Promise<Object>} { profile, page, url, opened, results, drift }
+     */
+    async checkPage(page, profile, pageName, { url = null } = {}) {
+        const pageConfig = profile.pages[pageName];
+        if (!pageConfig) {
+            throw new selectorProfiles.SelectorProfileError(`Selector profile ${profile.id} has no page "${pageName}"`);
+        }
+
+        // Click what has to be open first (e.g. the calendar) - a failure shows up in the results
+        const opened = [];
+        for (const reference of pageConfig.open || []) {
+            const [groupName, name] = reference.split('.');
+            const match = await this.findMatch(page, profile.selector(groupName, name));
+
+            if (match.count > 0) {
+                await page.locator(match.selector).first().click({ timeout: 5000 }).catch(() => {});
+                await page.waitForTimeout(500);
+                opened.push(reference);
+            }
+        }
+
+        const results = [];
+        for (const [groupName, group] of Object.entries(profile.groups)) {
+            if (group.page !== pageName) continue;
+
+            for (const [name, selector] of Object.entries(group.selectors)) {
+                const optional = (group.optional || []).includes(name);
+                const match = await this.findMatch(page, selector);
+
+                let status = 'ok';
+                if (match.count === 0) {
+                    status = match.error ? 'invalid' : (optional ? 'absent' : 'missing');
+                }
+
+                results.push({
+                    group: groupName,
+                    name,
+                    status,
+                    optional,
+                    selector: match.selector,
+                    count: match.count,
+                    alternatives: SelectorProfile.alternatives(selector),
+                    error: match.error
+                });
+            }
+        }
+
+        return {
+            profile: profile.id,
+            page: pageName,
+            url,
+            opened,
+            results,
+            drift: results.some(result => DRIFT_STATUSES.includes(result.status))
+        };
+    }
+
+    /**
+     * First alternative of a profile selector that matches anything
+     * @returns {Promise<Object>} { selector, count, error? }; count 0 when none matched
+     */
+    async findMatch(page, selector) {
+        let error;
+
+        for (const alternative of SelectorProfile.alternatives(selector)) {
+            try {
+                const count = await page.locator(alternative).count();
+                if (count > 0) {
+                    return { selector: alternative, count };
+                }
+            } catch (e) {
+                error = `${alternative}: ${e.message.split('\n')[0]}`;
+            }
+        }
+
+        return { selector: null, count: 0, error };
+    }
+
+    /**
+     * Check profiles against their pages in a headless pooled browser
+     * @param {Object} options
+     * @param {Array<string>} options.systems - Profiles to check (default: all)
+     * @param {string} options.page - Only this page of the profile
+     * @param {string} options.url - Load the page from here instead (http(s) URL or saved HTML file)
+     * @param {Object} options.auth - { username, password } for pages with auth "basic"
+     * @param {number} options.timeout - Navigation timeout (ms)
+     * @returns {Promise<Array<Object>>} Page reports; pages without a URL are reported as skipped
+     */
+    async run({ systems = null, page: onlyPage = null, url = null, auth = null, timeout = 30000 } = {}) {
+        const reports = [];
+
+        for (const system of systems || selectorProfiles.list()) {
+            const profile = selectorProfiles.load(system);
+            const pageNames = onlyPage ? [onlyPage] : Object.keys(profile.pages);
+
+            for (const pageName of pageNames) {
+                const pageConfig = profile.pages[pageName];
+                if (!pageConfig) {
+                    throw new selectorProfiles.SelectorProfileError(`Selector profile ${profile.id} has no page "${pageName}"`);
+                }
+
+                const target = url || pageConfig.url;
+                if (!target) {
+                    reports.push({ profile: profile.id, page: pageName, skipped: 'no URL - check it with --page and --url (live page or saved HTML)' });
+                    continue;
+                }
+
+                reports.push(await this.checkUrl(profile, pageName, this.toUrl(target), {
+                    auth: pageConfig.auth === 'basic' ? auth : null,
+                    timeout
+                }));
+            }
+        }
+
+        return reports;
+    }
+
+    /**
+     * Load a page in a context leased from the browser pool and check it
+     */
+    async checkUrl(profile, pageName, url, { auth, timeout }) {
+        const lease = await browserPool.acquire({
+            launch: { headless: true },
+            context: auth ? { httpCredentials: auth } : {}
+        });
+
+        try {
+            const page = await lease.context.newPage();
+            await page.goto(url, { waitUntil: 'networkidle', timeout });
+            return await this.checkPage(page, profile, pageName, { url });
+        } catch (error) {
+            if (error instanceof selectorProfiles.SelectorProfileError) throw error;
+            return { profile: profile.id, page: pageName, url, error: error.message.split('\n')[0], drift: false };
+        } finally {
+            await lease.release();
+        }
+    }
+
+    /**
+     * http(s) and file URLs as they are, anything else is a path to a saved page
+     */
+    toUrl(target) {
+        return /^(https?|file):/.test(target) ? target : pathToFileURL(target).href;
+    }
+
+    /**
+     * Human readable report of run() / checkPage() results
+     * @param {Array<Object>} reports
+     * @returns {string}
+     */
+    formatReport(reports) {
+        const lines = [];
+        const icons = { ok: '✅', absent: '➖', missing: '❌', invalid: '❌' };
+
+        for (const report of reports) {
+            lines.push(`${report.profile} - ${report.page}${report.url ? ` (${report.url})` : ''}`);
+
+            if (report.skipped) {
+                lines.push(`  skipped: ${report.skipped}`);
+            } else if (report.error) {
+                lines.push(`  ❌ page could not be loaded: ${report.error}`);
+            } else {
+                for (const result of report.results) {
+                    const label = `${result.group}.${result.name}`;
+                    if (result.status === 'ok') {
+                        lines.push(`  ${icons.ok} ${label}: ${result.count} × ${result.selector}`);
+                    } else if (result.status === 'absent') {
+                        lines.push(`  ${icons.absent} ${label}: not on this page (optional)`);
+                    } else {
+                        lines.push(`  ${icons[result.status]} ${label}: ${result.status} - ${result.error || result.alternatives.join(' | ')}`);
+                    }
+                }
+            }
+            lines.push('');
+        }
+
+        const drifted = reports.filter(report => report.drift);
+        const failed = reports.filter(report => report.error);
+        lines.push(drifted.length === 0
+            ? 'No selector drift found'
+            : `Selector drift on ${drifted.length} page(s): ${drifted.map(report => `${report.profile} ${report.page}`).join(', ')}`);
+        if (failed.length > 0) {
+            lines.push(`Not checked, page did not load: ${failed.map(report => `${report.profile} ${report.page}`).join(', ')}`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = new SelectorHealthCheck();
+module.exports.DRIFT_STATUSES = DRIFT_STATUSES;
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Selector Profiles
+ *
+ * The CSS selectors the scrapers and booking bots use on a booking system's pages,
+ * kept in one versioned JSON profile per system (config/selectors/<system>.json):
+ *
+ * {
+ *   system, version, description,
+ *   pages:  { <page>: { description, url?, auth?, open?: ['<group>.<name>'] } },
+ *   groups: { <group>: { page, selectors: { <name>: selector | [alternatives] },
+ *                        optional?: [names], texts?: { <name>: [strings] } } },
+ *   ...settings of the system, e.g. Bentral's availability classes
+ * }
+ *
+ * A list of alternatives is tried in order. Optional selectors may match nothing
+ * (they only show up on some huts or after an action); `open` names the selectors
+ * to click before a page is checked, e.g. the input that opens the calendar.
+ *
+ * When a booking system changes its markup, the selector health check
+ * (npm run selectors:check) reports the selectors that stopped matching. Fix them
+ * here and bump the profile version.
+ */
+
+const PROFILES_DIR = path.join(__dirname, '..', '..', 'config', 'selectors');
+
+class SelectorProfile {
+    /**
+     * @param {Object} data - Parsed profile
+     * @param {string} source - Where the profile came from, for error messages
+     */
+    constructor(data, source = 'selector profile') {
+        const errors = SelectorProfile.validate(data);
+        if (errors.length > 0) {
+            throw new SelectorProfileError(`Invalid ${source}: ${errors.join('; ')}`);
+        }
+
+        Object.assign(this, deepFreeze(data));
+        Object.freeze(this);
+    }
+
+    /**
+     * @returns {Array<string>} Problems with the profile (empty when valid)
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object') {
+            return ['profile must be an object'];
+        }
+
+        const errors = ['system', 'version']
+            .filter(field => !data[field] || typeof data[field] !== 'string')
+            .map(field => `${field} must be a non-empty string`);
+        const pages = data.pages || {};
+        const groups = data.groups || {};
+
+        if (Object.keys(groups).length === 0) {
+            errors.push('groups must name at least one selector group');
+        }
+
+        for (const [groupName, group] of Object.entries(groups)) {
+            const selectors = group.selectors || {};
+
+            if (!pages[group.page]) {
+                errors.push(`group ${groupName} is on unknown page "${group.page}"`);
+            }
+            if (Object.keys(selectors).length === 0) {
+                errors.push(`group ${groupName} has no selectors`);
+            }
+
+            for (const [name, selector] of Object.entries(selectors)) {
+                const alternatives = SelectorProfile.alternatives(selector);
+                if (alternatives.length === 0 || alternatives.some(alternative => !alternative || typeof alternative !== 'string')) {
+                    errors.push(`${groupName}.${name} must be a selector or a list of selectors`);
+                }
+            }
+
+            for (const name of group.optional || []) {
+                if (!(name in selectors)) {
+                    errors.push(`group ${groupName} marks unknown selector ${name} optional`);
+                }
+            }
+        }
+
+        for (const [pageName, page] of Object.entries(pages)) {
+            for (const reference of page.open || []) {
+                const [groupName, name] = reference.split('.');
+                if (!groups[groupName] || !(name in (groups[groupName].selectors || {}))) {
+                    errors.push(`page ${pageName} opens unknown selector ${reference}`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * The alternatives of a profile selector, in the order they are tried
+     * @param {string|Array<string>} selector
+     * @returns {Array<string>}
+     */
+    static alternatives(selector) {
+        return Array.isArray(selector) ? selector : [selector];
+    }
+
+    /**
+     * "system@version", as shown in reports and errors
+     */
+    get id() {
+        return `${this.system}@${this.version}`;
+    }
+
+    group(groupName) {
+        const group = this.groups[groupName];
+        if (!group) {
+            throw new SelectorProfileError(`Selector profile ${this.id} has no group "${groupName}"`);
+        }
+        return group;
+    }
+
+    /**
+     * Selectors of one or more groups, merged into one object
+     * @param {...string} groupNames
+     * @returns {Object} { name: selector | [alternatives] }
+     */
+    selectors(...groupNames) {
+        const merged = {};
+
+        for (const groupName of groupNames) {
+            for (const [name, selector] of Object.entries(this.group(groupName).selectors)) {
+                if (name in merged) {
+                    throw new SelectorProfileError(`Selector profile ${this.id}: ${name} is in more than one of ${groupNames.join(', ')}`);
+                }
+                merged[name] = selector;
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * One selector of a group
+     */
+    selector(groupName, name) {
+        const selector = this.group(groupName).selectors[name];
+        if (selector === undefined) {
+            throw new SelectorProfileError(`Selector profile ${this.id} has no selector ${groupName}.${name}`);
+        }
+        return selector;
+    }
+
+    /**
+     * Texts a group looks for on the page (e.g. error messages)
+     */
+    texts(groupName) {
+        return this.group(groupName).texts || {};
+    }
+
+    /**
+     * Error for a selector that matched nothing on a live page
+     * @param {string} groupName
+     * @param {string} name
+     * @param {string} detail - What was expected, e.g. "no calendar days"
+     * @returns {SelectorDriftError}
+     */
+    driftError(groupName, name, detail = 'matched nothing') {
+        const selector = this.selector(groupName, name);
+        return new SelectorDriftError(
+            `${this.system} markup no longer matches selector profile ${this.id}: ` +
+            `${groupName}.${name} (${SelectorProfile.alternatives(selector).join(' | ')}) ${detail} - ` +
+            'run npm run selectors:check and update the profile',
+            { profile: this.id, group: groupName, name, selector }
+        );
+    }
+}
+
+class SelectorProfiles {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    /**
+     * Load the profile of a booking system (cached)
+     * @param {string} system - bentral, microgramm, hutreservation ...
+     * @returns {SelectorProfile}
+     */
+    load(system) {
+        if (this.cache.has(system)) {
+            return this.cache.get(system);
+        }
+
+        const file = path.join(PROFILES_DIR, `${system}.json`);
+        if (!fs.existsSync(file)) {
+            throw new SelectorProfileError(`No selector profile for "${system}" (available: ${this.list().join(', ')})`);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new SelectorProfileError(`Selector profile ${file} is not valid JSON: ${error.message}`);
+        }
+
+        const profile = new SelectorProfile(data, `selector profile ${file}`);
+        if (profile.system !== system) {
+            throw new SelectorProfileError(`Selector profile ${file} is for "${profile.system}", expected "${system}"`);
+        }
+
+        this.cache.set(system, profile);
+        return profile;
+    }
+
+    /**
+     * @returns {Array<string>} Systems with a profile
+     */
+    list() {
+        return fs.readdirSync(PROFILES_DIR)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'))
+            .sort();
+    }
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+/**
+ * Malformed or missing selector profile
+ */
+class SelectorProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SelectorProfileError';
+    }
+}
+
+/**
+ * A profile selector that no longer matches the booking system's markup
+ */
+class SelectorDriftError extends Error {
+    constructor(message, { profile, group, name, selector } = {}) {
+        super(message);
+        this.name = 'SelectorDriftError';
+        this.profile = profile;
+        this.group = group;
+        this.selectorName = name;
+        this.selector = selector;
+    }
+}
+
+module.exports = new SelectorProfiles();
+module.exports.SelectorProfile = SelectorProfile;
+module.exports.SelectorProfileError = SelectorProfileError;
+module.exports.SelectorDriftError = SelectorDriftError;
+module.exports.PROFILES_DIR = PROFILES_DIR;
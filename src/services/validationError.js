@@ -0,0 +1,15 @@
+/**
+ * Invalid request data (maps to HTTP 400)
+ *
+ * Shared by the services that validate API input. Each of them re-exports it as
+ * <service>.ValidationError, which the routes check with instanceof; the name is
+ * also mapped to 400 by middleware/errorHandler.js.
+ */
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
+module.exports = ValidationError;
@@ -0,0 +1,412 @@
+const database = require('./database');
+const bookingQueue = require('./bookingQueue');
+const bookingSessionManager = require('./bookingSessionManager');
+const watchNotifier = require('./watchNotifier');
+const DateWindow = require('./dateWindow');
+const MicrogrammBookingBot = require('../MicrogrammBookingBot');
+const guestVault = require('./guestVault');
+const logger = require('./logger');
+const ValidationError = require('./validationError');
+
+/**
+ * Waitlist Service
+ *
+ * Booking requests for stays that are sold out today. An entry holds the full
+ * parameters of POST /api/v1/booking/create (guest details sealed by guestVault.js)
+ * plus a deadline and a notification channel. checkWaitlist() runs after every scrape job: each waiting entry goes
+ * through the booking queue against the data just stored, and the first one whose
+ * nights are bookable is prepared up to ready_to_submit and its requester notified
+ * with the session ID. Entries are served first-come-first-served per hut and night:
+ * while an earlier entry holds an open booking session for a night, later entries
+ * that need the same night on the same hut wait.
+ *
+ * Status: waiting -> preparing -> prepared
+ *         waiting -> expired (deadline passed) | cancelled | failed (WAITLIST_MAX_ATTEMPTS errors)
+ */
+
+const ENTRY_COLUMNS = `
+    id, provider, hut_name, room_type,
+    to_char(arrival_date, 'YYYY-MM-DD') AS arrival_date,
+    to_char(departure_date, 'YYYY-MM-DD') AS departure_date,
+    deadline, channel, target, status, session_id, last_error, attempts,
+    created_at, updated_at, prepared_at
+`;
+
+// Booking session statuses in which a prepared entry still holds its nights
+const OPEN_SESSION_STATUSES = ['preparing', 'ready_to_submit', 'submitting'];
+
+class WaitlistService {
+    constructor() {
+        this.maxAttempts = parseInt(process.env.WAITLIST_MAX_ATTEMPTS) || 3;
+        this.checking = false;
+    }
+
+    /**
+     * Put a booking request on the waitlist
+     * @param {Object} data - Booking parameters (see bookingQueue.validateRequest) plus
+     *   { deadline, channel, target? }
+     * @returns {Promise<Object>} Created entry
+     */
+    async createEntry(data) {
+        const entry = await this.validate(data);
+
+        const id = await database.transaction(async (client) => {
+            await client.query('LOCK TABLE availability.waitlist_entries IN SHARE ROW EXCLUSIVE MODE');
+            const idResult = await client.query('SELECT COALESCE(MAX(id), 0) + 1 as next_id FROM availability.waitlist_entries');
+            const entryId = idResult.rows[0].next_id;
+
+            await client.query(`
+                INSERT INTO availability.waitlist_entries (
+                    id, provider, hut_name, room_type, arrival_date, departure_date, params,
+                    deadline, channel, target, status, attempts, created_at, updated_at
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'waiting', 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP);
+            `, [
+                entryId, entry.provider, entry.hut_name, entry.room_type, entry.arrival_date, entry.departure_date,
+                JSON.stringify(guestVault.protect(entry.params)), entry.deadline, entry.channel, entry.target
+            ]);
+
+            return entryId;
+        });
+
+        logger.info(`Created waitlist entry ${id}`, {
+            provider: entry.provider,
+            hutName: entry.hut_name,
+            arrivalDate: entry.arrival_date,
+            departureDate: entry.departure_date
+        });
+        return this.getEntry(id);
+    }
+
+    /**
+     * List entries in waitlist order
+     * @param {Object} filters - { status, hutName }
+     */
+    async listEntries({ status = null, hutName = null } = {}) {
+        let query = `SELECT ${ENTRY_COLUMNS} FROM availability.waitlist_entries WHERE 1 = 1`;
+        const params = [];
+
+        if (status) {
+            params.push(status);
+            query += ` AND status = $${params.length}`;
+        }
+
+        if (hutName) {
+            params.push(hutName);
+            query += ` AND hut_name = $${params.length}`;
+        }
+
+        query += ' ORDER BY created_at, id';
+
+        const result = await database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Entry (without guest data) or null if not found
+     */
+    async getEntry(id) {
+        const result = await database.query(
+            `SELECT ${ENTRY_COLUMNS} FROM availability.waitlist_entries WHERE id = $1`,
+            [id]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Take a waiting entry off the waitlist
+     * @returns {Promise<Object|null>} Cancelled entry, or null if not found
+     * @throws {ValidationError} When the entry is no longer waiting
+     */
+    async cancelEntry(id) {
+        const entry = await this.getEntry(id);
+        if (!entry) {
+            return null;
+        }
+
+        if (!await this.transition(id, ['waiting'], 'cancelled')) {
+            throw new ValidationError(`Waitlist entry ${id} is ${entry.status} and can no longer be cancelled`);
+        }
+
+        return this.getEntry(id);
+    }
+
+    /**
+     * Expire entries past their deadline, then try to prepare every waiting entry in order
+     * Entries are handled one at a time so an earlier entry always gets its nights first.
+     * @returns {Promise<Object>} { checked, prepared, skipped, expired, failed }
+     */
+    async checkWaitlist() {
+        if (this.checking) {
+            logger.warn('Waitlist check already running - skipping');
+            return null;
+        }
+        this.checking = true;
+
+        try {
+            const summary = { checked: 0, prepared: 0, skipped: 0, expired: 0, failed: 0 };
+
+            await this.recoverInterrupted();
+            summary.expired = await this.expireDue();
+
+            const claimed = await this.getClaimedNights();
+
+            for (const entry of await this.getWaitingEntries()) {
+                const nights = DateWindow.nightsBetween(entry.arrival_date, entry.departure_date);
+                const hutNights = claimed.get(hutKey(entry)) || new Set();
+
+                // An earlier entry holds some of these nights
+                if (nights.some(night => hutNights.has(night))) {
+                    summary.skipped++;
+                    continue;
+                }
+
+                summary.checked++;
+                const outcome = await this.prepareEntry(entry);
+
+                if (outcome === 'prepared') {
+                    summary.prepared++;
+                    nights.forEach(night => hutNights.add(night));
+                    claimed.set(hutKey(entry), hutNights);
+                } else if (outcome === 'failed') {
+                    summary.failed++;
+                } else if (outcome === 'no_capacity') {
+                    // Every browser is busy - the remaining entries keep their place for the next check
+                    break;
+                }
+            }
+
+            if (summary.checked > 0 || summary.expired > 0) {
+                logger.info('Checked booking waitlist', summary);
+            }
+
+            return summary;
+
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Run one waiting entry through the booking queue
+     * @param {Object} entry - Entry row with params
+     * @returns {Promise<string>} prepared, waiting, failed, no_capacity or taken (claimed elsewhere)
+     */
+    async prepareEntry(entry) {
+        if (!await this.transition(entry.id, ['waiting'], 'preparing')) {
+            return 'taken';
+        }
+
+        try {
+            // The scrape job that triggered the check has just refreshed the stored data
+            const result = await bookingQueue.enqueue(entry.params, { provider: entry.provider, freshScrape: false });
+
+            await this.markPrepared(entry.id, result.sessionId);
+
+            logger.info(`Waitlist entry ${entry.id} prepared as booking session ${result.sessionId}`);
+            await this.notifyPrepared(entry, result.sessionId);
+            return 'prepared';
+
+        } catch (error) {
+            // Still sold out (or the queue is full) - keep the place in line
+            if (error instanceof bookingQueue.BookingRejectedError || error instanceof bookingSessionManager.CapacityError) {
+                await this.release(entry.id, `${error.reason || 'no_capacity'}: ${error.message}`);
+                return error instanceof bookingSessionManager.CapacityError ? 'no_capacity' : 'waiting';
+            }
+
+            const attempts = entry.attempts + 1;
+            const status = attempts >= this.maxAttempts ? 'failed' : 'waiting';
+
+            await this.recordError(entry.id, status, error.message, attempts);
+
+            logger.error(`Failed to prepare waitlist entry ${entry.id}`, { attempts, status, error: error.message });
+            return status;
+        }
+    }
+
+    /**
+     * Tell the requester that their booking is ready to submit
+     * A failing channel is logged; the session stays prepared and can be found with GET /:id.
+     */
+    async notifyPrepared(entry, sessionId) {
+        const stay = `${entry.arrival_date} - ${entry.departure_date}`;
+
+        try {
+            await watchNotifier.send(entry.channel, entry.target, {
+                event: 'waitlist.prepared',
+                waitlist_id: entry.id,
+                session_id: sessionId,
+                provider: entry.provider,
+                hut_name: entry.hut_name,
+                room_type: entry.room_type,
+                arrival_date: entry.arrival_date,
+                departure_date: entry.departure_date,
+                subject: `${entry.hut_name}: booking ready to submit for ${stay}`,
+                text: [
+                    `${entry.hut_name} (${entry.room_type}) opened up for ${stay}.`,
+                    `Booking session ${sessionId} is filled in and waiting for you.`,
+                    `Submit it with POST /api/v1/booking/submit/${sessionId} before it expires.`
+                ].join('\n'),
+                sent_at: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error(`Failed to notify waitlist entry ${entry.id}`, { channel: entry.channel, error: error.message });
+        }
+    }
+
+    /**
+     * Nights held by entries whose booking session is still open, per hut
+     * @returns {Promise<Map<string, Set<string>>>} hutKey -> ISO dates
+     */
+    async getClaimedNights() {
+        const result = await database.query(`
+            SELECT w.provider, w.hut_name,
+                to_char(w.arrival_date, 'YYYY-MM-DD') AS arrival_date,
+                to_char(w.departure_date, 'YYYY-MM-DD') AS departure_date
+            FROM availability.waitlist_entries w
+            JOIN availability.booking_sessions s ON s.id = w.session_id
+            WHERE w.status = 'prepared' AND s.status = ANY($1)
+        `, [OPEN_SESSION_STATUSES]);
+
+        const claimed = new Map();
+        for (const entry of result.rows) {
+            const hutNights = claimed.get(hutKey(entry)) || new Set();
+            DateWindow.nightsBetween(entry.arrival_date, entry.departure_date).forEach(night => hutNights.add(night));
+            claimed.set(hutKey(entry), hutNights);
+        }
+        return claimed;
+    }
+
+    /**
+     * Entries waiting in line, oldest first, with their booking parameters
+     */
+    async getWaitingEntries() {
+        const result = await database.query(`
+            SELECT ${ENTRY_COLUMNS}, params
+            FROM availability.waitlist_entries
+            WHERE status = 'waiting'
+            ORDER BY created_at, id
+        `);
+        return result.rows;
+    }
+
+    /**
+     * Put entries left in preparing by a restart during a check back in line
+     */
+    async recoverInterrupted() {
+        await database.query(`
+            UPDATE availability.waitlist_entries
+            SET status = 'waiting', updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'preparing';
+        `);
+    }
+
+    /**
+     * @returns {Promise<number>} Number of waiting entries whose deadline passed
+     */
+    async expireDue() {
+        const result = await database.query(`
+            UPDATE availability.waitlist_entries
+            SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'waiting' AND deadline <= CURRENT_TIMESTAMP;
+        `);
+        return result.rowCount;
+    }
+
+    /**
+     * Move an entry from one status to another if nobody else did first
+     * @returns {Promise<boolean>} Whether the entry was moved
+     */
+    async transition(id, fromStatuses, toStatus) {
+        const result = await database.query(`
+            UPDATE availability.waitlist_entries
+            SET status = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = ANY($2);
+        `, [id, fromStatuses, toStatus]);
+        return result.rowCount > 0;
+    }
+
+    async markPrepared(id, sessionId) {
+        await database.query(`
+            UPDATE availability.waitlist_entries
+            SET status = 'prepared', session_id = $2, last_error = NULL,
+                attempts = attempts + 1, prepared_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1;
+        `, [id, sessionId]);
+    }
+
+    async recordError(id, status, lastError, attempts) {
+        await database.query(`
+            UPDATE availability.waitlist_entries
+            SET status = $2, last_error = $3, attempts = $4, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1;
+        `, [id, status, lastError, attempts]);
+    }
+
+    async release(id, lastError) {
+        await database.query(`
+            UPDATE availability.waitlist_entries
+            SET status = 'waiting', last_error = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1;
+        `, [id, lastError]);
+    }
+
+    /**
+     * Validate a waitlist request
+     * @returns {Promise<Object>} Normalized entry fields
+     */
+    async validate(data) {
+        const { deadline, channel, target = null, ...body } = data;
+
+        const errors = bookingQueue.validateRequest(body);
+        if (errors.length > 0) {
+            throw new ValidationError(errors.join('; '));
+        }
+
+        const { provider = 'microgramm', ...params } = body;
+
+        let stay;
+        try {
+            stay = bookingQueue.parseStay(params.arrivalDate, params.departureDate);
+        } catch (error) {
+            throw new ValidationError(error.message);
+        }
+
+        const deadlineTime = Date.parse(deadline);
+        if (typeof deadline !== 'string' || isNaN(deadlineTime)) {
+            throw new ValidationError('deadline is required and must be an ISO date or date-time');
+        }
+        if (deadlineTime <= Date.now()) {
+            throw new ValidationError('deadline must be in the future');
+        }
+        if (new Date(deadlineTime).toISOString().split('T')[0] > stay.arrival) {
+            throw new ValidationError(`deadline must not be after the arrival date ${stay.arrival}`);
+        }
+
+        const channelError = await watchNotifier.validate(channel, target);
+        if (channelError) {
+            throw new ValidationError(channelError);
+        }
+
+        return {
+            provider,
+            hut_name: params.hutName || String(params.hutId),
+            room_type: params.bedCategory !== undefined
+                ? String(params.bedCategory)
+                : MicrogrammBookingBot.describeRoomLines(MicrogrammBookingBot.roomLines(params)),
+            arrival_date: stay.arrival,
+            departure_date: stay.departure,
+            params,
+            deadline: new Date(deadlineTime),
+            channel,
+            target
+        };
+    }
+}
+
+function hutKey(entry) {
+    return `${entry.provider}:${entry.hut_name}`;
+}
+
+module.exports = new WaitlistService();
+module.exports.ValidationError = ValidationError;
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+const webhookDispatcher = require('./webhookDispatcher');
+
+/**
+ * Watch Notifier Service
+ *
+ * Delivers watch matches through pluggable channels. A channel validates the
+ * target stored with a watch and sends a notification to it:
+ *
+ *   webhook - POST the notification as JSON to an http(s) URL
+ *   email   - send a plain text email over SMTP (SMTP_* environment variables)
+ *   file    - append the notification as a JSON line to a local file (for testing)
+ *
+ * Webhook targets get the same check as registered webhooks: hosts that are or
+ * resolve to loopback, private or link-local addresses are refused, when the
+ * target is stored and again before every send.
+ *
+ * Further channels can be added with register(). Other services (the booking
+ * waitlist) deliver their own notifications through the same channels with send().
+ */
+
+class WebhookChannel {
+    async validateTarget(target) {
+        let url;
+        try {
+            url = new URL(target);
+        } catch (error) {
+            return 'webhook target must be a valid URL';
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return 'webhook target must be an http(s) URL';
+        }
+
+        try {
+            await webhookDispatcher.checkTarget(url.hostname, 'webhook target');
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    async send(target, notification) {
+        // The host may resolve elsewhere by now
+        await webhookDispatcher.checkTarget(new URL(target).hostname, 'webhook target');
+        await axios.post(target, notification, {
+            timeout: parseInt(process.env.WATCH_WEBHOOK_TIMEOUT) || 10000,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+class EmailChannel {
+    constructor() {
+        this.transporter = null;
+    }
+
+    async validateTarget(target) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(target || '') ? null : 'email target must be an email address';
+    }
+
+    async send(target, notification) {
+        if (!process.env.SMTP_HOST) {
+            throw new Error('SMTP_HOST is not configured');
+        }
+
+        if (!this.transporter) {
+            this.transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? {
+                    user: process.env.SMTP_USER,
+                    pass: process.env.SMTP_PASSWORD
+                } : undefined
+            });
+        }
+
+        await this.transporter.sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER,
+            to: target,
+            subject: notification.subject,
+            text: notification.text
+        });
+    }
+}
+
+class FileChannel {
+    async validateTarget() {
+        // Always writes to WATCH_NOTIFICATION_FILE - API clients must not pick paths on the server
+        return null;
+    }
+
+    async send(target, notification) {
+        const filePath = process.env.WATCH_NOTIFICATION_FILE || path.join('logs', 'watch-notifications.jsonl');
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, JSON.stringify(notification) + '\n');
+    }
+}
+
+class WatchNotifier {
+    constructor() {
+        this.channels = new Map();
+        this.register('webhook', new WebhookChannel());
+        this.register('email', new EmailChannel());
+        this.register('file', new FileChannel());
+    }
+
+    /**
+     * Add or replace a channel
+     * @param {string} name - Channel name stored in watches.channel
+     * @param {Object} channel - { validateTarget(target): Promise<string|null>, send(target, notification): Promise }
+     */
+    register(name, channel) {
+        this.channels.set(name, channel);
+    }
+
+    getChannelNames() {
+        return Array.from(this.channels.keys());
+    }
+
+    /**
+     * Check a channel/target pair
+     * @returns {Promise<string|null>} Error message, or null if valid
+     */
+    async validate(channelName, target) {
+        const channel = this.channels.get(channelName);
+        if (!channel) {
+            return `channel must be one of: ${this.getChannelNames().join(', ')}`;
+        }
+        return channel.validateTarget(target);
+    }
+
+    /**
+     * Notify a watch's channel about new matches
+     * @param {Object} watch - Watch row (with property_name)
+     * @param {Array<Object>} matches - { check_in, check_out, allocation, unused_beds }
+     * @param {Object} notification - Payload built beforehand with buildNotification()
+     * @returns {Promise<Object>} The notification sent
+     */
+    async notify(watch, matches, notification = this.buildNotification(watch, matches)) {
+        await this.send(watch.channel, watch.target, notification);
+
+        logger.info(`Watch ${watch.id} notified via ${watch.channel}`, { matches: matches.length });
+        return notification;
+    }
+
+    /**
+     * Send a prepared notification through a channel
+     * @param {string} channelName - Registered channel name
+     * @param {string|null} target - Channel target (URL, email address)
+     * @param {Object} notification - Payload with at least event, subject and text
+     */
+    async send(channelName, target, notification) {
+        const channel = this.channels.get(channelName);
+        if (!channel) {
+            throw new Error(`Unknown notification channel: ${channelName}`);
+        }
+
+        await channel.send(target, notification);
+    }
+
+    buildNotification(watch, matches) {
+        const dates = matches.map(match => `${match.check_in} - ${match.check_out}`);
+
+        return {
+            event: 'watch.matched',
+            watch_id: watch.id,
+            property_id: watch.property_id,
+            property_name: watch.property_name,
+            room_type_id: watch.room_type_id,
+            room_category: watch.room_category,
+            party_size: watch.party_size,
+            matches,
+            subject: `${watch.property_name}: room for ${watch.party_size} on ${matches.length} date(s)`,
+            text: [
+                `${watch.property_name} has room for ${watch.party_size} guest(s) on:`,
+                ...dates.map(date => `  ${date}`)
+            ].join('\n'),
+            sent_at: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new WatchNotifier();
@@ -0,0 +1,374 @@
+const database = require('./database');
+const GroupAllocation = require('./groupAllocation');
+const watchNotifier = require('./watchNotifier');
+const logger = require('./logger');
+const ValidationError = require('./validationError');
+
+/**
+ * Watch Service
+ *
+ * Availability watches: "tell me when property X (optionally a room type or category)
+ * can sleep N guests for a stay starting between date_from and date_to".
+ * checkWatches() runs after every scrape job against the fresh data. Every check-in
+ * date that is announced is recorded in watch_notifications, so the same opening is
+ * never sent twice; once the date is no longer bookable the record is dropped and a
+ * later re-opening is announced again.
+ */
+
+const WATCH_COLUMNS = `
+    w.id, w.property_id, p.name AS property_name, w.room_type_id, rt.name AS room_type_name,
+    w.room_category,
+    to_char(w.date_from, 'YYYY-MM-DD') AS date_from,
+    to_char(w.date_to, 'YYYY-MM-DD') AS date_to,
+    w.nights, w.party_size, w.channel, w.target, w.is_active,
+    w.last_checked_at, w.created_at, w.updated_at
+`;
+
+const WATCH_FROM = `
+    FROM availability.watches w
+    JOIN availability.properties p ON w.property_id = p.id
+    LEFT JOIN availability.room_types rt ON w.room_type_id = rt.id
+`;
+
+// Fields that decide what a watch matches - changing them resets its notification history
+const CRITERIA_FIELDS = ['property_id', 'room_type_id', 'room_category', 'date_from', 'date_to', 'nights', 'party_size'];
+const MAX_NIGHTS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 86400000;
+
+class WatchService {
+    /**
+     * Create a watch
+     * @param {Object} data - { property_id, room_type_id?, room_category?, date_from, date_to,
+     *   nights?, party_size, channel, target? }
+     * @returns {Promise<Object>} Created watch
+     */
+    async createWatch(data) {
+        const watch = await this.validate({ nights: 1, room_type_id: null, room_category: null, target: null, ...data });
+        await this.checkReferences(watch);
+
+        const id = await database.transaction(async (client) => {
+            await client.query('LOCK TABLE availability.watches IN SHARE ROW EXCLUSIVE MODE');
+            const idResult = await client.query('SELECT COALESCE(MAX(id), 0) + 1 as next_id FROM availability.watches');
+            const watchId = idResult.rows[0].next_id;
+
+            await client.query(`
+                INSERT INTO availability.watches (
+                    id, property_id, room_type_id, room_category, date_from, date_to,
+                    nights, party_size, channel, target, is_active, created_at, updated_at
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP);
+            `, [
+                watchId, watch.property_id, watch.room_type_id, watch.room_category, watch.date_from,
+                watch.date_to, watch.nights, watch.party_size, watch.channel, watch.target
+            ]);
+
+            return watchId;
+        });
+
+        logger.info(`Created watch ${id}`, { propertyId: watch.property_id, channel: watch.channel });
+        return this.getWatch(id);
+    }
+
+    /**
+     * List watches
+     * @param {Object} filters - { active, propertyId }
+     */
+    async listWatches({ active = null, propertyId = null } = {}) {
+        let query = `SELECT ${WATCH_COLUMNS} ${WATCH_FROM} WHERE 1 = 1`;
+        const params = [];
+
+        if (active !== null) {
+            params.push(active);
+            query += ` AND w.is_active = $${params.length}`;
+        }
+
+        if (propertyId) {
+            params.push(propertyId);
+            query += ` AND w.property_id = $${params.length}`;
+        }
+
+        query += ' ORDER BY w.id';
+
+        const result = await database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Watch or null if not found
+     */
+    async getWatch(id) {
+        const result = await database.query(`SELECT ${WATCH_COLUMNS} ${WATCH_FROM} WHERE w.id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Update some fields of a watch
+     * @param {number} id - Watch ID
+     * @param {Object} changes - Any createWatch field, plus is_active
+     * @returns {Promise<Object|null>} Updated watch or null if not found
+     */
+    async updateWatch(id, changes) {
+        const existing = await this.getWatch(id);
+        if (!existing) {
+            return null;
+        }
+
+        const watch = await this.validate({ ...existing, ...changes });
+        if (changes.is_active !== undefined && typeof changes.is_active !== 'boolean') {
+            throw new ValidationError('is_active must be a boolean');
+        }
+        await this.checkReferences(watch);
+
+        const criteriaChanged = CRITERIA_FIELDS.some(field => watch[field] !== existing[field]);
+
+        await database.transaction(async (client) => {
+            await client.query(`
+                UPDATE availability.watches
+                SET property_id = $2, room_type_id = $3, room_category = $4, date_from = $5, date_to = $6,
+                    nights = $7, party_size = $8, channel = $9, target = $10, is_active = $11,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1;
+            `, [
+                id, watch.property_id, watch.room_type_id, watch.room_category, watch.date_from, watch.date_to,
+                watch.nights, watch.party_size, watch.channel, watch.target,
+                changes.is_active !== undefined ? changes.is_active : existing.is_active
+            ]);
+
+            if (criteriaChanged) {
+                await client.query('DELETE FROM availability.watch_notifications WHERE watch_id = $1', [id]);
+            }
+        });
+
+        return this.getWatch(id);
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether the watch existed
+     */
+    async deleteWatch(id) {
+        const result = await database.query('DELETE FROM availability.watches WHERE id = $1', [id]);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Notifications sent for a watch, newest first
+     */
+    async getNotifications(watchId, limit = 100) {
+        const result = await database.query(`
+            SELECT id, watch_id, to_char(check_in, 'YYYY-MM-DD') AS check_in, payload, notified_at
+            FROM availability.watch_notifications
+            WHERE watch_id = $1
+            ORDER BY notified_at DESC, check_in
+            LIMIT $2
+        `, [watchId, limit]);
+        return result.rows;
+    }
+
+    /**
+     * Check every active watch whose date range has not passed
+     * A failing channel does not stop the other watches; its matches stay unannounced
+     * and are sent again on the next check.
+     * @returns {Promise<Object>} { checked, matched, notified, failed }
+     */
+    async checkWatches() {
+        const result = await database.query(`
+            SELECT ${WATCH_COLUMNS} ${WATCH_FROM}
+            WHERE w.is_active = true AND w.date_to >= CURRENT_DATE
+            ORDER BY w.id
+        `);
+
+        const summary = { checked: 0, matched: 0, notified: 0, failed: 0 };
+
+        for (const watch of result.rows) {
+            try {
+                const outcome = await this.checkWatch(watch);
+                summary.matched += outcome.matches;
+                summary.notified += outcome.notified;
+            } catch (error) {
+                summary.failed++;
+                logger.error(`Failed to check watch ${watch.id}`, { channel: watch.channel, error: error.message });
+            }
+            summary.checked++;
+        }
+
+        if (summary.checked > 0) {
+            logger.info('Checked availability watches', summary);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Check one watch and announce check-in dates not announced before
+     * @param {Object} watch - Watch row
+     * @returns {Promise<Object>} { matches, notified }
+     */
+    async checkWatch(watch) {
+        const matches = await this.findMatches(watch);
+
+        const sentResult = await database.query(
+            `SELECT to_char(check_in, 'YYYY-MM-DD') AS check_in FROM availability.watch_notifications WHERE watch_id = $1`,
+            [watch.id]
+        );
+        const sent = new Set(sentResult.rows.map(row => row.check_in));
+        const matchedDates = matches.map(match => match.check_in);
+
+        // Dates that are gone again may be announced once more when they re-open
+        const gone = Array.from(sent).filter(date => !matchedDates.includes(date));
+        if (gone.length > 0) {
+            await database.query(
+                'DELETE FROM availability.watch_notifications WHERE watch_id = $1 AND check_in = ANY($2::date[])',
+                [watch.id, gone]
+            );
+        }
+
+        const fresh = matches.filter(match => !sent.has(match.check_in));
+
+        if (fresh.length > 0) {
+            const notification = watchNotifier.buildNotification(watch, fresh);
+
+            // Recorded and sent in one transaction: a failed send rolls the records back, so the
+            // dates are announced on the next check; a recorded date is never announced twice
+            await database.transaction(async (client) => {
+                await client.query('LOCK TABLE availability.watch_notifications IN SHARE ROW EXCLUSIVE MODE');
+
+                for (const match of fresh) {
+                    await client.query(`
+                        INSERT INTO availability.watch_notifications (id, watch_id, check_in, payload, notified_at)
+                        SELECT COALESCE(MAX(id), 0) + 1, $1, $2, $3, CURRENT_TIMESTAMP
+                        FROM availability.watch_notifications
+                        ON CONFLICT (watch_id, check_in) DO NOTHING;
+                    `, [watch.id, match.check_in, JSON.stringify({ ...match, sent_at: notification.sent_at })]);
+                }
+
+                await watchNotifier.notify(watch, fresh, notification);
+            });
+        }
+
+        await database.query(
+            'UPDATE availability.watches SET last_checked_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [watch.id]
+        );
+
+        return { matches: matches.length, notified: fresh.length };
+    }
+
+    /**
+     * Check-in dates in the watch range on which the party fits for the whole stay
+     * @param {Object} watch - Watch row
+     * @returns {Promise<Array<Object>>} { check_in, check_out, allocation, unused_beds }
+     */
+    async findMatches(watch) {
+        const today = new Date().toISOString().split('T')[0];
+        const firstCheckIn = watch.date_from > today ? watch.date_from : today;
+        if (firstCheckIn > watch.date_to) {
+            return [];
+        }
+
+        const rows = await database.getNightlyAvailability({
+            startDate: firstCheckIn,
+            endDate: addDays(watch.date_to, watch.nights - 1),
+            propertyIds: [watch.property_id],
+            roomCategory: watch.room_category
+        });
+        const watchedRows = watch.room_type_id
+            ? rows.filter(row => row.room_type_id === watch.room_type_id)
+            : rows;
+
+        const matches = [];
+
+        for (let checkIn = firstCheckIn; checkIn <= watch.date_to; checkIn = addDays(checkIn, 1)) {
+            const stayNights = Array.from({ length: watch.nights }, (_, night) => addDays(checkIn, night));
+            const offers = GroupAllocation.buildOffers(watchedRows, stayNights);
+            const suggestion = GroupAllocation.allocate(offers, watch.party_size);
+
+            if (suggestion) {
+                matches.push({
+                    check_in: checkIn,
+                    check_out: addDays(checkIn, watch.nights),
+                    allocation: GroupAllocation.toResponse(suggestion.allocation),
+                    unused_beds: suggestion.unusedBeds
+                });
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Validate and normalize watch fields
+     * @returns {Promise<Object>} Normalized watch fields
+     */
+    async validate(data) {
+        const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+        const watch = {
+            property_id: parseInt(data.property_id),
+            room_type_id: data.room_type_id != null ? parseInt(data.room_type_id) : null,
+            room_category: data.room_category || null,
+            date_from: data.date_from,
+            date_to: data.date_to,
+            nights: parseInt(data.nights),
+            party_size: parseInt(data.party_size),
+            channel: data.channel,
+            target: data.target || null
+        };
+
+        if (isNaN(watch.property_id) || watch.property_id < 1) {
+            throw new ValidationError('property_id must be a positive integer');
+        }
+        if (watch.room_type_id !== null && (isNaN(watch.room_type_id) || watch.room_type_id < 1)) {
+            throw new ValidationError('room_type_id must be a positive integer');
+        }
+        if (!dateFormat.test(watch.date_from || '') || isNaN(Date.parse(watch.date_from)) ||
+            !dateFormat.test(watch.date_to || '') || isNaN(Date.parse(watch.date_to))) {
+            throw new ValidationError('date_from and date_to must be dates in YYYY-MM-DD format');
+        }
+        if (watch.date_to < watch.date_from) {
+            throw new ValidationError('date_to must not be before date_from');
+        }
+        if ((Date.parse(watch.date_to) - Date.parse(watch.date_from)) / DAY_MS >= MAX_RANGE_DAYS) {
+            throw new ValidationError(`Watch date range can span at most ${MAX_RANGE_DAYS} days`);
+        }
+        if (isNaN(watch.nights) || watch.nights < 1 || watch.nights > MAX_NIGHTS) {
+            throw new ValidationError(`nights must be an integer between 1 and ${MAX_NIGHTS}`);
+        }
+        if (isNaN(watch.party_size) || watch.party_size < 1 || watch.party_size > GroupAllocation.MAX_GROUP_SIZE) {
+            throw new ValidationError(`party_size must be an integer between 1 and ${GroupAllocation.MAX_GROUP_SIZE}`);
+        }
+
+        const channelError = await watchNotifier.validate(watch.channel, watch.target);
+        if (channelError) {
+            throw new ValidationError(channelError);
+        }
+
+        return watch;
+    }
+
+    /**
+     * Make sure the property exists and the room type belongs to it
+     */
+    async checkReferences(watch) {
+        const property = await database.query('SELECT id FROM availability.properties WHERE id = $1', [watch.property_id]);
+        if (property.rows.length === 0) {
+            throw new ValidationError(`Property ${watch.property_id} not found`);
+        }
+
+        if (watch.room_type_id !== null) {
+            const roomType = await database.query(
+                'SELECT id FROM availability.room_types WHERE id = $1 AND property_id = $2',
+                [watch.room_type_id, watch.property_id]
+            );
+            if (roomType.rows.length === 0) {
+                throw new ValidationError(`Room type ${watch.room_type_id} not found at property ${watch.property_id}`);
+            }
+        }
+    }
+}
+
+function addDays(isoDate, days) {
+    return new Date(Date.parse(isoDate) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+module.exports = new WatchService();
+module.exports.ValidationError = ValidationError;
@@ -0,0 +1,427 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const database = require('./database');
+const logger = require('./logger');
+const ValidationError = require('./validationError');
+
+/**
+ * Webhook Dispatcher Service
+ *
+ * Sends scrape lifecycle events to registered webhooks. Every event creates one
+ * delivery row per subscribed webhook; deliveries are POSTed in the background,
+ * retried with exponential backoff and kept as a delivery log. Because pending
+ * deliveries live in webhook_deliveries, retries survive a restart.
+ *
+ * Each request is signed: X-Webhook-Signature is "sha256=" + HMAC-SHA256 of
+ * "<X-Webhook-Timestamp>.<raw body>" with the webhook secret.
+ *
+ * Delivery status: pending -> sending -> delivered | failed (pending again while attempts remain)
+ *
+ * Webhook URLs must point to public hosts: loopback, private and link-local addresses are
+ * refused when a webhook is registered and again before every delivery (the host may
+ * resolve differently by then). WEBHOOK_ALLOW_PRIVATE_TARGETS=true lifts this for
+ * receivers on a local network.
+ */
+
+const EVENT_TYPES = [
+    'scrape.started',
+    'scrape.completed',
+    'scrape.failed',
+    'property.failed',
+    'availability.changed'
+];
+
+// Addresses webhooks may not be sent to
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const WEBHOOK_COLUMNS = 'id, url, events, description, is_active, created_at, updated_at';
+const DELIVERY_COLUMNS = `
+    id, webhook_id, event, payload, status, attempts, response_status, last_error,
+    next_attempt_at, created_at, delivered_at
+`;
+
+class WebhookDispatcher {
+    constructor() {
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+        this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30000;       // 30s, 60s, 120s, ...
+        this.maxRetryDelay = parseInt(process.env.WEBHOOK_MAX_RETRY_DELAY) || 3600000;
+        this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
+        this.staleAfterMs = 5 * 60000;
+        this.allowPrivateTargets = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+        this.processing = false;
+        this.processAgain = false;
+        this.timer = null;
+    }
+
+    /**
+     * Register a webhook
+     * @param {Object} data - { url, events, secret?, description? }
+     * @returns {Promise<Object>} Webhook including its secret (only returned here)
+     */
+    async registerWebhook({ url, events, secret = null, description = null }) {
+        await this.validateUrl(url);
+        const eventList = this.validateEvents(events);
+        const webhookSecret = secret || crypto.randomBytes(32).toString('hex');
+
+        return await database.transaction(async (client) => {
+            await client.query('LOCK TABLE availability.webhooks IN SHARE ROW EXCLUSIVE MODE');
+            const idResult = await client.query('SELECT COALESCE(MAX(id), 0) + 1 as next_id FROM availability.webhooks');
+
+            const result = await client.query(`
+                INSERT INTO availability.webhooks (id, url, secret, events, description, is_active, created_at, updated_at)
+                VALUES ($1, $2, $3, $4, $5, true, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                RETURNING ${WEBHOOK_COLUMNS}, secret;
+            `, [idResult.rows[0].next_id, url, webhookSecret, eventList, description]);
+
+            logger.info(`Registered webhook ${result.rows[0].id}`, { url, events: eventList });
+            return result.rows[0];
+        });
+    }
+
+    async listWebhooks() {
+        const result = await database.query(`SELECT ${WEBHOOK_COLUMNS} FROM availability.webhooks ORDER BY id`);
+        return result.rows;
+    }
+
+    async getWebhook(id) {
+        const result = await database.query(`SELECT ${WEBHOOK_COLUMNS} FROM availability.webhooks WHERE id = $1`, [id]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Update a webhook
+     * @param {number} id - Webhook ID
+     * @param {Object} changes - { url, events, secret, description, is_active }
+     * @returns {Promise<Object|null>} Updated webhook or null if not found
+     */
+    async updateWebhook(id, changes) {
+        const existing = await this.getWebhook(id);
+        if (!existing) {
+            return null;
+        }
+
+        if (changes.url !== undefined) {
+            await this.validateUrl(changes.url);
+        }
+        if (changes.is_active !== undefined && typeof changes.is_active !== 'boolean') {
+            throw new ValidationError('is_active must be a boolean');
+        }
+
+        const result = await database.query(`
+            UPDATE availability.webhooks
+            SET url = $2, events = $3, description = $4, is_active = $5,
+                secret = COALESCE($6, secret), updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING ${WEBHOOK_COLUMNS};
+        `, [
+            id,
+            changes.url !== undefined ? changes.url : existing.url,
+            changes.events !== undefined ? this.validateEvents(changes.events) : existing.events,
+            changes.description !== undefined ? changes.description : existing.description,
+            changes.is_active !== undefined ? changes.is_active : existing.is_active,
+            changes.secret || null
+        ]);
+
+        return result.rows[0];
+    }
+
+    async deleteWebhook(id) {
+        const result = await database.query('DELETE FROM availability.webhooks WHERE id = $1', [id]);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Delivery log of a webhook, newest first
+     * @param {number} webhookId - Webhook ID
+     * @param {Object} filters - { status, limit }
+     */
+    async getDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+        const params = [webhookId, limit];
+        let query = `SELECT ${DELIVERY_COLUMNS} FROM availability.webhook_deliveries WHERE webhook_id = $1`;
+
+        if (status) {
+            params.push(status);
+            query += ` AND status = $${params.length}`;
+        }
+
+        query += ' ORDER BY created_at DESC, id DESC LIMIT $2';
+
+        const result = await database.query(query, params);
+        return result.rows;
+    }
+
+    /**
+     * Queue an event for every active webhook subscribed to it and deliver in the background
+     * Never throws - webhooks must not break the scrape that emits them.
+     * @param {string} event - One of EVENT_TYPES
+     * @param {Object} data - Event data
+     * @returns {Promise<number>} Number of deliveries queued
+     */
+    async emit(event, data = {}) {
+        try {
+            const webhooks = await database.query(`
+                SELECT id FROM availability.webhooks
+                WHERE is_active = true AND ($1 = ANY(events) OR '*' = ANY(events))
+            `, [event]);
+
+            if (webhooks.rows.length === 0) {
+                return 0;
+            }
+
+            const createdAt = new Date().toISOString();
+
+            await database.transaction(async (client) => {
+                await client.query('LOCK TABLE availability.webhook_deliveries IN SHARE ROW EXCLUSIVE MODE');
+                const idResult = await client.query('SELECT COALESCE(MAX(id), 0) + 1 as next_id FROM availability.webhook_deliveries');
+                let nextId = parseInt(idResult.rows[0].next_id);
+
+                for (const webhook of webhooks.rows) {
+                    const deliveryId = nextId++;
+                    const payload = { id: deliveryId, event, created_at: createdAt, data };
+
+                    await client.query(`
+                        INSERT INTO availability.webhook_deliveries (
+                            id, webhook_id, event, payload, status, attempts,
+                            next_attempt_at, created_at, updated_at
+                        )
+                        VALUES ($1, $2, $3, $4, 'pending', 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP);
+                    `, [deliveryId, webhook.id, event, JSON.stringify(payload)]);
+                }
+            });
+
+            this.processDueDeliveries();
+            return webhooks.rows.length;
+
+        } catch (error) {
+            logger.error(`Failed to queue webhook event ${event}`, { error: error.message });
+            return 0;
+        }
+    }
+
+    /**
+     * Deliver every due delivery, then wait for the next one in backoff
+     * Safe to call at any time; concurrent calls within a process are folded into one run.
+     */
+    async processDueDeliveries() {
+        if (this.processing) {
+            this.processAgain = true;
+            return;
+        }
+
+        this.processing = true;
+        clearTimeout(this.timer);
+
+        try {
+            do {
+                this.processAgain = false;
+                await this.recoverStaleDeliveries();
+
+                let delivery;
+                while ((delivery = await this.claimNextDelivery())) {
+                    await this.deliver(delivery);
+                }
+            } while (this.processAgain);
+
+            await this.scheduleNextRun();
+
+        } catch (error) {
+            logger.error('Failed to process webhook deliveries', { error: error.message });
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Claim the next due delivery together with its webhook
+     * @returns {Promise<Object|null>} Delivery with url and secret, or null
+     */
+    async claimNextDelivery() {
+        const result = await database.query(`
+            UPDATE availability.webhook_deliveries d
+            SET status = 'sending', attempts = d.attempts + 1, updated_at = CURRENT_TIMESTAMP
+            FROM availability.webhooks w
+            WHERE d.id = (
+                SELECT id FROM availability.webhook_deliveries
+                WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+                ORDER BY next_attempt_at, id
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            AND w.id = d.webhook_id
+            RETURNING d.id, d.event, d.payload, d.attempts, w.url, w.secret;
+        `);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * POST one delivery and record the outcome
+     * @param {Object} delivery - Claimed delivery with url and secret
+     */
+    async deliver(delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        let responseStatus = null;
+
+        try {
+            await this.checkTarget(new URL(delivery.url).hostname);
+
+            const response = await axios.post(delivery.url, body, {
+                timeout: this.timeout,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'mountain-hut-scraper-webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${WebhookDispatcher.sign(delivery.secret, timestamp, body)}`
+                },
+                validateStatus: () => true
+            });
+            responseStatus = response.status;
+
+            if (response.status < 200 || response.status >= 300) {
+                throw new Error(`Webhook responded with HTTP ${response.status}`);
+            }
+
+            await database.query(`
+                UPDATE availability.webhook_deliveries
+                SET status = 'delivered', response_status = $2, last_error = NULL,
+                    delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1;
+            `, [delivery.id, responseStatus]);
+
+        } catch (error) {
+            const willRetry = delivery.attempts < this.maxAttempts;
+            const backoff = Math.min(this.retryDelay * Math.pow(2, delivery.attempts - 1), this.maxRetryDelay);
+
+            await database.query(`
+                UPDATE availability.webhook_deliveries
+                SET status = $2, response_status = $3, last_error = $4,
+                    next_attempt_at = CURRENT_TIMESTAMP + $5::int * INTERVAL '1 millisecond',
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1;
+            `, [delivery.id, willRetry ? 'pending' : 'failed', responseStatus, error.message, backoff]);
+
+            logger.warn(`Webhook delivery ${delivery.id} (${delivery.event}) failed`, {
+                url: delivery.url,
+                attempt: delivery.attempts,
+                willRetry,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Put deliveries back that a crashed process left in "sending"
+     */
+    async recoverStaleDeliveries() {
+        await database.query(`
+            UPDATE availability.webhook_deliveries
+            SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'sending' AND updated_at < CURRENT_TIMESTAMP - $1::int * INTERVAL '1 millisecond';
+        `, [this.staleAfterMs]);
+    }
+
+    /**
+     * Wake up when the next delivery in backoff is due
+     */
+    async scheduleNextRun() {
+        const result = await database.query(`
+            SELECT EXTRACT(EPOCH FROM (MIN(next_attempt_at) - CURRENT_TIMESTAMP)) * 1000 AS delay
+            FROM availability.webhook_deliveries
+            WHERE status = 'pending'
+        `);
+
+        const delay = result.rows[0].delay;
+        if (delay === null) {
+            return;
+        }
+
+        this.timer = setTimeout(() => this.processDueDeliveries(), Math.max(parseFloat(delay), 1000));
+        this.timer.unref();
+    }
+
+    async validateUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new ValidationError('url must be a valid URL');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new ValidationError('url must be an http(s) URL');
+        }
+        await this.checkTarget(parsed.hostname);
+    }
+
+    /**
+     * Refuse hosts that are or resolve to loopback, private or link-local addresses
+     * Also checks the webhook targets of watches and waitlist entries (see watchNotifier).
+     * @param {string} hostname - URL hostname (IPv6 in brackets)
+     * @param {string} field - Name of the URL in error messages
+     */
+    async checkTarget(hostname, field = 'url') {
+        if (this.allowPrivateTargets) {
+            return;
+        }
+
+        const host = hostname.replace(/^\[|\]$/g, '');
+        let addresses;
+        if (net.isIP(host)) {
+            addresses = [host];
+        } else {
+            try {
+                addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+            } catch (error) {
+                throw new ValidationError(`${field} host ${host} could not be resolved`);
+            }
+        }
+
+        if (addresses.some(isPrivateAddress)) {
+            throw new ValidationError(`${field} host ${host} is a loopback, private or link-local address`);
+        }
+    }
+
+    validateEvents(events) {
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new ValidationError(`events must be a non-empty array of: ${EVENT_TYPES.join(', ')} (or "*")`);
+        }
+
+        const unknown = events.filter(event => event !== '*' && !EVENT_TYPES.includes(event));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown events: ${unknown.join(', ')}`);
+        }
+
+        return Array.from(new Set(events));
+    }
+
+    getEventTypes() {
+        return [...EVENT_TYPES];
+    }
+
+    /**
+     * HMAC-SHA256 signature of a delivery (hex)
+     */
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 subnets
+function isPrivateAddress(address) {
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+module.exports = new WebhookDispatcher();
+module.exports.ValidationError = ValidationError;
+module.exports.sign = WebhookDispatcher.sign;
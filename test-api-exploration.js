@@ -1,23 +1,29 @@
-const axios = require('axios');
+const requestGovernor = require('./src/services/requestGovernor');
+const providerConfig = require('./src/providers/hutreservation/config.json');
 
 async function exploreAPI() {
   const baseURL = 'https://www.hut-reservation.org/api/v1';
 
+  requestGovernor.configureProvider(providerConfig);
+
   console.log('Testing hut-reservation.org API endpoints...\n');
 
   // Try to get CSRF token
   try {
-    const csrfResponse = await axios.get(`${baseURL}/csrf`);
+    const csrfResponse = await requestGovernor.request({ method: 'GET', url: `${baseURL}/csrf` });
     console.log('CSRF endpoint:', csrfResponse.status, csrfResponse.data);
   } catch (error) {
+    // hut-reservation.org keeps failing - stop exploring
+    if (error instanceof requestGovernor.CircuitOpenError) throw error;
     console.log('CSRF endpoint error:', error.response?.status || error.message);
   }
 
   // Try to get hut info for known hut ID 648
   try {
-    const hutResponse = await axios.get(`${baseURL}/reservation/hutInfo/648`);
+    const hutResponse = await requestGovernor.request({ method: 'GET', url: `${baseURL}/reservation/hutInfo/648` });
     console.log('\nHut 648 info:', JSON.stringify(hutResponse.data, null, 2));
   } catch (error) {
+    if (error instanceof requestGovernor.CircuitOpenError) throw error;
     console.log('Hut info error:', error.response?.status || error.message);
   }
 
@@ -34,13 +40,14 @@ async function exploreAPI() {
 
   for (const endpoint of endpoints) {
     try {
-      const response = await axios.get(`${baseURL}${endpoint}`);
+      const response = await requestGovernor.request({ method: 'GET', url: `${baseURL}${endpoint}` });
       console.log(`\n${endpoint}:`, response.status, 'Response size:', JSON.stringify(response.data).length);
       if (response.data && (Array.isArray(response.data) || response.data.huts)) {
         console.log('Found huts list!', response.data);
         break;
       }
     } catch (error) {
+      if (error instanceof requestGovernor.CircuitOpenError) throw error;
       console.log(`${endpoint}: ${error.response?.status || 'Failed'}`);
     }
   }
@@ -51,11 +58,12 @@ async function exploreAPI() {
 
   for (const id of testIds) {
     try {
-      const response = await axios.get(`${baseURL}/reservation/hutInfo/${id}`);
+      const response = await requestGovernor.request({ method: 'GET', url: `${baseURL}/reservation/hutInfo/${id}` });
       if (response.data) {
         console.log(`Hut ${id}: ${response.data.name || response.data.hutName || 'Found'}`);
       }
     } catch (error) {
+      if (error instanceof requestGovernor.CircuitOpenError) throw error;
       if (error.response?.status !== 404) {
         console.log(`Hut ${id}: Error ${error.response?.status}`);
       }
@@ -74,9 +82,10 @@ async function exploreAPI() {
 
   for (const endpoint of availabilityEndpoints) {
     try {
-      const response = await axios.get(`${baseURL}${endpoint}`);
+      const response = await requestGovernor.request({ method: 'GET', url: `${baseURL}${endpoint}` });
       console.log(`${endpoint}: Success`, Object.keys(response.data));
     } catch (error) {
+      if (error instanceof requestGovernor.CircuitOpenError) throw error;
       console.log(`${endpoint}: ${error.response?.status || 'Failed'}`);
     }
   }
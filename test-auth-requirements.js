@@ -1,7 +1,8 @@
 const { chromium } = require('playwright');
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const requestGovernor = require('./src/services/requestGovernor');
+const providerConfig = require('./src/providers/hutreservation/config.json');
 
 /**
  * Test Authentication Requirements for hut-reservation.org
@@ -35,6 +36,9 @@ async function testAuthRequirements() {
   console.log(`Test Hut: ${results.testHutName} (ID: ${results.testHutId})`);
   console.log('='.repeat(80));
 
+  // Page loads and API calls go through the request governor at the provider's rateLimit
+  requestGovernor.configureProvider(providerConfig);
+
   const browser = await chromium.launch({
     headless: false,
     slowMo: 500
@@ -83,10 +87,11 @@ async function testAuthRequirements() {
   console.log('='.repeat(80));
 
   try {
-    await page.goto(`https://www.hut-reservation.org/reservation/book-hut/${results.testHutId}/wizard`, {
+    const wizardUrl = `https://www.hut-reservation.org/reservation/book-hut/${results.testHutId}/wizard`;
+    await requestGovernor.schedule(wizardUrl, () => page.goto(wizardUrl, {
       waitUntil: 'networkidle',
       timeout: 30000
-    });
+    }));
 
     await page.waitForTimeout(3000);
 
@@ -167,6 +172,8 @@ async function testAuthRequirements() {
     });
 
   } catch (error) {
+    // hut-reservation.org keeps failing - stop instead of recording every test as failed
+    if (error instanceof requestGovernor.CircuitOpenError) throw error;
     console.error(`Error in Test 1: ${error.message}`);
     results.tests.publicAvailabilityCalendar = { error: error.message };
   }
@@ -271,7 +278,7 @@ async function testAuthRequirements() {
 
     // Test CSRF endpoint
     try {
-      const csrfResponse = await axios.get('https://www.hut-reservation.org/api/v1/csrf');
+      const csrfResponse = await requestGovernor.request({ method: 'GET', url: 'https://www.hut-reservation.org/api/v1/csrf' });
       apiTests.csrf = {
         status: csrfResponse.status,
         tokenReceived: !!csrfResponse.data?.token,
@@ -279,6 +286,7 @@ async function testAuthRequirements() {
       };
       console.log(`✅ CSRF endpoint accessible: ${csrfResponse.status}`);
     } catch (error) {
+      if (error instanceof requestGovernor.CircuitOpenError) throw error;
       apiTests.csrf = {
         status: error.response?.status,
         requiresAuth: error.response?.status === 401 || error.response?.status === 403
@@ -288,7 +296,10 @@ async function testAuthRequirements() {
 
     // Test hut info endpoint
     try {
-      const hutResponse = await axios.get(`https://www.hut-reservation.org/api/v1/reservation/hutInfo/${results.testHutId}`);
+      const hutResponse = await requestGovernor.request({
+        method: 'GET',
+        url: `https://www.hut-reservation.org/api/v1/reservation/hutInfo/${results.testHutId}`
+      });
       apiTests.hutInfo = {
         status: hutResponse.status,
         dataReceived: !!hutResponse.data,
@@ -297,6 +308,7 @@ async function testAuthRequirements() {
       console.log(`✅ Hut info endpoint accessible: ${hutResponse.status}`);
       console.log(`Hut name: ${hutResponse.data?.name || hutResponse.data?.hutName || 'N/A'}`);
     } catch (error) {
+      if (error instanceof requestGovernor.CircuitOpenError) throw error;
       apiTests.hutInfo = {
         status: error.response?.status,
         requiresAuth: error.response?.status === 401 || error.response?.status === 403
@@ -314,7 +326,9 @@ async function testAuthRequirements() {
     for (const endpoint of availabilityEndpoints) {
       try {
         const url = `https://www.hut-reservation.org/api/v1${endpoint}`;
-        const response = await axios.get(url, {
+        const response = await requestGovernor.request({
+          method: 'GET',
+          url,
           params: { hutId: results.testHutId }
         });
         apiTests.availability = {
@@ -326,6 +340,7 @@ async function testAuthRequirements() {
         console.log(`✅ Availability endpoint accessible: ${endpoint} (${response.status})`);
         break;
       } catch (error) {
+        if (error instanceof requestGovernor.CircuitOpenError) throw error;
         if (error.response?.status === 401 || error.response?.status === 403) {
           apiTests.availability = {
             endpoint: endpoint,
@@ -348,6 +363,7 @@ async function testAuthRequirements() {
     }
 
   } catch (error) {
+    if (error instanceof requestGovernor.CircuitOpenError) throw error;
     console.error(`Error in Test 3: ${error.message}`);
     results.tests.publicApiAccess = { error: error.message };
   }
@@ -361,9 +377,9 @@ async function testAuthRequirements() {
 
   try {
     // Navigate to main page
-    await page.goto('https://www.hut-reservation.org', {
+    await requestGovernor.schedule('https://www.hut-reservation.org', () => page.goto('https://www.hut-reservation.org', {
       waitUntil: 'networkidle'
-    });
+    }));
 
     await page.waitForTimeout(2000);
 
@@ -420,7 +436,7 @@ async function testAuthRequirements() {
 
       for (const url of loginUrls) {
         try {
-          await page.goto(url, { waitUntil: 'networkidle', timeout: 10000 });
+          await requestGovernor.schedule(url, () => page.goto(url, { waitUntil: 'networkidle', timeout: 10000 }));
           const hasLoginForm = await page.locator('input[type="password"]').count() > 0;
           if (hasLoginForm) {
             loginPageExists = true;
@@ -429,6 +445,7 @@ async function testAuthRequirements() {
             break;
           }
         } catch (e) {
+          if (e instanceof requestGovernor.CircuitOpenError) throw e;
           // Continue to next URL
         }
       }
@@ -448,6 +465,7 @@ async function testAuthRequirements() {
     }
 
   } catch (error) {
+    if (error instanceof requestGovernor.CircuitOpenError) throw error;
     console.error(`Error in Test 4: ${error.message}`);
     results.tests.loginFlowExists = { error: error.message };
   }
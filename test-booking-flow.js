@@ -1,7 +1,11 @@
 const { chromium } = require('playwright');
-const axios = require('axios');
+const requestGovernor = require('./src/services/requestGovernor');
+const providerConfig = require('./src/providers/hutreservation/config.json');
 
 async function analyzeBookingFlow() {
+  // Page loads and API calls go through the request governor at the provider's rateLimit
+  requestGovernor.configureProvider(providerConfig);
+
   const browser = await chromium.launch({
     headless: false,
     slowMo: 1000
@@ -37,9 +41,10 @@ async function analyzeBookingFlow() {
   const hutId = 648; // Sulzenauhütte
   console.log(`Testing booking flow for hut ${hutId}...\n`);
 
-  await page.goto(`https://www.hut-reservation.org/reservation/book-hut/${hutId}/wizard`, {
+  const wizardUrl = `https://www.hut-reservation.org/reservation/book-hut/${hutId}/wizard`;
+  await requestGovernor.schedule(wizardUrl, () => page.goto(wizardUrl, {
     waitUntil: 'networkidle'
-  });
+  }));
 
   // Wait for the page to stabilize
   await page.waitForTimeout(3000);
@@ -139,7 +144,7 @@ async function analyzeBookingFlow() {
 
   try {
     // Get CSRF token
-    const csrfResponse = await axios.get('https://www.hut-reservation.org/api/v1/csrf');
+    const csrfResponse = await requestGovernor.request({ method: 'GET', url: 'https://www.hut-reservation.org/api/v1/csrf' });
     const csrfToken = csrfResponse.data.token;
     console.log('Got CSRF token:', csrfToken.substring(0, 20) + '...');
 
@@ -151,10 +156,12 @@ async function analyzeBookingFlow() {
 
     // Test availability endpoint
     const availabilityUrl = `https://www.hut-reservation.org/api/v1/reservation/availability/${hutId}`;
-    const availResponse = await axios.get(availabilityUrl, { headers });
+    const availResponse = await requestGovernor.request({ method: 'GET', url: availabilityUrl, headers });
     console.log('\nAvailability response:', availResponse.status);
     console.log(JSON.stringify(availResponse.data, null, 2).substring(0, 500));
   } catch (error) {
+    // hut-reservation.org keeps failing - stop instead of reporting a plain API error
+    if (error instanceof requestGovernor.CircuitOpenError) throw error;
     console.log('API test error:', error.response?.status, error.message);
   }
 }
@@ -1,12 +1,18 @@
 const { chromium } = require('playwright');
+const requestGovernor = require('./src/services/requestGovernor');
+const providerConfig = require('./src/providers/hutreservation/config.json');
 
 (async () => {
+  // Page loads go through the request governor at the provider's rateLimit
+  requestGovernor.configureProvider(providerConfig);
+
   const browser = await chromium.launch({
     headless: false,
     slowMo: 500
   });
 
   const page = await browser.newPage();
+  const open = url => requestGovernor.schedule(url, () => page.goto(url, { waitUntil: 'networkidle' }));
 
   // Monitor network requests to find API calls
   const apiCalls = [];
@@ -22,9 +28,7 @@ const { chromium } = require('playwright');
   });
 
   console.log('Navigating to hut reservation site...');
-  await page.goto('https://www.hut-reservation.org/reservation/book-hut/648/wizard', {
-    waitUntil: 'networkidle'
-  });
+  await open('https://www.hut-reservation.org/reservation/book-hut/648/wizard');
 
   // Wait for the page to load
   await page.waitForTimeout(5000);
@@ -111,9 +115,7 @@ const { chromium } = require('playwright');
   console.log('\nNavigating to find hut listings...');
 
   // Try the main page
-  await page.goto('https://www.hut-reservation.org', {
-    waitUntil: 'networkidle'
-  });
+  await open('https://www.hut-reservation.org');
   await page.waitForTimeout(3000);
 
   // Look for navigation links to hut listings
@@ -171,17 +173,16 @@ const { chromium } = require('playwright');
 
   // Try search/browse page
   console.log('\nTrying to find search or browse page...');
-  await page.goto('https://www.hut-reservation.org/search', {
-    waitUntil: 'networkidle'
-  }).catch(e => console.log('Search page not found'));
+  // hut-reservation.org keeps failing - stop exploring
+  const notFound = label => e => {
+    if (e instanceof requestGovernor.CircuitOpenError) throw e;
+    console.log(`${label} page not found`);
+  };
+  await open('https://www.hut-reservation.org/search').catch(notFound('Search'));
 
-  await page.goto('https://www.hut-reservation.org/browse', {
-    waitUntil: 'networkidle'
-  }).catch(e => console.log('Browse page not found'));
+  await open('https://www.hut-reservation.org/browse').catch(notFound('Browse'));
 
-  await page.goto('https://www.hut-reservation.org/huts', {
-    waitUntil: 'networkidle'
-  }).catch(e => console.log('Huts page not found'));
+  await open('https://www.hut-reservation.org/huts').catch(notFound('Huts'));
 
   // Take screenshots for reference
   await page.screenshot({ path: 'screenshots/hut-reservation-wizard.png', fullPage: true });
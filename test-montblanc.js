@@ -40,20 +40,22 @@ async function testMontBlancProvider() {
 
         console.log('✅ Scraping completed!');
         console.log('📊 Results summary:');
-        console.log(`   - Hut: ${results.data.hutName}`);
-        console.log(`   - Availability records: ${results.data.availability.length}`);
+        const dates = results.roomTypes.flatMap(roomType => roomType.dates);
+
+        console.log(`   - Hut: ${results.property.name}`);
+        console.log(`   - Availability records: ${dates.length}`);
         console.log(`   - Scraped at: ${results.scrapedAt}`);
 
         // Show first few availability records
-        if (results.data.availability.length > 0) {
+        if (dates.length > 0) {
             console.log('📅 Sample availability data:');
-            results.data.availability.slice(0, 5).forEach(record => {
-                const status = record.available ? '✅ Available' : '❌ Not Available';
+            dates.slice(0, 5).forEach(record => {
+                const status = record.available ? `✅ Available (${record.freeBeds} spots)` : '❌ Not Available';
                 console.log(`   ${record.date}: ${status}`);
             });
 
-            if (results.data.availability.length > 5) {
-                console.log(`   ... and ${results.data.availability.length - 5} more records`);
+            if (dates.length > 5) {
+                console.log(`   ... and ${dates.length - 5} more records`);
             }
         }
 
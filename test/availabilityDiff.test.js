@@ -0,0 +1,61 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AvailabilityDiff = require('../src/services/availabilityDiff');
+
+const row = (date, free_beds, overrides = {}) => ({ date, can_checkin: true, can_checkout: true, free_beds, ...overrides });
+
+describe('AvailabilityDiff', () => {
+  test('dates only in the scrape open, dates only in the store close', () => {
+    const events = AvailabilityDiff.compute(
+      [row('2026-07-01', 4), row('2026-07-02', 2)],
+      [row('2026-07-02', 2), row('2026-07-03', 6, { can_checkout: false })]
+    );
+
+    assert.deepEqual(events, [
+      { date: '2026-07-01', event_type: 'closed', old_free_beds: 4, new_free_beds: null, can_checkin: null, can_checkout: null },
+      { date: '2026-07-03', event_type: 'opened', old_free_beds: null, new_free_beds: 6, can_checkin: true, can_checkout: false }
+    ]);
+  });
+
+  test('a changed bed count is only reported when both sides know it', () => {
+    const events = AvailabilityDiff.compute(
+      [row('2026-07-01', 4), row('2026-07-02', null), row('2026-07-03', 3)],
+      [row('2026-07-01', 1), row('2026-07-02', 5), row('2026-07-03', null)]
+    );
+
+    assert.deepEqual(events.map(event => [event.date, event.event_type, event.old_free_beds, event.new_free_beds]), [
+      ['2026-07-01', 'beds_changed', 4, 1]
+    ]);
+  });
+
+  test('events are sorted by date whatever order the rows come in', () => {
+    const events = AvailabilityDiff.compute(
+      [row('2026-08-10', 1), row('2026-07-31', 1)],
+      [row('2026-08-01', 1), row('2026-07-15', 1)]
+    );
+
+    assert.deepEqual(events.map(event => event.date), ['2026-07-15', '2026-07-31', '2026-08-01', '2026-08-10']);
+  });
+
+  test('legacy date strings, timestamps and Date objects are matched on the calendar day', () => {
+    const events = AvailabilityDiff.compute(
+      ['2026-07-01', { date: '2026-07-02T00:00:00.000Z' }, { date: new Date(2026, 6, 3) }],
+      [row('2026-07-01', 2), row('2026-07-02', 2), row('2026-07-03', 2)]
+    );
+
+    assert.deepEqual(events, []);
+  });
+
+  test('missing sides count as nothing bookable', () => {
+    assert.deepEqual(AvailabilityDiff.compute(null, undefined), []);
+    assert.deepEqual(AvailabilityDiff.compute(undefined, [row('2026-07-01', 3)]).map(event => event.event_type), ['opened']);
+  });
+
+  test('getEventTypes returns a copy', () => {
+    const types = AvailabilityDiff.getEventTypes();
+    types.push('other');
+
+    assert.deepEqual(AvailabilityDiff.getEventTypes(), ['opened', 'closed', 'beds_changed']);
+  });
+});
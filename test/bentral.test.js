@@ -0,0 +1,271 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { chromium } = require('playwright');
+const { startFixtureServer, loadFixture, loadJsonFixture } = require('./helpers/fixtureServer');
+
+const MountainHutScraper = require('../src/MountainHutScraper');
+const config = require('../config/scraper.config.js');
+const BentralCapture = require('../src/providers/bentral/BentralCapture');
+const { classifyDay, summarizeMonth } = require('../src/providers/bentral/availability');
+
+const { BentralCaptureError } = BentralCapture;
+const availability = config.bentral.availability;
+
+// Days of September 2025 as the calendar cells of the recorded iframe show them
+function recordedCalendarCells() {
+  const html = loadFixture('bentral/booking-september-2025.html');
+  return [...html.matchAll(/<td class="([^"]*)"(?: title="([^"]*)")?>(\d+)<\/td>/g)]
+    .map(([, classes, title = '', day]) => ({ day, classes, title }))
+    .filter(cell => !cell.classes.includes('old') && !cell.classes.includes('new'));
+}
+
+// The same September as availability responses: a class map and a list of flags
+function classMapResponse() {
+  return loadJsonFixture('bentral/availability-september-2025.json');
+}
+
+function flagListResponse() {
+  return Object.entries(classMapResponse().days).map(([date, day]) => {
+    const [year, month, dayOfMonth] = date.split('-');
+    const classes = day.class.split(' ');
+    return {
+      date: `${dayOfMonth}.${month}.${year}`,
+      unavail: classes.includes('unavail') ? 1 : 0,
+      unavail_start: classes.includes('unavail_start') ? 1 : 0,
+      unavail_end: classes.includes('unavail_end') ? 1 : 0,
+      ...(day.title && { title: day.title })
+    };
+  });
+}
+
+function captureOf(body) {
+  const capture = new BentralCapture({ availability });
+  capture.addDays(BentralCapture.extractDays(body));
+  return capture;
+}
+
+// The calendar is read with page.evaluate, so this suite needs a real (headless) browser
+const browserMissing = !fs.existsSync(chromium.executablePath()) &&
+  'Playwright Chromium is not installed (run: npx playwright install chromium)';
+
+describe('MountainHutScraper (recorded Bentral iframe)', { skip: browserMissing }, () => {
+  let server;
+  let browser;
+  let scraper;
+
+  before(async () => {
+    server = await startFixtureServer([
+      { path: '/service/embed/booking.html', fixture: 'bentral/booking-september-2025.html' }
+    ]);
+
+    scraper = new MountainHutScraper({
+      saveToDatabase: false,
+      saveToFile: false,
+      bentral: { ...config.bentral, iframeUrl: `${server.url}/service/embed/booking.html?id=5f4451784d415f4e&lang=sl` }
+    });
+
+    browser = await chromium.launch({ headless: true });
+    scraper.browser = browser;
+    scraper.page = await browser.newPage();
+    await scraper.page.goto(scraper.config.bentral.iframeUrl, { waitUntil: 'load' });
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (server) await server.close();
+  });
+
+  test('navigateToMonth finds the month shown in the calendar', async () => {
+    await scraper.navigateToMonth('September 2025');
+  });
+
+  test('extractMonthAvailability classifies every day of the month', async () => {
+    const month = await scraper.extractMonthAvailability('September 2025');
+
+    // Days of the next month ("new") are ignored
+    assert.equal(month.totalDays, 30);
+    assert.equal(month.availableDays, 23);
+    assert.equal(month.fullyAvailableDays, 21);
+    assert.equal(month.partiallyAvailableDays, 2);
+    assert.equal(month.unavailableDays, 7);
+    assert.equal(month.availabilityRate, '76.7%');
+
+    assert.deepEqual(month.unavailableDates, [1, 2, 12, 13, 14, 15, 21]);
+    assert.deepEqual(month.partiallyAvailableDates, [
+      { day: 3, status: 'partial_no_start', canStart: false, canEnd: true },
+      { day: 11, status: 'partial_no_end', canStart: true, canEnd: false }
+    ]);
+    assert.deepEqual(month.fullyAvailableDates, [
+      4, 5, 6, 7, 8, 9, 10, 16, 17, 18, 19, 20, 22, 23, 24, 25, 26, 27, 28, 29, 30
+    ]);
+
+    // unavail_start: guests may leave but not arrive that day; unavail_end the other way round
+    assert.ok(!month.canStartDates.includes(3) && month.canEndDates.includes(3));
+    assert.ok(month.canStartDates.includes(11) && !month.canEndDates.includes(11));
+    assert.equal(month.canStartDates.length, 22);
+    assert.equal(month.canEndDates.length, 22);
+  });
+});
+
+describe('Bentral network capture', () => {
+  test('captured responses give the same month as the calendar cells', () => {
+    const fromCalendar = summarizeMonth(recordedCalendarCells().map(cell => classifyDay(cell, availability)));
+
+    for (const body of [classMapResponse(), { data: flagListResponse() }]) {
+      const { 'September 2025': month } = captureOf(body).months(['September 2025']);
+
+      assert.deepEqual(
+        { ...month, rawData: month.rawData.map(({ classes, ...day }) => day) },
+        { ...fromCalendar, rawData: fromCalendar.rawData.map(({ classes, ...day }) => day) }
+      );
+      assert.deepEqual(month.partiallyAvailableDates, [
+        { day: 3, status: 'partial_no_start', canStart: false, canEnd: true },
+        { day: 11, status: 'partial_no_end', canStart: true, canEnd: false }
+      ]);
+      assert.deepEqual(month.unavailableDates, [1, 2, 12, 13, 14, 15, 21]);
+    }
+  });
+
+  test('a month with days missing from the responses is not trusted', () => {
+    const body = classMapResponse();
+    delete body.days['2025-09-30'];
+    const capture = captureOf(body);
+
+    assert.deepEqual(capture.missingMonths(['September 2025', 'Oktober 2025']), ['September 2025', 'Oktober 2025']);
+    assert.throws(() => capture.months(['September 2025']), error => {
+      assert.ok(error instanceof BentralCaptureError);
+      assert.match(error.message, /did not cover September 2025 \(0 responses, 29 days captured\)/);
+      return true;
+    });
+  });
+
+  test('the scraper takes captured months without clicking through the calendar', async () => {
+    const clicked = [];
+    const scraper = new MountainHutScraper({ saveToDatabase: false, saveToFile: false });
+    scraper.config.scraper = { ...scraper.config.scraper, targetMonths: ['September 2025'] };
+    scraper.page = { click: async selector => clicked.push(selector) };
+    scraper.capture = captureOf(classMapResponse());
+
+    await scraper.scrapeAvailability();
+
+    assert.deepEqual(clicked, []);
+    assert.equal(scraper.results.months['September 2025'].availableDays, 23);
+    assert.equal(scraper.results.summary.totalPartiallyAvailable, 2);
+  });
+
+  test('the scraper reads the calendar when the responses do not cover the months', async () => {
+    const clicked = [];
+    const scraper = new MountainHutScraper({ saveToDatabase: false, saveToFile: false });
+    scraper.config.scraper = { ...scraper.config.scraper, targetMonths: ['September 2025'] };
+    scraper.page = {
+      click: async selector => clicked.push(selector),
+      $: async () => ({}),
+      waitForTimeout: async () => {},
+      waitForResponse: async () => { throw new Error('Timeout 10000ms exceeded'); },
+      textContent: async () => 'September 2025',
+      evaluate: async () => recordedCalendarCells()
+    };
+    scraper.capture = new BentralCapture({ availability });
+    scraper.capture.page = scraper.page;
+
+    await scraper.scrapeAvailability();
+
+    // One page forward while waiting for a response, then the calendar
+    assert.deepEqual(clicked, [config.bentral.selectors.arrivalInput, config.bentral.selectors.nextButton, config.bentral.selectors.arrivalInput]);
+    assert.equal(scraper.results.months['September 2025'].availableDays, 23);
+  });
+});
+
+describe('Bentral availability over plain HTTP', () => {
+  const recordedHut = { bentralId: '5f4451784d415f4e', key: '21eb14db6ac1873bf9cbcf78feeddb56', unit: '5f5441324e446b4d' };
+  const otherHut = { bentralId: '5f7a59334e415f4d', key: 'c36cb03d625406b10025b6d2cef5719e', unit: '5f6a6b344d775f4d' };
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer([
+      { path: '/service/embed/availability', body: classMapResponse() }
+    ]);
+  });
+
+  after(async () => {
+    if (server) await server.close();
+  });
+
+  function recordedCapture(url) {
+    const capture = captureOf(classMapResponse());
+    capture.responses.push({
+      url,
+      method: 'GET',
+      postData: null,
+      headers: { referer: `https://www.bentral.com/service/embed/booking.html?id=${recordedHut.bentralId}&key=${recordedHut.key}` },
+      days: 30
+    });
+    return capture;
+  }
+
+  test('captured requests are replayed with another hut and room', async () => {
+    const capture = recordedCapture(
+      `${server.url}/service/embed/availability?id=${recordedHut.bentralId}&key=${recordedHut.key}&unit=${recordedHut.unit}&from=2025-09-01`
+    );
+    const template = capture.toTemplate(recordedHut);
+
+    assert.deepEqual(template[0].url, `${server.url}/service/embed/availability?id={id}&key={key}&unit={unit}&from=2025-09-01`);
+
+    const replayed = await BentralCapture.fetchTemplate(template, otherHut, { baseUrl: server.url, availability });
+    const sent = server.requests.at(-1);
+
+    assert.equal(sent.query.get('id'), otherHut.bentralId);
+    assert.equal(sent.query.get('key'), otherHut.key);
+    assert.equal(sent.query.get('unit'), otherHut.unit);
+    assert.equal(sent.headers['x-requested-with'], 'XMLHttpRequest');
+    assert.equal(sent.headers.referer, `https://www.bentral.com/service/embed/booking.html?id=${otherHut.bentralId}&key=${otherHut.key}`);
+    assert.equal(replayed.months(['September 2025'])['September 2025'].availableDays, 23);
+  });
+
+  test('requests without the room ID cannot be replayed', () => {
+    const capture = recordedCapture(`${server.url}/service/embed/availability?id=${recordedHut.bentralId}&key=${recordedHut.key}`);
+    assert.equal(capture.toTemplate(recordedHut), null);
+    assert.equal(new BentralCapture({ availability }).toTemplate(recordedHut), null);
+  });
+});
+
+describe('BentralCapture on a live page', { skip: browserMissing }, () => {
+  let server;
+  let browser;
+
+  before(async () => {
+    server = await startFixtureServer([
+      {
+        path: '/service/embed/booking.html',
+        body: '<html><body><script>fetch("/service/embed/availability?unit=5f5441324e446b4d")</script></body></html>',
+        contentType: 'text/html; charset=utf-8'
+      },
+      { path: '/service/embed/availability', body: classMapResponse() }
+    ]);
+    browser = await chromium.launch({ headless: true });
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (server) await server.close();
+  });
+
+  test('records the availability responses the embed loads', async () => {
+    const page = await browser.newPage();
+    const capture = new BentralCapture({ baseUrl: server.url, availability });
+
+    try {
+      capture.attach(page);
+      await page.goto(`${server.url}/service/embed/booking.html`, { waitUntil: 'networkidle' });
+      await capture.settle();
+
+      assert.equal(capture.responses.length, 1);
+      assert.equal(capture.responses[0].days, 30);
+      assert.equal(capture.months(['September 2025'])['September 2025'].availableDays, 23);
+    } finally {
+      capture.detach();
+      await page.close();
+    }
+  });
+});
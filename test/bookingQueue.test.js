@@ -0,0 +1,187 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useStubs } = require('./helpers/stubs');
+
+const bookingQueue = require('../src/services/bookingQueue');
+const bookingSessionManager = require('../src/services/bookingSessionManager');
+const database = require('../src/services/database');
+const scrapeQueue = require('../src/services/scrapeQueue');
+const DateWindow = require('../src/services/dateWindow');
+
+const { BookingRejectedError } = bookingQueue;
+
+const day = (offset) => DateWindow.toISODate(DateWindow.addDays(new DateWindow({ days: 1 }).start, offset));
+
+const PROPERTY = { id: 7, name: 'Vodnikov dom' };
+const ROOM_TYPE = { id: 70, name: 'Skupna ležišča', external_id: '12', capacity: 8 };
+
+const night = (date, overrides = {}) => ({
+  room_type_id: ROOM_TYPE.id, date, can_checkin: true, can_checkout: true, free_beds: null, ...overrides
+});
+
+const request = (overrides = {}) => ({
+  hutName: PROPERTY.name,
+  roomType: 'skupna ležišča ',
+  arrivalDate: day(10),
+  departureDate: day(12),
+  ...overrides
+});
+
+describe('bookingQueue', () => {
+  const stub = useStubs();
+
+  let stored;
+  let lastScrapedAt;
+  let scrapes;
+
+  beforeEach(() => {
+    stored = [night(day(10)), night(day(11)), night(day(12))];
+    lastScrapedAt = new Date();
+    scrapes = [];
+
+    stub(database, 'getPropertyByName', async (name) => (name === PROPERTY.name ? PROPERTY : null));
+    stub(database, 'getRoomTypesForProperty', async () => [ROOM_TYPE]);
+    stub(database, 'getNightlyAvailability', async () => stored);
+    stub(scrapeQueue, 'getLastCompletedScrape', async () => lastScrapedAt);
+    stub(bookingQueue, 'scrapeStay', async (property, roomType, stay) => {
+      scrapes.push(stay);
+      return true;
+    });
+  });
+
+  const rejectsWith = (promise, reason) => assert.rejects(promise, (error) => {
+    assert.ok(error instanceof BookingRejectedError);
+    assert.equal(error.reason, reason);
+    return true;
+  });
+
+  test('parseStay accepts both date formats and lists the nights', () => {
+    const [year, month, dayOfMonth] = day(30).split('-');
+    const stay = bookingQueue.parseStay(`${dayOfMonth}.${month}.${year}`, day(32));
+
+    assert.deepEqual(stay, { arrival: day(30), departure: day(32), nights: [day(30), day(31)] });
+
+    assert.throws(() => bookingQueue.parseStay(day(5), day(5)), /Departure must be after arrival/);
+    assert.throws(() => bookingQueue.parseStay(day(-1), day(2)), /in the past/);
+    assert.throws(() => bookingQueue.parseStay('31.02.2030', '02.03.2030'), BookingRejectedError);
+  });
+
+  test('verify scrapes the stay and accepts bookable nights', async () => {
+    const preflight = await bookingQueue.verify(request());
+
+    assert.equal(scrapes.length, 1);
+    assert.deepEqual(preflight.nights, [day(10), day(11)]);
+    assert.equal(preflight.room_type_id, ROOM_TYPE.id);
+    assert.equal(preflight.fresh_scrape, true);
+  });
+
+  test('recent stored data that rules the stay out is rejected without scraping', async () => {
+    stored = [night(day(10))];
+
+    await assert.rejects(bookingQueue.verify(request()), (error) => {
+      assert.equal(error.reason, 'not_available');
+      assert.deepEqual(error.details, { unavailable_nights: [day(11)] });
+      return true;
+    });
+    assert.equal(scrapes.length, 0);
+  });
+
+  test('arrival and departure restrictions get their own reasons', async () => {
+    stored = [night(day(10), { can_checkin: false }), night(day(11))];
+    await rejectsWith(bookingQueue.verify(request()), 'check_in_restricted');
+
+    stored = [night(day(10)), night(day(11)), night(day(12), { can_checkout: false })];
+    await rejectsWith(bookingQueue.verify(request()), 'check_out_restricted');
+  });
+
+  test('old data is only trusted after a successful scrape', async () => {
+    lastScrapedAt = new Date(Date.now() - bookingQueue.maxDataAgeMs - 60000);
+    bookingQueue.scrapeStay = async () => false;
+
+    await assert.rejects(bookingQueue.verify(request()), (error) => {
+      assert.equal(error.reason, 'stale_data');
+      assert.match(error.message, /too old/);
+      return true;
+    });
+  });
+
+  test('unknown huts and room types are rejected', async () => {
+    await rejectsWith(bookingQueue.verify(request({ hutName: 'Koča na Luni' })), 'unknown_hut');
+    await rejectsWith(bookingQueue.verify(request({ roomType: 'Apartma' })), 'unknown_room_type');
+  });
+
+  test('multi-room requests check every room type once and name the one that is sold out', async () => {
+    const dorm = { id: 71, name: 'Triposteljna soba', external_id: '13', capacity: 3 };
+    stub(database, 'getRoomTypesForProperty', async () => [ROOM_TYPE, dorm]);
+    const rooms = [{ roomType: 'Triposteljna soba', quantity: 2 }, { roomType: 'Skupna ležišča' }, { roomType: 'triposteljna soba' }];
+
+    stored = [night(day(10)), night(day(11)), { ...night(day(10)), room_type_id: dorm.id }, { ...night(day(11)), room_type_id: dorm.id }];
+    const preflight = await bookingQueue.verify(request({ roomType: undefined, rooms }));
+    assert.deepEqual(preflight.room_types.map(check => check.room_type_id), [dorm.id, ROOM_TYPE.id]);
+    assert.equal(scrapes.length, 2);
+
+    stored = [night(day(10)), night(day(11)), { ...night(day(10)), room_type_id: dorm.id }];
+    await assert.rejects(bookingQueue.verify(request({ roomType: undefined, rooms })), (error) => {
+      assert.equal(error.reason, 'not_available');
+      assert.deepEqual(error.details, { unavailable_nights: [day(11)], room_type: 'Triposteljna soba' });
+      return true;
+    });
+  });
+
+  test('validateRequest accepts roomType or a rooms array', () => {
+    const booking = { hutName: PROPERTY.name, arrivalDate: day(10), departureDate: day(12), guestName: 'Janez', country: 'Slovenia', email: 'janez@example.com', phone: '+386 1' };
+
+    assert.deepEqual(bookingQueue.validateRequest({ ...booking, roomType: 'Skupna ležišča' }), []);
+    assert.deepEqual(bookingQueue.validateRequest({ ...booking, rooms: [{ roomType: 'Skupna ležišča', quantity: 2 }] }), []);
+    assert.deepEqual(bookingQueue.validateRequest(booking), ['roomType is required and must be a string']);
+    assert.deepEqual(bookingQueue.validateRequest({ ...booking, roomType: 'A', rooms: [] }), ['Send either roomType or rooms, not both']);
+    assert.deepEqual(bookingQueue.validateRequest({ ...booking, rooms: [{ quantity: 0 }] }), [
+      'rooms[0].roomType is required and must be a string',
+      'rooms[0].quantity must be a positive integer'
+    ]);
+    assert.deepEqual(bookingQueue.validateRequest({ ...booking, rooms: [{ roomType: 'A', quantity: 11 }] }), ['A booking can hold at most 10 rooms']);
+  });
+
+  test('hut-reservation requests only have their dates checked before the booker runs', async () => {
+    const preflight = await bookingQueue.verify({ hutId: 320, arrivalDate: day(3), departureDate: day(4) }, 'hutreservation');
+    assert.deepEqual(preflight, { arrival_date: day(3), departure_date: day(4), nights: [day(3)], live_check: true });
+  });
+
+  test('an unbookable stay found by the booker is turned into a rejection', async () => {
+    stub(bookingQueue, 'verify', async () => ({}));
+    stub(bookingSessionManager, 'prepare', async () => {
+      const error = new Error('Fewer than 4 free beds on 1 of 2 nights');
+      Object.assign(error, { reason: 'not_available', details: { unavailable_nights: [day(4)] }, sessionId: 'booking_hr_1' });
+      throw error;
+    });
+
+    await assert.rejects(bookingQueue.enqueue({ hutId: 320 }, { provider: 'hutreservation' }), (error) => {
+      assert.ok(error instanceof BookingRejectedError);
+      assert.equal(error.reason, 'not_available');
+      assert.equal(error.sessionId, 'booking_hr_1');
+      return true;
+    });
+  });
+
+  test('enqueue runs at most `concurrency` bookings at once', async () => {
+    stub(bookingQueue, 'concurrency', 2);
+    stub(bookingQueue, 'verify', async () => ({ checked: true }));
+
+    let active = 0;
+    let maxActive = 0;
+    stub(bookingSessionManager, 'prepare', async (params) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active--;
+      return { sessionId: `booking_${params.guestName}` };
+    });
+
+    const results = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(guestName => bookingQueue.enqueue(request({ guestName }))));
+
+    assert.equal(maxActive, 2);
+    assert.deepEqual(results.map(result => result.sessionId), ['booking_a', 'booking_b', 'booking_c', 'booking_d', 'booking_e']);
+    assert.deepEqual(results[0].preflight, { checked: true });
+    assert.deepEqual(bookingQueue.getStatus().running, []);
+  });
+});
@@ -0,0 +1,338 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MicrogrammBookingBot = require('../src/MicrogrammBookingBot');
+const bookingSessionManager = require('../src/services/bookingSessionManager');
+const bookingLedger = require('../src/services/bookingLedger');
+const guestVault = require('../src/services/guestVault');
+
+const PARAMS = {
+  hutName: 'Triglavski Dom',
+  roomType: 'Skupna ležišča',
+  arrivalDate: '2025-09-01',
+  departureDate: '2025-09-02',
+  guestName: 'Jane Doe',
+  country: 'Slovenia',
+  email: 'jane@example.com',
+  phone: '+386 40 123 456'
+};
+
+/**
+ * In-memory stand-in for bookingSessionStore with the same status rules
+ */
+function createMemoryStore() {
+  const rows = new Map();
+  const clone = (row) => row && JSON.parse(JSON.stringify(row));
+
+  return {
+    rows,
+    async create({ id, provider = 'microgramm', params, ttlMs }) {
+      rows.set(id, {
+        id, provider, hut_name: params.hutName, room_type: params.roomType, params,
+        status: 'preparing', steps: [], errors: [], result: null, attempts: 1,
+        expires_at: new Date(Date.now() + ttlMs), created_at: new Date(), submitted_at: null
+      });
+      return clone(rows.get(id));
+    },
+    async get(id) {
+      return clone(rows.get(id)) || null;
+    },
+    async list() {
+      return Array.from(rows.values()).map(clone);
+    },
+    async saveProgress(id, { status = null, steps = null, errors = null, result = null }) {
+      const row = rows.get(id);
+      if (status) row.status = status;
+      if (steps) row.steps = clone(steps);
+      if (errors) row.errors = clone(errors);
+      if (result) row.result = clone(result);
+    },
+    async transition(id, fromStatuses, toStatus) {
+      const row = rows.get(id);
+      if (!row || !fromStatuses.includes(row.status)) return null;
+      row.status = toStatus;
+      return clone(row);
+    },
+    async restart(id, fromStatuses, ttlMs) {
+      const row = rows.get(id);
+      if (!row || !fromStatuses.includes(row.status)) return null;
+      Object.assign(row, { status: 'preparing', attempts: row.attempts + 1, result: null, expires_at: new Date(Date.now() + ttlMs) });
+      return clone(row);
+    },
+    async expireDue() {
+      const expired = Array.from(rows.values())
+        .filter(row => row.expires_at < new Date() && ['preparing', 'ready_to_submit', 'failed'].includes(row.status));
+      expired.forEach(row => { row.status = 'expired'; });
+      return expired.map(row => row.id);
+    },
+    async recoverInterrupted() {
+      return 0;
+    }
+  };
+}
+
+/**
+ * In-memory stand-in for the booking ledger's table; validation and history entries are the real ones
+ */
+function createMemoryLedger() {
+  const rows = new Map();
+  const clone = (row) => row && JSON.parse(JSON.stringify(row));
+  const ledger = Object.create(bookingLedger);
+
+  return Object.assign(ledger, {
+    rows,
+    async record({ session, result, steps = [], errors = [] }) {
+      const id = rows.size + 1;
+      rows.set(id, {
+        id, provider: session.provider, session_id: session.id, hut_name: session.hut_name,
+        room_type: session.room_type, confirmation_number: result.reservationNumber || null,
+        status: 'confirmed', params: clone(session.params),
+        history: [ledger.historyEntry('submitted', session.id, result, { steps, errors })]
+      });
+      return clone(rows.get(id));
+    },
+    async get(id) {
+      return clone(rows.get(id)) || null;
+    },
+    async list() {
+      return Array.from(rows.values()).map(clone);
+    },
+    async transition(id, fromStatuses, toStatus) {
+      const row = rows.get(id);
+      if (!row || !fromStatuses.includes(row.status)) return null;
+      row.status = toStatus;
+      return clone(row);
+    },
+    async finishChange(id, { status, entry, params = null }) {
+      const row = rows.get(id);
+      row.status = status;
+      row.history.push(clone(entry));
+      if (params) row.params = clone(params);
+      return clone(row);
+    },
+    async recoverInterrupted() {
+      return 0;
+    }
+  });
+}
+
+describe('bookingSessionManager', () => {
+  const original = {
+    store: bookingSessionManager.store,
+    ledger: bookingSessionManager.ledger,
+    maxBrowsers: bookingSessionManager.maxBrowsers,
+    makeBooking: MicrogrammBookingBot.prototype.makeBooking,
+    submitBooking: MicrogrammBookingBot.prototype.submitBooking,
+    cleanup: MicrogrammBookingBot.prototype.cleanup,
+    cancelBooking: MicrogrammBookingBot.prototype.cancelBooking,
+    modifyBooking: MicrogrammBookingBot.prototype.modifyBooking
+  };
+  let store;
+  let ledger;
+  let launches;
+  let failNextBooking;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    ledger = createMemoryLedger();
+    launches = 0;
+    failNextBooking = false;
+    bookingSessionManager.store = store;
+    bookingSessionManager.ledger = ledger;
+    bookingSessionManager.maxBrowsers = 2;
+
+    // No browser: the bot only records its steps
+    MicrogrammBookingBot.prototype.makeBooking = async function (params) {
+      launches++;
+      this.browser = { open: true };
+      this.addStep('initialized', 'Browser and page initialized');
+      if (failNextBooking) {
+        failNextBooking = false;
+        this.addError('hut_selection', new Error(`Hut not found: ${params.hutName}`));
+        throw new Error(`Hut not found: ${params.hutName}`);
+      }
+      this.addStep('captcha_solved', 'Captcha solved with answer: 7');
+      return { success: true, sessionId: this.sessionId, status: 'ready_to_submit' };
+    };
+    MicrogrammBookingBot.prototype.submitBooking = async function () {
+      this.addStep('booking_submitted', 'Booking submitted successfully: Hvala');
+      return { success: true, message: 'Hvala', reservationNumber: '2025-0412' };
+    };
+    MicrogrammBookingBot.prototype.cancelBooking = async function (booking) {
+      this.addStep('reservation_opened', `Opened reservation ${booking.confirmation_number}`);
+      this.changeSubmitted = true;
+      this.addStep('booking_cancelled', 'Rezervacija stornirana');
+      return { success: true, message: 'Rezervacija stornirana' };
+    };
+    MicrogrammBookingBot.prototype.cleanup = async function () {
+      this.browser = null;
+    };
+  });
+
+  afterEach(async () => {
+    await bookingSessionManager.stop();
+    Object.assign(bookingSessionManager, { store: original.store, ledger: original.ledger, maxBrowsers: original.maxBrowsers });
+    Object.assign(MicrogrammBookingBot.prototype, {
+      makeBooking: original.makeBooking,
+      submitBooking: original.submitBooking,
+      cleanup: original.cleanup,
+      cancelBooking: original.cancelBooking,
+      modifyBooking: original.modifyBooking
+    });
+  });
+
+  test('prepare stores the parameters, steps and ready_to_submit status', async () => {
+    const result = await bookingSessionManager.prepare(PARAMS);
+
+    const session = await bookingSessionManager.get(result.sessionId);
+    assert.equal(session.status, 'ready_to_submit');
+    assert.deepEqual(guestVault.reveal(session.params), PARAMS);
+    assert.equal(session.params.guestName, undefined);
+    assert.equal(session.params.email, undefined);
+    assert.equal(session.params.hutName, PARAMS.hutName);
+    assert.deepEqual(session.steps.map(step => step.action), ['initialized', 'captcha_solved']);
+    assert.equal(session.browser_open, true);
+  });
+
+  test('submit re-drives the form from the stored parameters when the browser is gone', async () => {
+    const { sessionId } = await bookingSessionManager.prepare(PARAMS);
+
+    // Simulate a restart: the row survives, the browser does not
+    await bookingSessionManager.stop();
+
+    const result = await bookingSessionManager.submit(sessionId);
+
+    assert.equal(result.submitted, true);
+    assert.equal(launches, 2);
+
+    const session = await bookingSessionManager.get(sessionId);
+    assert.equal(session.status, 'submitted');
+    assert.equal(session.browser_open, false);
+    assert.deepEqual(session.steps.map(step => step.action), [
+      'initialized', 'captcha_solved', 'initialized', 'captcha_solved', 'booking_submitted'
+    ]);
+
+    await assert.rejects(bookingSessionManager.submit(sessionId), bookingSessionManager.SessionStateError);
+  });
+
+  test('a failed session closes its browser and can be re-driven', async () => {
+    failNextBooking = true;
+    const error = await bookingSessionManager.prepare(PARAMS).catch(err => err);
+    assert.match(error.message, /Hut not found/);
+
+    let session = await bookingSessionManager.get(error.sessionId);
+    assert.equal(session.status, 'failed');
+    assert.equal(session.browser_open, false);
+    assert.equal(session.errors[0].action, 'hut_selection');
+
+    await bookingSessionManager.redrive(error.sessionId);
+
+    session = await bookingSessionManager.get(error.sessionId);
+    assert.equal(session.status, 'ready_to_submit');
+    assert.equal(session.attempts, 2);
+    assert.equal(session.errors.length, 1);
+  });
+
+  test('no more than maxBrowsers sessions hold a browser', async () => {
+    await bookingSessionManager.prepare(PARAMS);
+    await bookingSessionManager.prepare(PARAMS);
+
+    await assert.rejects(bookingSessionManager.prepare(PARAMS), bookingSessionManager.CapacityError);
+    assert.equal(store.rows.size, 2);
+  });
+
+  test('sweep expires sessions past their expiry and closes their browsers', async () => {
+    const { sessionId } = await bookingSessionManager.prepare(PARAMS);
+    store.rows.get(sessionId).expires_at = new Date(Date.now() - 1000);
+
+    await bookingSessionManager.sweep();
+
+    const session = await bookingSessionManager.get(sessionId);
+    assert.equal(session.status, 'expired');
+    assert.equal(session.browser_open, false);
+  });
+
+  test('cancel refuses sessions that were already submitted', async () => {
+    const { sessionId } = await bookingSessionManager.prepare(PARAMS);
+    await bookingSessionManager.submit(sessionId);
+
+    await assert.rejects(bookingSessionManager.cancel(sessionId), bookingSessionManager.SessionStateError);
+    assert.equal(await bookingSessionManager.cancel('booking_unknown'), null);
+  });
+
+  test('a submitted booking is recorded in the ledger and can be cancelled', async () => {
+    const { sessionId } = await bookingSessionManager.prepare(PARAMS);
+    const submitted = await bookingSessionManager.submit(sessionId);
+
+    assert.equal(submitted.bookingId, 1);
+    assert.equal(submitted.confirmationNumber, '2025-0412');
+
+    const result = await bookingSessionManager.cancelBooking(submitted.bookingId);
+
+    assert.equal(result.success, true);
+    assert.equal(result.booking.status, 'cancelled');
+    assert.deepEqual(result.booking.history.map(entry => [entry.action, entry.session_id === sessionId]), [
+      ['submitted', true], ['cancel', false]
+    ]);
+    assert.deepEqual(result.booking.history[1].steps.map(step => step.action), ['reservation_opened', 'booking_cancelled']);
+    assert.equal(bookingSessionManager.bots.size, 0);
+
+    await assert.rejects(bookingSessionManager.cancelBooking(submitted.bookingId), bookingSessionManager.BookingStateError);
+    assert.equal(await bookingSessionManager.cancelBooking(99), null);
+  });
+
+  test('modify validates the changes and stores them once the hut saved them', async () => {
+    const { sessionId } = await bookingSessionManager.prepare(PARAMS);
+    const { bookingId } = await bookingSessionManager.submit(sessionId);
+
+    await assert.rejects(bookingSessionManager.modifyBooking(bookingId, { arrivalDate: '2099-09-03' }), /changed together/);
+    await assert.rejects(bookingSessionManager.modifyBooking(bookingId, { hutName: 'Kredarica' }), bookingLedger.ValidationError);
+
+    let received;
+    MicrogrammBookingBot.prototype.modifyBooking = async function (booking, changes) {
+      received = changes;
+      this.changeSubmitted = true;
+      return { success: true, message: 'Shranjeno' };
+    };
+
+    const changes = { arrivalDate: '2099-09-03', departureDate: '2099-09-05', phone: '+386 41 555 000' };
+    const result = await bookingSessionManager.modifyBooking(bookingId, changes);
+
+    assert.deepEqual(received, changes);
+    assert.equal(result.booking.status, 'confirmed');
+    assert.equal(result.booking.params.phone, undefined);
+
+    const params = guestVault.reveal(result.booking.params);
+    assert.equal(params.arrivalDate, '2099-09-03');
+    assert.equal(params.phone, '+386 41 555 000');
+    assert.equal(params.guestName, PARAMS.guestName);
+    assert.deepEqual(guestVault.reveal(result.booking.history[1].changes), changes);
+  });
+
+  test('a change that fails after reaching the hut leaves the booking in change_unknown', async () => {
+    const { sessionId } = await bookingSessionManager.prepare(PARAMS);
+    const { bookingId } = await bookingSessionManager.submit(sessionId);
+
+    MicrogrammBookingBot.prototype.modifyBooking = async function () {
+      throw new Error('Edit button not found on the reservation');
+    };
+    await assert.rejects(bookingSessionManager.modifyBooking(bookingId, { guestName: 'Jane Smith' }), /Edit button/);
+    assert.equal(ledger.rows.get(bookingId).status, 'confirmed');
+    assert.equal(ledger.rows.get(bookingId).history[1].message, 'Edit button not found on the reservation');
+
+    MicrogrammBookingBot.prototype.cancelBooking = async function () {
+      this.changeSubmitted = true;
+      throw new Error('No answer from the hut office');
+    };
+    await assert.rejects(bookingSessionManager.cancelBooking(bookingId), /No answer/);
+    assert.equal(ledger.rows.get(bookingId).status, 'change_unknown');
+    assert.equal(bookingSessionManager.bots.size, 0);
+  });
+
+  test('hut-reservation.org bookings cannot be changed through the API', async () => {
+    ledger.rows.set(7, { id: 7, provider: 'hutreservation', status: 'confirmed', params: {}, history: [] });
+
+    await assert.rejects(bookingSessionManager.cancelBooking(7), bookingSessionManager.UnsupportedChangeError);
+    assert.equal(ledger.rows.get(7).status, 'confirmed');
+  });
+});
@@ -0,0 +1,222 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { BrowserPool, BrowserPoolError } = require('../src/services/browserPool');
+const MountainHutScraper = require('../src/MountainHutScraper');
+
+/**
+ * Launcher handing out fake browsers that record their contexts
+ */
+function createLauncher() {
+  const browsers = [];
+
+  return {
+    browsers,
+    launches: [],
+    async launch(options) {
+      this.launches.push(options);
+
+      const browser = new EventEmitter();
+      browser.id = browsers.length + 1;
+      browser.contexts = [];
+      browser.closed = false;
+      browser.failNewContext = false;
+      browser.newContext = async (contextOptions) => {
+        if (browser.failNewContext) throw new Error('Target page, context or browser has been closed');
+        const context = {
+          options: contextOptions,
+          closed: false,
+          close: async () => { context.closed = true; },
+          newPage: async () => ({ context })
+        };
+        browser.contexts.push(context);
+        return context;
+      };
+      browser.close = async () => {
+        browser.closed = true;
+        browser.emit('disconnected');
+      };
+
+      browsers.push(browser);
+      return browser;
+    }
+  };
+}
+
+function createPool(options = {}) {
+  const launcher = createLauncher();
+  const pool = new BrowserPool({
+    maxBrowsers: 2,
+    maxContextsPerBrowser: 2,
+    maxUsesPerBrowser: 10,
+    idleTimeout: 60000,
+    acquireTimeout: 1000,
+    launcher,
+    ...options
+  });
+  return { pool, launcher };
+}
+
+describe('browser pool', () => {
+  let pool;
+
+  afterEach(async () => {
+    if (pool) await pool.shutdown();
+    pool = null;
+  });
+
+  test('leases share one browser and each gets its own context', async () => {
+    const created = createPool();
+    pool = created.pool;
+
+    const first = await pool.acquire({ launch: { headless: true }, context: { userAgent: 'bot' } });
+    const second = await pool.acquire({ launch: { headless: true } });
+
+    assert.equal(created.launcher.browsers.length, 1);
+    assert.equal(first.browser, second.browser);
+    assert.notEqual(first.context, second.context);
+    assert.deepEqual(first.context.options, { userAgent: 'bot' });
+
+    await first.release();
+    await first.release();
+    assert.equal(first.context.closed, true);
+    assert.equal(pool.getMetrics().activeContexts, 1);
+
+    await second.release();
+    assert.equal(created.launcher.browsers[0].closed, false, 'an idle browser stays up for the next lease');
+  });
+
+  test('callers wait in line when every browser is busy', async () => {
+    const created = createPool({ maxBrowsers: 1, maxContextsPerBrowser: 2 });
+    pool = created.pool;
+
+    const leases = [await pool.acquire(), await pool.acquire()];
+    let third = null;
+    const waiting = pool.acquire().then(lease => { third = lease; });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(third, null);
+    assert.equal(pool.getMetrics().waiting, 1);
+
+    await leases[0].release();
+    await waiting;
+    assert.equal(third.browser, leases[1].browser);
+    assert.equal(created.launcher.browsers.length, 1);
+
+    await Promise.all([leases[1].release(), third.release()]);
+  });
+
+  test('a caller that waits too long gets a BrowserPoolError', async () => {
+    const created = createPool({ maxBrowsers: 1, maxContextsPerBrowser: 1, acquireTimeout: 20 });
+    pool = created.pool;
+
+    const lease = await pool.acquire();
+    await assert.rejects(pool.acquire(), error => {
+      assert.ok(error instanceof BrowserPoolError);
+      assert.match(error.message, /No browser free after 20ms \(1 browsers, 1 contexts in use\)/);
+      return true;
+    });
+    assert.equal(pool.getMetrics().timeouts, 1);
+    await lease.release();
+  });
+
+  test('a browser is recycled after maxUsesPerBrowser leases', async () => {
+    const created = createPool({ maxUsesPerBrowser: 2 });
+    pool = created.pool;
+
+    for (let i = 0; i < 3; i++) {
+      const lease = await pool.acquire();
+      await lease.release();
+    }
+
+    const [first, second] = created.launcher.browsers;
+    assert.equal(first.closed, true);
+    assert.equal(first.contexts.length, 2);
+    assert.equal(second.closed, false);
+    assert.equal(pool.getMetrics().recycled, 1);
+  });
+
+  test('a crashed browser is replaced for the next lease', async () => {
+    const created = createPool();
+    pool = created.pool;
+
+    const lease = await pool.acquire();
+    lease.browser.emit('disconnected');
+    await lease.release();
+
+    const next = await pool.acquire();
+    assert.equal(created.launcher.browsers.length, 2);
+    assert.notEqual(next.browser, lease.browser);
+
+    // Still connected, but it can no longer open contexts
+    next.browser.failNewContext = true;
+    const retried = await pool.acquire();
+    assert.equal(created.launcher.browsers.length, 3);
+    assert.equal(retried.browser, created.launcher.browsers[2]);
+
+    const metrics = pool.getMetrics();
+    assert.equal(metrics.crashed, 2);
+    assert.equal(metrics.browsers, 1);
+    await Promise.all([next.release(), retried.release()]);
+  });
+
+  test('browsers are shared per launch options; an idle one makes room for other options', async () => {
+    const created = createPool({ maxBrowsers: 2 });
+    pool = created.pool;
+
+    const headless = await pool.acquire({ launch: { headless: true, slowMo: 0 } });
+    const headful = await pool.acquire({ launch: { slowMo: 100, headless: false } });
+    assert.notEqual(headless.browser, headful.browser);
+    await headful.release();
+
+    const other = await pool.acquire({ launch: { headless: true, slowMo: 500 } });
+    assert.equal(headful.browser.closed, true);
+    assert.deepEqual(created.launcher.launches.map(options => options.slowMo), [0, 100, 500]);
+    assert.equal(pool.getMetrics().idleClosed, 1);
+
+    await Promise.all([headless.release(), other.release()]);
+  });
+
+  test('metrics and shutdown', async () => {
+    const created = createPool({ maxBrowsers: 1, maxContextsPerBrowser: 1 });
+    pool = created.pool;
+
+    const result = await pool.withContext({}, async (context) => {
+      assert.equal(pool.getMetrics().activeContexts, 1);
+      return context.newPage();
+    });
+    assert.equal(result.context.closed, true);
+
+    const lease = await pool.acquire();
+    const waiting = pool.acquire();
+
+    const metrics = pool.getMetrics();
+    assert.equal(metrics.browsers, 1);
+    assert.equal(metrics.leases, 2);
+    assert.equal(metrics.released, 1);
+    assert.equal(metrics.waiting, 1);
+    assert.deepEqual(metrics.limits, { maxBrowsers: 1, maxContextsPerBrowser: 1, maxUsesPerBrowser: 10 });
+    assert.equal(metrics.pool[0].activeContexts, 1);
+
+    await pool.shutdown();
+    await assert.rejects(waiting, /Browser pool is shutting down/);
+    assert.equal(lease.browser.closed, true);
+    assert.equal(pool.getMetrics().browsers, 0);
+  });
+});
+
+describe('scrapers lease from the pool', () => {
+  test('MountainHutScraper releases its context instead of closing a browser', async () => {
+    const released = [];
+    const scraper = new MountainHutScraper({ saveToDatabase: false, saveToFile: false });
+    scraper.lease = { release: async () => released.push('scraper') };
+    scraper.page = {};
+
+    await scraper.cleanup();
+    await scraper.cleanup();
+
+    assert.deepEqual(released, ['scraper']);
+    assert.equal(scraper.lease, null);
+  });
+});
@@ -0,0 +1,151 @@
+const { describe, test, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const CaptchaSolver = require('../src/services/captchaSolver');
+const captchaOcr = require('../src/services/captchaOcr');
+const config = require('../config/booking.config');
+
+const CORPUS_DIR = path.join(__dirname, 'fixtures', 'captcha');
+const corpus = JSON.parse(fs.readFileSync(path.join(CORPUS_DIR, 'corpus.json'), 'utf8'));
+
+// Renders of the Microgramm stand-in; everything else was recorded with CAPTCHA_CORPUS_DIR
+const STAND_IN = 'microgramm-stand-in';
+const recorded = corpus.samples.filter(sample => sample.source !== STAND_IN);
+
+/**
+ * Solver on a fake page: the captcha accepts only `correct`
+ */
+function createSolver({ correct, expression = null, ocrText = null, strategies = ['dom_text', 'ocr', 'brute_force'] }) {
+  const solver = new CaptchaSolver({ waitForTimeout: async () => {} }, {
+    ...config,
+    booking: { ...config.booking, captcha: { ...config.booking.captcha, strategies, delayBetweenAttempts: 0 } }
+  });
+
+  solver.tried = [];
+  solver.extractExpression = async () => expression;
+  solver.captureImage = async () => (ocrText === null ? null : Buffer.from('png'));
+  solver.isResponsive = async () => true;
+  solver.tryAnswer = async (answer) => {
+    solver.tried.push(answer);
+    return answer === correct;
+  };
+  return solver;
+}
+
+describe('CaptchaSolver strategy chain', () => {
+  let ocrText;
+  const recognize = captchaOcr.recognize;
+
+  beforeEach(() => {
+    ocrText = null;
+    CaptchaSolver.resetMetrics();
+    captchaOcr.recognize = async () => ({ text: ocrText, expression: ocrText, confidence: 90 });
+  });
+
+  afterEach(() => {
+    captchaOcr.recognize = recognize;
+  });
+
+  test('an expression in the DOM is solved without OCR or brute force', async () => {
+    const solver = createSolver({ correct: 6, expression: '2 + 1 + 3', ocrText: '9+9' });
+
+    assert.equal(await solver.solve(), 6);
+    assert.deepEqual(solver.tried, [6]);
+    assert.deepEqual(solver.lastResult, { answer: 6, strategy: 'dom_text', attempts: 1 });
+    assert.deepEqual(Object.keys(CaptchaSolver.getMetrics()), ['dom_text']);
+  });
+
+  test('OCR reads the image when the expression is only in img.secure-img', async () => {
+    ocrText = '7+5';
+    const solver = createSolver({ correct: 12, ocrText });
+
+    assert.equal(await solver.solve(), 12);
+    assert.equal(solver.lastResult.strategy, 'ocr');
+
+    const metrics = CaptchaSolver.getMetrics();
+    assert.equal(metrics.dom_text.no_proposal, 1);
+    assert.equal(metrics.ocr.solved, 1);
+    assert.equal(metrics.ocr.success_rate, 1);
+  });
+
+  test('brute force skips answers already rejected and stays within maxCaptchaAttempts', async () => {
+    ocrText = '1+3';
+    const solver = createSolver({ correct: 14, expression: '2+0', ocrText });
+    solver.config.booking.retries = { ...config.booking.retries, maxCaptchaAttempts: 5 };
+
+    assert.equal(await solver.solve(), null);
+    assert.deepEqual(solver.tried, [2, 4, 0, 1, 3, 5, 6]);
+
+    const metrics = CaptchaSolver.getMetrics();
+    assert.equal(metrics.dom_text.rejected, 1);
+    assert.equal(metrics.ocr.rejected, 1);
+    assert.equal(metrics.brute_force.rejected, 1);
+    assert.equal(metrics.brute_force.answers_tried, 5);
+  });
+
+  test('a failing strategy is counted and the chain moves on', async () => {
+    captchaOcr.recognize = async () => {
+      throw new Error('OCR worker crashed');
+    };
+    const solver = createSolver({ correct: 3, ocrText: '' });
+
+    assert.equal(await solver.solve(), 3);
+    assert.equal(solver.lastResult.strategy, 'brute_force');
+    assert.equal(CaptchaSolver.getMetrics().ocr.errors, 1);
+  });
+
+  test('strategies can be registered and chained by name', async () => {
+    CaptchaSolver.registerStrategy('known_answer', { propose: async () => [17] });
+    const solver = createSolver({ correct: 17, strategies: ['known_answer', 'brute_force'] });
+
+    assert.equal(await solver.solve(), 17);
+    assert.deepEqual(solver.tried, [17]);
+  });
+});
+
+describe('captchaOcr corpus', () => {
+  test('recognize keeps only the expression', async () => {
+    const getWorker = captchaOcr.getWorker;
+    captchaOcr.getWorker = async () => ({ recognize: async () => ({ data: { text: ' 7 + 5+3 \n', confidence: 71 } }) });
+
+    try {
+      assert.deepEqual(await captchaOcr.recognize(Buffer.from('png')), { text: '7+5+3', expression: '7+5+3', confidence: 71 });
+    } finally {
+      captchaOcr.getWorker = getWorker;
+    }
+  });
+
+  // Expression read and evaluated per sample, or why it was missed
+  async function readSamples(samples) {
+    const solver = new CaptchaSolver(null, config);
+    const misses = [];
+
+    for (const sample of samples) {
+      const { text, expression } = await captchaOcr.recognize(path.join(CORPUS_DIR, sample.file));
+      if (!expression || solver.evaluateExpression(expression) !== sample.answer) {
+        misses.push(`${sample.file}: read "${text}"`);
+      }
+    }
+    return misses;
+  }
+
+  // Smoke test only: the stand-in draws clean monospace text, nothing like a live captcha.
+  // Even so tesseract reads a "+" after a narrow digit as "4" now and then (1+3 -> 143).
+  test('OCR smoke test: most stand-in captchas are read', async () => {
+    const samples = corpus.samples.filter(sample => sample.source === STAND_IN);
+    assert.ok(samples.length > 0, 'no stand-in captchas - render them with node test/helpers/renderStandInCaptchas.js');
+
+    const misses = await readSamples(samples);
+    assert.ok(misses.length < samples.length / 2, `OCR missed most stand-in captchas:\n${misses.join('\n')}`);
+  });
+
+  test('OCR accuracy on captchas recorded from real bookings', { skip: recorded.length === 0 && 'no recorded captchas yet - record some with CAPTCHA_CORPUS_DIR=test/fixtures/captcha' }, async () => {
+    const misses = await readSamples(recorded);
+    const accuracy = 1 - misses.length / recorded.length;
+    assert.ok(accuracy >= corpus.min_accuracy, `OCR accuracy ${accuracy.toFixed(2)} below ${corpus.min_accuracy}:\n${misses.join('\n')}`);
+  });
+
+  after(() => captchaOcr.terminate());
+});
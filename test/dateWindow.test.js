@@ -0,0 +1,88 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DateWindow = require('../src/services/dateWindow');
+
+// Mid-November: month windows roll over into the next year
+const NOW = new Date(2026, 10, 20, 15, 30);
+
+describe('DateWindow', () => {
+  test('a month horizon runs from today to the end of the last month, across the new year', () => {
+    const window = new DateWindow({ months: 4, now: NOW });
+
+    assert.deepEqual(window.getDateRange(), { minDate: '2026-11-20', maxDate: '2027-02-28' });
+    assert.deepEqual(window.getMonths(), [
+      { year: 2026, month: 11 }, { year: 2026, month: 12 }, { year: 2027, month: 1 }, { year: 2027, month: 2 }
+    ]);
+    assert.deepEqual(window.getMonthLabels(), ['November 2026', 'December 2026', 'Januar 2027', 'Februar 2027']);
+    assert.deepEqual(window.getMonthLabels('en'), ['November 2026', 'December 2026', 'January 2027', 'February 2027']);
+  });
+
+  test('the default horizon is twelve months', () => {
+    assert.deepEqual(new DateWindow({ now: NOW }).getDateRange(), { minDate: '2026-11-20', maxDate: '2027-10-31' });
+  });
+
+  test('a day horizon counts the start day and rolls over month ends and leap days', () => {
+    assert.deepEqual(new DateWindow({ days: 12, now: NOW }).getDateRange(), { minDate: '2026-11-20', maxDate: '2026-12-01' });
+    assert.deepEqual(new DateWindow({ from: '2028-02-27', days: 4 }).getDateRange(), { minDate: '2028-02-27', maxDate: '2028-03-01' });
+    assert.deepEqual(new DateWindow({ from: '2026-12-31', days: 1 }).getMonthLabels('de'), ['Dezember 2026']);
+  });
+
+  test('the start can be absolute, a month or an offset from today', () => {
+    const start = from => new DateWindow({ from, days: 1, now: NOW }).getDateRange().minDate;
+
+    assert.equal(start('2027-03-05'), '2027-03-05');
+    assert.equal(start('2027-3'), '2027-03-01');
+    assert.equal(start('+15d'), '2026-12-05');
+    assert.equal(start('+2m'), '2027-01-01');
+    assert.equal(start('today'), '2026-11-20');
+    assert.equal(start(new Date(2027, 0, 31)), '2027-01-31');
+  });
+
+  test('invalid starts, horizons and locales are refused', () => {
+    assert.throws(() => new DateWindow({ from: '2027-02-29', now: NOW }), /Invalid date window start: 2027-02-29/);
+    assert.throws(() => new DateWindow({ from: '2027-13', now: NOW }), /Invalid date window start/);
+    assert.throws(() => new DateWindow({ from: '05.03.2027', now: NOW }), /expected YYYY-MM-DD, YYYY-MM, \+Nd or \+Nm/);
+    assert.throws(() => new DateWindow({ months: 2, days: 10 }), /either months or days/);
+    assert.throws(() => new DateWindow({ months: 0 }), /Invalid date window horizon: 0 months/);
+    assert.throws(() => new DateWindow({ days: 'soon' }), /Invalid date window horizon: soon days/);
+    assert.throws(() => new DateWindow({ locale: 'fr' }), /Unsupported date window locale: fr/);
+  });
+
+  test('fromDateRange covers exactly the given range', () => {
+    const window = DateWindow.fromDateRange({ minDate: '2026-12-30', maxDate: '2027-01-02' }, 'en');
+
+    assert.deepEqual(window.toJSON(), {
+      locale: 'en',
+      minDate: '2026-12-30',
+      maxDate: '2027-01-02',
+      months: ['December 2026', 'January 2027']
+    });
+    assert.throws(() => DateWindow.fromDateRange({ minDate: '2027-01-02', maxDate: '2026-12-30' }), /Invalid date range/);
+  });
+
+  test('month labels of every locale are parsed back', () => {
+    assert.deepEqual(DateWindow.parseMonthLabel('Avgust 2026'), { year: 2026, month: 8 });
+    assert.deepEqual(DateWindow.parseMonthLabel(' märz 2027 '), { year: 2027, month: 3 });
+    assert.deepEqual(DateWindow.parseMonthLabel('December 2026'), { year: 2026, month: 12 });
+    assert.equal(DateWindow.parseMonthLabel('Brumaire 2026'), null);
+    assert.equal(DateWindow.parseMonthLabel('Avgust'), null);
+    assert.equal(DateWindow.parseMonthLabel(''), null);
+  });
+
+  test('booking form dates are read as YYYY-MM-DD or DD.MM.YYYY', () => {
+    assert.deepEqual(DateWindow.parseDate('2026-07-05'), { year: 2026, month: 7, day: 5 });
+    assert.deepEqual(DateWindow.parseDate('05.07.2026'), { year: 2026, month: 7, day: 5 });
+    assert.deepEqual(DateWindow.parseDate(' 5.7.2026 '), { year: 2026, month: 7, day: 5 });
+    assert.deepEqual(DateWindow.parseDate('29.02.2028'), { year: 2028, month: 2, day: 29 });
+
+    for (const value of ['29.02.2027', '31.04.2026', '2026-13-01', '07/05/2026', '2026-07-05T10:00', '', null, undefined]) {
+      assert.equal(DateWindow.parseDate(value), null, `${value}`);
+    }
+  });
+
+  test('nightsBetween lists the nights of a stay across a month end', () => {
+    assert.deepEqual(DateWindow.nightsBetween('2026-08-30', '2026-09-02'), ['2026-08-30', '2026-08-31', '2026-09-01']);
+    assert.deepEqual(DateWindow.nightsBetween('2026-08-30', '2026-08-30'), []);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const GroupAllocation = require('../src/services/groupAllocation');
+
+const room = (roomTypeId, beds) => ({ roomTypeId, name: `Room ${roomTypeId}`, kind: 'room', beds });
+const pool = (roomTypeId, beds) => ({ roomTypeId, name: `Dormitory ${roomTypeId}`, kind: 'beds', beds });
+
+const summarize = result => result.allocation.map(entry => [entry.roomTypeId, entry.kind, entry.guests, entry.beds]);
+
+describe('GroupAllocation.allocate', () => {
+  test('one bed pool beats a mix of rooms that fits just as well', () => {
+    const result = GroupAllocation.allocate([room(1, 4), room(2, 2), pool(3, 10)], 6);
+
+    assert.deepEqual(summarize(result), [[3, 'beds', 6, 6]]);
+    assert.equal(result.unusedBeds, 0);
+  });
+
+  test('whole rooms are filled largest first and the spare beds are reported', () => {
+    const result = GroupAllocation.allocate([room(1, 3), room(2, 4)], 5);
+
+    assert.deepEqual(summarize(result), [[2, 'room', 4, 4], [1, 'room', 1, 3]]);
+    assert.equal(result.unusedBeds, 2);
+  });
+
+  test('rooms and bed pools are combined to waste no beds', () => {
+    const result = GroupAllocation.allocate([room(1, 6), pool(2, 3), pool(3, 1)], 8);
+
+    assert.deepEqual(summarize(result), [[1, 'room', 6, 6], [2, 'beds', 2, 2]]);
+    assert.equal(result.unusedBeds, 0);
+  });
+
+  test('offers without free beds are ignored and too few beds give null', () => {
+    assert.equal(GroupAllocation.allocate([room(1, 0), pool(2, 3), pool(3, 0)], 4), null);
+    assert.equal(GroupAllocation.allocate([], 1), null);
+  });
+
+  test('group sizes outside 1..MAX_GROUP_SIZE are rejected', () => {
+    const offers = [pool(1, 500)];
+
+    assert.equal(GroupAllocation.MAX_GROUP_SIZE, 100);
+    assert.equal(GroupAllocation.allocate(offers, GroupAllocation.MAX_GROUP_SIZE).unusedBeds, 0);
+    for (const groupSize of [0, -3, 2.5, '4', GroupAllocation.MAX_GROUP_SIZE + 1]) {
+      assert.throws(() => GroupAllocation.allocate(offers, groupSize), RangeError, `group size ${groupSize}`);
+    }
+  });
+});
+
+describe('GroupAllocation.buildOffers', () => {
+  const nights = ['2026-07-10', '2026-07-11'];
+  const row = (room_type_id, date, overrides = {}) => ({
+    room_type_id, room_type_name: `Room type ${room_type_id}`, capacity: 4, date, can_checkin: true, free_beds: null, ...overrides
+  });
+
+  test('bed counts give a pool of the scarcest night, otherwise the room is offered whole', () => {
+    const offers = GroupAllocation.buildOffers([
+      row(1, '2026-07-10', { free_beds: 7 }),
+      row(1, '2026-07-11', { free_beds: 3 }),
+      row(2, '2026-07-10'),
+      row(2, '2026-07-11')
+    ], nights);
+
+    assert.deepEqual(offers, [
+      { roomTypeId: 1, name: 'Room type 1', kind: 'beds', beds: 3 },
+      { roomTypeId: 2, name: 'Room type 2', kind: 'room', beds: 4 }
+    ]);
+  });
+
+  test('room types missing a night or closed for check-in on the first night are left out', () => {
+    const offers = GroupAllocation.buildOffers([
+      row(1, '2026-07-10'),
+      row(2, '2026-07-10', { can_checkin: false }),
+      row(2, '2026-07-11'),
+      row(3, '2026-07-10'),
+      row(3, '2026-07-11', { can_checkin: false })
+    ], nights);
+
+    assert.deepEqual(offers.map(offer => offer.roomTypeId), [3]);
+  });
+
+  test('toResponse uses the snake_case names of the routes', () => {
+    const { allocation } = GroupAllocation.allocate([room(5, 2)], 2);
+
+    assert.deepEqual(GroupAllocation.toResponse(allocation), [
+      { room_type_id: 5, room_type_name: 'Room 5', booking_unit: 'room', guests: 2, beds: 2 }
+    ]);
+  });
+});
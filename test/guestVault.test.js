@@ -0,0 +1,79 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const guestVault = require('../src/services/guestVault');
+const logger = require('../src/services/logger');
+
+const { GuestVault, GuestDataError } = guestVault;
+
+const PARAMS = {
+  hutName: 'Triglavski Dom',
+  roomType: 'Skupna ležišča',
+  arrivalDate: '01.09.2025',
+  departureDate: '02.09.2025',
+  guestName: 'Mojca Kovač',
+  country: 'Slovenia',
+  email: 'mojca@example.com',
+  phone: '+386 40 123 456'
+};
+
+describe('guestVault', () => {
+  test('protect seals the guest fields into a reference that reveal opens again', () => {
+    const stored = guestVault.protect(PARAMS);
+
+    assert.deepEqual(Object.keys(stored).sort(), ['arrivalDate', 'country', 'departureDate', 'guestRef', 'hutName', 'roomType']);
+    assert.ok(GuestVault.isReference(stored.guestRef));
+    assert.doesNotMatch(JSON.stringify(stored), /Mojca|mojca@|123 456/);
+    assert.deepEqual(guestVault.reveal(stored), PARAMS);
+
+    // Already protected parameters and parameters without guest fields pass through
+    assert.equal(guestVault.protect(stored), stored);
+    assert.deepEqual(guestVault.reveal({ hutName: 'Kredarica' }), { hutName: 'Kredarica' });
+  });
+
+  test('fields next to a reference replace the sealed ones', () => {
+    const stored = guestVault.protect(PARAMS);
+    const changed = guestVault.protect({ ...stored, phone: '+386 41 555 000' });
+
+    assert.equal(changed.phone, undefined);
+    assert.deepEqual(guestVault.reveal(changed), { ...PARAMS, phone: '+386 41 555 000' });
+  });
+
+  test('a reference sealed under another key cannot be opened', () => {
+    const other = new GuestVault();
+    other.key = GuestVault.deriveKey('another secret');
+
+    const reference = other.seal({ guestName: 'Mojca Kovač' });
+
+    assert.throws(() => guestVault.open(reference), GuestDataError);
+    assert.throws(() => guestVault.open(reference.slice(0, -4)), GuestDataError);
+    assert.deepEqual(GuestVault.deriveKey('ab'.repeat(32)), Buffer.from('ab'.repeat(32), 'hex'));
+  });
+
+  test('the logger redacts guest fields, emails, phones and names the vault has seen', () => {
+    guestVault.reveal(guestVault.protect({ guestName: 'Tine Zupan' }));
+
+    const redacted = logger.redact({
+      message: 'Booking for tine zupan (tine@example.com, 040 123 456) on 2025-09-01',
+      bookingParams: { guestName: 'T. Zupan', email: 'x', hutName: 'Triglavski Dom', guestRef: 'guest:v1:abc' },
+      steps: [{ action: 'booking_submitted', details: 'Hvala, Tine Zupan' }]
+    });
+
+    assert.deepEqual(redacted, {
+      message: 'Booking for [redacted] ([email], [phone]) on 2025-09-01',
+      bookingParams: { guestName: '[redacted]', email: '[redacted]', hutName: 'Triglavski Dom', guestRef: 'guest:v1:abc' },
+      steps: [{ action: 'booking_submitted', details: 'Hvala, [redacted]' }]
+    });
+  });
+
+  test('registered values are redacted as whole words only, short names not at all', () => {
+    guestVault.reveal(guestVault.protect({ guestName: 'Ana' }));
+    guestVault.reveal(guestVault.protect({ guestName: 'Marko' }));
+    guestVault.reveal(guestVault.protect({ guestName: 'Žiga Novak' }));
+
+    assert.equal(
+      logger.redact('Ana and Marko from Ljubljana met Markovič; booked by žiga novak.'),
+      'Ana and [redacted] from Ljubljana met Markovič; booked by [redacted].'
+    );
+  });
+});
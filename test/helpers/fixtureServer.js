@@ -0,0 +1,93 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local HTTP stub that serves recorded booking system responses
+ *
+ * Routes: { method?, path, status?, contentType?, headers?, fixture?, body? }
+ *   path    - exact pathname or RegExp
+ *   status  - number or function (req, url) returning one
+ *   headers - extra response headers (e.g. Set-Cookie), object or function (req, url)
+ *   fixture - file under test/fixtures
+ *   body    - string, object (sent as JSON) or function (req, url) returning either
+ *
+ * Every request is recorded in server.requests so tests can check what the scrapers sent.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function loadFixture(relativePath) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, relativePath), 'utf8');
+}
+
+function loadJsonFixture(relativePath) {
+  return JSON.parse(loadFixture(relativePath));
+}
+
+function contentTypeFor(fixture) {
+  if (fixture.endsWith('.html')) return 'text/html; charset=utf-8';
+  if (fixture.endsWith('.json')) return 'application/json';
+  return 'text/plain; charset=utf-8';
+}
+
+/**
+ * Start a stub server on a random local port
+ * @param {Array<Object>} routes - Route definitions
+ * @returns {Promise<Object>} { url, requests, close() }
+ */
+function startFixtureServer(routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers });
+
+    const route = routes.find(candidate =>
+      (candidate.method || 'GET') === req.method &&
+      (candidate.path instanceof RegExp ? candidate.path.test(url.pathname) : candidate.path === url.pathname)
+    );
+
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end(`No fixture for ${req.method} ${url.pathname}`);
+      return;
+    }
+
+    let body = typeof route.body === 'function' ? route.body(req, url) : route.body;
+    let contentType = route.contentType;
+
+    if (body === undefined && route.fixture) {
+      body = loadFixture(route.fixture);
+      contentType = contentType || contentTypeFor(route.fixture);
+    }
+    if (body !== null && typeof body === 'object') {
+      body = JSON.stringify(body);
+      contentType = contentType || 'application/json';
+    }
+
+    const status = typeof route.status === 'function' ? route.status(req, url) : route.status;
+    const headers = typeof route.headers === 'function' ? route.headers(req, url) : route.headers;
+
+    res.writeHead(status || 200, { ...headers, 'Content-Type': contentType || 'text/plain; charset=utf-8' });
+    res.end(body || '');
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  loadFixture,
+  loadJsonFixture,
+  startFixtureServer
+};
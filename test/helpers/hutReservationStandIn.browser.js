@@ -0,0 +1,239 @@
+/**
+ * Browser side of the hut-reservation.org stand-in (see hutReservationStandIn.js)
+ *
+ * Plays the Angular wizard: moves between the stepper's steps, checks each of them
+ * before it moves on and sends the reservation to the stand-in's API.
+ */
+(function () {
+  'use strict';
+
+  var wizard = document.querySelector('app-reservation-wizard');
+  var hutId = wizard.getAttribute('data-hut-id');
+  var maxNights = parseInt(wizard.getAttribute('data-max-nights'), 10) || null;
+  var availability = [];
+
+  function xsrfToken() {
+    var match = document.cookie.match(/(?:^|;\s*)XSRF-TOKEN=([^;]+)/);
+    return match ? decodeURIComponent(match[1]) : '';
+  }
+
+  function pad(number) {
+    return (number < 10 ? '0' : '') + number;
+  }
+
+  // "15.06.2025" -> "2025-06-15", null for anything that is not a date
+  function parseDate(value) {
+    var match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec((value || '').trim());
+    if (!match) return null;
+    var date = new Date(Date.UTC(+match[3], +match[2] - 1, +match[1]));
+    if (date.getUTCDate() !== +match[1] || date.getUTCMonth() !== +match[2] - 1) return null;
+    return date.getUTCFullYear() + '-' + pad(date.getUTCMonth() + 1) + '-' + pad(date.getUTCDate());
+  }
+
+  function nightsBetween(arrival, departure) {
+    var nights = [];
+    var date = new Date(arrival + 'T00:00:00Z');
+    while (date.toISOString().slice(0, 10) < departure) {
+      nights.push(date.toISOString().slice(0, 10));
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return nights;
+  }
+
+  function step(name) {
+    return document.querySelector('.mat-horizontal-stepper-content[data-step="' + name + '"]');
+  }
+
+  function field(name) {
+    return document.querySelector('[formcontrolname="' + name + '"]');
+  }
+
+  function showStep(name) {
+    var steps = document.querySelectorAll('.mat-horizontal-stepper-content');
+    for (var i = 0; i < steps.length; i++) {
+      steps[i].setAttribute('aria-expanded', steps[i].getAttribute('data-step') === name ? 'true' : 'false');
+      var errors = steps[i].querySelector('.step-errors');
+      if (errors) errors.innerHTML = '';
+    }
+  }
+
+  // Angular renders a mat-error only while the form is invalid
+  function showErrors(name, messages) {
+    var container = step(name).querySelector('.step-errors');
+    container.innerHTML = '';
+    messages.forEach(function (message) {
+      var error = document.createElement('mat-error');
+      error.textContent = message;
+      container.appendChild(error);
+    });
+    return messages.length === 0;
+  }
+
+  function chosenBeds() {
+    var beds = {};
+    var rows = document.querySelectorAll('app-bed-category');
+    for (var i = 0; i < rows.length; i++) {
+      var count = parseInt(rows[i].querySelector('input').value, 10) || 0;
+      if (count > 0) beds[rows[i].getAttribute('data-category-id')] = count;
+    }
+    return beds;
+  }
+
+  function stay() {
+    return { arrival: parseDate(field('arrivalDate').value), departure: parseDate(field('departureDate').value) };
+  }
+
+  function checkDates() {
+    var dates = stay();
+    var beds = chosenBeds();
+    var errors = [];
+
+    if (!dates.arrival || !dates.departure || dates.departure <= dates.arrival) {
+      errors.push('Please choose an arrival and a departure date');
+    } else if (maxNights && nightsBetween(dates.arrival, dates.departure).length > maxNights) {
+      errors.push('At most ' + maxNights + ' nights can be booked');
+    }
+    if (Object.keys(beds).length === 0) errors.push('Please choose at least one bed');
+
+    if (errors.length === 0) {
+      var byDate = {};
+      availability.forEach(function (entry) { byDate[entry.date.slice(0, 10)] = entry; });
+      nightsBetween(dates.arrival, dates.departure).forEach(function (night) {
+        Object.keys(beds).forEach(function (categoryId) {
+          var entry = byDate[night];
+          var free = entry && entry.hutStatus !== 'CLOSED' ? entry.freeBedsPerCategory[categoryId] || 0 : 0;
+          if (free < beds[categoryId] && errors.length === 0) {
+            errors.push('Only ' + free + ' beds free on ' + night.split('-').reverse().join('.'));
+          }
+        });
+      });
+    }
+
+    return showErrors('dates', errors);
+  }
+
+  function checkContact() {
+    var errors = [];
+    if (!field('firstName').value.trim()) errors.push('Please enter your first name');
+    if (!field('lastName').value.trim()) errors.push('Please enter your last name');
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(field('email').value.trim())) errors.push('Please enter a valid e-mail address');
+    if (!field('phone').value.trim()) errors.push('Please enter your phone number');
+    if (!field('country').getAttribute('data-value')) errors.push('Please choose your country');
+    return showErrors('contact', errors);
+  }
+
+  function fillSummary() {
+    var beds = chosenBeds();
+    var dates = stay();
+    var rows = ['<tr><td>Stay</td><td>' + field('arrivalDate').value + ' - ' + field('departureDate').value + '</td></tr>'];
+    var categories = document.querySelectorAll('app-bed-category');
+    for (var i = 0; i < categories.length; i++) {
+      var count = beds[categories[i].getAttribute('data-category-id')];
+      if (count) {
+        rows.push('<tr><td>' + categories[i].querySelector('.bed-category-label').textContent + '</td><td>' + count + ' beds</td></tr>');
+      }
+    }
+    rows.push('<tr><td>Nights</td><td>' + nightsBetween(dates.arrival, dates.departure).length + '</td></tr>');
+    document.querySelector('table.summary tbody').innerHTML = rows.join('');
+  }
+
+  function api(method, url, body) {
+    return fetch(url, {
+      method: method,
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json', 'x-xsrf-token': xsrfToken() },
+      body: body ? JSON.stringify(body) : undefined
+    }).then(function (response) {
+      return response.json().then(function (data) {
+        return { ok: response.ok, data: data };
+      });
+    });
+  }
+
+  api('GET', '/api/v1/reservation/getHutAvailability?hutId=' + hutId + '&step=WIZARD').then(function (response) {
+    availability = response.ok ? response.data : [];
+  });
+
+  step('dates').querySelector('[matsteppernext]').addEventListener('click', function () {
+    if (checkDates()) showStep('contact');
+  });
+  step('contact').querySelector('[matsteppernext]').addEventListener('click', function () {
+    if (checkContact()) {
+      fillSummary();
+      showStep('summary');
+    }
+  });
+  step('contact').querySelector('[matstepperprevious]').addEventListener('click', function () {
+    showStep('dates');
+  });
+  step('summary').querySelector('[matstepperprevious]').addEventListener('click', function () {
+    showStep('contact');
+  });
+
+  // Country mat-select: the options open in an overlay at the end of the page
+  var select = field('country');
+  var overlay = document.querySelector('.cdk-overlay-pane');
+  select.addEventListener('click', function () {
+    overlay.hidden = false;
+  });
+  var options = overlay.querySelectorAll('mat-option');
+  for (var i = 0; i < options.length; i++) {
+    options[i].addEventListener('click', function (event) {
+      select.setAttribute('data-value', event.currentTarget.getAttribute('data-value'));
+      select.innerHTML = '<span class="mat-mdc-select-value-text">' + event.currentTarget.textContent + '</span>';
+      overlay.hidden = true;
+    });
+  }
+
+  // "Book now" is enabled once every terms checkbox is ticked
+  var submit = document.querySelector('app-reservation-summary button[type="submit"]');
+  var checkboxes = document.querySelectorAll('app-reservation-summary mat-checkbox');
+  function updateTerms() {
+    var accepted = true;
+    for (var j = 0; j < checkboxes.length; j++) {
+      var checked = checkboxes[j].querySelector('input').checked;
+      checkboxes[j].classList.toggle('mat-mdc-checkbox-checked', checked);
+      accepted = accepted && checked;
+    }
+    submit.disabled = !accepted;
+    return accepted;
+  }
+  for (var k = 0; k < checkboxes.length; k++) {
+    checkboxes[k].querySelector('input').addEventListener('change', updateTerms);
+  }
+
+  submit.addEventListener('click', function () {
+    var dates = stay();
+    submit.disabled = true;
+
+    api('POST', '/api/v1/reservation/book', {
+      hutId: +hutId,
+      arrival: dates.arrival,
+      departure: dates.departure,
+      beds: chosenBeds(),
+      guest: {
+        firstName: field('firstName').value.trim(),
+        lastName: field('lastName').value.trim(),
+        email: field('email').value.trim(),
+        phone: field('phone').value.trim(),
+        country: select.getAttribute('data-value')
+      },
+      termsAccepted: updateTerms()
+    }).then(function (response) {
+      if (!response.ok) {
+        var snackBar = document.createElement('div');
+        snackBar.className = 'mat-mdc-snack-bar-container';
+        snackBar.textContent = response.data.message || 'The reservation could not be sent';
+        document.body.appendChild(snackBar);
+        submit.disabled = false;
+        return;
+      }
+
+      wizard.innerHTML = '<app-reservation-confirmation class="reservation-confirmation">' +
+        '<h1>Thank you for your reservation</h1>' +
+        '<p>Your reservation number is <span class="reservation-number"></span></p>' +
+        '</app-reservation-confirmation>';
+      wizard.querySelector('.reservation-number').textContent = response.data.reservationNumber;
+    });
+  });
+})();
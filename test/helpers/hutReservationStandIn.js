@@ -0,0 +1,317 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadJsonFixture } = require('./fixtureServer');
+const DateWindow = require('../../src/services/dateWindow');
+
+/**
+ * Local stand-in for the hut-reservation.org booking wizard
+ *
+ * Serves the pages and API calls HutReservationBookingBot drives, with the recorded
+ * hutInfo / getHutAvailability responses of hut 320 as data:
+ *
+ *   /reservation/book-hut/<hut id>/wizard   the Angular Material stepper, sets XSRF-TOKEN
+ *                                           step 1 - date range, one app-bed-category per category
+ *                                           step 2 - contact details, country mat-select
+ *                                           step 3 - app-reservation-summary, terms, "Book now"
+ *                                           then app-reservation-confirmation with the number
+ *   /api/v1/csrf                            sets XSRF-TOKEN
+ *   /api/v1/reservation/hutInfo/<hut id>    recorded hutInfo
+ *   /api/v1/reservation/getHutAvailability  recorded availability, minus the beds booked here
+ *   /api/v1/reservation/book                (stand-in only) takes the reservation as JSON
+ *
+ * The wizard keeps every step in the DOM and hides the inactive ones, like the Material
+ * stepper does, and checks each step in the browser before it moves on (mat-error).
+ * Elements a loose selector would catch are on the page too: a "Book a hut" button in
+ * the toolbar and the summary's table rows naming the bed categories.
+ *
+ * Submitted reservations are kept in standIn.bookings.
+ *
+ * Options:
+ *   hutInfo       - hutInfo response (default: test/fixtures/hut-reservation/hutInfo-320.json)
+ *   availability  - getHutAvailability response (default: the recorded one of hut 320)
+ *
+ * Run it on its own for manual dry runs:
+ *   node test/helpers/hutReservationStandIn.js [port]
+ */
+
+const CLIENT_SCRIPT = path.join(__dirname, 'hutReservationStandIn.browser.js');
+
+const COUNTRIES = [['AT', 'Austria'], ['DE', 'Germany'], ['IT', 'Italy'], ['CH', 'Switzerland'], ['SI', 'Slovenia']];
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function categoryLabel(category) {
+  const languageData = category.hutBedCategoryLanguageData || [];
+  const data = languageData.find(entry => entry.language === 'EN') || languageData[0];
+  return data ? data.label : `Category ${category.categoryID}`;
+}
+
+function cookieValue(req, name) {
+  const cookie = (req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+/**
+ * Start the stand-in on a random local port (or the given one)
+ * @param {Object} options - See above
+ * @returns {Promise<Object>} { url, hutId, bookings, requests, close() }
+ */
+function startHutReservationStandIn(options = {}) {
+  const hutInfo = options.hutInfo || loadJsonFixture('hut-reservation/hutInfo-320.json');
+  const availability = options.availability || loadJsonFixture('hut-reservation/getHutAvailability-320.json');
+  const categories = hutInfo.hutBedCategories.filter(category => category.isVisible !== false);
+
+  const bookings = [];
+  const requests = [];
+  const tokens = new Set();
+
+  const json = (body, status = 200) => ({ status, contentType: 'application/json', body: JSON.stringify(body) });
+
+  function newToken() {
+    const token = crypto.randomUUID();
+    tokens.add(token);
+    return { 'Set-Cookie': `XSRF-TOKEN=${token}; Path=/` };
+  }
+
+  // Like the real API: the x-xsrf-token header has to repeat the XSRF-TOKEN cookie
+  function hasToken(req) {
+    const token = req.headers['x-xsrf-token'];
+    return Boolean(token) && tokens.has(token) && cookieValue(req, 'XSRF-TOKEN') === token;
+  }
+
+  // The recorded availability with the beds of the reservations made here taken off
+  function currentAvailability() {
+    return availability.map(entry => {
+      const night = entry.date.split('T')[0];
+      const freeBedsPerCategory = { ...entry.freeBedsPerCategory };
+
+      for (const booking of bookings) {
+        if (DateWindow.nightsBetween(booking.arrival, booking.departure).includes(night)) {
+          for (const [categoryId, beds] of Object.entries(booking.beds)) {
+            freeBedsPerCategory[categoryId] = (freeBedsPerCategory[categoryId] || 0) - beds;
+          }
+        }
+      }
+
+      const freeBeds = entry.freeBeds === null ? null : Object.values(freeBedsPerCategory).reduce((sum, beds) => sum + beds, 0);
+      return { ...entry, freeBeds, freeBedsPerCategory };
+    });
+  }
+
+  // Error message for a reservation the hut cannot take, null when it fits
+  function checkReservation(reservation) {
+    const arrival = DateWindow.parseDate(reservation.arrival);
+    const departure = DateWindow.parseDate(reservation.departure);
+    if (!arrival || !departure || reservation.departure <= reservation.arrival) {
+      return 'Invalid arrival or departure date';
+    }
+
+    const nights = DateWindow.nightsBetween(reservation.arrival, reservation.departure);
+    if (hutInfo.maxNumberOfNights && nights.length > hutInfo.maxNumberOfNights) {
+      return `At most ${hutInfo.maxNumberOfNights} nights can be booked`;
+    }
+
+    const beds = Object.entries(reservation.beds || {}).filter(([, count]) => count > 0);
+    if (beds.length === 0) return 'Choose at least one bed';
+
+    const byDate = new Map(currentAvailability().map(entry => [entry.date.split('T')[0], entry]));
+    for (const night of nights) {
+      const entry = byDate.get(night);
+      for (const [categoryId, count] of beds) {
+        if (!entry || entry.hutStatus === 'CLOSED' || !((entry.freeBedsPerCategory[categoryId] || 0) >= count)) {
+          return `Not enough free beds on ${night.split('-').reverse().join('.')}`;
+        }
+      }
+    }
+
+    const guest = reservation.guest || {};
+    if (!['firstName', 'lastName', 'email', 'phone', 'country'].every(field => guest[field])) {
+      return 'Contact details are incomplete';
+    }
+    if (!reservation.termsAccepted) return 'The terms have to be accepted';
+    return null;
+  }
+
+  function wizardPage() {
+    const bedCategories = categories.map(category => `
+          <app-bed-category data-category-id="${category.categoryID}">
+            <span class="bed-category-label">${escapeHtml(categoryLabel(category))}</span>
+            <span class="bed-category-places">${category.totalSleepingPlaces} places</span>
+            <mat-form-field>
+              <input matinput type="number" min="0" value="0" formcontrolname="numberOfBeds">
+            </mat-form-field>
+          </app-bed-category>`).join('');
+    const countries = COUNTRIES.map(([code, name]) => `<mat-option role="option" data-value="${code}">${name}</mat-option>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(hutInfo.hutName)} - Hut Reservation</title>
+  <style>
+    .mat-horizontal-stepper-content[aria-expanded="false"], .cdk-overlay-pane[hidden] { display: none; }
+  </style>
+</head>
+<body>
+<app-root>
+  <mat-toolbar>
+    <span>hut-reservation.org</span>
+    <button mat-button type="button" class="toolbar-book">Book a hut</button>
+  </mat-toolbar>
+  <app-reservation-wizard data-hut-id="${hutInfo.hutId}" data-max-nights="${hutInfo.maxNumberOfNights || ''}">
+    <h1>${escapeHtml(hutInfo.hutName)}</h1>
+    <mat-horizontal-stepper>
+      <div class="mat-horizontal-stepper-content" role="tabpanel" aria-expanded="true" data-step="dates">
+        <form>
+          <mat-form-field>
+            <mat-date-range-input>
+              <input matstartdate formcontrolname="arrivalDate" placeholder="Arrival">
+              <input matenddate formcontrolname="departureDate" placeholder="Departure">
+            </mat-date-range-input>
+          </mat-form-field>${bedCategories}
+          <div class="step-errors"></div>
+          <button mat-raised-button matsteppernext type="button">Next</button>
+        </form>
+      </div>
+      <div class="mat-horizontal-stepper-content" role="tabpanel" aria-expanded="false" data-step="contact">
+        <form>
+          <mat-form-field><input matinput formcontrolname="firstName" placeholder="First name"></mat-form-field>
+          <mat-form-field><input matinput formcontrolname="lastName" placeholder="Last name"></mat-form-field>
+          <mat-form-field><input matinput formcontrolname="email" placeholder="E-mail"></mat-form-field>
+          <mat-form-field><input matinput formcontrolname="phone" placeholder="Phone"></mat-form-field>
+          <mat-form-field>
+            <mat-select formcontrolname="country" role="combobox" tabindex="0">
+              <span class="mat-mdc-select-placeholder">Country</span>
+            </mat-select>
+          </mat-form-field>
+          <div class="step-errors"></div>
+          <button mat-button matstepperprevious type="button">Back</button>
+          <button mat-raised-button matsteppernext type="button">Next</button>
+        </form>
+      </div>
+      <div class="mat-horizontal-stepper-content" role="tabpanel" aria-expanded="false" data-step="summary">
+        <app-reservation-summary>
+          <table class="summary">
+            <tbody></tbody>
+          </table>
+          <mat-checkbox class="mat-mdc-checkbox"><input type="checkbox" name="terms"> I accept the terms and conditions</mat-checkbox>
+          <mat-checkbox class="mat-mdc-checkbox"><input type="checkbox" name="privacy"> I accept the privacy policy</mat-checkbox>
+          <button mat-button matstepperprevious type="button">Back</button>
+          <button mat-raised-button color="primary" type="submit" disabled>Book now</button>
+        </app-reservation-summary>
+      </div>
+    </mat-horizontal-stepper>
+  </app-reservation-wizard>
+  <div class="cdk-overlay-container">
+    <div class="cdk-overlay-pane" hidden>
+      <div class="mat-mdc-select-panel" role="listbox">${countries}</div>
+    </div>
+  </div>
+</app-root>
+<script src="/stand-in/wizard.js"></script>
+</body>
+</html>`;
+  }
+
+  function route(req, url, body) {
+    if (req.method === 'GET' && url.pathname === '/stand-in/wizard.js') {
+      return { contentType: 'application/javascript', body: fs.readFileSync(CLIENT_SCRIPT, 'utf8') };
+    }
+
+    const wizard = url.pathname.match(/^\/reservation\/book-hut\/(\d+)\/wizard$/);
+    if (req.method === 'GET' && wizard) {
+      if (wizard[1] !== String(hutInfo.hutId)) return { status: 404, body: 'Hut not found' };
+      return { headers: newToken(), body: wizardPage() };
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/v1/csrf') {
+      return { ...json({}), headers: newToken() };
+    }
+
+    const info = url.pathname.match(/^\/api\/v1\/reservation\/hutInfo\/(\d+)$/);
+    if (req.method === 'GET' && info) {
+      return info[1] === String(hutInfo.hutId) ? json(hutInfo) : json({ error: 'Not Found' }, 404);
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/v1/reservation/getHutAvailability') {
+      if (!hasToken(req)) return json({ status: 403, error: 'Forbidden' }, 403);
+      return url.searchParams.get('hutId') === String(hutInfo.hutId) ? json(currentAvailability()) : json([]);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/v1/reservation/book') {
+      if (!hasToken(req)) return json({ status: 403, error: 'Forbidden' }, 403);
+
+      let reservation;
+      try {
+        reservation = JSON.parse(body);
+      } catch (error) {
+        return json({ message: 'Invalid request' }, 400);
+      }
+
+      const problem = checkReservation(reservation);
+      if (problem) return json({ message: problem }, 409);
+
+      const booking = {
+        reservationNumber: `${hutInfo.hutId}-${String(bookings.length + 1).padStart(6, '0')}`,
+        hutId: hutInfo.hutId,
+        arrival: reservation.arrival,
+        departure: reservation.departure,
+        beds: reservation.beds,
+        guest: reservation.guest,
+        submittedAt: new Date().toISOString()
+      };
+      bookings.push(booking);
+      return json({ reservationNumber: booking.reservationNumber });
+    }
+
+    return { status: 404, body: `Not found: ${req.method} ${url.pathname}` };
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers });
+
+      const response = route(req, url, Buffer.concat(chunks).toString('utf8'));
+      res.writeHead(response.status || 200, {
+        'Content-Type': response.contentType || 'text/html; charset=utf-8',
+        ...response.headers
+      });
+      res.end(response.body);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        hutId: hutInfo.hutId,
+        bookings,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startHutReservationStandIn({ port: parseInt(process.argv[2]) || 0 }).then(standIn => {
+    console.log(`hut-reservation.org stand-in listening on ${standIn.url}`);
+    console.log(`Point the booking bot at it with HUT_RESERVATION_BASE_URL=${standIn.url}`);
+  });
+}
+
+module.exports = {
+  startHutReservationStandIn
+};
@@ -0,0 +1,158 @@
+/**
+ * Browser side of the Microgramm / Bentral stand-in (see microgrammStandIn.js)
+ *
+ * Loaded by every page of the stand-in's booking iframe as an external script, so
+ * none of it ends up in the text the captcha solver searches.
+ */
+(function () {
+  'use strict';
+
+  function pad(number) {
+    return (number < 10 ? '0' : '') + number;
+  }
+
+  function isoDate(date) {
+    return date.getUTCFullYear() + '-' + pad(date.getUTCMonth() + 1) + '-' + pad(date.getUTCDate());
+  }
+
+  function shiftDays(iso, amount) {
+    var date = new Date(iso + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + amount);
+    return isoDate(date);
+  }
+
+  function formatDate(iso) {
+    var parts = iso.split('-');
+    return parts[2] + '.' + parts[1] + '.' + parts[0];
+  }
+
+  // Room rows: "Dodaj enoto" copies the first unit[] row
+  var addUnit = document.querySelector('.add-unit');
+  if (addUnit) {
+    addUnit.addEventListener('click', function (event) {
+      event.preventDefault();
+      var rows = document.querySelector('.units');
+      var row = rows.querySelector('.unit-row').cloneNode(true);
+      row.querySelector('select').selectedIndex = 0;
+      rows.appendChild(row);
+    });
+  }
+
+  // Arrival / departure datepicker with Bentral's day classes
+  var picker = document.querySelector('.datepicker');
+  if (picker) {
+    var arrivalInput = document.querySelector('input[name="formated_arrival"]');
+    var departureInput = document.querySelector('input[name="formated_departure"]');
+    var monthNames = picker.getAttribute('data-months').split(',');
+    var occupied = (picker.getAttribute('data-occupied') || '').split(',').filter(Boolean);
+    var today = picker.getAttribute('data-today');
+    var shown = { year: Number(today.slice(0, 4)), month: Number(today.slice(5, 7)) };
+    var arrival = null;
+
+    var isOccupied = function (night) {
+      return occupied.indexOf(night) !== -1;
+    };
+
+    var dayClasses = function (iso, inMonth) {
+      var classes = ['day'];
+      if (!inMonth) classes.push(iso < shown.year + '-' + pad(shown.month) ? 'old' : 'new');
+      if (iso < today) classes.push('disabled');
+
+      var nightTaken = isOccupied(iso);
+      var nightBeforeTaken = isOccupied(shiftDays(iso, -1));
+      if (nightTaken && nightBeforeTaken) classes.push('unavail');
+      else if (nightTaken) classes.push('unavail', 'unavail_start');
+      else if (nightBeforeTaken) classes.push('unavail', 'unavail_end');
+
+      if (iso === arrival) classes.push('active');
+      return classes.join(' ');
+    };
+
+    var render = function () {
+      picker.querySelector('.datepicker-switch').textContent = monthNames[shown.month - 1] + ' ' + shown.year;
+
+      var first = new Date(Date.UTC(shown.year, shown.month - 1, 1));
+      var start = shiftDays(isoDate(first), -((first.getUTCDay() + 6) % 7));
+      var body = picker.querySelector('tbody');
+      body.innerHTML = '';
+
+      for (var week = 0; week < 6; week++) {
+        var row = document.createElement('tr');
+        for (var weekday = 0; weekday < 7; weekday++) {
+          var iso = shiftDays(start, week * 7 + weekday);
+          var cell = document.createElement('td');
+          cell.className = dayClasses(iso, Number(iso.slice(5, 7)) === shown.month);
+          cell.setAttribute('data-date', iso);
+          if (/\bunavail\b/.test(cell.className) && !/unavail_(start|end)/.test(cell.className)) {
+            cell.title = 'Zasedeno';
+          }
+          cell.textContent = String(Number(iso.slice(8, 10)));
+          row.appendChild(cell);
+        }
+        body.appendChild(row);
+      }
+    };
+
+    var showMonth = function (amount) {
+      var index = shown.year * 12 + shown.month - 1 + amount;
+      shown = { year: Math.floor(index / 12), month: index % 12 + 1 };
+      render();
+    };
+
+    arrivalInput.addEventListener('click', function () {
+      picker.style.display = 'block';
+      render();
+    });
+    picker.querySelector('.datepicker-days .prev').addEventListener('click', function () { showMonth(-1); });
+    picker.querySelector('.datepicker-days .next').addEventListener('click', function () { showMonth(1); });
+
+    // First click picks the arrival, the second one the departure (and closes the picker)
+    picker.querySelector('tbody').addEventListener('click', function (event) {
+      var cell = event.target.closest('td');
+      if (!cell || /\b(old|new|disabled)\b/.test(cell.className)) return;
+
+      var date = cell.getAttribute('data-date');
+      if (!arrival || date <= arrival) {
+        if (isOccupied(date)) return;
+        arrival = date;
+        arrivalInput.value = formatDate(date);
+        departureInput.value = '';
+        render();
+        return;
+      }
+
+      departureInput.value = formatDate(date);
+      arrival = null;
+      picker.style.display = 'none';
+    });
+  }
+
+  // Math captcha: every change is checked with the server, a wrong answer shows the error
+  var captchaInput = document.querySelector('input.secure-code');
+  if (captchaInput) {
+    var feedback = document.querySelector('.captcha-feedback');
+    var latest = 0;
+
+    var check = function () {
+      var request = ++latest;
+      var url = 'captcha/check?key=' + encodeURIComponent(captchaInput.getAttribute('data-key')) +
+        '&answer=' + encodeURIComponent(captchaInput.value);
+
+      fetch(url)
+        .then(function (response) { return response.json(); })
+        .then(function (result) {
+          if (request !== latest) return;
+          feedback.innerHTML = '';
+          if (!result.valid) {
+            var error = document.createElement('span');
+            error.className = 'text-danger';
+            error.textContent = result.message;
+            feedback.appendChild(error);
+          }
+        });
+    };
+
+    captchaInput.addEventListener('input', check);
+    captchaInput.addEventListener('change', check);
+  }
+})();
@@ -0,0 +1,552 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config/booking.config.js');
+const DateWindow = require('../../src/services/dateWindow');
+
+/**
+ * Local stand-in for the Microgramm hut office and the Bentral booking iframe
+ *
+ * Serves the pages MicrogrammBookingBot drives, with the same URLs, field names
+ * and classes, so a booking can be run end to end without touching the real
+ * site:
+ *
+ *   /hud/                        hut list behind HTTP Basic auth ("Nastanitveni objekti")
+ *   /hud/<hut id>/               hut page embedding the booking iframe
+ *   /service/embed/booking.html  step 1 - unit[] rows, datepicker, payment
+ *                                step 2 - guest form
+ *                                step 3 - arrival time, payment, terms, math captcha
+ *                                then the confirmation with a reservation number
+ *   /hud/rezervacije/            reservation list, searched with ?search=
+ *   /hud/rezervacije/<number>/   one reservation - "Storniraj" (confirmed in a browser
+ *                                dialog) and "Uredi", the form changing dates and guest
+ *
+ * The datepicker marks occupied nights with unavail / unavail_start / unavail_end
+ * like Bentral does. Submitted bookings are kept in standIn.bookings and their
+ * nights stay occupied until they are cancelled. The reservation pages greet the
+ * user in an .alert-success, so only the hut office's own answer to a change can
+ * pass for one.
+ *
+ * Options:
+ *   huts            - [{ id, name, units: [{ value, name }] }]
+ *   occupiedNights  - ISO dates taken in every hut
+ *   bookings        - reservations already submitted, shaped like standIn.bookings
+ *                     ({ reservationNumber, hutId, arrival, departure, guest, ... })
+ *   auth            - { username, password } (default: config.auth)
+ *   captchaInAlt    - show the expression in the captcha image's alt text (default true);
+ *                     without it only OCR or brute force solve the captcha
+ *   today           - ISO date the calendar starts at (default: today)
+ *
+ * Run it on its own for manual dry runs:
+ *   node test/helpers/microgrammStandIn.js [port]
+ */
+
+const CLIENT_SCRIPT = path.join(__dirname, 'microgrammStandIn.browser.js');
+const CAPTCHA_ERROR = 'Vnesite rezultat seštevka s slike.';
+
+const DEFAULT_HUTS = [
+  {
+    id: '5f4451784d415f4e',
+    name: 'Aljažev dom v Vratih',
+    units: [
+      { value: '5f5441324e446b4d', name: 'Dvoposteljna soba - zakonska postelja' },
+      { value: '5f5451794e7a4d4d', name: 'Triposteljna soba' },
+      { value: '5f5451794e7a594d', name: 'Skupna ležišča za 7 oseb (A)' }
+    ]
+  },
+  {
+    id: '5f4451354d415f4e',
+    name: 'Triglavski dom na Kredarici',
+    units: [
+      { value: '5f5441334e446b4d', name: 'Dvoposteljna soba' },
+      { value: '5f5451734e7a594d', name: 'Skupna ležišča' }
+    ]
+  }
+];
+
+const STATUS_LABELS = { submitted: 'Oddana', cancelled: 'Stornirana' };
+
+const COUNTRIES = [
+  ['SI', 'Slovenija'], ['AT', 'Avstrija'], ['IT', 'Italija'], ['DE', 'Nemčija'], ['HR', 'Hrvaška']
+];
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="sl">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// Earlier steps' answers, carried to the next step like Bentral's hidden fields
+function hiddenFields(form, names) {
+  return names.flatMap(name => form.getAll(name).map(value =>
+    `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`
+  )).join('\n    ');
+}
+
+function alert(message, type = 'danger') {
+  return message ? `<div class="alert alert-${type}">${escapeHtml(message)}</div>` : '';
+}
+
+// "2026-07-10" -> "10.07.2026", as the hut office shows dates
+function formatDate(isoDate) {
+  return isoDate.split('-').reverse().join('.');
+}
+
+// The captcha image of step 3 (also rendered into the OCR corpus, see renderStandInCaptchas.js)
+function captchaImage(expression) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="120" height="40">
+  <rect width="120" height="40" fill="#f4f4f4"/>
+  <text x="14" y="28" font-family="monospace" font-size="24" fill="#222">${escapeHtml(expression)}</text>
+</svg>`;
+}
+
+/**
+ * Start the stand-in on a random local port (or the given one)
+ * @param {Object} options - See above
+ * @returns {Promise<Object>} { url, loginUrl, bookings, captchas, requests, close() }
+ */
+function startMicrogrammStandIn(options = {}) {
+  const huts = options.huts || DEFAULT_HUTS;
+  const auth = options.auth || config.auth;
+  const captchaInAlt = options.captchaInAlt !== false;
+  const today = options.today || new DateWindow({ days: 1 }).getDateRange().minDate;
+  const occupied = new Set(options.occupiedNights || []);
+
+  const bookings = (options.bookings || []).map(booking => ({ status: 'submitted', ...booking }));
+  const captchas = new Map();
+  const requests = [];
+
+  const findHut = id => huts.find(hut => hut.id === id);
+  const findBooking = number => bookings.find(booking => booking.reservationNumber === number);
+
+  // Nights taken by occupiedNights and every booking not cancelled, but the one being changed
+  function occupiedNights(except) {
+    const nights = new Set(occupied);
+    for (const booking of bookings) {
+      if (booking !== except && booking.status !== 'cancelled') {
+        DateWindow.nightsBetween(booking.arrival, booking.departure).forEach(night => nights.add(night));
+      }
+    }
+    return nights;
+  }
+
+  function isAuthorized(req) {
+    const expected = 'Basic ' + Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
+    return req.headers.authorization === expected;
+  }
+
+  function newCaptcha() {
+    const first = crypto.randomInt(1, 10);
+    const second = crypto.randomInt(1, 10);
+    const key = crypto.randomBytes(8).toString('hex');
+    captchas.set(key, { expression: `${first}+${second}`, answer: first + second, attempts: 0 });
+    return key;
+  }
+
+  function hutList() {
+    const links = huts.map(hut => `<li><a href="/hud/${hut.id}/">${escapeHtml(hut.name)}</a></li>`).join('\n    ');
+    return page('Microgramm', `<h1>Nastanitveni objekti</h1>
+  <ul class="huts">
+    ${links}
+  </ul>`);
+  }
+
+  function hutPage(hut) {
+    return page(hut.name, `<h1>${escapeHtml(hut.name)}</h1>
+  <iframe src="/service/embed/booking.html?id=${hut.id}&amp;lang=sl" width="100%" height="900"></iframe>`);
+  }
+
+  function step1(hut, error) {
+    const options = hut.units.map(unit => `<option value="${unit.value}">${escapeHtml(unit.name)}</option>`).join('');
+    const months = Array.from({ length: 12 }, (_, index) => DateWindow.formatMonthLabel(2000, index + 1, 'sl').split(' ')[0]);
+
+    return page('Rezervacija', `${alert(error)}
+  <form id="booking-form" method="post" action="booking.html?id=${hut.id}">
+    <input type="hidden" name="step" value="1">
+    <div class="units">
+      <div class="unit-row form-group">
+        <label>Enota</label>
+        <select name="unit[]" class="form-control"><option value="">Izberite enoto</option>${options}</select>
+      </div>
+    </div>
+    <a href="#" class="add-unit">Dodaj enoto</a>
+    <div class="form-group">
+      <label for="formated_arrival">Prihod</label>
+      <input type="text" name="formated_arrival" id="formated_arrival" class="form-control" readonly>
+      <label for="formated_departure">Odhod</label>
+      <input type="text" name="formated_departure" id="formated_departure" class="form-control" readonly>
+    </div>
+    <div class="datepicker datepicker-dropdown" style="display: none;" data-today="${today}"
+         data-months="${months.join(',')}" data-occupied="${[...occupiedNights()].join(',')}">
+      <div class="datepicker-days">
+        <table class="table-condensed">
+          <thead>
+            <tr><th class="prev">«</th><th colspan="5" class="datepicker-switch"></th><th class="next">»</th></tr>
+            <tr><th class="dow">Po</th><th class="dow">To</th><th class="dow">Sr</th><th class="dow">Če</th><th class="dow">Pe</th><th class="dow">So</th><th class="dow">Ne</th></tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    </div>
+    <div class="form-group payment">
+      <label><input type="radio" name="payment" value="card"> Plačilo s kartico</label>
+      <label><input type="radio" name="payment" value="inquiry"> Želim prejeti ponudbo</label>
+    </div>
+    <button type="submit" class="btn btn-primary">Naprej</button>
+  </form>
+  <script src="booking.js"></script>`);
+  }
+
+  function step2(hut, form, error) {
+    const countries = COUNTRIES.map(([code, name]) => `<option value="${code}">${name}</option>`).join('');
+
+    return page('Rezervacija - podatki o gostu', `${alert(error)}
+  <form method="post" action="booking.html?id=${hut.id}">
+    <input type="hidden" name="step" value="2">
+    ${hiddenFields(form, ['unit[]', 'formated_arrival', 'formated_departure', 'payment'])}
+    <div class="form-group"><label>Ime in priimek</label><input type="text" name="name" class="form-control"></div>
+    <div class="form-group"><label>E-pošta</label><input type="email" name="email" class="form-control"></div>
+    <div class="form-group"><label>Država</label><select name="country" class="form-control"><option value="">Izberite</option>${countries}</select></div>
+    <div class="form-group">
+      <label>Telefon</label>
+      <select name="phone_type" class="form-control"><option value="fixed">Stacionarni telefon</option><option value="mobile">Mobilni telefon</option></select>
+      <input type="tel" name="phone_number" class="form-control">
+    </div>
+    <div class="form-group"><label>Sporočilo</label><textarea name="note" class="form-control"></textarea></div>
+    <button type="submit" class="btn btn-primary">Naprej</button>
+  </form>
+  <script src="booking.js"></script>`);
+  }
+
+  function step3(hut, form, error) {
+    const key = newCaptcha();
+    const { expression } = captchas.get(key);
+    const times = ['12:00', '13:00', '14:00', '15:00', '16:00', '17:00', '18:00']
+      .map(time => `<option value="${time}">${time}</option>`).join('');
+
+    return page('Rezervacija - potrditev', `${alert(error)}
+  <form method="post" action="booking.html?id=${hut.id}">
+    <input type="hidden" name="step" value="3">
+    <input type="hidden" name="captcha_key" value="${key}">
+    ${hiddenFields(form, ['unit[]', 'formated_arrival', 'formated_departure', 'payment', 'name', 'email', 'country', 'phone_type', 'phone_number', 'note'])}
+    <div class="form-group"><label>Predviden čas prihoda</label><select name="arrival_time" class="form-control">${times}</select></div>
+    <div class="form-group payment">
+      <label><input type="radio" name="payment_method" value="card"> Kartica</label>
+      <label><input type="radio" name="payment_method" value="drugo"> Drugo</label>
+    </div>
+    <div class="form-group"><label><input type="checkbox" name="terms" value="1" required> Strinjam se s pogoji poslovanja</label></div>
+    <div class="form-group captcha">
+      <label>Varnostna koda</label>
+      <img class="secure-img" src="captcha.svg?key=${key}" alt="${captchaInAlt ? expression : ''}" width="120" height="40">
+      <input type="number" name="secure_code" class="secure-code form-control" data-key="${key}">
+      <div class="captcha-feedback"></div>
+    </div>
+    <button type="submit" class="btn btn-primary">Pošlji v potrditev</button>
+  </form>
+  <script src="booking.js"></script>`);
+  }
+
+  function confirmation(booking) {
+    return page('Rezervacija oddana', `<div class="alert alert-success">
+    Rezervacija je bila uspešno oddana. Številka rezervacije: <span class="reservation-number">${booking.reservationNumber}</span>
+  </div>`);
+  }
+
+  function reservationList(search) {
+    const found = bookings.filter(booking => !search ||
+      [booking.reservationNumber, booking.guest.name].some(value => String(value).toLowerCase().includes(search.toLowerCase())));
+    const rows = found.map(booking => `<tr>
+        <td>${escapeHtml(booking.reservationNumber)}</td>
+        <td>${escapeHtml(booking.hutName)}</td>
+        <td>${escapeHtml(booking.guest.name)}</td>
+        <td>${formatDate(booking.arrival)} - ${formatDate(booking.departure)}</td>
+        <td>${STATUS_LABELS[booking.status]}</td>
+        <td><a href="/hud/rezervacije/${escapeHtml(booking.reservationNumber)}/">Podrobnosti</a></td>
+      </tr>`).join('\n      ');
+
+    return page('Rezervacije', `${alert(`Prijavljeni ste kot ${auth.username}.`, 'success')}
+  <h1>Rezervacije</h1>
+  <form method="get" action="/hud/rezervacije/">
+    <input type="search" name="search" value="${escapeHtml(search)}" placeholder="Številka ali gost">
+  </form>
+  <table class="table">
+    <thead><tr><th>Številka</th><th>Objekt</th><th>Gost</th><th>Termin</th><th>Stanje</th><th></th></tr></thead>
+    <tbody>
+      ${rows}
+    </tbody>
+  </table>`);
+  }
+
+  // One reservation, with the hut office's answer to the last change on top
+  function reservationPage(booking, answer = '') {
+    const base = `/hud/rezervacije/${escapeHtml(booking.reservationNumber)}/`;
+    const actions = booking.status === 'cancelled' ? '' : `
+  <form method="post" action="${base}storniraj/">
+    <button type="submit" class="btn btn-danger" onclick="return confirm('Ali res želite stornirati rezervacijo?')">Storniraj</button>
+  </form>
+  <a href="${base}uredi/" class="btn btn-default">Uredi</a>`;
+
+    return page(`Rezervacija ${booking.reservationNumber}`, `${alert(`Prijavljeni ste kot ${auth.username}.`, 'success')}
+  ${answer}
+  <h1>Rezervacija ${escapeHtml(booking.reservationNumber)}</h1>
+  <dl>
+    <dt>Objekt</dt><dd>${escapeHtml(booking.hutName)}</dd>
+    <dt>Gost</dt><dd>${escapeHtml(booking.guest.name)}</dd>
+    <dt>Termin</dt><dd>${formatDate(booking.arrival)} - ${formatDate(booking.departure)}</dd>
+    <dt>Stanje</dt><dd class="status">${STATUS_LABELS[booking.status]}</dd>
+  </dl>${actions}`);
+  }
+
+  function editPage(booking, error) {
+    const countries = COUNTRIES.map(([code, name]) =>
+      `<option value="${code}"${code === booking.guest.country ? ' selected' : ''}>${name}</option>`).join('');
+
+    return page(`Rezervacija ${booking.reservationNumber} - urejanje`, `${alert(error)}
+  <form method="post" action="/hud/rezervacije/${escapeHtml(booking.reservationNumber)}/uredi/">
+    <div class="form-group"><label>Prihod</label><input type="text" name="arrival" value="${formatDate(booking.arrival)}" class="form-control"></div>
+    <div class="form-group"><label>Odhod</label><input type="text" name="departure" value="${formatDate(booking.departure)}" class="form-control"></div>
+    <div class="form-group"><label>Ime in priimek</label><input type="text" name="name" value="${escapeHtml(booking.guest.name)}" class="form-control"></div>
+    <div class="form-group"><label>E-pošta</label><input type="email" name="email" value="${escapeHtml(booking.guest.email)}" class="form-control"></div>
+    <div class="form-group"><label>Država</label><select name="country" class="form-control"><option value="">Izberite</option>${countries}</select></div>
+    <div class="form-group"><label>Telefon</label><input type="tel" name="phone" value="${escapeHtml(booking.guest.phone)}" class="form-control"></div>
+    <button type="submit" class="btn btn-primary">Shrani</button>
+  </form>`);
+  }
+
+  // Stay dates whose nights are all free, leaving out the nights of the booking being changed
+  function checkDates(arrivalValue, departureValue, except) {
+    const arrival = DateWindow.parseDate(arrivalValue);
+    const departure = DateWindow.parseDate(departureValue);
+    if (!arrival || !departure) return 'Izberite datum prihoda in odhoda.';
+
+    const nights = DateWindow.nightsBetween(DateWindow.toISODate(arrival), DateWindow.toISODate(departure));
+    if (nights.length === 0) return 'Odhod mora biti po prihodu.';
+
+    const taken = occupiedNights(except);
+    if (nights.some(night => taken.has(night))) return 'Izbrani termin ni na voljo.';
+    return null;
+  }
+
+  // Step 1 answers: every selected unit, dates whose nights are all free
+  function checkStay(form) {
+    const units = form.getAll('unit[]').filter(Boolean);
+    if (units.length === 0) return 'Izberite enoto.';
+    return checkDates(form.get('formated_arrival'), form.get('formated_departure'));
+  }
+
+  function cancel(booking) {
+    if (booking.status === 'cancelled') {
+      return reservationPage(booking, alert('Rezervacija je že stornirana.'));
+    }
+    booking.status = 'cancelled';
+    booking.cancelledAt = new Date().toISOString();
+    return reservationPage(booking, alert('Rezervacija je bila stornirana.', 'success'));
+  }
+
+  function modify(booking, form) {
+    if (booking.status === 'cancelled') {
+      return reservationPage(booking, alert('Stornirane rezervacije ni mogoče urejati.'));
+    }
+    const error = checkDates(form.get('arrival'), form.get('departure'), booking);
+    if (error) {
+      return editPage(booking, error);
+    }
+
+    booking.arrival = DateWindow.toISODate(DateWindow.parseDate(form.get('arrival')));
+    booking.departure = DateWindow.toISODate(DateWindow.parseDate(form.get('departure')));
+    booking.guest = {
+      ...booking.guest,
+      name: form.get('name'),
+      email: form.get('email'),
+      country: form.get('country'),
+      phone: form.get('phone')
+    };
+    booking.modifiedAt = new Date().toISOString();
+    return reservationPage(booking, alert('Spremembe so shranjene.', 'success'));
+  }
+
+  // Reservation list and the pages of one reservation
+  function reservationRoute(req, url, body) {
+    const [number, action = ''] = url.pathname.slice('/hud/rezervacije/'.length).split('/').map(decodeURIComponent);
+    if (!number) {
+      return { body: reservationList(url.searchParams.get('search') || '') };
+    }
+
+    const booking = findBooking(number);
+    if (!booking) return { status: 404, body: `Unknown reservation ${number}` };
+
+    const form = new URLSearchParams(body);
+    if (action === 'storniraj' && req.method === 'POST') return { body: cancel(booking) };
+    if (action === 'uredi') return { body: req.method === 'POST' ? modify(booking, form) : editPage(booking) };
+    if (!action) return { body: reservationPage(booking) };
+    return { status: 404, body: `Not found: ${req.method} ${url.pathname}` };
+  }
+
+  function checkCaptcha(key, answer) {
+    const captcha = captchas.get(key);
+    if (!captcha) return false;
+    captcha.attempts++;
+    return String(captcha.answer) === String(answer).trim();
+  }
+
+  function book(hut, form) {
+    const arrival = DateWindow.toISODate(DateWindow.parseDate(form.get('formated_arrival')));
+    const departure = DateWindow.toISODate(DateWindow.parseDate(form.get('formated_departure')));
+
+    const booking = {
+      reservationNumber: `${today.slice(0, 4)}-${String(bookings.length + 1).padStart(4, '0')}`,
+      hutId: hut.id,
+      hutName: hut.name,
+      units: form.getAll('unit[]').map(value => hut.units.find(unit => unit.value === value) || { value, name: null }),
+      arrival,
+      departure,
+      guest: {
+        name: form.get('name'),
+        email: form.get('email'),
+        country: form.get('country'),
+        phoneType: form.get('phone_type'),
+        phone: form.get('phone_number')
+      },
+      note: form.get('note'),
+      arrivalTime: form.get('arrival_time'),
+      payment: form.get('payment'),
+      paymentMethod: form.get('payment_method'),
+      status: 'submitted',
+      submittedAt: new Date().toISOString()
+    };
+
+    bookings.push(booking);
+    captchas.delete(form.get('captcha_key'));
+    return booking;
+  }
+
+  // Next page of the booking iframe for a submitted step
+  function handleStep(hut, form) {
+    switch (form.get('step')) {
+      case '1': {
+        const error = checkStay(form);
+        return error ? step1(hut, error) : step2(hut, form);
+      }
+      case '2':
+        if (!form.get('name') || !form.get('email')) {
+          return step2(hut, form, 'Vnesite ime in e-poštni naslov.');
+        }
+        return step3(hut, form);
+      case '3':
+        if (!form.get('terms')) {
+          return step3(hut, form, 'Potrdite pogoje poslovanja.');
+        }
+        if (!checkCaptcha(form.get('captcha_key'), form.get('secure_code') || '')) {
+          return step3(hut, form, CAPTCHA_ERROR);
+        }
+        // The nights may have been taken since step 1
+        return checkStay(form) ? step1(hut, checkStay(form)) : confirmation(book(hut, form));
+      default:
+        return step1(hut);
+    }
+  }
+
+  function route(req, url, body) {
+    if (url.pathname === '/service/embed/booking.js') {
+      return { contentType: 'application/javascript', body: fs.readFileSync(CLIENT_SCRIPT, 'utf8') };
+    }
+
+    if (url.pathname === '/service/embed/captcha.svg') {
+      const captcha = captchas.get(url.searchParams.get('key'));
+      return captcha
+        ? { contentType: 'image/svg+xml', body: captchaImage(captcha.expression) }
+        : { status: 404, body: 'Unknown captcha' };
+    }
+
+    if (url.pathname === '/service/embed/captcha/check') {
+      const valid = checkCaptcha(url.searchParams.get('key'), url.searchParams.get('answer') || '');
+      return { contentType: 'application/json', body: JSON.stringify(valid ? { valid } : { valid, message: CAPTCHA_ERROR }) };
+    }
+
+    if (url.pathname === '/service/embed/booking.html') {
+      const hut = findHut(url.searchParams.get('id'));
+      if (!hut) return { status: 404, body: 'Unknown booking id' };
+      return { body: req.method === 'POST' ? handleStep(hut, new URLSearchParams(body)) : step1(hut) };
+    }
+
+    if (url.pathname.startsWith('/hud/')) {
+      if (!isAuthorized(req)) {
+        return { status: 401, headers: { 'WWW-Authenticate': 'Basic realm="hud"' }, body: 'Unauthorized' };
+      }
+      if (url.pathname === '/hud/') {
+        return { body: hutList() };
+      }
+      if (url.pathname.startsWith('/hud/rezervacije/')) {
+        return reservationRoute(req, url, body);
+      }
+      const hut = findHut(url.pathname.split('/')[2]);
+      if (hut) {
+        return { body: hutPage(hut) };
+      }
+    }
+
+    return { status: 404, body: `Not found: ${req.method} ${url.pathname}` };
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams });
+
+      const response = route(req, url, Buffer.concat(chunks).toString('utf8'));
+      res.writeHead(response.status || 200, {
+        'Content-Type': response.contentType || 'text/html; charset=utf-8',
+        ...response.headers
+      });
+      res.end(response.body);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        loginUrl: `${url}/hud/`,
+        huts,
+        bookings,
+        captchas,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMicrogrammStandIn({ port: parseInt(process.argv[2]) || 0 }).then(standIn => {
+    console.log(`Microgramm stand-in listening on ${standIn.url}`);
+    console.log(`Point the booking bot at it with MICROGRAMM_BASE_URL=${standIn.url}/`);
+  });
+}
+
+module.exports = {
+  DEFAULT_HUTS,
+  CAPTCHA_ERROR,
+  captchaImage,
+  startMicrogrammStandIn
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+const { captchaImage } = require('./microgrammStandIn');
+
+/**
+ * Render the Microgramm stand-in's captcha into the OCR corpus
+ *
+ * Replaces the `microgramm-stand-in` samples of test/fixtures/captcha/corpus.json
+ * with PNGs of the stand-in's img.secure-img as Chromium draws it, for a fixed
+ * list of expressions. Samples recorded from real bookings (CAPTCHA_CORPUS_DIR)
+ * are kept. The stand-in captchas are clean renders, so they only show that the
+ * OCR pipeline works - they say nothing about its accuracy on live captchas.
+ *
+ *   node test/helpers/renderStandInCaptchas.js [count]
+ */
+
+const CORPUS_DIR = path.join(__dirname, '..', 'fixtures', 'captcha');
+const SOURCE = 'microgramm-stand-in';
+
+// Distinct pairs of operands 1-9, as the stand-in draws them
+function expressions(count) {
+  return Array.from({ length: count }, (_, index) => [index % 9 + 1, (index * 5 + Math.floor(index / 9)) % 9 + 1]);
+}
+
+async function main() {
+  const count = parseInt(process.argv[2]) || 20;
+  const manifestPath = path.join(CORPUS_DIR, 'corpus.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+  for (const sample of manifest.samples.filter(sample => sample.source === SOURCE)) {
+    fs.rmSync(path.join(CORPUS_DIR, sample.file), { force: true });
+  }
+
+  const browser = await chromium.launch({ headless: true });
+  const samples = [];
+
+  try {
+    const page = await browser.newPage({ viewport: { width: 120, height: 40 } });
+
+    for (const [index, [first, second]] of expressions(count).entries()) {
+      const file = `standin-${String(index + 1).padStart(2, '0')}.png`;
+      await page.setContent(`<body style="margin: 0">${captchaImage(`${first}+${second}`)}</body>`);
+      await page.screenshot({ path: path.join(CORPUS_DIR, file), clip: { x: 0, y: 0, width: 120, height: 40 } });
+      samples.push({ file, expression: `${first}+${second}`, answer: first + second, source: SOURCE });
+    }
+  } finally {
+    await browser.close();
+  }
+
+  manifest.samples = [...samples, ...manifest.samples.filter(sample => sample.source !== SOURCE)];
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`Rendered ${samples.length} stand-in captchas into ${CORPUS_DIR}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,5 @@
+/**
+ * Preloaded for every test file by the npm test script (--require):
+ * keep the service loggers quiet unless LOG_LEVEL asks for more.
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,29 @@
+const { afterEach } = require('node:test');
+
+/**
+ * Replace methods of the service singletons for the tests of one suite
+ *
+ *   describe('bookingQueue', () => {
+ *     const stub = useStubs();
+ *     beforeEach(() => stub(database, 'query', async () => ({ rows: [] })));
+ *   });
+ *
+ * Call it inside the describe: every stubbed method is put back after each test of that suite.
+ */
+function useStubs() {
+  const restore = [];
+
+  afterEach(() => {
+    while (restore.length > 0) {
+      const [object, name, original] = restore.pop();
+      object[name] = original;
+    }
+  });
+
+  return (object, name, replacement) => {
+    restore.push([object, name, object[name]]);
+    object[name] = replacement;
+  };
+}
+
+module.exports = { useStubs };
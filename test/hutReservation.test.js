@@ -0,0 +1,348 @@
+const { describe, test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer, loadJsonFixture } = require('./helpers/fixtureServer');
+
+const HutReservationScraper = require('../src/providers/HutReservationScraper');
+const HutReservationProvider = require('../src/providers/hutreservation/HutReservationProvider');
+const HutReservationClient = require('../src/providers/hutreservation/HutReservationClient');
+const HutReservationOrchestrator = require('../src/core/HutReservationOrchestrator');
+const requestGovernor = require('../src/services/requestGovernor');
+const DateWindow = require('../src/services/dateWindow');
+const providerConfig = require('../src/providers/hutreservation/config.json');
+const hutReservationConfig = require('../config/hut-reservation.config');
+
+const HUT_ID = 320;
+const XSRF_TOKEN = 'fixture-xsrf-token';
+
+describe('hut-reservation.org API (recorded responses)', () => {
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer([
+      { path: `/api/v1/reservation/hutInfo/${HUT_ID}`, fixture: `hut-reservation/hutInfo-${HUT_ID}.json` },
+      {
+        path: '/api/v1/reservation/getHutAvailability',
+        // Like the real API: no XSRF token, no data
+        body: (req, url) => (req.headers['x-xsrf-token'] === XSRF_TOKEN && url.searchParams.get('hutId') === String(HUT_ID)
+          ? loadJsonFixture(`hut-reservation/getHutAvailability-${HUT_ID}.json`)
+          : { status: 403, error: 'Forbidden' })
+      }
+    ]);
+    requestGovernor.configure(server.url, { requestsPerMinute: 60000, concurrentRequests: 10 });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const createScraper = () => new HutReservationScraper({
+    baseUrl: server.url,
+    mode: 'browser',
+    saveToDatabase: false,
+    saveToFile: false
+  });
+
+  const authTokens = { xsrfToken: XSRF_TOKEN, cookieString: `XSRF-TOKEN=${XSRF_TOKEN}` };
+
+  test('fetchHutData reads hutInfo', async () => {
+    const scraper = createScraper();
+    await scraper.fetchHutData(HUT_ID);
+
+    assert.equal(scraper.hutData.hutName, 'Innsbrucker Hütte');
+    assert.equal(scraper.results.hutId, HUT_ID);
+    assert.equal(scraper.results.country, 'AT');
+    assert.equal(scraper.hutData.hutBedCategories.length, 2);
+  });
+
+  test('fetchAvailabilityFromAPI sends the XSRF token as header and cookie', async () => {
+    const scraper = createScraper();
+    const apiData = await scraper.fetchAvailabilityFromAPI(HUT_ID, authTokens);
+
+    assert.equal(apiData.length, 5);
+
+    const request = server.requests.filter(r => r.path === '/api/v1/reservation/getHutAvailability').pop();
+    assert.equal(request.query.get('step'), 'WIZARD');
+    assert.equal(request.headers['x-xsrf-token'], XSRF_TOKEN);
+    assert.equal(request.headers.cookie, `XSRF-TOKEN=${XSRF_TOKEN}`);
+    assert.equal(request.headers.referer, `${server.url}/reservation/book-hut/${HUT_ID}/wizard`);
+  });
+
+  test('parseAvailabilityData keeps open dates with free beds per category', async () => {
+    const scraper = createScraper();
+    const apiData = await scraper.fetchAvailabilityFromAPI(HUT_ID, authTokens);
+    const parsed = scraper.parseAvailabilityData(apiData);
+
+    assert.deepEqual(Object.keys(parsed.byCategory).sort(), ['1836', '1837']);
+
+    const dormitory = parsed.byCategory['1836'];
+    assert.equal(dormitory.categoryId, 1836);
+    assert.equal(dormitory.roomTypeName, 'Category 1836');
+    assert.deepEqual(dormitory.dates, [
+      { date: '2025-06-15', availableBeds: 56, hutStatus: 'SERVICED' },
+      { date: '2025-06-16', availableBeds: 12, hutStatus: 'SERVICED' },
+      { date: '2025-06-18', availableBeds: 3, hutStatus: 'SERVICED' }
+    ]);
+
+    assert.deepEqual(parsed.byCategory['1837'].dates.map(d => [d.date, d.availableBeds]), [
+      ['2025-06-15', 42],
+      ['2025-06-18', 4]
+    ]);
+
+    assert.equal(parsed.summary.totalDays, 5);
+    assert.equal(parsed.summary.totalCategories, 2);
+    assert.equal(parsed.summary.totalAvailabilitySlots, 5);
+  });
+
+  test('parseAvailabilityData uses room type names once categories are mapped', () => {
+    const scraper = createScraper();
+    scraper.categoryToRoomTypeMap = { 1836: { name: 'Dormitory' } };
+
+    const parsed = scraper.parseAvailabilityData(loadJsonFixture(`hut-reservation/getHutAvailability-${HUT_ID}.json`));
+
+    assert.equal(parsed.byCategory['1836'].roomTypeName, 'Dormitory');
+    assert.equal(parsed.byCategory['1837'].roomTypeName, 'Category 1837');
+  });
+
+  test('parseAvailabilityData tolerates an empty response', () => {
+    const parsed = createScraper().parseAvailabilityData(null);
+    assert.deepEqual(parsed, { byCategory: {}, summary: {} });
+  });
+
+  test('provider converts the responses to the common availability schema', async () => {
+    const provider = new HutReservationProvider({ ...providerConfig, baseUrl: server.url });
+    const scraper = createScraper();
+    await scraper.fetchHutData(HUT_ID);
+    const apiData = await scraper.fetchAvailabilityFromAPI(HUT_ID, authTokens);
+
+    const roomTypes = provider.convertAvailability(scraper.hutData, apiData, { minDate: '2025-06-15', maxDate: '2025-06-17' });
+    const result = provider.formatAvailability(
+      { name: scraper.hutData.hutName, externalId: HUT_ID },
+      roomTypes,
+      provider.getDateRange(roomTypes)
+    );
+
+    assert.equal(result.provider, 'hutreservation');
+    assert.deepEqual(result.dateRange, { minDate: '2025-06-15', maxDate: '2025-06-17' });
+    assert.deepEqual(result.roomTypes.map(rt => [rt.name, rt.externalId, rt.capacity]), [
+      ['Dormitory', '1836', 56],
+      ['Room', '1837', 42]
+    ]);
+    assert.deepEqual(result.roomTypes[0].dates.map(d => [d.date, d.status, d.freeBeds]), [
+      ['2025-06-15', 'available', 56],
+      ['2025-06-16', 'available', 12],
+      ['2025-06-17', 'unavailable', 0]
+    ]);
+    assert.deepEqual(result.summary, { totalRoomTypes: 2, totalDates: 6, availableDates: 3 });
+  });
+});
+
+describe('hut-reservation.org HTTP client', () => {
+  let server;
+  let issued;
+  let validToken;
+
+  before(async () => {
+    server = await startFixtureServer([
+      {
+        path: '/api/v1/csrf',
+        // Every handshake gets a new token, like a new session on the real site
+        headers: () => {
+          validToken = `xsrf-${++issued}`;
+          return { 'Set-Cookie': `XSRF-TOKEN=${validToken}; Path=/` };
+        },
+        body: ''
+      },
+      { path: `/api/v1/reservation/hutInfo/${HUT_ID}`, fixture: `hut-reservation/hutInfo-${HUT_ID}.json` },
+      {
+        path: '/api/v1/reservation/getHutAvailability',
+        status: req => (req.headers['x-xsrf-token'] === validToken && req.headers.cookie.includes(`XSRF-TOKEN=${validToken}`) ? 200 : 403),
+        body: req => (req.headers['x-xsrf-token'] === validToken
+          ? loadJsonFixture(`hut-reservation/getHutAvailability-${HUT_ID}.json`)
+          : { status: 403, error: 'Invalid CSRF token' })
+      }
+    ]);
+    requestGovernor.configure(server.url, { requestsPerMinute: 60000, concurrentRequests: 10 });
+  });
+
+  beforeEach(() => {
+    issued = 0;
+    validToken = null;
+    server.requests.length = 0;
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const createClient = (options = {}) => new HutReservationClient({ baseUrl: server.url, ...options });
+  const requestsTo = path => server.requests.filter(r => r.path === path);
+
+  test('one handshake serves many huts', async () => {
+    const client = createClient();
+
+    const first = await client.getHutAvailability(HUT_ID);
+    await client.getHutAvailability(HUT_ID);
+    await client.getHutInfo(HUT_ID);
+
+    assert.equal(first.length, 5);
+    assert.equal(requestsTo('/api/v1/csrf').length, 1);
+
+    const availability = requestsTo('/api/v1/reservation/getHutAvailability');
+    assert.equal(availability.length, 2);
+    assert.equal(availability[0].headers['x-xsrf-token'], 'xsrf-1');
+    assert.equal(availability[0].headers.referer, `${server.url}/reservation/book-hut/${HUT_ID}/wizard`);
+    assert.equal(availability[0].query.get('step'), 'WIZARD');
+    assert.equal(requestsTo(`/api/v1/reservation/hutInfo/${HUT_ID}`)[0].headers.cookie, 'XSRF-TOKEN=xsrf-1');
+
+    assert.deepEqual(client.getStats(), { requests: 4, handshakes: 1, tokenRefreshes: 0, hasToken: true });
+  });
+
+  test('a rejected token is refreshed and the request sent again', async () => {
+    const client = createClient();
+    await client.getHutAvailability(HUT_ID);
+
+    validToken = 'revoked-on-the-server';
+    const apiData = await client.getHutAvailability(HUT_ID);
+
+    assert.equal(apiData.length, 5);
+    assert.deepEqual(
+      requestsTo('/api/v1/reservation/getHutAvailability').map(r => r.headers['x-xsrf-token']),
+      ['xsrf-1', 'xsrf-1', 'xsrf-2']
+    );
+    assert.equal(client.getStats().tokenRefreshes, 1);
+  });
+
+  test('an expired token cookie is replaced before the request', async () => {
+    const client = createClient();
+    client.storeCookies(['XSRF-TOKEN=stale; Path=/; Max-Age=0', 'SESSION=abc; Path=/; HttpOnly']);
+    assert.equal(client.getToken(), null);
+
+    await client.getHutAvailability(HUT_ID);
+
+    assert.equal(requestsTo('/api/v1/csrf').length, 1);
+    assert.equal(requestsTo('/api/v1/reservation/getHutAvailability')[0].headers.cookie, 'SESSION=abc; XSRF-TOKEN=xsrf-1');
+
+    client.cookies.get('XSRF-TOKEN').expiresAt = Date.now() - 1;
+    await client.getHutAvailability(HUT_ID);
+    assert.equal(client.getStats().handshakes, 2);
+    assert.equal(client.getStats().tokenRefreshes, 0);
+  });
+
+  test('without an XSRF cookie from the csrf endpoint or the wizard the request fails', async () => {
+    const client = createClient({ baseUrl: `${server.url}/missing` });
+
+    await assert.rejects(client.getHutAvailability(HUT_ID), error => {
+      assert.ok(error instanceof HutReservationClient.HutReservationClientError);
+      assert.equal(error.message, 'hut-reservation.org did not set the XSRF-TOKEN cookie');
+      return true;
+    });
+    assert.deepEqual(server.requests.map(r => r.path), ['/missing/api/v1/csrf', `/missing/reservation/book-hut/${HUT_ID}/wizard`]);
+  });
+
+  test('a token rejected again after the refresh fails with the HTTP status', async () => {
+    const client = createClient();
+    client.storeCookies('XSRF-TOKEN=forged');
+
+    // The server invalidates the new token too
+    const handshake = client.handshake.bind(client);
+    client.handshake = async hutId => {
+      await handshake(hutId);
+      validToken = 'changed-again';
+    };
+    await assert.rejects(client.getHutAvailability(HUT_ID), error => {
+      assert.equal(error.status, 403);
+      assert.match(error.message, /answered \/api\/v1\/reservation\/getHutAvailability with HTTP 403/);
+      return true;
+    });
+  });
+
+  test('requests go through the request governor at the host\'s rate', async () => {
+    const client = createClient();
+    requestGovernor.configure(server.url, { requestsPerMinute: 600, burst: 1 });
+    const startedAt = Date.now();
+
+    try {
+      await Promise.all([1, 2, 3].map(() => client.getHutInfo(HUT_ID)));
+    } finally {
+      requestGovernor.configure(server.url, { requestsPerMinute: 60000, burst: 10 });
+    }
+
+    assert.ok(Date.now() - startedAt >= 190, 'three requests at 600/min take at least 200ms');
+  });
+
+  test('the provider scrapes over HTTP without a browser', async () => {
+    const client = createClient();
+    const provider = new HutReservationProvider({
+      ...providerConfig,
+      baseUrl: server.url,
+      rateLimit: { requestsPerMinute: 60000, concurrentRequests: 10 },
+      client
+    });
+    await provider.initialize();
+
+    const result = await provider.scrapeAvailability({ externalId: HUT_ID }, { dateRange: { minDate: '2025-06-15', maxDate: '2025-06-16' } });
+
+    assert.equal(provider.lease, null);
+    assert.equal(provider.client, client);
+    assert.equal(result.property.name, 'Innsbrucker Hütte');
+    assert.deepEqual(result.roomTypes[0].dates.map(d => [d.date, d.freeBeds]), [['2025-06-15', 56], ['2025-06-16', 12]]);
+    assert.equal(client.getStats().handshakes, 1);
+
+    await provider.cleanup();
+  });
+
+  test('a provider rejects an unknown scraping mode', () => {
+    const provider = new HutReservationProvider({ ...providerConfig, scraping: { ...providerConfig.scraping, mode: 'selenium' } });
+    assert.throws(() => provider.validateConfig(), /scraping\.mode must be one of: http, browser/);
+  });
+});
+
+describe('hut-reservation.org batch', () => {
+  test('the workers of an http batch share one client at the batch\'s request rate', () => {
+    const orchestrator = new HutReservationOrchestrator({ requestsPerMinute: 120, mode: 'http' });
+    const { options } = orchestrator.orchestrator;
+
+    assert.equal(options.delayBetweenItems, 0);
+    assert.equal(options.providerOptions.hutreservation.client, orchestrator.client);
+    assert.equal(options.providerOptions.hutreservation.scraping.mode, 'http');
+    assert.deepEqual(options.providerOptions.hutreservation.rateLimit, { requestsPerMinute: 120, concurrentRequests: 3 });
+  });
+
+  test('browser batches keep the delay between huts', () => {
+    const orchestrator = new HutReservationOrchestrator({ mode: 'browser', delayBetweenHuts: 5000 });
+
+    assert.equal(orchestrator.client, null);
+    assert.equal(orchestrator.orchestrator.options.delayBetweenItems, 5000);
+    assert.equal(orchestrator.orchestrator.options.providerOptions.hutreservation.client, undefined);
+  });
+
+  test('batches without a date range cover the configured date window', async () => {
+    const batches = [];
+    const scrapeBatch = async (orchestrator, dateRange) => {
+      orchestrator.orchestrator.scrape = async (items) => {
+        batches.push(items.map(item => item.dateRange));
+        return { jobId: 1, summary: { total: items.length }, successful: [], failed: [] };
+      };
+      await orchestrator.scrapeAllHuts([HUT_ID, 321], dateRange);
+    };
+
+    await scrapeBatch(new HutReservationOrchestrator({ mode: 'browser' }));
+    await scrapeBatch(new HutReservationOrchestrator({ mode: 'browser', dateWindow: { from: '2026-06', months: 2 } }));
+    await scrapeBatch(new HutReservationOrchestrator({ mode: 'browser' }), { minDate: '2026-07-01', maxDate: '2026-07-03' });
+
+    const configured = new DateWindow(hutReservationConfig.scraper.dateWindow).getDateRange();
+    assert.deepEqual(batches, [
+      [configured, configured],
+      [{ minDate: '2026-06-01', maxDate: '2026-07-31' }, { minDate: '2026-06-01', maxDate: '2026-07-31' }],
+      [{ minDate: '2026-07-01', maxDate: '2026-07-03' }, { minDate: '2026-07-01', maxDate: '2026-07-03' }]
+    ]);
+  });
+
+  test('every discovered hut can be queued', () => {
+    const hutIds = HutReservationOrchestrator.loadHutIds();
+
+    assert.equal(hutIds.length, 666);
+    assert.equal(new Set(hutIds).size, 666);
+    assert.ok(HutReservationOrchestrator.loadHutIds({ country: 'AT' }).length < 666);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadJsonFixture } = require('./helpers/fixtureServer');
+
+const HutReservationBookingBot = require('../src/HutReservationBookingBot');
+
+const hutInfo = loadJsonFixture('hut-reservation/hutInfo-320.json');
+const availability = loadJsonFixture('hut-reservation/getHutAvailability-320.json');
+
+describe('HutReservationBookingBot (recorded hutInfo / getHutAvailability)', () => {
+  test('findBedCategory matches the category ID or any label', () => {
+    assert.equal(HutReservationBookingBot.findBedCategory(hutInfo, 1837).categoryID, 1837);
+    assert.equal(HutReservationBookingBot.findBedCategory(hutInfo, '1836').categoryID, 1836);
+    assert.equal(HutReservationBookingBot.findBedCategory(hutInfo, 'dormitory').categoryID, 1836);
+    assert.equal(HutReservationBookingBot.findBedCategory(hutInfo, 'Zimmerlager').categoryID, 1837);
+    assert.equal(HutReservationBookingBot.findBedCategory(hutInfo, 'Suite'), null);
+  });
+
+  test('categoryLabels lists the English label first', () => {
+    const [dormitory] = hutInfo.hutBedCategories;
+    assert.deepEqual(HutReservationBookingBot.categoryLabels(dormitory), ['Dormitory', 'Matratzenlager']);
+    assert.deepEqual(HutReservationBookingBot.categoryLabels({ categoryID: 9 }), ['Category 9']);
+  });
+
+  test('checkStay needs enough free beds in the category on every night', () => {
+    const stay = HutReservationBookingBot.parseStay('15.06.2025', '2025-06-17');
+    assert.deepEqual(stay.nights, ['2025-06-15', '2025-06-16']);
+
+    assert.equal(HutReservationBookingBot.checkStay(availability, 1836, stay, 12), null);
+
+    assert.deepEqual(HutReservationBookingBot.checkStay(availability, 1836, stay, 13), {
+      reason: 'not_available',
+      message: 'Fewer than 13 free beds on 1 of 2 nights',
+      details: { unavailable_nights: ['2025-06-16'] }
+    });
+    assert.deepEqual(
+      HutReservationBookingBot.checkStay(availability, 1837, stay, 1).details.unavailable_nights,
+      ['2025-06-16']
+    );
+  });
+
+  test('checkStay treats closed days and days outside the response as unavailable', () => {
+    const stay = HutReservationBookingBot.parseStay('2025-06-13', '2025-06-16');
+    assert.deepEqual(
+      HutReservationBookingBot.checkStay(availability, 1836, stay, 1).details.unavailable_nights,
+      ['2025-06-13', '2025-06-14']
+    );
+  });
+
+  test('parseStay rejects impossible dates with an invalid_dates reason', () => {
+    assert.throws(() => HutReservationBookingBot.parseStay('2025-06-17', '2025-06-15'), { reason: 'invalid_dates' });
+    assert.throws(() => HutReservationBookingBot.parseStay('30.02.2025', '02.03.2025'), { reason: 'invalid_dates' });
+  });
+
+  test('formatDate writes ISO dates in the wizard input format', () => {
+    assert.equal(HutReservationBookingBot.formatDate('2025-06-15', 'DD.MM.YYYY'), '15.06.2025');
+    assert.equal(HutReservationBookingBot.formatDate('2025-06-15', 'MM/DD/YYYY'), '06/15/2025');
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { startHutReservationStandIn } = require('./helpers/hutReservationStandIn');
+
+const HutReservationBookingBot = require('../src/HutReservationBookingBot');
+const requestGovernor = require('../src/services/requestGovernor');
+const config = require('../config/hut-reservation.config');
+
+const browserMissing = !fs.existsSync(chromium.executablePath()) &&
+  'Playwright Chromium is not installed (run: npx playwright install chromium)';
+
+// Beds free in the recorded availability of hut 320: 56 / 12 in the dormitory (1836) on 15 / 16 June
+const stay = { hutId: 320, bedCategory: 'Dormitory', arrivalDate: '15.06.2025', departureDate: '2025-06-17' };
+const guest = { guestName: 'Anna Maria Huber', email: 'anna@example.org', phone: '+43 664 1234567', country: 'Austria' };
+
+// A headless bot pointed at the stand-in
+function createBot(standIn, screenshotsDir) {
+  return new HutReservationBookingBot({
+    baseUrl: standIn.url,
+    browser: { headless: true, slowMo: 0, timeout: 10000 },
+    delays: { afterInput: 0, afterStep: 200 },
+    output: { ...config.booking.output, screenshotsDir, saveBookingData: false }
+  });
+}
+
+describe('hut-reservation.org stand-in (HTTP)', () => {
+  let standIn;
+
+  before(async () => {
+    standIn = await startHutReservationStandIn();
+  });
+
+  after(async () => {
+    await standIn.close();
+  });
+
+  test('the wizard sets the XSRF token the availability API and the booking call ask for', async () => {
+    const wizard = await fetch(`${standIn.url}/reservation/book-hut/320/wizard`);
+    const token = wizard.headers.get('set-cookie').match(/XSRF-TOKEN=([^;]+)/)[1];
+    const html = await wizard.text();
+
+    assert.match(html, /<app-bed-category data-category-id="1836">/);
+    assert.match(html, /formcontrolname="numberOfBeds"/);
+    assert.match(html, /<app-reservation-summary>/);
+
+    const withToken = { 'x-xsrf-token': token, cookie: `XSRF-TOKEN=${token}`, 'Content-Type': 'application/json' };
+    const availability = headers => fetch(`${standIn.url}/api/v1/reservation/getHutAvailability?hutId=320&step=WIZARD`, { headers });
+
+    assert.equal((await availability({})).status, 403);
+    assert.equal((await availability({ 'x-xsrf-token': token })).status, 403);
+    assert.equal((await (await availability(withToken)).json())[1].freeBedsPerCategory['1836'], 56);
+
+    const book = body => fetch(`${standIn.url}/api/v1/reservation/book`, { method: 'POST', headers: withToken, body: JSON.stringify(body) });
+    const reservation = {
+      arrival: '2025-06-15',
+      departure: '2025-06-17',
+      beds: { 1836: 12 },
+      guest: { firstName: 'Anna', lastName: 'Huber', email: 'anna@example.org', phone: '+43 664 1234567', country: 'AT' },
+      termsAccepted: true
+    };
+
+    assert.deepEqual(await (await book(reservation)).json(), { reservationNumber: '320-000001' });
+    assert.equal((await (await availability(withToken)).json())[2].freeBedsPerCategory['1836'], 0);
+
+    const refused = await book(reservation);
+    assert.equal(refused.status, 409);
+    assert.deepEqual(await refused.json(), { message: 'Not enough free beds on 16.06.2025' });
+    assert.equal((await book({ ...reservation, beds: { 1836: 1 }, termsAccepted: false })).status, 409);
+    assert.equal(standIn.bookings.length, 1);
+  });
+});
+
+describe('HutReservationBookingBot against the stand-in', { skip: browserMissing }, () => {
+  let standIn;
+  let screenshotsDir;
+
+  before(async () => {
+    standIn = await startHutReservationStandIn();
+    requestGovernor.configure(standIn.url, { requestsPerMinute: 60000, concurrentRequests: 10 });
+    screenshotsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stand-in-screenshots-'));
+  });
+
+  after(async () => {
+    if (standIn) await standIn.close();
+    fs.rmSync(screenshotsDir, { recursive: true, force: true });
+  });
+
+  test('makeBooking fills every step and submitBooking reads back the reservation number', async () => {
+    const bot = createBot(standIn, screenshotsDir);
+
+    try {
+      const prepared = await bot.makeBooking({ ...stay, partySize: 4, ...guest });
+      assert.equal(prepared.status, 'ready_to_submit');
+      assert.equal(prepared.categoryId, 1836);
+      assert.deepEqual([prepared.arrivalDate, prepared.departureDate], ['2025-06-15', '2025-06-17']);
+      assert.deepEqual(standIn.bookings, []);
+
+      const result = await bot.submitBooking();
+      assert.deepEqual(result, { success: true, message: 'Reservation confirmed: 320-000001', reservationNumber: '320-000001' });
+    } finally {
+      await bot.cleanup();
+    }
+
+    assert.equal(standIn.bookings.length, 1);
+    const [booking] = standIn.bookings;
+    assert.deepEqual([booking.arrival, booking.departure], ['2025-06-15', '2025-06-17']);
+    assert.deepEqual(booking.beds, { 1836: 4 });
+    assert.deepEqual(booking.guest, {
+      firstName: 'Anna',
+      lastName: 'Maria Huber',
+      email: 'anna@example.org',
+      phone: '+43 664 1234567',
+      country: 'AT'
+    });
+  });
+
+  test('a step the wizard turns down fails the booking', async () => {
+    const bot = createBot(standIn, screenshotsDir);
+
+    try {
+      await assert.rejects(
+        bot.makeBooking({ ...stay, partySize: 2, ...guest, email: 'anna at example.org' }),
+        /Wizard rejected contact_step: Please enter a valid e-mail address/
+      );
+      assert.equal(bot.getBookingData().status, 'failed');
+    } finally {
+      await bot.cleanup();
+    }
+  });
+
+  test('a stay without enough free beds is refused before the form is filled', async () => {
+    // 4 of the 12 dormitory beds on 16 June went to the first test's booking
+    const bot = createBot(standIn, screenshotsDir);
+
+    try {
+      await assert.rejects(bot.makeBooking({ ...stay, partySize: 9, ...guest }), {
+        reason: 'not_available',
+        details: { unavailable_nights: ['2025-06-16'] }
+      });
+      assert.ok(!bot.getBookingData().steps.some(step => step.action === 'date_selection'));
+    } finally {
+      await bot.cleanup();
+    }
+    assert.equal(standIn.bookings.length, 1);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useStubs } = require('./helpers/stubs');
+
+const itineraryPlanner = require('../src/services/itineraryPlanner');
+const database = require('../src/services/database');
+const GroupAllocation = require('../src/services/groupAllocation');
+
+const { ValidationError } = itineraryPlanner;
+
+const PROPERTIES = [
+  { id: 1, name: 'Koča na Doliču' },
+  { id: 2, name: 'Tržaška koča' },
+  { id: 3, name: 'Dom Planika' }
+];
+
+const night = (property_id, date, free_beds, overrides = {}) => ({
+  property_id,
+  room_type_id: property_id * 10,
+  room_type_name: 'Skupna ležišča',
+  capacity: 20,
+  date,
+  can_checkin: true,
+  free_beds,
+  ...overrides
+});
+
+describe('itineraryPlanner', () => {
+  const stub = useStubs();
+
+  let nights;
+  let availabilityRequests;
+
+  beforeEach(() => {
+    nights = [];
+    availabilityRequests = [];
+
+    stub(database, 'query', async (sql, [ids, names]) => ({
+      rows: PROPERTIES.filter(property => ids.includes(property.id) || names.includes(property.name.toLowerCase()))
+    }));
+    stub(database, 'getNightlyAvailability', async (request) => {
+      availabilityRequests.push(request);
+      return nights;
+    });
+  });
+
+  test('every start date is checked stage by stage and only complete treks are returned', async () => {
+    nights = [
+      night(1, '2026-07-10', 4), night(1, '2026-07-11', 1), night(1, '2026-07-12', 4),
+      night(2, '2026-07-11', 6), night(2, '2026-07-12', 6), night(2, '2026-07-13', 6)
+    ];
+
+    const plan = await itineraryPlanner.plan({
+      stages: ['koča na doliču', { huts: [2, 3], nights: 2 }],
+      startDateFrom: '2026-07-10',
+      startDateTo: '2026-07-12',
+      partySize: 3
+    });
+
+    assert.deepEqual(availabilityRequests, [{ startDate: '2026-07-10', endDate: '2026-07-14', propertyIds: [1, 2, 3] }]);
+    assert.equal(plan.checkedStartDates, 3);
+    assert.deepEqual(plan.itineraries.map(itinerary => [itinerary.start_date, itinerary.end_date]), [['2026-07-10', '2026-07-13']]);
+
+    const [first, second] = plan.itineraries[0].stages;
+    assert.deepEqual([first.check_in, first.check_out, first.options[0].property_name], ['2026-07-10', '2026-07-11', 'Koča na Doliču']);
+    assert.deepEqual(second.options.map(option => option.property_id), [2]);
+    assert.deepEqual(second.options[0].allocation, [
+      { room_type_id: 20, room_type_name: 'Skupna ležišča', booking_unit: 'beds', guests: 3, beds: 3 }
+    ]);
+    assert.deepEqual(plan.stages[1], {
+      stage: 2,
+      nights: 2,
+      huts: [{ property_id: 2, property_name: 'Tržaška koča' }, { property_id: 3, property_name: 'Dom Planika' }]
+    });
+  });
+
+  test('unknown huts are reported by name', async () => {
+    await assert.rejects(
+      itineraryPlanner.plan({ stages: ['Dom Planika', 'Kredarica', 9], startDateFrom: '2026-07-10', partySize: 2 }),
+      (error) => error instanceof ValidationError && error.message === 'Unknown huts: Kredarica, 9'
+    );
+  });
+
+  test('party_size is capped at the group allocation limit', async () => {
+    for (const partySize of [0, 1.5, '2', GroupAllocation.MAX_GROUP_SIZE + 1]) {
+      await assert.rejects(
+        itineraryPlanner.plan({ stages: [1], startDateFrom: '2026-07-10', partySize }),
+        ValidationError,
+        `party size ${partySize}`
+      );
+    }
+    assert.equal(availabilityRequests.length, 0);
+
+    await itineraryPlanner.plan({ stages: [1], startDateFrom: '2026-07-10', partySize: GroupAllocation.MAX_GROUP_SIZE });
+    assert.equal(availabilityRequests.length, 1);
+  });
+
+  test('stages and their nights are validated', () => {
+    assert.throws(() => itineraryPlanner.normalizeStages([]), /non-empty array/);
+    assert.throws(() => itineraryPlanner.normalizeStages(Array(31).fill(1)), /at most 30 entries/);
+    assert.throws(() => itineraryPlanner.normalizeStages([{ huts: [] }]), /Stage 1 needs at least one hut/);
+    assert.throws(() => itineraryPlanner.normalizeStages([1, { hut: 2, nights: 0 }]), /Stage 2 nights must be an integer between 1 and 30/);
+    assert.throws(() => itineraryPlanner.normalizeStages([{ hut: 2, nights: 31 }]), ValidationError);
+
+    assert.deepEqual(itineraryPlanner.normalizeStages([' Dom Planika ', [1, 2], { hut: 3, nights: '30' }]), [
+      { huts: ['Dom Planika'], nights: 1 },
+      { huts: [1, 2], nights: 1 },
+      { huts: [3], nights: 30 }
+    ]);
+  });
+
+  test('start date ranges must be ordered ISO dates of at most 92 days', () => {
+    assert.throws(() => itineraryPlanner.getStartDates('10.07.2026', '2026-07-12'), /YYYY-MM-DD/);
+    assert.throws(() => itineraryPlanner.getStartDates('2026-07-12', '2026-07-10'), /must not be before/);
+    assert.throws(() => itineraryPlanner.getStartDates('2026-07-01', '2026-10-01'), /at most 92 days/);
+
+    assert.deepEqual(itineraryPlanner.getStartDates('2026-07-30', '2026-08-02'), ['2026-07-30', '2026-07-31', '2026-08-01', '2026-08-02']);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers/fixtureServer');
+
+const MicrogrammBookingBot = require('../src/MicrogrammBookingBot');
+
+// unit[] options of the recorded Bentral iframe
+const unitOptions = Array.from(
+  loadFixture('bentral/booking-september-2025.html').matchAll(/<option value="([^"]*)">([^<]*)<\/option>/g),
+  ([, value, text]) => ({ value, text })
+);
+
+describe('MicrogrammBookingBot room lines (recorded Bentral iframe)', () => {
+  test('matchUnitOption prefers the exact room name over a partial match', () => {
+    assert.equal(MicrogrammBookingBot.matchUnitOption(unitOptions, 'Enoposteljna soba').value, '5f5451794e7a4d4d');
+    assert.equal(MicrogrammBookingBot.matchUnitOption(unitOptions, ' skupna ležišča ').value, '5f5451794e7a594d');
+    assert.equal(MicrogrammBookingBot.matchUnitOption(unitOptions, 'Dvoposteljna soba').value, '5f5441324e446b4d');
+    assert.equal(MicrogrammBookingBot.matchUnitOption(unitOptions, 'Triposteljna soba'), null);
+  });
+
+  test('roomLines turns roomType or rooms into lines with a quantity', () => {
+    assert.deepEqual(MicrogrammBookingBot.roomLines({ roomType: 'Enoposteljna soba' }), [
+      { roomType: 'Enoposteljna soba', quantity: 1 }
+    ]);
+
+    const lines = MicrogrammBookingBot.roomLines({
+      rooms: [{ roomType: 'Triposteljna soba', quantity: 2 }, { roomType: 'Skupna ležišča' }]
+    });
+    assert.deepEqual(lines, [
+      { roomType: 'Triposteljna soba', quantity: 2 },
+      { roomType: 'Skupna ležišča', quantity: 1 }
+    ]);
+    assert.equal(MicrogrammBookingBot.describeRoomLines(lines), '2 x Triposteljna soba, 1 x Skupna ležišča');
+  });
+
+  test('selectRoomLines adds a unit row per room and reports every line', async () => {
+    const bot = new MicrogrammBookingBot();
+    const rows = [];
+    bot.page = {
+      waitForTimeout: async () => {},
+      waitForSelector: async () => {},
+      frameLocator: () => ({ locator: () => ({ first: () => ({ waitFor: async () => {} }) }) })
+    };
+    bot.takeScreenshot = async () => null;
+    bot.addUnitRow = async (frame, row) => rows.push(`add ${row}`);
+    bot.selectUnit = async (frame, row, roomType) => {
+      const option = MicrogrammBookingBot.matchUnitOption(unitOptions, roomType);
+      if (!option) throw new Error(`Room type "${roomType}" is not offered`);
+      rows.push(`select ${row} ${option.value}`);
+      return option.value;
+    };
+
+    const outcomes = await bot.selectRoomLines([
+      { roomType: 'Enoposteljna soba', quantity: 2 },
+      { roomType: 'Skupna ležišča', quantity: 1 }
+    ]);
+    assert.deepEqual(rows, ['select 0 5f5451794e7a4d4d', 'add 1', 'select 1 5f5451794e7a4d4d', 'add 2', 'select 2 5f5451794e7a594d']);
+    assert.deepEqual(outcomes.map(outcome => [outcome.status, outcome.added]), [['added', 2], ['added', 1]]);
+
+    await assert.rejects(bot.selectRoomLines([
+      { roomType: 'Enoposteljna soba', quantity: 1 },
+      { roomType: 'Triposteljna soba', quantity: 2 },
+      { roomType: 'Skupna ležišča', quantity: 1 }
+    ]), /Triposteljna soba/);
+    assert.deepEqual(bot.bookingData.roomLines.map(outcome => outcome.status), ['added', 'failed', 'skipped']);
+  });
+});
+
+describe('MicrogrammBookingBot submitted bookings', () => {
+  test('parseReservationNumber reads the confirmation number off the success message', () => {
+    assert.equal(MicrogrammBookingBot.parseReservationNumber('Rezervacija št. 2025-0412 je bila uspešno oddana'), '2025-0412');
+    assert.equal(MicrogrammBookingBot.parseReservationNumber('Reservation number: AB12CD'), 'AB12CD');
+    assert.equal(MicrogrammBookingBot.parseReservationNumber('Hvala za vašo rezervacijo!'), null);
+  });
+
+  test('matchReservation finds the row by whole confirmation number, else by guest and arrival', () => {
+    const rows = [
+      'Jane Doe 01.09.2025 - 02.09.2025 Skupna ležišča 2025-0398',
+      'John Doe 01.09.2025 - 03.09.2025 Dvoposteljna soba 2025-0412',
+      'John Doe 05.09.2025 - 06.09.2025 Dvoposteljna soba 2025-04120'
+    ];
+    const params = { guestName: 'john doe', arrivalDate: '2025-09-01' };
+
+    assert.equal(MicrogrammBookingBot.matchReservation(rows, { confirmation_number: '2025-0412', params }), 1);
+    assert.equal(MicrogrammBookingBot.matchReservation(rows, { confirmation_number: '2025-04120', params }), 2);
+    assert.equal(MicrogrammBookingBot.matchReservation(rows, { confirmation_number: null, params }), 1);
+    assert.throws(() => MicrogrammBookingBot.matchReservation(rows, { confirmation_number: '2025-041', params }), /Reservation 2025-041 not found/);
+  });
+
+  test('matchReservation refuses ambiguous rows and bookings it cannot tell apart', () => {
+    const rows = [
+      'John Doe 01.09.2025 - 03.09.2025 Dvoposteljna soba',
+      'John Doe 01.09.2025 - 02.09.2025 Skupna ležišča'
+    ];
+
+    assert.throws(
+      () => MicrogrammBookingBot.matchReservation(rows, { params: { guestName: 'John Doe', arrivalDate: '2025-09-01' } }),
+      /matches 2 rows in the hut office/
+    );
+    assert.throws(() => MicrogrammBookingBot.matchReservation(rows, { params: { guestName: ' ', arrivalDate: '2025-09-01' } }), /needs the guest name/);
+    assert.throws(() => MicrogrammBookingBot.matchReservation(rows, { params: { guestName: 'John Doe' } }), /needs the guest name and arrival date/);
+  });
+});
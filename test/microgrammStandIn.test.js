@@ -0,0 +1,298 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { startMicrogrammStandIn, DEFAULT_HUTS, CAPTCHA_ERROR } = require('./helpers/microgrammStandIn');
+
+const MicrogrammBookingBot = require('../src/MicrogrammBookingBot');
+const DateWindow = require('../src/services/dateWindow');
+const config = require('../config/booking.config.js');
+
+const browserMissing = !fs.existsSync(chromium.executablePath()) &&
+  'Playwright Chromium is not installed (run: npx playwright install chromium)';
+
+const hut = DEFAULT_HUTS[0];
+const basicAuth = 'Basic ' + Buffer.from(`${config.auth.username}:${config.auth.password}`).toString('base64');
+
+// "DD.MM.YYYY", days from today
+function formDate(days) {
+  const { day, month, year } = DateWindow.addDays(DateWindow.parseDate(new DateWindow({ days: 1 }).getDateRange().minDate), days);
+  return `${String(day).padStart(2, '0')}.${String(month).padStart(2, '0')}.${year}`;
+}
+
+function isoDate(formatted) {
+  return DateWindow.toISODate(DateWindow.parseDate(formatted));
+}
+
+// A headless bot pointed at the stand-in
+function createBot(standIn, screenshotsDir) {
+  return new MicrogrammBookingBot({
+    target: { ...config.target, loginUrl: standIn.loginUrl },
+    booking: {
+      ...config.booking,
+      browser: { headless: true, slowMo: 0, timeout: 10000 },
+      captcha: { ...config.booking.captcha, strategies: ['dom_text', 'brute_force'] }
+    },
+    manage: { ...config.manage, reservationsUrl: `${standIn.url}/hud/rezervacije/` },
+    output: { ...config.output, screenshotsDir, saveBookingData: false }
+  });
+}
+
+describe('Microgramm stand-in (HTTP)', () => {
+  let standIn;
+
+  // POST one step of the booking iframe
+  async function postStep(fields) {
+    const response = await fetch(`${standIn.url}/service/embed/booking.html?id=${hut.id}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(fields).toString()
+    });
+    return response.text();
+  }
+
+  const stay = [
+    ['unit[]', hut.units[1].value],
+    ['unit[]', hut.units[2].value],
+    ['formated_arrival', formDate(10)],
+    ['formated_departure', formDate(12)],
+    ['payment', 'inquiry']
+  ];
+  const guest = [
+    ['name', 'Janez Novak'], ['email', 'janez@example.com'], ['country', 'SI'],
+    ['phone_type', 'mobile'], ['phone_number', '+386 40 123 456'], ['note', '']
+  ];
+
+  before(async () => {
+    standIn = await startMicrogrammStandIn({ occupiedNights: [isoDate(formDate(20))] });
+  });
+
+  after(async () => {
+    if (standIn) await standIn.close();
+  });
+
+  test('the hut list needs the Basic auth the bot sends and links to huts embedding the booking iframe', async () => {
+    assert.equal((await fetch(standIn.loginUrl)).status, 401);
+
+    const list = await (await fetch(standIn.loginUrl, { headers: { Authorization: basicAuth } })).text();
+    assert.match(list, /Nastanitveni objekti/);
+    assert.match(list, new RegExp(`<a href="/hud/${hut.id}/">Aljažev dom v Vratih</a>`));
+
+    const hutPage = await (await fetch(`${standIn.url}/hud/${hut.id}/`, { headers: { Authorization: basicAuth } })).text();
+    assert.match(hutPage, new RegExp(`<iframe src="/service/embed/booking.html\\?id=${hut.id}`));
+  });
+
+  test('step 1 turns down stays over an occupied night', async () => {
+    const page = await postStep([
+      ['step', '1'], ['unit[]', hut.units[0].value],
+      ['formated_arrival', formDate(19)], ['formated_departure', formDate(21)]
+    ]);
+    assert.match(page, /alert-danger">Izbrani termin ni na voljo/);
+    assert.match(page, /name="formated_arrival"/);
+  });
+
+  test('a booking goes through the guest form and the captcha, then its nights are taken', async () => {
+    const step2 = await postStep([['step', '1'], ...stay]);
+    assert.match(step2, /name="phone_type"/);
+    assert.match(step2, new RegExp(`type="hidden" name="unit\\[\\]" value="${hut.units[2].value}"`));
+
+    const step3 = await postStep([['step', '2'], ...stay, ...guest]);
+    const key = step3.match(/name="captcha_key" value="([0-9a-f]+)"/)[1];
+    const { expression, answer } = standIn.captchas.get(key);
+    assert.match(step3, new RegExp(`<img class="secure-img" src="captcha.svg\\?key=${key}" alt="${expression.replace('+', '\\+')}"`));
+
+    const check = async value => (await fetch(`${standIn.url}/service/embed/captcha/check?key=${key}&answer=${value}`)).json();
+    assert.deepEqual(await check(answer + 1), { valid: false, message: CAPTCHA_ERROR });
+    assert.deepEqual(await check(answer), { valid: true });
+
+    const final = [['step', '3'], ['captcha_key', key], ...stay, ...guest, ['arrival_time', '15:00'], ['payment_method', 'drugo'], ['terms', '1']];
+    const rejected = await postStep([...final, ['secure_code', String(answer + 1)]]);
+    assert.match(rejected, /Vnesite rezultat seštevka s slike/);
+    assert.equal(standIn.bookings.length, 0);
+
+    const confirmation = await postStep([...final, ['secure_code', String(answer)]]);
+    assert.match(confirmation, /class="alert alert-success"/);
+    assert.equal(standIn.bookings.length, 1);
+
+    const [booking] = standIn.bookings;
+    const successText = confirmation.match(/alert-success">([\s\S]*?)<\/div>/)[1].replace(/<[^>]+>/g, '');
+    assert.equal(MicrogrammBookingBot.parseReservationNumber(successText), booking.reservationNumber);
+    assert.deepEqual(booking.units.map(unit => unit.name), ['Triposteljna soba', 'Skupna ležišča za 7 oseb (A)']);
+    assert.deepEqual([booking.arrival, booking.departure], [isoDate(formDate(10)), isoDate(formDate(12))]);
+    assert.equal(booking.guest.phone, '+386 40 123 456');
+    assert.equal(booking.paymentMethod, 'drugo');
+
+    const again = await postStep([['step', '1'], ...stay]);
+    assert.match(again, /Izbrani termin ni na voljo/);
+  });
+
+  test('the reservation list finds bookings and their pages cancel and change them', async () => {
+    const get = async pathname => (await fetch(`${standIn.url}${pathname}`, { headers: { Authorization: basicAuth } })).text();
+    const post = async (pathname, fields) => (await fetch(`${standIn.url}${pathname}`, {
+      method: 'POST',
+      headers: { Authorization: basicAuth, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(fields).toString()
+    })).text();
+
+    const [booking] = standIn.bookings;
+    const base = `/hud/rezervacije/${booking.reservationNumber}/`;
+    assert.equal((await fetch(`${standIn.url}/hud/rezervacije/`)).status, 401);
+    assert.match(await get(`/hud/rezervacije/?search=${booking.reservationNumber}`), new RegExp(`<a href="${base}">Podrobnosti</a>`));
+    assert.doesNotMatch(await get('/hud/rezervacije/?search=Nobody'), /Podrobnosti/);
+
+    const details = await get(base);
+    assert.match(details, /onclick="return confirm\(/);
+    assert.match(await get(`${base}uredi/`), /name="arrival" value="[0-9.]+"/);
+
+    const taken = await post(`${base}uredi/`, { arrival: formDate(19), departure: formDate(21), name: 'Janez Novak' });
+    assert.match(taken, /alert-danger">Izbrani termin ni na voljo/);
+
+    const changed = await post(`${base}uredi/`, {
+      arrival: formDate(11), departure: formDate(14), name: 'Janez Novak', email: 'janez@example.org', country: 'SI', phone: ''
+    });
+    assert.match(changed, /alert-success">Spremembe so shranjene/);
+    assert.deepEqual([booking.arrival, booking.departure, booking.guest.email], [isoDate(formDate(11)), isoDate(formDate(14)), 'janez@example.org']);
+
+    assert.match(await post(`${base}storniraj/`, {}), /alert-success">Rezervacija je bila stornirana/);
+    assert.match(await post(`${base}storniraj/`, {}), /alert-danger">Rezervacija je že stornirana/);
+    assert.equal(booking.status, 'cancelled');
+    assert.doesNotMatch(await postStep([['step', '1'], ...stay]), /Izbrani termin ni na voljo/);
+  });
+});
+
+describe('MicrogrammBookingBot against the stand-in', { skip: browserMissing }, () => {
+  let standIn;
+  let screenshotsDir;
+
+  before(async () => {
+    standIn = await startMicrogrammStandIn();
+    screenshotsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stand-in-screenshots-'));
+  });
+
+  after(async () => {
+    if (standIn) await standIn.close();
+    fs.rmSync(screenshotsDir, { recursive: true, force: true });
+  });
+
+  test('makeBooking fills every step and submitBooking reads back the reservation number', async () => {
+    const bot = createBot(standIn, screenshotsDir);
+
+    try {
+      const prepared = await bot.makeBooking({
+        hutName: 'Aljažev dom v Vratih',
+        rooms: [{ roomType: 'Triposteljna soba', quantity: 2 }],
+        arrivalDate: formDate(10),
+        departureDate: formDate(12),
+        guestName: 'Janez Novak',
+        country: 'Slovenia',
+        email: 'janez@example.com',
+        phone: '+386 40 123 456'
+      });
+      assert.equal(prepared.status, 'ready_to_submit');
+      assert.equal(prepared.captchaSolved, true);
+
+      const result = await bot.submitBooking();
+      assert.equal(result.success, true);
+      assert.equal(standIn.bookings.length, 1);
+
+      const [booking] = standIn.bookings;
+      assert.equal(result.reservationNumber, booking.reservationNumber);
+      assert.deepEqual(booking.units.map(unit => unit.name), ['Triposteljna soba', 'Triposteljna soba']);
+      assert.deepEqual([booking.arrival, booking.departure], [isoDate(formDate(10)), isoDate(formDate(12))]);
+      assert.deepEqual(booking.guest, {
+        name: 'Janez Novak',
+        email: 'janez@example.com',
+        country: 'SI',
+        phoneType: 'mobile',
+        phone: '+386 40 123 456'
+      });
+      assert.equal(booking.payment, 'inquiry');
+      assert.equal(booking.paymentMethod, 'drugo');
+    } finally {
+      await bot.cleanup();
+    }
+  });
+});
+
+describe('MicrogrammBookingBot changes against the stand-in', { skip: browserMissing }, () => {
+  const year = isoDate(formDate(0)).slice(0, 4);
+  const reservation = (reservationNumber, name, arrival, departure) => ({
+    reservationNumber,
+    hutId: hut.id,
+    hutName: hut.name,
+    units: [hut.units[0]],
+    arrival: isoDate(formDate(arrival)),
+    departure: isoDate(formDate(departure)),
+    guest: { name, email: 'guest@example.com', country: 'SI', phone: '+386 40 123 456' }
+  });
+
+  let standIn;
+  let screenshotsDir;
+
+  before(async () => {
+    // The search for the first number lists the second one too
+    standIn = await startMicrogrammStandIn({
+      bookings: [
+        reservation(`${year}-0041`, 'Janez Novak', 30, 32),
+        reservation(`${year}-00410`, 'Marija Novak', 40, 42),
+        reservation(`${year}-0050`, 'Ana Kovač', 50, 52)
+      ]
+    });
+    screenshotsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stand-in-screenshots-'));
+  });
+
+  after(async () => {
+    if (standIn) await standIn.close();
+    fs.rmSync(screenshotsDir, { recursive: true, force: true });
+  });
+
+  test('cancelBooking cancels the reservation with exactly the confirmation number', async () => {
+    const bot = createBot(standIn, screenshotsDir);
+
+    try {
+      const result = await bot.cancelBooking({
+        confirmation_number: `${year}-0041`,
+        params: { guestName: 'Janez Novak', arrivalDate: formDate(30) }
+      });
+
+      assert.deepEqual(result, { success: true, message: 'Rezervacija je bila stornirana.' });
+      assert.equal(bot.changeSubmitted, true);
+      assert.deepEqual(standIn.bookings.map(booking => booking.status), ['cancelled', 'submitted', 'submitted']);
+    } finally {
+      await bot.cleanup();
+    }
+  });
+
+  test('modifyBooking finds a reservation without a number by guest and arrival and changes it', async () => {
+    const booking = { confirmation_number: null, params: { guestName: 'Ana Kovač', arrivalDate: formDate(50) } };
+
+    const bot = createBot(standIn, screenshotsDir);
+    try {
+      const result = await bot.modifyBooking(booking, { arrivalDate: formDate(54), departureDate: formDate(56), email: 'ana@example.org' });
+      assert.deepEqual(result, { success: true, message: 'Spremembe so shranjene.' });
+    } finally {
+      await bot.cleanup();
+    }
+
+    const changed = standIn.bookings[2];
+    assert.deepEqual([changed.arrival, changed.departure], [isoDate(formDate(54)), isoDate(formDate(56))]);
+    assert.equal(changed.guest.email, 'ana@example.org');
+    assert.equal(changed.guest.name, 'Ana Kovač');
+  });
+
+  test('a change the hut office turns down is reported, not taken as done', async () => {
+    const booking = { confirmation_number: `${year}-0050`, params: { guestName: 'Ana Kovač', arrivalDate: formDate(54) } };
+
+    const bot = createBot(standIn, screenshotsDir);
+    try {
+      const result = await bot.modifyBooking(booking, { arrivalDate: formDate(41), departureDate: formDate(43) });
+      assert.deepEqual(result, { success: false, message: 'Izbrani termin ni na voljo.' });
+    } finally {
+      await bot.cleanup();
+    }
+
+    assert.equal(standIn.bookings[2].arrival, isoDate(formDate(54)));
+  });
+});
@@ -0,0 +1,193 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer, loadFixture } = require('./helpers/fixtureServer');
+const { useStubs } = require('./helpers/stubs');
+
+const MontBlancProvider = require('../src/providers/montblanc/MontBlancProvider');
+const providerConfig = require('../src/providers/montblanc/config.json');
+const database = require('../src/services/database');
+const ScraperJob = require('../src/server/jobs/scraperJob');
+
+const HUT_ID = '32372';
+
+const addDays = (isoDate, days) => {
+  const date = new Date(isoDate);
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+describe('MontBlancProvider (recorded json-planning-refuge response)', () => {
+  let server;
+
+  before(async () => {
+    server = await startFixtureServer([
+      {
+        path: '/index.aspx',
+        // The API plans from the requested date - rewrite the recorded datemini to it
+        body: (req, url) => {
+          const [hutId, date] = (url.searchParams.get('q') || '').split(',');
+          if (url.searchParams.get('ref') !== 'json-planning-refuge' || hutId !== HUT_ID) {
+            return 'jsonCallback([]);';
+          }
+          return loadFixture(`montblanc/json-planning-refuge-${HUT_ID}.txt`)
+            .replace(/"datemini": "[^"]*"/, `"datemini": "${date}"`);
+        }
+      }
+    ]);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  // The provider applies its rateLimit to the API host on initialize - keep the fixture server fast
+  const createProvider = () => new MontBlancProvider({
+    ...providerConfig,
+    apiBaseUrl: `${server.url}/index.aspx`,
+    rateLimit: { requestsPerMinute: 60000, concurrentRequests: 10 }
+  });
+
+  test('scrapeAvailability returns one dormitory room type in the common schema', async () => {
+    const provider = createProvider();
+    await provider.initialize();
+
+    const result = await provider.scrapeAvailability({ id: HUT_ID, name: 'Refuge de la Balme' }, { months: 1 });
+
+    const request = server.requests.find(r => r.path === '/index.aspx');
+    const requestedDate = request.query.get('q').split(',')[1];
+    assert.match(requestedDate, /^\d{4}-\d{2}-\d{2}$/);
+
+    assert.equal(result.provider, 'montblanc');
+    assert.deepEqual(result.property, {
+      name: 'Refuge de la Balme',
+      externalId: HUT_ID,
+      url: 'https://www.montourdumontblanc.com/uk/il4-refuge_i32372-refuge-de-la-balme.aspx',
+      location: { area: 'Chamonix', altitude: 2205 }
+    });
+    assert.deepEqual(result.dateRange, { minDate: requestedDate, maxDate: addDays(requestedDate, 5) });
+
+    assert.equal(result.roomTypes.length, 1);
+    const [dormitory] = result.roomTypes;
+    assert.equal(dormitory.name, 'Dormitory');
+    assert.equal(dormitory.capacity, 30);
+
+    // Planning entries: { d: day offset, s: free spots, f: 0 = open }
+    assert.deepEqual(dormitory.dates.map(d => [d.date, d.status, d.freeBeds]), [
+      [addDays(requestedDate, 0), 'available', 12],
+      [addDays(requestedDate, 1), 'unavailable', 0],
+      [addDays(requestedDate, 2), 'available', 4],
+      [addDays(requestedDate, 3), 'unavailable', 30],
+      [addDays(requestedDate, 4), 'available', 30],
+      [addDays(requestedDate, 5), 'available', 1]
+    ]);
+    assert.deepEqual(result.summary, { totalRoomTypes: 1, totalDates: 6, availableDates: 4 });
+  });
+
+  test('scrapeAvailability takes work item properties and keeps only dates in the dateRange', async () => {
+    const provider = createProvider();
+    await provider.initialize();
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+    const result = await provider.scrapeAvailability(
+      { name: 'Refuge de la Balme', externalId: HUT_ID },
+      { months: 1, dateRange: { minDate: addDays(today, 2), maxDate: addDays(today, 4) } }
+    );
+
+    assert.equal(result.property.externalId, HUT_ID);
+    assert.deepEqual(result.dateRange, { minDate: addDays(today, 2), maxDate: addDays(today, 4) });
+    assert.deepEqual(result.roomTypes[0].dates.map(d => d.freeBeds), [4, 30, 30]);
+  });
+
+  test('parseAPIResponse skips dates before today', () => {
+    const provider = new MontBlancProvider(providerConfig);
+    const response = loadFixture(`montblanc/json-planning-refuge-${HUT_ID}.txt`)
+      .replace(/"datemini": "[^"]*"/, `"datemini": "${addDays(new Date().toISOString(), -3)}"`);
+
+    const records = provider.parseAPIResponse(response, null);
+
+    assert.deepEqual(records.map(r => r.debug.dayOffset), [3, 4, 5]);
+  });
+
+  test('parseAPIResponse returns no records for an unknown refuge', () => {
+    const provider = new MontBlancProvider(providerConfig);
+    assert.deepEqual(provider.parseAPIResponse('jsonCallback([]);', null), []);
+  });
+});
+
+describe('Mont Blanc persistence', () => {
+  const stub = useStubs();
+
+  test('getRefuges describes every configured refuge with its dormitory', () => {
+    const refuges = new MontBlancProvider(providerConfig).getRefuges();
+
+    assert.equal(refuges.length, providerConfig.huts.length);
+    const trient = refuges.find(r => r.property.name === 'Refuge du Trient');
+    assert.deepEqual(trient.property.location, { area: 'Switzerland', altitude: 3170 });
+    assert.deepEqual(trient.roomTypes.map(rt => [rt.name, rt.externalId, rt.capacity, rt.dates.length]), [['Dormitory', '39949', 130, 0]]);
+    assert.equal(trient.dateRange, null);
+
+    // No altitude in the config
+    assert.deepEqual(refuges.find(r => r.property.externalId === '32369').property.location, { area: 'Chamonix', altitude: null });
+  });
+
+  test('saveProviderAvailability stores the refuge, its dormitory and the daily spots', async () => {
+    const calls = [];
+    stub(database, 'ensureProperty', async (...args) => { calls.push(['property', ...args]); return 5; });
+    stub(database, 'ensureRoomType', async (...args) => { calls.push(['roomType', ...args]); return 50; });
+    stub(database, 'upsertAvailableDates', async (...args) => { calls.push(['dates', ...args]); return { events: [] }; });
+
+    const provider = new MontBlancProvider(providerConfig);
+    const refuge = provider.describeRefuge(providerConfig.huts.find(hut => hut.id === HUT_ID));
+    const result = provider.formatAvailability(refuge.property, [{
+      ...refuge.roomType,
+      dates: [
+        { date: '2026-07-01', status: 'available', canCheckin: true, canCheckout: true, freeBeds: 12 },
+        { date: '2026-07-02', status: 'unavailable', canCheckin: false, canCheckout: false, freeBeds: 0 }
+      ]
+    }], { minDate: '2026-07-01', maxDate: '2026-07-02' });
+
+    const saved = await database.saveProviderAvailability(result, providerConfig.bookingSystem);
+
+    assert.deepEqual(calls, [
+      ['property', 'Refuge de la Balme', result.property.url, 'Refuge de la Balme mountain hut using montblanc booking system', 'montblanc', { area: 'Chamonix', altitude: 2205 }],
+      ['roomType', 5, 'Dormitory', HUT_ID, 30],
+      ['dates', 50, [{ date: '2026-07-01', can_checkin: true, can_checkout: true, free_beds: 12 }], { minDate: '2026-07-01', maxDate: '2026-07-02' }]
+    ]);
+    assert.equal(saved.availableDatesSaved, 1);
+  });
+
+  test('ensureProperty updates the location of an existing property', async () => {
+    const queries = [];
+    stub(database, 'query', async (text, params) => {
+      queries.push([text.trim().split(/\s+/)[0], params]);
+      return { rows: [{ id: 5 }] };
+    });
+
+    const id = await database.ensureProperty('Refuge de la Balme', null, 'Balme', 'montblanc', { area: 'Chamonix', altitude: 2205 });
+
+    assert.equal(id, 5);
+    assert.deepEqual(queries[1], ['UPDATE', [5, JSON.stringify({ description: 'Balme', area: 'Chamonix', altitude: 2205 }), 'montblanc']]);
+
+    // Without location metadata an existing property is left as it is
+    queries.length = 0;
+    await database.ensureProperty('Vodnikov dom', null, 'Vodnikov dom', 'bentral');
+    assert.deepEqual(queries.map(([command]) => command), ['SELECT']);
+  });
+
+  test('the scheduled scrape queues every refuge next to the Bentral room types', async () => {
+    stub(database, 'query', async () => ({
+      rows: [{ property_name: 'Vodnikov dom', slug: 'vodnikov-dom', name: 'Skupna ležišča', external_id: '12', capacity: 8 }]
+    }));
+    const job = new ScraperJob(console);
+
+    const items = await job.buildWorkItems({ testMode: true });
+    const montBlancItems = items.filter(item => item.provider === 'montblanc');
+    assert.equal(montBlancItems.length, providerConfig.huts.length);
+    assert.deepEqual(montBlancItems[0].property, { name: 'Chalet Les Méandres (ex Tupilak)', externalId: '39948' });
+    assert.deepEqual(montBlancItems[0].dateRange, items[0].dateRange);
+
+    const targeted = await job.buildWorkItems({ targetHuts: ['Refuge de la Balme'] });
+    assert.deepEqual(targeted.map(item => [item.provider, item.property.externalId]), [['montblanc', HUT_ID]]);
+  });
+});
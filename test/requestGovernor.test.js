@@ -0,0 +1,188 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const requestGovernor = require('../src/services/requestGovernor');
+const { RequestGovernor, CircuitOpenError } = requestGovernor;
+const MontBlancProvider = require('../src/providers/montblanc/MontBlancProvider');
+const montBlancConfig = require('../src/providers/montblanc/config.json');
+
+const API_URL = 'https://huts.example/api/availability';
+
+/**
+ * axios stand-in answering with the given statuses in turn (then 200)
+ */
+function createHttp(statuses = []) {
+  const http = {
+    calls: [],
+    async request(config) {
+      http.calls.push(config);
+      const next = statuses.shift();
+      if (next instanceof Error) throw next;
+      const [status, headers] = Array.isArray(next) ? next : [next || 200, {}];
+      return { status, headers, data: { call: http.calls.length } };
+    }
+  };
+  return http;
+}
+
+function createGovernor(options = {}) {
+  return new RequestGovernor({
+    requestsPerMinute: 60000,
+    concurrentRequests: 10,
+    failureThreshold: 3,
+    openTimeout: 50,
+    backoffBase: 10,
+    maxBackoff: 1000,
+    maxRetries: 2,
+    ...options
+  });
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('request governor', () => {
+  test('a host\'s token bucket spaces requests after the burst', async () => {
+    const governor = createGovernor();
+    governor.configure(API_URL, { requestsPerMinute: 600, burst: 2 });
+
+    const sentAt = [];
+    const startedAt = Date.now();
+    await Promise.all([1, 2, 3, 4].map(() => governor.schedule(API_URL, async () => sentAt.push(Date.now() - startedAt))));
+
+    assert.ok(sentAt[1] < 50, 'the burst goes out at once');
+    assert.ok(sentAt[2] >= 90 && sentAt[3] >= 190, `then one request per 100ms (${sentAt.join(', ')})`);
+    assert.equal(governor.getMetrics().hosts['huts.example'].requests, 4);
+  });
+
+  test('no more than concurrentRequests are in flight per host', async () => {
+    const governor = createGovernor();
+    governor.configure('huts.example', { concurrentRequests: 2, burst: 10 });
+
+    let active = 0;
+    let maxActive = 0;
+    const request = async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(10);
+      active--;
+    };
+
+    await Promise.all([
+      ...[1, 2, 3, 4, 5].map(() => governor.schedule(API_URL, request)),
+      // Another host has its own limits
+      governor.schedule('https://other.example/', request)
+    ]);
+
+    assert.equal(maxActive, 3);
+    assert.equal(governor.getMetrics().hosts['huts.example'].concurrentRequests, 2);
+  });
+
+  test('provider rateLimit applies to every host of the provider', () => {
+    const governor = createGovernor();
+    const hosts = governor.configureProvider(montBlancConfig);
+
+    assert.deepEqual(hosts, ['www.montourdumontblanc.com', 'etape-rest.for-system.com']);
+    const api = governor.getMetrics().hosts['etape-rest.for-system.com'];
+    assert.equal(api.requestsPerMinute, 20);
+    assert.equal(api.concurrentRequests, 1);
+    assert.deepEqual(governor.configureProvider({ baseUrl: 'https://no-limits.example' }), []);
+  });
+
+  test('429 and 503 back off (Retry-After first) and send the request again', async () => {
+    const governor = createGovernor();
+    const http = createHttp([[429, { 'retry-after': '0.05' }], 503]);
+    governor.http = http;
+
+    const startedAt = Date.now();
+    const response = await governor.request({ url: '/api/availability', baseURL: 'https://huts.example' });
+
+    assert.equal(response.status, 200);
+    assert.equal(http.calls.length, 3);
+    assert.ok(Date.now() - startedAt >= 50 + 20, 'Retry-After, then the doubled base backoff');
+
+    const metrics = governor.getMetrics().hosts['huts.example'];
+    assert.equal(metrics.backoffs, 2);
+    assert.equal(metrics.consecutiveFailures, 0);
+  });
+
+  test('after maxRetries the last 429 is handed back', async () => {
+    const governor = createGovernor({ backoffBase: 1 });
+    governor.http = createHttp([429, 429, 429, 429]);
+
+    const response = await governor.request({ url: API_URL });
+    assert.equal(response.status, 429);
+    assert.equal(governor.http.calls.length, 3);
+  });
+
+  test('repeated failures open the circuit until a trial request succeeds', async () => {
+    const governor = createGovernor();
+    const http = createHttp([500, new Error('socket hang up'), 502]);
+    governor.http = http;
+
+    for (let i = 0; i < 3; i++) {
+      await governor.request({ url: API_URL }).catch(() => {});
+    }
+    assert.equal(governor.getMetrics().hosts['huts.example'].circuit, 'open');
+
+    await assert.rejects(governor.request({ url: API_URL }), error => {
+      assert.ok(error instanceof CircuitOpenError);
+      assert.equal(error.host, 'huts.example');
+      return true;
+    });
+    assert.equal(http.calls.length, 3, 'an open circuit sends nothing');
+
+    await delay(60);
+    const trial = governor.request({ url: API_URL });
+    await assert.rejects(governor.request({ url: API_URL }), CircuitOpenError, 'one trial at a time');
+    assert.equal((await trial).status, 200);
+
+    const metrics = governor.getMetrics().hosts['huts.example'];
+    assert.equal(metrics.circuit, 'closed');
+    assert.equal(metrics.circuitOpened, 1);
+    assert.equal(metrics.rejected, 2);
+  });
+
+  test('a failed trial opens the circuit again', async () => {
+    const governor = createGovernor({ failureThreshold: 1, maxRetries: 0 });
+    governor.http = createHttp([500, 503]);
+
+    await governor.request({ url: API_URL });
+    await delay(60);
+    await governor.request({ url: API_URL });
+
+    assert.equal(governor.getMetrics().hosts['huts.example'].circuit, 'open');
+    await assert.rejects(governor.request({ url: API_URL }), CircuitOpenError);
+  });
+
+  test('client errors like 404 are answers, not failures', async () => {
+    const governor = createGovernor({ failureThreshold: 1 });
+    const notFound = Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, headers: {} } });
+    governor.http = createHttp([notFound]);
+
+    await assert.rejects(governor.request({ url: API_URL }), /404/);
+    assert.equal(governor.getMetrics().hosts['huts.example'].circuit, 'closed');
+  });
+
+  test('Playwright responses count like axios responses', async () => {
+    const governor = createGovernor({ failureThreshold: 1, maxRetries: 0 });
+
+    const response = await governor.schedule(API_URL, async () => ({ status: () => 503, headers: () => ({}) }));
+    assert.equal(response.status(), 503);
+    assert.equal(governor.getMetrics().hosts['huts.example'].circuit, 'open');
+  });
+});
+
+describe('providers send requests through the governor', () => {
+  test('Mont Blanc turns an open circuit into a failed scrape instead of no availability', async () => {
+    const provider = new MontBlancProvider({ ...montBlancConfig, apiBaseUrl: 'https://closed.example/index.aspx' });
+    const state = requestGovernor.configure('closed.example', {});
+    state.circuit = 'open';
+    state.openedAt = Date.now();
+
+    try {
+      await assert.rejects(provider.scrapeAvailability({ id: '32372', name: 'Refuge de la Balme' }, { months: 1 }), CircuitOpenError);
+    } finally {
+      requestGovernor.hosts.delete('closed.example');
+    }
+  });
+});
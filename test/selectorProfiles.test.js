@@ -0,0 +1,194 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { chromium } = require('playwright');
+const { startFixtureServer, loadFixture } = require('./helpers/fixtureServer');
+
+const selectorProfiles = require('../src/services/selectorProfiles');
+const selectorHealthCheck = require('../src/services/selectorHealthCheck');
+const MountainHutScraper = require('../src/MountainHutScraper');
+const BentralProvider = require('../src/providers/bentral/BentralProvider');
+const scraperConfig = require('../config/scraper.config.js');
+const bookingConfig = require('../config/booking.config.js');
+const hutReservationConfig = require('../config/hut-reservation.config.js');
+const bentralProviderConfig = require('../src/providers/bentral/config.json');
+
+const { SelectorProfile, SelectorProfileError, SelectorDriftError } = selectorProfiles;
+
+const browserMissing = !fs.existsSync(chromium.executablePath()) &&
+  'Playwright Chromium is not installed (run: npx playwright install chromium)';
+
+// Page stub answering locator(selector).count() from a map of match counts
+function stubPage(counts) {
+  const clicked = [];
+  return {
+    clicked,
+    locator: selector => ({
+      count: async () => {
+        if (counts[selector] === 'invalid') throw new Error(`Unexpected token in "${selector}"`);
+        return counts[selector] || 0;
+      },
+      first: () => ({ click: async () => clicked.push(selector) })
+    }),
+    waitForTimeout: async () => {}
+  };
+}
+
+describe('selector profiles', () => {
+  test('every profile in config/selectors loads', () => {
+    assert.deepEqual(selectorProfiles.list(), ['bentral', 'hutreservation', 'microgramm']);
+
+    for (const system of selectorProfiles.list()) {
+      const profile = selectorProfiles.load(system);
+      assert.equal(profile.system, system);
+      assert.match(profile.version, /^\d{4}-\d{2}$/);
+    }
+  });
+
+  test('scrapers, providers and bots all read the same profile selectors', () => {
+    const bentral = selectorProfiles.load('bentral');
+    const microgramm = selectorProfiles.load('microgramm');
+
+    assert.deepEqual(scraperConfig.bentral.selectors, bentral.selectors('calendar'));
+    assert.equal(scraperConfig.bentral.availability, bentral.availability);
+
+    const provider = new BentralProvider(bentralProviderConfig);
+    assert.deepEqual(provider.config.selectors, bentral.selectors('calendar'));
+    assert.equal(provider.config.availability, bentral.availability);
+
+    assert.equal(bookingConfig.bentral, bentral);
+    assert.equal(bookingConfig.selectors.unitSelect, bentral.selector('rooms', 'unitSelect'));
+    assert.equal(bookingConfig.selectors.bookingFrame, microgramm.selector('hutPage', 'bookingFrame'));
+    assert.deepEqual(bookingConfig.manage.selectors, microgramm.selectors('reservations', 'reservation'));
+
+    assert.deepEqual(
+      hutReservationConfig.booking.selectors,
+      selectorProfiles.load('hutreservation').selectors('stay', 'contact', 'summary', 'result')
+    );
+  });
+
+  test('a profile that points at unknown pages or selectors is rejected', () => {
+    assert.throws(() => new SelectorProfile({
+      system: 'bentral',
+      version: '2025-09',
+      pages: { embed: { open: ['calendar.arrivalButton'] } },
+      groups: {
+        calendar: { page: 'embed', selectors: { arrivalInput: 'input' }, optional: ['prevButton'] },
+        guest: { page: 'guest', selectors: { name: [] } }
+      }
+    }), error => {
+      assert.ok(error instanceof SelectorProfileError);
+      assert.match(error.message, /page embed opens unknown selector calendar\.arrivalButton/);
+      assert.match(error.message, /group calendar marks unknown selector prevButton optional/);
+      assert.match(error.message, /group guest is on unknown page "guest"/);
+      assert.match(error.message, /guest\.name must be a selector or a list of selectors/);
+      return true;
+    });
+
+    assert.throws(() => selectorProfiles.load('bentral').selectors('calendar', 'stay'), /nextButton is in more than one of calendar, stay/);
+    assert.throws(() => selectorProfiles.load('mountbooking'), /No selector profile for "mountbooking"/);
+  });
+});
+
+describe('selector drift', () => {
+  const bentral = selectorProfiles.load('bentral');
+
+  test('the health check reports required selectors that match nothing', async () => {
+    const page = stubPage({
+      'input[name="formated_arrival"]': 1,
+      'select[name="unit[]"]': 1,
+      '.datepicker-switch': 1,
+      '.datepicker-days .next': 1,
+      '.datepicker-days .prev': 1,
+      'button[type="submit"]': 1,
+      '.datepicker-days td': 0,
+      '.add-unit, a:has-text("Dodaj enoto"), button:has-text("Dodaj enoto"), a:has-text("Dodaj sobo"), button:has-text("Dodaj sobo"), a:has-text("Add unit"), button:has-text("Add unit")': 'invalid'
+    });
+
+    const report = await selectorHealthCheck.checkPage(page, bentral, 'embed', { url: 'http://hut/booking.html' });
+
+    assert.deepEqual(page.clicked, ['input[name="formated_arrival"]']);
+    assert.equal(report.drift, true);
+
+    const status = Object.fromEntries(report.results.map(result => [`${result.group}.${result.name}`, result.status]));
+    assert.deepEqual(status, {
+      'calendar.roomSelect': 'ok',
+      'calendar.arrivalInput': 'ok',
+      'calendar.calendarSwitch': 'ok',
+      'calendar.calendarDays': 'missing',
+      'calendar.nextButton': 'ok',
+      'calendar.prevButton': 'ok',
+      'rooms.unitSelect': 'ok',
+      'rooms.addUnitButton': 'invalid',
+      'stay.paymentOption': 'absent',
+      'stay.nextButton': 'ok'
+    });
+    assert.equal(report.results.find(result => result.name === 'nextButton' && result.group === 'stay').selector, 'button[type="submit"]');
+
+    const text = selectorHealthCheck.formatReport([report, { profile: bentral.id, page: 'guest', skipped: 'no URL' }]);
+    assert.match(text, /❌ calendar\.calendarDays: missing - \.datepicker-days td/);
+    assert.match(text, /➖ stay\.paymentOption: not on this page \(optional\)/);
+    assert.match(text, /Selector drift on 1 page\(s\): bentral@2025-09 embed/);
+  });
+
+  test('the scraper fails with the drifted selector instead of reporting a month without availability', async () => {
+    const scraper = new MountainHutScraper({ saveToDatabase: false, saveToFile: false });
+
+    scraper.page = { evaluate: async () => [] };
+    await assert.rejects(scraper.extractMonthAvailability('September 2025'), error => {
+      assert.ok(error instanceof SelectorDriftError);
+      assert.equal(error.profile, bentral.id);
+      assert.equal(error.selectorName, 'calendarDays');
+      assert.match(error.message, /calendar\.calendarDays \(\.datepicker-days td\) found no days of September 2025/);
+      return true;
+    });
+
+    // Cells are there, but none of them carries Bentral's "day" class any more
+    scraper.page = { evaluate: async () => [{ day: 1, classes: 'calendar-cell', available: false, unavailable: true }] };
+    await assert.rejects(scraper.extractMonthAvailability('September 2025'), /found no cells with the classes day in September 2025/);
+  });
+});
+
+describe('selector health check (recorded Bentral iframe)', { skip: browserMissing }, () => {
+  let server;
+  let browser;
+
+  before(async () => {
+    const fixture = loadFixture('bentral/booking-september-2025.html');
+    server = await startFixtureServer([
+      { path: '/service/embed/booking.html', body: fixture, contentType: 'text/html; charset=utf-8' },
+      // The same calendar after a markup change
+      { path: '/service/embed/redesigned.html', body: fixture.replace(/datepicker-days/g, 'calendar-days'), contentType: 'text/html; charset=utf-8' }
+    ]);
+    browser = await chromium.launch({ headless: true });
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (server) await server.close();
+  });
+
+  async function checkCalendar(path) {
+    const page = await browser.newPage();
+    try {
+      await page.goto(`${server.url}${path}`, { waitUntil: 'load' });
+      const report = await selectorHealthCheck.checkPage(page, selectorProfiles.load('bentral'), 'embed');
+      return report.results.filter(result => result.group === 'calendar');
+    } finally {
+      await page.close();
+    }
+  }
+
+  test('every calendar selector matches the recorded iframe', async () => {
+    const results = await checkCalendar('/service/embed/booking.html');
+    assert.deepEqual(results.filter(result => result.status !== 'ok'), []);
+    assert.equal(results.find(result => result.name === 'calendarDays').count, 42);
+  });
+
+  test('renamed calendar classes are reported as drift', async () => {
+    const missing = (await checkCalendar('/service/embed/redesigned.html'))
+      .filter(result => result.status === 'missing')
+      .map(result => result.name);
+    assert.deepEqual(missing, ['calendarDays', 'nextButton', 'prevButton']);
+  });
+});
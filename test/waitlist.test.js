@@ -0,0 +1,148 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useStubs } = require('./helpers/stubs');
+
+const waitlistService = require('../src/services/waitlistService');
+const bookingQueue = require('../src/services/bookingQueue');
+const bookingSessionManager = require('../src/services/bookingSessionManager');
+const watchNotifier = require('../src/services/watchNotifier');
+const DateWindow = require('../src/services/dateWindow');
+
+const { BookingRejectedError } = bookingQueue;
+
+const day = (offset) => DateWindow.toISODate(DateWindow.addDays(new DateWindow({ days: 1 }).start, offset));
+
+const entry = (id, arrival, departure, overrides = {}) => ({
+  id,
+  provider: 'microgramm',
+  hut_name: 'Vodnikov dom',
+  room_type: 'Skupna ležišča',
+  arrival_date: day(arrival),
+  departure_date: day(departure),
+  channel: 'file',
+  target: null,
+  status: 'waiting',
+  attempts: 0,
+  params: { guestName: `guest ${id}` },
+  ...overrides
+});
+
+const booking = (overrides = {}) => ({
+  hutName: 'Vodnikov dom',
+  roomType: 'Skupna ležišča',
+  arrivalDate: day(10),
+  departureDate: day(12),
+  guestName: 'Janez Novak',
+  country: 'Slovenia',
+  email: 'janez@example.com',
+  phone: '+386 40 123 456',
+  deadline: new Date(Date.now() + 86400000).toISOString(),
+  channel: 'file',
+  ...overrides
+});
+
+describe('waitlistService', () => {
+  const stub = useStubs();
+
+  let waiting;
+  let claimed;
+  let updates;
+  let notifications;
+  let bookable;
+
+  beforeEach(() => {
+    waiting = [];
+    claimed = new Map();
+    updates = [];
+    notifications = [];
+    bookable = () => true;
+
+    stub(waitlistService, 'recoverInterrupted', async () => {});
+    stub(waitlistService, 'expireDue', async () => 0);
+    stub(waitlistService, 'getClaimedNights', async () => claimed);
+    stub(waitlistService, 'getWaitingEntries', async () => waiting);
+    stub(waitlistService, 'transition', async (id, from, to) => {
+      updates.push([id, to]);
+      return true;
+    });
+    stub(waitlistService, 'markPrepared', async (id, sessionId) => updates.push([id, 'prepared', sessionId]));
+    stub(waitlistService, 'release', async (id, lastError) => updates.push([id, 'waiting', lastError]));
+    stub(waitlistService, 'recordError', async (id, status) => updates.push([id, status]));
+    stub(watchNotifier, 'send', async (channel, target, notification) => notifications.push(notification));
+    stub(bookingQueue, 'enqueue', async (params, options) => {
+      assert.equal(options.freshScrape, false);
+      if (!bookable(params)) {
+        throw new BookingRejectedError('not_available', 'Not available on 1 of 2 nights');
+      }
+      return { sessionId: `booking_${params.guestName}` };
+    });
+  });
+
+  test('the first entry gets the nights, later entries for the same nights wait', async () => {
+    waiting = [entry(1, 10, 12), entry(2, 11, 13), entry(3, 12, 14), entry(4, 11, 12, { hut_name: 'Koča na Doliču' })];
+
+    const summary = await waitlistService.checkWaitlist();
+
+    assert.deepEqual(summary, { checked: 3, prepared: 3, skipped: 1, expired: 0, failed: 0 });
+    assert.deepEqual(updates.filter(update => update[1] === 'prepared').map(update => update[0]), [1, 3, 4]);
+    assert.equal(notifications[0].event, 'waitlist.prepared');
+    assert.equal(notifications[0].session_id, 'booking_guest 1');
+    assert.match(notifications[0].text, /booking\/submit\/booking_guest 1/);
+  });
+
+  test('nights held by an open session from an earlier check are skipped', async () => {
+    claimed.set('microgramm:Vodnikov dom', new Set([day(11)]));
+    waiting = [entry(1, 10, 12), entry(2, 12, 13)];
+
+    const summary = await waitlistService.checkWaitlist();
+
+    assert.equal(summary.skipped, 1);
+    assert.deepEqual(updates.map(update => update[0]), [2, 2]);
+  });
+
+  test('a sold-out entry keeps its place without using an attempt', async () => {
+    bookable = (params) => params.guestName !== 'guest 1';
+    waiting = [entry(1, 10, 12), entry(2, 10, 12)];
+
+    const summary = await waitlistService.checkWaitlist();
+
+    assert.deepEqual(summary, { checked: 2, prepared: 1, skipped: 0, expired: 0, failed: 0 });
+    assert.deepEqual(updates.find(update => update[0] === 1 && update[1] === 'waiting'),
+      [1, 'waiting', 'not_available: Not available on 1 of 2 nights']);
+    assert.deepEqual(updates.find(update => update[1] === 'prepared'), [2, 'prepared', 'booking_guest 2']);
+  });
+
+  test('bot errors count as attempts until the entry fails', async () => {
+    bookingQueue.enqueue = async () => { throw new Error('Captcha not solved'); };
+    waiting = [entry(1, 10, 12), entry(2, 20, 21, { attempts: waitlistService.maxAttempts - 1 })];
+
+    const summary = await waitlistService.checkWaitlist();
+
+    assert.equal(summary.failed, 1);
+    assert.deepEqual(updates.filter(update => update[1] !== 'preparing'), [[1, 'waiting'], [2, 'failed']]);
+  });
+
+  test('no free browser ends the check and leaves later entries untouched', async () => {
+    bookingQueue.enqueue = async () => { throw new bookingSessionManager.CapacityError('All 3 booking browsers are busy'); };
+    waiting = [entry(1, 10, 12), entry(2, 20, 21)];
+
+    const summary = await waitlistService.checkWaitlist();
+
+    assert.equal(summary.checked, 1);
+    assert.ok(updates.every(update => update[0] === 1));
+  });
+
+  test('validate needs a complete booking, a deadline before arrival and a channel', async () => {
+    const validated = await waitlistService.validate(booking({ arrivalDate: '15.08.2099', departureDate: '17.08.2099' }));
+    assert.equal(validated.arrival_date, '2099-08-15');
+    assert.equal(validated.hut_name, 'Vodnikov dom');
+    assert.equal(validated.params.email, 'janez@example.com');
+    assert.equal(validated.params.deadline, undefined);
+
+    const { ValidationError } = waitlistService;
+    await assert.rejects(waitlistService.validate(booking({ email: 'nope' })), ValidationError);
+    await assert.rejects(waitlistService.validate(booking({ deadline: '2000-01-01' })), /in the future/);
+    await assert.rejects(waitlistService.validate(booking({ deadline: `${day(20)}T12:00:00Z` })), /after the arrival date/);
+    await assert.rejects(waitlistService.validate(booking({ channel: 'pigeon' })), /channel must be one of/);
+  });
+});
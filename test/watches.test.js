@@ -0,0 +1,226 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dns = require('dns');
+const axios = require('axios');
+const { useStubs } = require('./helpers/stubs');
+
+const watchService = require('../src/services/watchService');
+const watchNotifier = require('../src/services/watchNotifier');
+const database = require('../src/services/database');
+const GroupAllocation = require('../src/services/groupAllocation');
+
+const { ValidationError } = watchService;
+
+// UTC days from today, as the watch service counts them
+const day = offset => new Date(Date.now() + offset * 86400000).toISOString().split('T')[0];
+
+const watchRow = (overrides = {}) => ({
+  id: 4,
+  property_id: 7,
+  property_name: 'Vodnikov dom',
+  room_type_id: null,
+  room_category: null,
+  date_from: day(5),
+  date_to: day(7),
+  nights: 2,
+  party_size: 3,
+  channel: 'file',
+  target: null,
+  ...overrides
+});
+
+// First words of a statement, enough to tell the queries apart
+const statement = (sql, words) => sql.trim().split(/\s+/).slice(0, words).join(' ');
+
+const watchData = (overrides = {}) => ({
+  property_id: 7, date_from: '2026-07-01', date_to: '2026-07-31', nights: 2, party_size: 4, channel: 'file', ...overrides
+});
+
+describe('watchService.validate', () => {
+  test('fills in defaults and parses numbers', async () => {
+    assert.deepEqual(await watchService.validate(watchData({ property_id: '7', room_type_id: '70', party_size: '4' })), {
+      property_id: 7,
+      room_type_id: 70,
+      room_category: null,
+      date_from: '2026-07-01',
+      date_to: '2026-07-31',
+      nights: 2,
+      party_size: 4,
+      channel: 'file',
+      target: null
+    });
+  });
+
+  test('party_size is capped at the group allocation limit', async () => {
+    assert.equal((await watchService.validate(watchData({ party_size: GroupAllocation.MAX_GROUP_SIZE }))).party_size, 100);
+
+    for (const party_size of [0, 'many', GroupAllocation.MAX_GROUP_SIZE + 1]) {
+      await assert.rejects(watchService.validate(watchData({ party_size })), /party_size must be an integer between 1 and 100/);
+    }
+  });
+
+  test('stays, date ranges and channels are checked', async () => {
+    await assert.rejects(watchService.validate(watchData({ nights: 31 })), /nights must be an integer between 1 and 30/);
+    await assert.rejects(watchService.validate(watchData({ date_from: '01.07.2026' })), /YYYY-MM-DD/);
+    await assert.rejects(watchService.validate(watchData({ date_to: '2026-06-30' })), /must not be before/);
+    await assert.rejects(watchService.validate(watchData({ date_to: '2027-07-02' })), /at most 366 days/);
+    await assert.rejects(watchService.validate(watchData({ channel: 'sms' })), /channel must be one of: webhook, email, file/);
+    await assert.rejects(watchService.validate(watchData({ channel: 'email', target: 'nobody' })), ValidationError);
+  });
+});
+
+describe('watchService.checkWatch', () => {
+  const stub = useStubs();
+
+  let queries;
+  let statements;
+  let sent;
+  let notified;
+
+  beforeEach(() => {
+    queries = [];
+    statements = [];
+    sent = [day(6), day(3)];
+    notified = [];
+
+    // Four free beds every night from day 5 to day 9
+    stub(database, 'getNightlyAvailability', async () => [5, 6, 7, 8, 9].map(offset => ({
+      property_id: 7, room_type_id: 70, room_type_name: 'Skupna ležišča', capacity: 8,
+      date: day(offset), can_checkin: true, free_beds: 4
+    })));
+    stub(database, 'query', async (sql, params) => {
+      queries.push([statement(sql, 1), params]);
+      return { rows: sql.includes('SELECT') ? sent.map(check_in => ({ check_in })) : [] };
+    });
+    // The real transaction() runs against a client that records the statements
+    stub(database, 'pool', {
+      connect: async () => ({
+        query: async (sql, params) => {
+          statements.push([statement(sql, 3), params]);
+          return { rows: [] };
+        },
+        release() {}
+      })
+    });
+    stub(watchNotifier, 'send', async (channel, target, notification) => {
+      notified.push(notification);
+    });
+  });
+
+  test('records and announces only check-in dates not announced before', async () => {
+    const outcome = await watchService.checkWatch(watchRow());
+
+    assert.deepEqual(outcome, { matches: 3, notified: 2 });
+    assert.deepEqual(queries.map(([sql]) => sql), ['SELECT', 'DELETE', 'UPDATE']);
+    assert.deepEqual(queries[1][1], [4, [day(3)]]);
+
+    assert.deepEqual(statements.map(([sql]) => sql), [
+      'BEGIN',
+      'LOCK TABLE availability.watch_notifications',
+      'INSERT INTO availability.watch_notifications',
+      'INSERT INTO availability.watch_notifications',
+      'COMMIT'
+    ]);
+    assert.deepEqual(statements.slice(2, 4).map(([, params]) => params[1]), [day(5), day(7)]);
+
+    assert.equal(notified.length, 1);
+    assert.deepEqual(notified[0].matches.map(match => [match.check_in, match.check_out]), [[day(5), day(7)], [day(7), day(9)]]);
+    assert.equal(JSON.parse(statements[2][1][2]).sent_at, notified[0].sent_at);
+  });
+
+  test('a failed send rolls the records back so the dates are announced next time', async () => {
+    stub(watchNotifier, 'send', async () => {
+      throw new Error('SMTP_HOST is not configured');
+    });
+
+    await assert.rejects(watchService.checkWatch(watchRow()), /SMTP_HOST is not configured/);
+
+    assert.deepEqual(statements.map(([sql]) => sql).slice(-1), ['ROLLBACK']);
+    assert.ok(!queries.some(([sql]) => sql === 'UPDATE'));
+  });
+
+  test('nothing is sent when every match was announced already', async () => {
+    sent = [day(5), day(6), day(7)];
+
+    assert.deepEqual(await watchService.checkWatch(watchRow()), { matches: 3, notified: 0 });
+    assert.deepEqual(statements, []);
+    assert.deepEqual(notified, []);
+  });
+
+  test('checkWatches counts a failing watch and carries on', async () => {
+    const watches = [watchRow({ id: 1 }), watchRow({ id: 2 })];
+    stub(watchService, 'checkWatch', async (watch) => {
+      if (watch.id === 1) throw new Error('channel down');
+      return { matches: 2, notified: 1 };
+    });
+    stub(database, 'query', async () => ({ rows: watches }));
+
+    assert.deepEqual(await watchService.checkWatches(), { checked: 2, matched: 2, notified: 1, failed: 1 });
+  });
+});
+
+describe('watchNotifier', () => {
+  const stub = useStubs();
+
+  beforeEach(() => {
+    stub(dns.promises, 'lookup', async (host) => {
+      const addresses = { 'example.org': '93.184.216.34', 'intranet.example.org': '10.1.2.3' };
+      if (!addresses[host]) throw new Error(`getaddrinfo ENOTFOUND ${host}`);
+      return [{ address: addresses[host], family: 4 }];
+    });
+  });
+
+  test('buildNotification lists the stays of the matches', () => {
+    const notification = watchNotifier.buildNotification(watchRow(), [
+      { check_in: '2026-07-10', check_out: '2026-07-12' },
+      { check_in: '2026-07-11', check_out: '2026-07-13' }
+    ]);
+
+    assert.equal(notification.event, 'watch.matched');
+    assert.equal(notification.subject, 'Vodnikov dom: room for 3 on 2 date(s)');
+    assert.equal(notification.text, 'Vodnikov dom has room for 3 guest(s) on:\n  2026-07-10 - 2026-07-12\n  2026-07-11 - 2026-07-13');
+  });
+
+  test('targets are validated by their channel', async () => {
+    assert.equal(await watchNotifier.validate('webhook', 'https://example.org/hook'), null);
+    assert.equal(await watchNotifier.validate('webhook', 'ftp://example.org/hook'), 'webhook target must be an http(s) URL');
+    assert.equal(await watchNotifier.validate('webhook', 'not a url'), 'webhook target must be a valid URL');
+    assert.equal(await watchNotifier.validate('email', 'hut@example.org'), null);
+    assert.equal(await watchNotifier.validate('file', '/etc/passwd'), null);
+    assert.match(await watchNotifier.validate('pigeon', null), /channel must be one of/);
+  });
+
+  test('webhook targets on loopback, private or link-local hosts are refused, also when sending', async () => {
+    for (const target of ['http://127.0.0.1:3000/hook', 'http://[::1]/', 'http://169.254.169.254/latest', 'https://intranet.example.org/hook']) {
+      assert.match(await watchNotifier.validate('webhook', target), /webhook target host .* is a loopback, private or link-local address/, target);
+    }
+    assert.match(await watchNotifier.validate('webhook', 'https://nowhere.example.org/'), /webhook target host nowhere.example.org could not be resolved/);
+
+    const posts = [];
+    stub(axios, 'post', async (url) => posts.push(url));
+    await assert.rejects(watchNotifier.send('webhook', 'https://intranet.example.org/hook', {}), /loopback, private or link-local/);
+    await watchNotifier.send('webhook', 'https://example.org/hook', {});
+    assert.deepEqual(posts, ['https://example.org/hook']);
+  });
+
+  test('the file channel appends JSON lines to WATCH_NOTIFICATION_FILE whatever the target', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'watch-notifications-'));
+    const filePath = path.join(dir, 'nested', 'notifications.jsonl');
+    process.env.WATCH_NOTIFICATION_FILE = filePath;
+
+    try {
+      const notification = await watchNotifier.notify(watchRow(), [{ check_in: '2026-07-10', check_out: '2026-07-12' }]);
+      await watchNotifier.notify(watchRow({ target: path.join(dir, 'elsewhere.jsonl') }), [], notification);
+
+      const lines = (await fs.promises.readFile(filePath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(lines, [notification, notification]);
+      assert.deepEqual(await fs.promises.readdir(dir), ['nested']);
+    } finally {
+      delete process.env.WATCH_NOTIFICATION_FILE;
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,167 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+const { useStubs } = require('./helpers/stubs');
+
+const webhookDispatcher = require('../src/services/webhookDispatcher');
+const database = require('../src/services/database');
+
+const { ValidationError } = webhookDispatcher;
+
+const delivery = (overrides = {}) => ({
+  id: 12,
+  event: 'scrape.completed',
+  payload: { id: 12, event: 'scrape.completed', data: { properties: 3 } },
+  attempts: 1,
+  url: 'https://hooks.example.org/huts',
+  secret: 'webhook-secret',
+  ...overrides
+});
+
+describe('webhookDispatcher.deliver', () => {
+  const stub = useStubs();
+
+  let posts;
+  let updates;
+  let respond;
+
+  beforeEach(() => {
+    posts = [];
+    updates = [];
+    respond = async () => ({ status: 204 });
+
+    stub(axios, 'post', async (url, body, config) => {
+      posts.push({ url, body, headers: config.headers });
+      return respond();
+    });
+    stub(database, 'query', async (sql, params) => {
+      updates.push(params);
+      return { rows: [] };
+    });
+    stub(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  test('signs "<timestamp>.<body>" with the webhook secret', async () => {
+    await webhookDispatcher.deliver(delivery());
+
+    assert.equal(posts.length, 1);
+    const [{ url, body, headers }] = posts;
+    assert.equal(url, 'https://hooks.example.org/huts');
+    assert.deepEqual(JSON.parse(body), delivery().payload);
+    assert.equal(headers['X-Webhook-Event'], 'scrape.completed');
+    assert.equal(headers['X-Webhook-Delivery'], '12');
+    assert.match(headers['X-Webhook-Timestamp'], /^\d+$/);
+
+    // What a receiver does to verify the request
+    const expected = crypto.createHmac('sha256', 'webhook-secret').update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['X-Webhook-Signature'], `sha256=${expected}`);
+    assert.equal(webhookDispatcher.sign('webhook-secret', headers['X-Webhook-Timestamp'], body), expected);
+
+    assert.deepEqual(updates, [[12, 204]]);
+  });
+
+  test('failed attempts are retried with doubling delays up to the maximum', async () => {
+    respond = async () => ({ status: 503 });
+    stub(webhookDispatcher, 'maxAttempts', 10);
+    stub(webhookDispatcher, 'retryDelay', 30000);
+    stub(webhookDispatcher, 'maxRetryDelay', 200000);
+
+    for (const attempts of [1, 2, 3, 4, 5]) {
+      await webhookDispatcher.deliver(delivery({ attempts }));
+    }
+
+    assert.deepEqual(updates.map(([, status, responseStatus, error, backoff]) => [status, responseStatus, error, backoff]), [
+      ['pending', 503, 'Webhook responded with HTTP 503', 30000],
+      ['pending', 503, 'Webhook responded with HTTP 503', 60000],
+      ['pending', 503, 'Webhook responded with HTTP 503', 120000],
+      ['pending', 503, 'Webhook responded with HTTP 503', 200000],
+      ['pending', 503, 'Webhook responded with HTTP 503', 200000]
+    ]);
+  });
+
+  test('the last attempt marks the delivery failed', async () => {
+    respond = async () => {
+      throw new Error('connect ECONNREFUSED');
+    };
+
+    await webhookDispatcher.deliver(delivery({ attempts: webhookDispatcher.maxAttempts }));
+
+    assert.deepEqual(updates[0].slice(0, 4), [12, 'failed', null, 'connect ECONNREFUSED']);
+  });
+
+  test('a host that resolves to a private address by now is not posted to', async () => {
+    stub(dns.promises, 'lookup', async () => [{ address: '10.0.0.8', family: 4 }]);
+
+    await webhookDispatcher.deliver(delivery());
+
+    assert.deepEqual(posts, []);
+    assert.deepEqual(updates[0].slice(0, 4), [12, 'pending', null, 'url host hooks.example.org is a loopback, private or link-local address']);
+  });
+});
+
+describe('webhookDispatcher.validateUrl', () => {
+  const stub = useStubs();
+
+  beforeEach(() => {
+    stub(dns.promises, 'lookup', async (host) => {
+      const addresses = {
+        'hooks.example.org': ['93.184.216.34', '2606:2800:220:1::248'],
+        'intranet.example.org': ['93.184.216.34', '192.168.1.20'],
+        localhost: ['127.0.0.1', '::1']
+      };
+      if (!addresses[host]) throw new Error(`getaddrinfo ENOTFOUND ${host}`);
+      return addresses[host].map(address => ({ address }));
+    });
+  });
+
+  test('public hosts and addresses are accepted', async () => {
+    await webhookDispatcher.validateUrl('https://hooks.example.org/huts');
+    await webhookDispatcher.validateUrl('http://93.184.216.34:8080/');
+    await webhookDispatcher.validateUrl('http://[2606:2800:220:1::248]/');
+  });
+
+  test('loopback, private and link-local targets are refused', async () => {
+    for (const url of [
+      'http://localhost:3000/hook',
+      'https://intranet.example.org/hook',
+      'http://127.0.0.1/',
+      'http://10.20.30.40/',
+      'http://172.16.5.4/',
+      'http://169.254.169.254/latest/meta-data',
+      'http://0.0.0.0/',
+      'http://[::1]/',
+      'http://[fd12:3456::1]/',
+      'http://[fe80::1]/',
+      'http://[::ffff:127.0.0.1]/'
+    ]) {
+      await assert.rejects(webhookDispatcher.validateUrl(url), /loopback, private or link-local/, url);
+    }
+  });
+
+  test('malformed, non-http and unresolvable URLs are refused', async () => {
+    await assert.rejects(webhookDispatcher.validateUrl('hooks.example.org'), /url must be a valid URL/);
+    await assert.rejects(webhookDispatcher.validateUrl('ftp://hooks.example.org/'), /url must be an http\(s\) URL/);
+    await assert.rejects(webhookDispatcher.validateUrl('https://nowhere.example.org/'), /could not be resolved/);
+  });
+
+  test('WEBHOOK_ALLOW_PRIVATE_TARGETS lets local receivers through', async () => {
+    stub(webhookDispatcher, 'allowPrivateTargets', true);
+
+    await webhookDispatcher.validateUrl('http://localhost:3000/hook');
+    await webhookDispatcher.validateUrl('http://192.168.1.20/');
+  });
+});
+
+describe('webhookDispatcher.validateEvents', () => {
+  test('known events and "*" are kept once each', () => {
+    assert.deepEqual(webhookDispatcher.validateEvents(['scrape.failed', '*', 'scrape.failed']), ['scrape.failed', '*']);
+  });
+
+  test('empty or unknown event lists are refused', () => {
+    assert.throws(() => webhookDispatcher.validateEvents([]), ValidationError);
+    assert.throws(() => webhookDispatcher.validateEvents('scrape.failed'), /non-empty array/);
+    assert.throws(() => webhookDispatcher.validateEvents(['scrape.failed', 'booking.made']), /Unknown events: booking.made/);
+  });
+});